@@ -1 +1 @@
-export { query, getPool, endPool } from './db/pg.js';
\ No newline at end of file
+export { query, getPool, endPool, withTransaction } from './db/pg.js';
\ No newline at end of file
@@ -246,6 +246,85 @@ export async function query(text, params) {
   }
 }
 
+// ===== 7) Transações (client fixo)
+// serialization_failure / deadlock_detected: a transação inteira pode ser refeita
+const RETRYABLE_TX_CODES = new Set(["40001", "40P01"]);
+const ISOLATION_LEVELS = new Set(["READ COMMITTED", "REPEATABLE READ", "SERIALIZABLE"]);
+
+// tx.rollback(value): desfaz a transação e faz withTransaction retornar `value`
+class TxRollback {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Executa fn(tx) em uma transação com um único client do pool, então
+ * FOR UPDATE e afins valem até o COMMIT.
+ *  - tx.query(text, params)   -> no client da transação
+ *  - tx.savepoint(fn)         -> SAVEPOINT; erro em fn volta só até ele (e é relançado)
+ *  - tx.rollback(value)       -> ROLLBACK sem erro; withTransaction retorna `value`
+ * Erros 40001/40P01 refazem fn do zero (até `retries` vezes), então fn
+ * não deve ter efeitos externos (HTTP, e-mail) antes do fim.
+ * opts: { retries = 3, isolationLevel?: 'READ COMMITTED'|'REPEATABLE READ'|'SERIALIZABLE' }
+ */
+export async function withTransaction(fn, { retries = 3, isolationLevel = null } = {}) {
+  const level = isolationLevel ? String(isolationLevel).toUpperCase() : null;
+  if (level && !ISOLATION_LEVELS.has(level)) throw new Error(`isolationLevel inválido: ${isolationLevel}`);
+
+  for (let attempt = 0; ; attempt++) {
+    const p = await getPool();
+    const client = await p.connect();
+    let savepoints = 0;
+    let broken = false;
+
+    const tx = {
+      query: (text, params) => client.query(text, params),
+      rollback: (value) => {
+        throw new TxRollback(value);
+      },
+      async savepoint(inner) {
+        const name = `sp_${++savepoints}`;
+        await client.query(`SAVEPOINT ${name}`);
+        try {
+          const r = await inner(tx);
+          await client.query(`RELEASE SAVEPOINT ${name}`);
+          return r;
+        } catch (e) {
+          await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+          throw e;
+        }
+      },
+    };
+
+    try {
+      await client.query(level ? `BEGIN ISOLATION LEVEL ${level}` : "BEGIN");
+      const result = await fn(tx);
+      await client.query("COMMIT");
+      return result;
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {
+        broken = true;
+      }
+      if (e instanceof TxRollback) return e.value;
+
+      if (attempt < retries && RETRYABLE_TX_CODES.has(String(e?.code))) {
+        const delay = 25 * Math.pow(2, attempt) + Math.floor(Math.random() * 25);
+        console.warn("[pg] transação abortada", e.code, "- retry", attempt + 1, "de", retries, "em", delay, "ms");
+        await new Promise((r) => setTimeout(r, delay));
+        continue;
+      }
+      if (isTransient(e)) broken = true;
+      throw e;
+    } finally {
+      // conexão quebrada não volta para o pool
+      client.release(broken || undefined);
+    }
+  }
+}
+
 export async function endPool() {
   if (reconnectTimer) {
     clearInterval(reconnectTimer);
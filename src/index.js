@@ -24,6 +24,10 @@ import adminDrawsRouter from "./routes/admin_draws.js";
 import adminClientsRouter from "./routes/admin_clients.js";
 import adminWinnersRouter from "./routes/admin_winners.js";
 import adminDashboardRouter from "./routes/admin_dashboard.js";
+import adminJobsRouter from "./routes/admin_jobs.js";
+import adminWebhooksRouter from "./routes/admin_webhooks.js";
+import adminFakePaymentsRouter from "./routes/admin_fake_payments.js";
+import adminPaymentsRouter from "./routes/admin_payments.js";
 
 import vouchersRouter from "./routes/vouchers.js";
 import purchasesRouter from "./routes/purchases.js";
@@ -46,16 +50,37 @@ import adminUsersRouter from "./routes/adminUsers.js";
 import autopayRouter from "./routes/autopay.js";
 
 import meDraws from "./routes/me_draws.js";
+import meWins from "./routes/me_wins.js";
+import meTransfers from "./routes/me_transfers.js";
 
 import autopayRunnerRoute from "./routes/autopay_runner.js";
 
 import coversRouter from './routes/covers.js';
 
-import { autoReconcile } from './middleware/autoReconcile.js';
-
-import { query, getPool } from "./db.js";
+import { getPool } from "./db.js";
 import { ensureSchema } from "./seed.js";
 import { ensureAppConfig } from "./services/config.js";
+import { ensureDrawResultSchema } from "./services/drawResult.js";
+import { ensureDrawProofSchema } from "./services/drawProof.js";
+import { ensureDrawCancelSchema } from "./services/drawCancel.js";
+import { ensurePaymentRefundSchema } from "./services/paymentRefunds.js";
+import { ensureDrawScheduleSchema } from "./services/drawScheduler.js";
+import { ensureDrawLifecycleSchema } from "./services/drawLifecycle.js";
+import { ensurePrizeClaimsSchema } from "./services/prizeClaims.js";
+import { ensureDrawRolloverSchema } from "./services/drawRollover.js";
+import { ensureDrawPrizesSchema } from "./services/drawPrizes.js";
+import { ensureJobsSchema, startJobs } from "./services/jobs.js";
+import { ensurePurchaseLimitSchema } from "./services/purchase_limit.js";
+import { ensureNumberWatchSchema } from "./services/numberWatch.js";
+import { ensureGuestSchema } from "./services/guests.js";
+import { ensureCartSchema } from "./services/cart.js";
+import { ensureNumberTransferSchema } from "./services/numberTransfers.js";
+import { ensureWebhookEventsSchema } from "./services/webhookEvents.js";
+import { ensurePaymentProviderSchema, paymentProviderName } from "./services/paymentProvider.js";
+import { ensurePaymentConflictSchema } from "./services/paymentConflicts.js";
+import { ensureCheckoutIntentSchema } from "./services/checkoutIntents.js";
+import { registerBackgroundJobs } from "./services/backgroundJobs.js";
+import { startDrawEvents } from "./services/drawEvents.js";
 
 const app = express();
 
@@ -69,13 +94,6 @@ const ORIGIN =
 // ⚠️ CORS_ORIGIN deve conter SOMENTE origens (sem /api, sem paths)
 const ORIGINS = ORIGIN.split(",").map((s) => s.trim()).filter(Boolean);
 
-// Saúde do DB (mantém conexão viva em hosts free)
-setInterval(() => {
-  query("SELECT 1").catch((e) =>
-    console.warn("[health] db ping failed:", e.code || e.message)
-  );
-}, 60_000);
-
 // ── Middlewares ─────────────────────────────────────────────
 const corsOptions = {
   origin: ORIGINS, // array de origens permitidas
@@ -94,8 +112,6 @@ app.get("/health", (_req, res) => {
   res.json({ ok: true, ts: new Date().toISOString() });
 });
 
-app.use(autoReconcile);
-
 // ── Rotas públicas/gerais ───────────────────────────────────
 app.use("/api/auth", authRoutes);
 app.use("/api/numbers", numbersRoutes);
@@ -123,6 +139,10 @@ app.use("/api/admin/draws", adminDrawsRouter);
 app.use("/api/admin/clients", adminClientsRouter);
 app.use("/api/admin/winners", adminWinnersRouter);
 app.use("/api/admin/dashboard", adminDashboardRouter);
+app.use("/api/admin/jobs", adminJobsRouter);
+app.use("/api/admin/webhooks", adminWebhooksRouter);
+app.use("/api/admin/fake-payments", adminFakePaymentsRouter);
+app.use("/api/admin/payments", adminPaymentsRouter);
 
 app.use('/api/ebooks', ebooksRouter);
 
@@ -146,6 +166,8 @@ app.use("/api/admin/users", adminUsersRouter);
 // Outros
 app.use("/api", autopayRouter);
 app.use("/api/me/draws", meDraws);
+app.use("/api/me/wins", meWins);
+app.use("/api/me/transfers", meTransfers);
 app.use("/api/admin/autopay", autopayRunnerRoute);
 
 // 404 padrão
@@ -158,6 +180,25 @@ async function bootstrap() {
   try {
     await ensureSchema();     // cria/atualiza todas as tabelas (inclui infoproducts/categories)
     await ensureAppConfig();  // garante app_config e ticket_price_cents
+    await ensureDrawResultSchema(); // colunas de resultado do sorteio
+    await ensureDrawProofSchema();  // snapshots da prova pública
+    await ensureDrawCancelSchema(); // cancelamento + estornos
+    await ensurePaymentRefundSchema(); // estorno avulso retomável (payment_refunds.full_refund)
+    await ensureDrawScheduleSchema(); // prazo (closes_at/min_sold)
+    await ensureDrawLifecycleSchema(); // estados canônicos + draw_status_history
+    await ensureDrawPrizesSchema();    // faixas de prêmio (draw_prizes)
+    await ensurePrizeClaimsSchema();   // resgate de prêmios (prize_claims)
+    await ensureDrawRolloverSchema();  // próximo sorteio automático por infoproduto
+    await ensureJobsSchema();          // jobs em segundo plano (jobs/job_runs)
+    await ensurePurchaseLimitSchema(); // limite de números por usuário (draw/infoproduto)
+    await ensureNumberWatchSchema();   // lista de espera por número (number_watches)
+    await ensureGuestSchema();         // checkout de convidado (guests + guest_id)
+    await ensureCartSchema();          // carrinho multi-draw (payment_items + view payment_lines)
+    await ensureNumberTransferSchema(); // presente de números (number_transfers + view number_owners)
+    await ensureWebhookEventsSchema();  // log de webhooks recebidos (webhook_events)
+    await ensurePaymentProviderSchema(); // payments.provider + tabelas do provedor fake
+    await ensurePaymentConflictSchema(); // PIX aprovado tarde para números já vendidos
+    await ensureCheckoutIntentSchema();  // intenção de checkout antes de chamar o provedor
 
     const pool = await getPool();
     await pool.query("SELECT 1");
@@ -166,7 +207,14 @@ async function bootstrap() {
     app.listen(PORT, () => {
       console.log(`API listening on :${PORT}`);
       console.log(`[cors] origins = ${ORIGINS.join(", ")}`);
+      console.log(`[payments] provider = ${paymentProviderName()}`);
     });
+
+    // reconciliação, reservas vencidas, prazos, autopay e keepalive do DB
+    registerBackgroundJobs();
+    startJobs();
+
+    startDrawEvents(); // LISTEN draw_events -> streams SSE do tabuleiro
   } catch (e) {
     console.error("[bootstrap] falha ao iniciar backend:", e);
     process.exit(1);
@@ -52,6 +52,8 @@ export function requireAuth(req, res, next) {
     if (!token) return res.status(401).json({ error: 'unauthorized' });
 
     const payload = jwt.verify(token, JWT_SECRET);
+    // token de convidado não é sessão de usuário
+    if (payload.typ === 'guest') return res.status(401).json({ error: 'unauthorized' });
 
     // anexa um usuário mínimo no req
     req.user = {
@@ -76,4 +78,62 @@ export function requireAdmin(req, res, next) {
   return next();
 }
 
+// ====== Checkout de convidado ======
+const GUEST_TOKEN_TTL = process.env.GUEST_TOKEN_TTL || '2d';
 
+/** Token do convidado (devolvido na reserva; vale para pagar/consultar). */
+export function signGuestToken(guestId) {
+  return jwt.sign({ typ: 'guest', guest_id: Number(guestId) }, JWT_SECRET, {
+    expiresIn: GUEST_TOKEN_TTL,
+  });
+}
+
+/** Convidado do X-Guest-Token (ou guestToken no body) ou null. */
+export function readGuestToken(req) {
+  const tok = sanitizeToken(
+    req.headers?.['x-guest-token'] || req.body?.guestToken || req.body?.guest_token
+  );
+  if (!tok) return null;
+  try {
+    const payload = jwt.verify(tok, JWT_SECRET);
+    return payload.typ === 'guest' && payload.guest_id ? { id: Number(payload.guest_id) } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Usuário logado (req.user) ou convidado (req.guest, via X-Guest-Token).
+ * Sem nenhum dos dois segue sem identidade: a rota decide (ex.: dados do
+ * convidado no body).
+ */
+export function optionalAuth(req, _res, next) {
+  const token = extractToken(req);
+  if (token) {
+    try {
+      const payload = jwt.verify(token, JWT_SECRET);
+      if (payload.typ !== 'guest') {
+        req.user = {
+          id: payload.id || payload.sub,
+          email: payload.email || payload.user?.email,
+          role: payload.role || payload.user?.role,
+          ...payload,
+        };
+        return next();
+      }
+    } catch {
+      // token inválido: trata como anônimo
+    }
+  }
+  const guest = readGuestToken(req);
+  if (guest) req.guest = guest;
+  return next();
+}
+
+/** Exige usuário logado ou token de convidado. */
+export function requireUserOrGuest(req, res, next) {
+  return optionalAuth(req, res, () => {
+    if (!req.user && !req.guest) return res.status(401).json({ error: 'unauthorized' });
+    return next();
+  });
+}
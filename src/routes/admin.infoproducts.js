@@ -2,6 +2,9 @@
 import express from "express";
 import { query } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
+import { MAX_TOTAL_NUMBERS } from "../services/drawNumbers.js";
+import { normalizeRollover, rolloverDraw } from "../services/drawRollover.js";
+import { normalizePurchaseLimit } from "../services/purchase_limit.js";
 
 const router = express.Router();
 
@@ -42,6 +45,11 @@ async function normalizeBody(body) {
   out.price_cents = price_cents ?? null;
   out.default_prize_cents = prize_cents ?? null;
   out.default_total_numbers = total_numbers ? Number(total_numbers) : null;
+  out.total_numbers_invalid =
+    out.default_total_numbers !== null &&
+    !(Number.isInteger(out.default_total_numbers) &&
+      out.default_total_numbers >= 1 &&
+      out.default_total_numbers <= MAX_TOTAL_NUMBERS);
 
   // flags
   out.active = body.active === false ? false : true;
@@ -128,6 +136,9 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
     if (!b.sku || !b.title) {
       return res.status(400).json({ error: "sku_and_title_required" });
     }
+    if (b.total_numbers_invalid) {
+      return res.status(400).json({ error: "invalid_total_numbers", max: MAX_TOTAL_NUMBERS });
+    }
 
     // SKU único
     const { rows: exists } = await query(
@@ -172,6 +183,9 @@ router.put("/:id", requireAuth, requireAdmin, async (req, res) => {
     if (!id) return res.status(400).json({ error: "invalid_id" });
 
     const b = await normalizeBody(req.body);
+    if (b.total_numbers_invalid) {
+      return res.status(400).json({ error: "invalid_total_numbers", max: MAX_TOTAL_NUMBERS });
+    }
 
     // se sku mudou, verifica unicidade
     if (b.sku) {
@@ -208,6 +222,90 @@ router.put("/:id", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/* =========================================
+ * ROLLOVER (próximo sorteio automático)
+ * PATCH /api/admin/infoproducts/:id/rollover
+ * body: { auto_open?: boolean, delay_minutes?: int>=0, max_open?: 1..20 }
+ * ========================================= */
+router.patch("/:id/rollover", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!id) return res.status(400).json({ error: "invalid_id" });
+
+    let patch;
+    try {
+      patch = normalizeRollover(req.body || {});
+    } catch {
+      return res.status(400).json({ error: "invalid_rollover" });
+    }
+    const keys = Object.keys(patch);
+    if (!keys.length) return res.status(400).json({ error: "invalid_rollover" });
+
+    const sets = keys.map((k, i) => `${k}=$${i + 2}`);
+    const { rows } = await query(
+      `
+      UPDATE infoproducts SET ${sets.join(", ")}, updated_at=NOW()
+      WHERE id=$1
+      RETURNING id, rollover_auto_open, rollover_delay_minutes, rollover_max_open
+      `,
+      [id, ...keys.map((k) => patch[k])]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not_found" });
+
+    // ligado agora: abre o sucessor do último draw fechado, se ainda não abriu
+    if (rows[0].rollover_auto_open) {
+      const { rows: last } = await query(
+        `SELECT id FROM draws
+          WHERE infoproduct_id=$1 AND rolled_over_at IS NULL
+            AND status IN ('closed','realized','redeemed')
+          ORDER BY id DESC LIMIT 1`,
+        [id]
+      );
+      if (last[0]) await rolloverDraw(last[0].id);
+    }
+
+    return res.json(rows[0]);
+  } catch (e) {
+    console.error("[admin.infoproducts.rollover] fail:", e);
+    return res.status(500).json({ error: "update_failed" });
+  }
+});
+
+/* =========================================
+ * LIMITE DE NÚMEROS POR USUÁRIO (draws do produto)
+ * PATCH /api/admin/infoproducts/:id/purchase-limit
+ * body: { max_numbers_per_user: int>=0 | null }  (null = env; 0 = sem limite)
+ * O draw pode sobrescrever em /api/admin/draws/:id/purchase-limit
+ * ========================================= */
+router.patch("/:id/purchase-limit", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!id) return res.status(400).json({ error: "invalid_id" });
+    if (!("max_numbers_per_user" in (req.body || {}))) {
+      return res.status(400).json({ error: "invalid_purchase_limit" });
+    }
+
+    let max;
+    try {
+      max = normalizePurchaseLimit(req.body.max_numbers_per_user);
+    } catch {
+      return res.status(400).json({ error: "invalid_purchase_limit" });
+    }
+
+    const { rows } = await query(
+      `UPDATE infoproducts SET max_numbers_per_user=$2, updated_at=NOW()
+        WHERE id=$1
+      RETURNING id, max_numbers_per_user`,
+      [id, max]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not_found" });
+    return res.json(rows[0]);
+  } catch (e) {
+    console.error("[admin.infoproducts.purchase-limit] fail:", e);
+    return res.status(500).json({ error: "update_failed" });
+  }
+});
+
 /* =========================================
  * SOFT DELETE (active=false)
  * DELETE /api/admin/infoproducts/:id
@@ -2,7 +2,9 @@
 // ESM | CRUD de usuários + atribuição de números (isolado deste router)
 
 import express from "express";
-import { query, getPool } from "../db.js";
+import { query, withTransaction } from "../db.js";
+import { parseNumberList, isValidNumber, MAX_TOTAL_NUMBERS } from "../services/drawNumbers.js";
+import { checkUserLimit } from "../services/purchase_limit.js";
 
 const router = express.Router();
 
@@ -25,19 +27,10 @@ const toInt = (v, def = 0) => {
   return Number.isFinite(n) ? (n | 0) : def;
 };
 
-// Normaliza "numbers": aceita array ou CSV e retorna int[] 0..99 (mantém 00 como 0)
+// Normaliza "numbers": aceita array ou CSV e retorna int[] (mantém 00 como 0).
+// A faixa exata (0..total_numbers-1) é validada depois, contra o draw.
 function parseNumbers(input) {
-  if (Array.isArray(input)) {
-    return input
-      .map((n) => Number(n))
-      .filter((n) => Number.isInteger(n) && n >= 0 && n <= 99);
-  }
-  const s = String(input || "");
-  if (!s) return [];
-  return s
-    .split(/[,\s;]+/).map((t) => t.trim()).filter(Boolean)
-    .map((t) => Number(t))
-    .filter((n) => Number.isInteger(n) && n >= 0 && n <= 99);
+  return parseNumberList(input, MAX_TOTAL_NUMBERS);
 }
 
 /* =============== LISTAR (com busca/paginação) =============== */
@@ -222,15 +215,14 @@ router.delete("/:id", async (req, res, next) => {
 /* =============== ATRIBUIR NÚMEROS =============== */
 /**
  * POST /api/admin/users/:id/assign-numbers
- * body: { draw_id: number, numbers: number[] | "csv", amount_cents?: number }
+ * body: { draw_id: number, numbers: number[] | "csv", amount_cents?: number, override_limit?: boolean }
  * - Checa conflitos em payments aprovados e reservas ativas
+ * - Respeita o limite de números por usuário do draw (override_limit: true ignora)
  * - Se ok, cria:
  *    - payments(status='approved')
  *    - reservations(status='paid')
  */
 router.post("/:id/assign-numbers", async (req, res, next) => {
-  const pool = await getPool();
-  const client = await pool.connect();
   try {
     const user_id = Number(req.params.id);
     const draw_id = Number(req.body?.draw_id);
@@ -243,97 +235,113 @@ router.post("/:id/assign-numbers", async (req, res, next) => {
       return res.status(400).json({ error: "bad_request" });
     }
 
-    await client.query("BEGIN");
-
-    // garante que o usuário existe
-    const u = await client.query("SELECT id FROM public.users WHERE id = $1", [user_id]);
-    if (!u.rowCount) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "user_not_found" });
-    }
-
-    // garante sorteio existente
-    const d = await client.query("SELECT id FROM public.draws WHERE id = $1", [draw_id]);
-    if (!d.rowCount) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "draw_not_found" });
-    }
-
-    // conflitos em payments aprovados
-    const payConf = await client.query(
-      `SELECT DISTINCT n
-         FROM (
-           SELECT unnest(p.numbers) AS n
-           FROM public.payments p
-           WHERE p.draw_id = $1
-             AND LOWER(p.status) IN ('approved','paid','pago')
-             AND p.numbers && $2::int4[]
-         ) s
-         WHERE n = ANY ($2::int4[])`,
-      [draw_id, numbers]
-    );
-    if (payConf.rowCount) {
-      await client.query("ROLLBACK");
-      return res.status(409).json({
-        error: "numbers_taken",
-        where: "payments",
-        conflicts: payConf.rows.map((r) => Number(r.n)).sort((a, b) => a - b),
-      });
-    }
-
-    // conflitos em reservas ativas (somente pelo array)
-    const resvConf = await client.query(
-      `SELECT DISTINCT n
-         FROM (
-           SELECT unnest(r.numbers) AS n
-           FROM public.reservations r
-           WHERE r.draw_id = $1
-             AND LOWER(r.status) IN ('active','pending','paid')
-             AND r.numbers && $2::int4[]
-         ) x
-         WHERE n = ANY ($2::int4[])`,
-      [draw_id, numbers]
-    );
-    if (resvConf.rowCount) {
-      await client.query("ROLLBACK");
-      return res.status(409).json({
-        error: "numbers_reserved",
-        where: "reservations",
-        conflicts: resvConf.rows.map((r) => Number(r.n)).sort((a, b) => a - b),
-      });
-    }
-
-    // --------- INSERTS ---------
-    // payments.id é NOT NULL (tipo text); usamos epoch ms (13 dígitos) como nos seus dados atuais
-    const payId = Date.now().toString();
-
-    const pay = await client.query(
-      `INSERT INTO public.payments
-         (id, user_id, draw_id, numbers, amount_cents, status, created_at)
-       VALUES ($1, $2, $3, $4::int4[], $5, 'approved', NOW())
-       RETURNING id, user_id, draw_id, numbers, amount_cents, status, created_at`,
-      [payId, user_id, draw_id, numbers, amount_cents]
-    );
-
-    // reserva paga; PK uuid gerada pelo banco
-    const resv = await client.query(
-      `INSERT INTO public.reservations
-         (id, user_id, draw_id, numbers, status, created_at, expires_at)
-       VALUES (gen_random_uuid(), $1, $2, $3::int4[], 'paid', NOW(), NOW() + INTERVAL '30 minutes')
-       RETURNING id`,
-      [user_id, draw_id, numbers]
-    );
-
-    await client.query("COMMIT");
-    res.status(201).json({
-      payment: pay.rows[0],
-      reservation_id: resv.rows[0]?.id || null,
+    const result = await withTransaction(async (tx) => {
+      // garante que o usuário existe
+      const u = await tx.query("SELECT id FROM public.users WHERE id = $1", [user_id]);
+      if (!u.rowCount) {
+        return tx.rollback({ status: 404, body: { error: "user_not_found" } });
+      }
+
+      // garante sorteio existente
+      const d = await tx.query("SELECT id, total_numbers FROM public.draws WHERE id = $1", [draw_id]);
+      if (!d.rowCount) {
+        return tx.rollback({ status: 404, body: { error: "draw_not_found" } });
+      }
+
+      const outOfRange = numbers.filter((n) => !isValidNumber(n, d.rows[0].total_numbers));
+      if (outOfRange.length) {
+        return tx.rollback({ status: 400, body: { error: "numbers_out_of_range", numbers: outOfRange } });
+      }
+
+      // conflitos em payments aprovados
+      const payConf = await tx.query(
+        `SELECT DISTINCT n
+           FROM (
+             SELECT unnest(p.numbers) AS n
+             FROM public.payment_lines p
+             WHERE p.draw_id = $1
+               AND LOWER(p.status) IN ('approved','paid','pago')
+               AND p.numbers && $2::int4[]
+           ) s
+           WHERE n = ANY ($2::int4[])`,
+        [draw_id, numbers]
+      );
+      if (payConf.rowCount) {
+        return tx.rollback({
+          status: 409,
+          body: {
+            error: "numbers_taken",
+            where: "payments",
+            conflicts: payConf.rows.map((r) => Number(r.n)).sort((a, b) => a - b),
+          },
+        });
+      }
+
+      // conflitos em reservas ativas (somente pelo array)
+      const resvConf = await tx.query(
+        `SELECT DISTINCT n
+           FROM (
+             SELECT unnest(r.numbers) AS n
+             FROM public.reservations r
+             WHERE r.draw_id = $1
+               AND LOWER(r.status) IN ('active','pending','paid')
+               AND r.numbers && $2::int4[]
+           ) x
+           WHERE n = ANY ($2::int4[])`,
+        [draw_id, numbers]
+      );
+      if (resvConf.rowCount) {
+        return tx.rollback({
+          status: 409,
+          body: {
+            error: "numbers_reserved",
+            where: "reservations",
+            conflicts: resvConf.rows.map((r) => Number(r.n)).sort((a, b) => a - b),
+          },
+        });
+      }
+
+      const limit = await checkUserLimit(user_id, draw_id, numbers.length, { db: tx });
+      if (limit.blocked && req.body?.override_limit !== true) {
+        return tx.rollback({
+          status: 409,
+          body: { error: "max_numbers_reached", current: limit.current, max: limit.max, remaining: limit.remaining },
+        });
+      }
+
+      // --------- INSERTS ---------
+      // payments.id é NOT NULL (tipo text); usamos epoch ms (13 dígitos) como nos seus dados atuais
+      const payId = Date.now().toString();
+
+      const pay = await tx.query(
+        `INSERT INTO public.payments
+           (id, user_id, draw_id, numbers, amount_cents, status, created_at)
+         VALUES ($1, $2, $3, $4::int4[], $5, 'approved', NOW())
+         RETURNING id, user_id, draw_id, numbers, amount_cents, status, created_at`,
+        [payId, user_id, draw_id, numbers, amount_cents]
+      );
+
+      // reserva paga; PK uuid gerada pelo banco
+      const resv = await tx.query(
+        `INSERT INTO public.reservations
+           (id, user_id, draw_id, numbers, status, created_at, expires_at)
+         VALUES (gen_random_uuid(), $1, $2, $3::int4[], 'paid', NOW(), NOW() + INTERVAL '30 minutes')
+         RETURNING id`,
+        [user_id, draw_id, numbers]
+      );
+
+      return {
+        status: 201,
+        body: {
+          payment: pay.rows[0],
+          reservation_id: resv.rows[0]?.id || null,
+        },
+      };
     });
+
+    res.status(result.status).json(result.body);
   } catch (e) {
-    try { await client.query("ROLLBACK"); } catch {}
     next(e);
-  } finally {
-    client.release();
   }
 });
 
@@ -1,7 +1,16 @@
 // backend/src/routes/admin_config.js
 import { Router } from "express";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
-import { getTicketPriceCents, setTicketPriceCents } from "../services/config.js";
+import {
+  getTicketPriceCents,
+  setTicketPriceCents,
+  getDrawUnsoldRule,
+  setDrawUnsoldRule,
+  UNSOLD_RULES,
+  getLatePixPolicy,
+  setLatePixPolicy,
+  LATE_PIX_POLICIES,
+} from "../services/config.js";
 
 const router = Router();
 
@@ -35,4 +44,60 @@ router.patch("/ticket-price", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/config/unsold-rule
+ * Regra aplicada quando o número sorteado não foi vendido
+ */
+router.get("/unsold-rule", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const rule = await getDrawUnsoldRule();
+    return res.json({ unsold_rule: rule, allowed: UNSOLD_RULES });
+  } catch (e) {
+    console.error("[admin/config] GET unsold-rule error:", e);
+    return res.status(500).json({ error: "config_read_failed" });
+  }
+});
+
+/**
+ * PATCH /api/admin/config/unsold-rule
+ * Body: { unsold_rule: 'redraw' | 'nearest' | 'none' }
+ */
+router.patch("/unsold-rule", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const saved = await setDrawUnsoldRule(req.body?.unsold_rule);
+    return res.json({ ok: true, unsold_rule: saved });
+  } catch (e) {
+    console.error("[admin/config] PATCH unsold-rule error:", e);
+    return res.status(400).json({ error: "invalid_unsold_rule", allowed: UNSOLD_RULES });
+  }
+});
+
+/**
+ * GET /api/admin/config/late-pix-policy
+ * O que fazer com PIX aprovado depois que os números foram vendidos a outro
+ */
+router.get("/late-pix-policy", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const policy = await getLatePixPolicy();
+    return res.json({ late_pix_policy: policy, allowed: LATE_PIX_POLICIES });
+  } catch (e) {
+    console.error("[admin/config] GET late-pix-policy error:", e);
+    return res.status(500).json({ error: "config_read_failed" });
+  }
+});
+
+/**
+ * PATCH /api/admin/config/late-pix-policy
+ * Body: { late_pix_policy: 'refund' | 'replace' | 'voucher' }
+ */
+router.patch("/late-pix-policy", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const saved = await setLatePixPolicy(req.body?.late_pix_policy);
+    return res.json({ ok: true, late_pix_policy: saved });
+  } catch (e) {
+    console.error("[admin/config] PATCH late-pix-policy error:", e);
+    return res.status(400).json({ error: "invalid_late_pix_policy", allowed: LATE_PIX_POLICIES });
+  }
+});
+
 export default router;
@@ -1,9 +1,13 @@
 // backend/src/routes/admin_dashboard.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
 import { getTicketPriceCents, setTicketPriceCents } from "../services/config.js";
 import { runAutopayForDraw } from "../services/autopayRunner.js";
+import { createDrawSnapshot } from "../services/drawProof.js";
+import { normalizeTotal, populateDrawNumbers } from "../services/drawNumbers.js";
+import { transitionDraw, recordDrawCreated } from "../services/drawLifecycle.js";
+import { rolloverDrawInBackground } from "../services/drawRollover.js";
 
 const router = Router();
 
@@ -17,7 +21,7 @@ function log(...a) {
  *
  * Agora:
  * - "sold" = quantidade de números vendidos APENAS por payments aprovados (approved/paid/pago)
- * - "remaining" = 100 - sold
+ * - "remaining" = total_numbers - sold
  * Mantive também contagens da tabela numbers como campos auxiliares (debug).
  */
 router.get("/summary", requireAuth, requireAdmin, async (_req, res) => {
@@ -26,7 +30,7 @@ router.get("/summary", requireAuth, requireAdmin, async (_req, res) => {
 
     // sorteio aberto mais recente
     const d = await query(
-      `SELECT id, opened_at
+      `SELECT id, opened_at, total_numbers
          FROM draws
         WHERE status = 'open'
         ORDER BY id DESC
@@ -54,7 +58,7 @@ router.get("/summary", requireAuth, requireAdmin, async (_req, res) => {
       `
       WITH approved AS (
         SELECT DISTINCT t.n
-          FROM payments p
+          FROM payment_lines p
           CROSS JOIN LATERAL unnest(p.numbers) AS t(n)
          WHERE p.draw_id = $1
            AND lower(p.status) IN ('approved','paid','pago')
@@ -81,10 +85,12 @@ router.get("/summary", requireAuth, requireAdmin, async (_req, res) => {
 
     // contador exibido: somente aprovados
     const sold = sold_by_payments;
-    const remaining = Math.max(0, 100 - sold);
+    const total_numbers = normalizeTotal(current.total_numbers);
+    const remaining = Math.max(0, total_numbers - sold);
 
     return res.json({
       draw_id: current.id,
+      total_numbers,
       sold,
       remaining,
       price_cents,
@@ -102,35 +108,43 @@ router.get("/summary", requireAuth, requireAdmin, async (_req, res) => {
 
 /**
  * POST /api/admin/dashboard/new
- * Fecha sorteios 'open', cria um novo, popula 0..99 'available'
+ * Body opcional: { total_numbers } (default 100)
+ * Fecha sorteios 'open', cria um novo, popula 0..total_numbers-1 'available'
  * e DISPARA o Autopay oficial (services/autopayRunner.js).
  */
-router.post("/new", requireAuth, requireAdmin, async (_req, res) => {
+router.post("/new", requireAuth, requireAdmin, async (req, res) => {
   try {
     log("POST /new");
+    const audit = { actor: "admin", actorUserId: req.user.id };
 
-    // fecha os abertos anteriores
-    await query(
-      `update draws
-          set status = 'closed', closed_at = now()
-        where status = 'open'`
-    );
-
-    // cria draw novo
-    const ins = await query(
-      `insert into draws(status, opened_at, autopay_ran_at)
-       values('open', now(), null)
-       returning id`
-    );
-    const newId = ins.rows[0].id;
-    log("novo draw id =", newId);
+    // fecha os abertos anteriores como o fechamento do admin: transição e
+    // snapshot da prova na mesma transação, rollover depois do COMMIT
+    const open = await query(`select id from draws where status = 'open' order by id`);
+    for (const { id } of open.rows) {
+      const closed = await withTransaction(async (tx) => {
+        const tr = await transitionDraw(tx, id, "closed", { ...audit, reason: "dashboard/new" });
+        if (!tr.ok) return tx.rollback(false);
+        await createDrawSnapshot(id, tx);
+        return true;
+      });
+      if (closed) rolloverDrawInBackground(id);
+    }
 
-    // popula números 00..99
-    const tuples = Array.from({ length: 100 }, (_, i) => `(${newId}, ${i}, 'available', null)`);
-    await query(
-      `insert into numbers(draw_id, n, status, reservation_id)
-       values ${tuples.join(",")}`
-    );
+    // cria draw novo com os números 0..total-1
+    const total = normalizeTotal(req.body?.total_numbers);
+    const newId = await withTransaction(async (tx) => {
+      const ins = await tx.query(
+        `insert into draws(status, opened_at, autopay_ran_at, total_numbers)
+         values('open', now(), null, $1)
+         returning id`,
+        [total]
+      );
+      const id = ins.rows[0].id;
+      await populateDrawNumbers(tx, id, total);
+      await recordDrawCreated(tx, id, "open", audit);
+      return id;
+    });
+    log("novo draw id =", newId, "total_numbers =", total);
 
     // dispara o AUTOPAY oficial — gera logs [autopayRunner]
     const autopay = await runAutopayForDraw(newId);
@@ -138,10 +152,10 @@ router.post("/new", requireAuth, requireAdmin, async (_req, res) => {
     // resposta inclui o resultado do autopay para depuração
     if (!autopay?.ok) {
       console.warn("[admin/dashboard] autopay falhou", autopay);
-      return res.status(500).json({ ok: false, draw_id: newId, sold: 0, remaining: 100, autopay });
+      return res.status(500).json({ ok: false, draw_id: newId, sold: 0, remaining: total, autopay });
     }
 
-    return res.json({ ok: true, draw_id: newId, sold: 0, remaining: 100, autopay });
+    return res.json({ ok: true, draw_id: newId, sold: 0, remaining: total, autopay });
   } catch (e) {
     console.error("[admin/dashboard] /new error:", e);
     return res.status(500).json({ error: "new_draw_failed" });
@@ -179,7 +193,7 @@ router.post("/ticket-price", requireAuth, requireAdmin, async (req, res) => {
 router.get("/open-buyers", requireAuth, requireAdmin, async (_req, res) => {
   try {
     const d = await query(
-      `SELECT id
+      `SELECT id, total_numbers
          FROM draws
         WHERE status = 'open'
         ORDER BY id DESC
@@ -190,23 +204,24 @@ router.get("/open-buyers", requireAuth, requireAdmin, async (_req, res) => {
       return res.json({
         draw_id: null,
         sold: 0,
-        remaining: 100,
+        remaining: 0,
         buyers: [],
         numbers: [],
       });
     }
 
-    // Agregado por comprador
+    // Agregado por comprador (números pelo dono atual; valores por quem pagou)
     const sql = `
       WITH p_ok AS (
         SELECT p.user_id, p.numbers, p.amount_cents::int AS amount_cents, p.paid_at
-          FROM payments p
+          FROM payment_lines p
          WHERE p.draw_id = $1
            AND lower(p.status) IN ('approved','paid','pago')
       ),
       unn AS (
-        SELECT user_id, unnest(numbers)::int AS n
-          FROM p_ok
+        SELECT o.user_id, o.n
+          FROM number_owners o
+         WHERE o.draw_id = $1
       ),
       per_user AS (
         SELECT u.user_id,
@@ -248,13 +263,11 @@ router.get("/open-buyers", requireAuth, requireAdmin, async (_req, res) => {
     // Mapa número -> comprador
     const nums = await query(
       `
-      WITH p_ok AS (
-        SELECT p.user_id, p.numbers
-          FROM payments p
-         WHERE p.draw_id = $1
-           AND lower(p.status) IN ('approved','paid','pago')
-      ),
-      unn AS ( SELECT user_id, unnest(numbers)::int AS n FROM p_ok )
+      WITH unn AS (
+        SELECT o.user_id, o.n
+          FROM number_owners o
+         WHERE o.draw_id = $1
+      )
       SELECT u.n,
              us.id   AS user_id,
              COALESCE(us.name, us.email) AS name,  -- << apenas colunas existentes
@@ -268,8 +281,9 @@ router.get("/open-buyers", requireAuth, requireAdmin, async (_req, res) => {
 
     return res.json({
       draw_id: cur.id,
+      total_numbers: normalizeTotal(cur.total_numbers),
       sold,
-      remaining: Math.max(0, 100 - sold),
+      remaining: Math.max(0, normalizeTotal(cur.total_numbers) - sold),
       buyers,
       numbers: nums.rows || [],
     });
@@ -1,8 +1,32 @@
 // backend/src/routes/admin_draws.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { runAutopayForDraw } from "../services/autopayRunner.js";
+import {
+  realizeDraw,
+  realizeDrawFromFederal,
+  publishFederalRule,
+  normalizeFederalPrizes,
+} from "../services/drawResult.js";
+import { createDrawSnapshot } from "../services/drawProof.js";
+import { UNSOLD_RULES } from "../services/config.js";
+import { normalizeTotal, populateDrawNumbers } from "../services/drawNumbers.js";
+import { normalizeSchedule, drawCountdown, runDrawDeadlines } from "../services/drawScheduler.js";
+import { rolloverDrawInBackground } from "../services/drawRollover.js";
+import { listDrawPrizes, setDrawPrizes } from "../services/drawPrizes.js";
+import {
+  normalizeStatus,
+  transitionDraw,
+  recordDrawCreated,
+  getDrawStatusHistory,
+} from "../services/drawLifecycle.js";
+import {
+  cancelDrawWithRefunds,
+  listDrawRefunds,
+  summarizeDrawRefunds,
+} from "../services/drawCancel.js";
+import { normalizePurchaseLimit, getDrawLimit } from "../services/purchase_limit.js";
 
 const router = Router();
 
@@ -28,16 +52,35 @@ router.post("/new", requireAuth, requireAdmin, async (req, res) => {
   try {
     const product_name = String(req.body?.product_name || "").slice(0, 255) || null;
     const product_link = String(req.body?.product_link || "").slice(0, 1024) || null;
+    const total_numbers = normalizeTotal(req.body?.total_numbers);
 
-    const ins = await query(
-      `insert into draws (status, opened_at, product_name, product_link, autopay_ran_at)
-       values ('open', now(), $1, $2, null)
-       returning id, status, product_name, product_link`,
-      [product_name, product_link]
-    );
-    if (!ins.rowCount) return res.status(500).json({ error: "create_failed" });
+    // prazo opcional (mesmos campos de PATCH /:id/schedule)
+    let schedule;
+    try {
+      schedule = normalizeSchedule({
+        closes_at: req.body?.closes_at ?? null,
+        min_sold: req.body?.min_sold ?? null,
+      });
+    } catch {
+      return res.status(400).json({ error: "invalid_schedule" });
+    }
 
-    const draw = ins.rows[0];
+    const draw = await withTransaction(async (tx) => {
+      const ins = await tx.query(
+        `insert into draws (status, opened_at, product_name, product_link, autopay_ran_at, total_numbers,
+                            closes_at, min_sold)
+         values ('open', now(), $1, $2, null, $3, $4, $5)
+         returning id, status, product_name, product_link, total_numbers, closes_at, min_sold`,
+        [product_name, product_link, total_numbers, schedule.closes_at, schedule.min_sold]
+      );
+      if (!ins.rowCount) return tx.rollback(null);
+
+      const row = ins.rows[0];
+      await populateDrawNumbers(tx, row.id, total_numbers);
+      await recordDrawCreated(tx, row.id, "open", { actor: "admin", actorUserId: req.user.id });
+      return row;
+    });
+    if (!draw) return res.status(500).json({ error: "create_failed" });
     console.log("[admin/draws/new] novo draw id =", draw.id);
 
     const result = await runAutopayForDraw(draw.id);
@@ -146,25 +189,28 @@ router.get("/:id/players", requireAuth, requireAdmin, async (req, res) => {
 });
 
 /* ------------------------------------------------------------------ *
- * Reabrir + rodar Autopay
+ * Abrir (rascunho -> aberto) + rodar Autopay
+ * Um draw já aberto só roda o Autopay de novo; fechado/realizado não reabre.
  * ------------------------------------------------------------------ */
 router.post("/:id/open", requireAuth, requireAdmin, async (req, res) => {
   const drawId = Number(req.params.id);
   if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
 
   try {
-    const up = await query(
-      `update draws
-          set status='open',
-              opened_at = coalesce(opened_at, now()),
-              closed_at = null,
-              realized_at = null,
-              autopay_ran_at = null
-        where id = $1
-        returning id, status`,
-      [drawId]
-    );
-    if (!up.rowCount) return res.status(404).json({ error: "draw_not_found" });
+    const failure = await withTransaction(async (tx) => {
+      const d = await tx.query(`select id, status from draws where id = $1 for update`, [drawId]);
+      if (!d.rowCount) return tx.rollback({ status: 404, body: { error: "draw_not_found" } });
+      if (normalizeStatus(d.rows[0].status) !== "open") {
+        const tr = await transitionDraw(tx, drawId, "open", {
+          actor: "admin",
+          actorUserId: req.user.id,
+          set: { autopay_ran_at: null },
+        });
+        if (!tr.ok) return tx.rollback({ status: 409, body: { error: tr.error, from: tr.from ?? null } });
+      }
+      return null;
+    });
+    if (failure) return res.status(failure.status).json(failure.body);
   } catch (e) {
     console.error("[admin/draws/:id/open] error", e);
     return res.status(500).json({ error: "open_failed" });
@@ -175,6 +221,231 @@ router.post("/:id/open", requireAuth, requireAdmin, async (req, res) => {
   return res.json(result);
 });
 
+/* ------------------------------------------------------------------ *
+ * Fechar sorteio aberto (congela o snapshot da prova pública)
+ * ------------------------------------------------------------------ */
+router.post("/:id/close", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  try {
+    const result = await withTransaction(async (tx) => {
+      const tr = await transitionDraw(tx, drawId, "closed", {
+        actor: "admin",
+        actorUserId: req.user.id,
+        reason: req.body?.reason ? String(req.body.reason).slice(0, 500) : null,
+      });
+      if (!tr.ok) return tx.rollback({ error: tr.error });
+      const snapshot = await createDrawSnapshot(drawId, tx);
+      return { draw: tr.draw, snapshot };
+    });
+    if (result.error) {
+      return result.error === "draw_not_found"
+        ? res.status(404).json({ error: "draw_not_found" })
+        : res.status(409).json({ error: "draw_not_open" });
+    }
+
+    const { draw, snapshot } = result;
+    console.log("[admin/draws/:id/close] draw", drawId, "by user", req.user.id);
+    rolloverDrawInBackground(drawId);
+    return res.json({
+      ok: true,
+      draw: { id: draw.id, status: draw.status, closed_at: draw.closed_at },
+      snapshot_sha256: snapshot?.snapshot_sha256 ?? null,
+      seed_commitment: snapshot?.seed_commitment ?? null,
+    });
+  } catch (e) {
+    console.error("[admin/draws/:id/close] error", e);
+    return res.status(500).json({ error: "close_failed" });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Cancelar sorteio + estornar participantes
+ * body: { reason? }
+ * Reexecutar em um draw já cancelado retoma os estornos pendentes/falhos.
+ * ------------------------------------------------------------------ */
+const CANCEL_ERROR_STATUS = {
+  draw_not_found: 404,
+  draw_not_cancellable: 409,
+};
+
+router.post("/:id/cancel", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  const reason = req.body?.reason ? String(req.body.reason).slice(0, 500) : "admin_cancel";
+  try {
+    const result = await cancelDrawWithRefunds(drawId, {
+      reason,
+      actor: "admin",
+      actorUserId: req.user.id,
+    });
+    if (!result.ok) {
+      return res.status(CANCEL_ERROR_STATUS[result.error] || 500).json({ error: result.error });
+    }
+    // 207: cancelado, mas há estornos a resolver (reexecutar ou manual)
+    const pendingWork = result.refunds.failed + result.refunds.pending + result.refunds.manual;
+    return res.status(pendingWork ? 207 : 200).json(result);
+  } catch (e) {
+    console.error("[admin/draws/:id/cancel] error", e);
+    return res.status(500).json({ error: "cancel_failed" });
+  }
+});
+
+// GET /api/admin/draws/:id/refunds -> resultado por payment do cancelamento
+router.get("/:id/refunds", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+  try {
+    const [refunds, summary] = await Promise.all([
+      listDrawRefunds(drawId),
+      summarizeDrawRefunds(drawId),
+    ]);
+    return res.json({ draw_id: drawId, summary, refunds });
+  } catch (e) {
+    console.error("[admin/draws/:id/refunds] error", e);
+    return res.status(500).json({ error: "refunds_failed" });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Histórico de status (quem mudou o quê e quando)
+ * ------------------------------------------------------------------ */
+router.get("/:id/status-history", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+  try {
+    const history = await getDrawStatusHistory(drawId);
+    return res.json({ draw_id: drawId, history });
+  } catch (e) {
+    console.error("[admin/draws/:id/status-history] error", e);
+    return res.status(500).json({ error: "history_failed" });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Prazo do sorteio (closes_at + mínimo de vendas)
+ * body: { closes_at?, min_sold?, below_min_action?: 'extend'|'cancel',
+ *         extend_minutes?, max_extensions? }
+ * ------------------------------------------------------------------ */
+router.patch("/:id/schedule", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  let patch;
+  try {
+    patch = normalizeSchedule(req.body || {});
+  } catch {
+    return res.status(400).json({ error: "invalid_schedule" });
+  }
+  const keys = Object.keys(patch);
+  if (!keys.length) return res.status(400).json({ error: "invalid_schedule" });
+
+  try {
+    const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+    const up = await query(
+      `update draws
+          set ${sets.join(", ")}
+        where id = $1
+          and status = 'open'
+        returning id, status, closes_at, min_sold, below_min_action,
+                  extend_minutes, max_extensions, extensions`,
+      [drawId, ...keys.map((k) => patch[k])]
+    );
+    if (!up.rowCount) {
+      const ex = await query(`select 1 from draws where id = $1`, [drawId]);
+      return ex.rowCount
+        ? res.status(409).json({ error: "draw_not_open" })
+        : res.status(404).json({ error: "draw_not_found" });
+    }
+    return res.json({ ok: true, draw: up.rows[0], countdown: drawCountdown(up.rows[0]) });
+  } catch (e) {
+    console.error("[admin/draws/:id/schedule] error", e);
+    return res.status(500).json({ error: "schedule_failed" });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Limite de números por usuário neste draw
+ * body: { max_numbers_per_user: int >= 0 | null }  (null herda do infoproduto/env; 0 = sem limite)
+ * ------------------------------------------------------------------ */
+router.patch("/:id/purchase-limit", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+  if (!("max_numbers_per_user" in (req.body || {}))) {
+    return res.status(400).json({ error: "invalid_purchase_limit" });
+  }
+
+  let max;
+  try {
+    max = normalizePurchaseLimit(req.body.max_numbers_per_user);
+  } catch {
+    return res.status(400).json({ error: "invalid_purchase_limit" });
+  }
+
+  try {
+    const up = await query(
+      `update draws set max_numbers_per_user = $2 where id = $1 returning id, max_numbers_per_user`,
+      [drawId, max]
+    );
+    if (!up.rowCount) return res.status(404).json({ error: "draw_not_found" });
+    return res.json({ ok: true, draw: up.rows[0], effective_max: await getDrawLimit(drawId) });
+  } catch (e) {
+    console.error("[admin/draws/:id/purchase-limit] error", e);
+    return res.status(500).json({ error: "purchase_limit_failed" });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Faixas de prêmio (1º, 2º, 3º, consolação antes/depois)
+ * body: { prizes: [{ tier?, kind?: 'draw'|'before'|'after', ref_position?,
+ *                    prize_cents?, product_name?, product_link? }] }
+ * A ordem do array define a posição; só antes da realização.
+ * ------------------------------------------------------------------ */
+const PRIZES_ERROR_STATUS = {
+  invalid_prizes: 400,
+  draw_not_found: 404,
+  already_realized: 409,
+};
+
+router.get("/:id/prizes", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+  try {
+    return res.json({ draw_id: drawId, prizes: await listDrawPrizes(drawId) });
+  } catch (e) {
+    console.error("[admin/draws/:id/prizes] error", e);
+    return res.status(500).json({ error: "prizes_failed" });
+  }
+});
+
+router.put("/:id/prizes", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+  try {
+    const r = await setDrawPrizes(drawId, req.body?.prizes);
+    if (!r.ok) return res.status(PRIZES_ERROR_STATUS[r.error] || 400).json({ error: r.error });
+    return res.json({ ok: true, draw_id: drawId, prizes: r.prizes });
+  } catch (e) {
+    console.error("[admin/draws/:id/prizes PUT] error", e);
+    return res.status(500).json({ error: "prizes_failed" });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Processar prazos vencidos agora (o mesmo que o timer faz)
+ * ------------------------------------------------------------------ */
+router.post("/deadlines/run", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const results = await runDrawDeadlines();
+    return res.json({ ok: true, results });
+  } catch (e) {
+    console.error("[admin/draws/deadlines/run] error", e);
+    return res.status(500).json({ error: "deadlines_failed" });
+  }
+});
+
 /* ------------------------------------------------------------------ *
  * Rodar Autopay manualmente
  * ------------------------------------------------------------------ */
@@ -187,4 +458,93 @@ router.post("/:id/autopay-run", requireAuth, requireAdmin, async (req, res) => {
   return res.json(result);
 });
 
+/* ------------------------------------------------------------------ *
+ * Realizar sorteio (somente fechados)
+ * body: { unsold_rule?: 'redraw' | 'nearest' | 'none' }
+ * ------------------------------------------------------------------ */
+const REALIZE_ERROR_STATUS = {
+  draw_not_found: 404,
+  draw_not_closed: 409,
+  already_realized: 409,
+  federal_rule_not_published: 409,
+  invalid_federal_rule: 400,
+};
+
+router.post("/:id/realize", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  const rule = req.body?.unsold_rule != null ? String(req.body.unsold_rule).toLowerCase() : undefined;
+  if (rule !== undefined && !UNSOLD_RULES.includes(rule)) {
+    return res.status(400).json({ error: "invalid_unsold_rule", allowed: UNSOLD_RULES });
+  }
+
+  const result = await realizeDraw(drawId, { rule, actor: "admin", actorUserId: req.user.id });
+  if (!result?.ok) {
+    return res.status(REALIZE_ERROR_STATUS[result?.error] || 500).json(result);
+  }
+  console.log("[admin/draws/:id/realize] draw", drawId, "by user", req.user.id);
+  return res.json(result);
+});
+
+/* ------------------------------------------------------------------ *
+ * Loteria Federal
+ * ------------------------------------------------------------------ */
+
+// PUT /api/admin/draws/:id/federal-rule
+// body: { digits?: number, fallback?: 'next_prize' | 'nearest' | 'none' }
+// Só com o draw aberto: depois do fechamento a regra fica congelada.
+const FEDERAL_RULE_ERROR_STATUS = {
+  draw_not_found: 404,
+  draw_not_open: 409,
+  snapshot_exists: 409,
+  already_realized: 409,
+  invalid_federal_rule: 400,
+};
+
+router.put("/:id/federal-rule", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  try {
+    const result = await publishFederalRule(drawId, req.body || {});
+    if (!result.ok) {
+      return res.status(FEDERAL_RULE_ERROR_STATUS[result.error] || 500).json(result);
+    }
+    return res.json(result);
+  } catch (e) {
+    console.error("[admin/draws/:id/federal-rule] error", e);
+    return res.status(500).json({ error: "federal_rule_failed" });
+  }
+});
+
+// POST /api/admin/draws/:id/federal-result
+// body: { contest: string, prizes: [5 x "12345"], contest_date?: "YYYY-MM-DD" }
+router.post("/:id/federal-result", requireAuth, requireAdmin, async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (!Number.isFinite(drawId)) return res.status(400).json({ error: "invalid_draw_id" });
+
+  const contest = String(req.body?.contest ?? "").trim().slice(0, 32);
+  if (!contest) return res.status(400).json({ error: "missing_contest" });
+
+  const prizes = normalizeFederalPrizes(req.body?.prizes);
+  if (!prizes) return res.status(400).json({ error: "invalid_prizes" });
+
+  const rawDate = String(req.body?.contest_date ?? "").trim();
+  const contest_date = /^\d{4}-\d{2}-\d{2}$/.test(rawDate) ? rawDate : null;
+
+  const result = await realizeDrawFromFederal(drawId, {
+    contest,
+    prizes,
+    contest_date,
+    actor: "admin",
+    actorUserId: req.user.id,
+  });
+  if (!result?.ok) {
+    return res.status(REALIZE_ERROR_STATUS[result?.error] || 500).json(result);
+  }
+  console.log("[admin/draws/:id/federal-result] draw", drawId, "contest", contest, "by user", req.user.id);
+  return res.json(result);
+});
+
 export default router;
@@ -0,0 +1,56 @@
+// backend/src/routes/admin_fake_payments.js
+// Simulação do provedor 'fake' (só com PAYMENT_PROVIDER=fake).
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { paymentProviderName } from "../services/paymentProvider.js";
+import { listFakePayments, simulateFakeOutcome } from "../services/fakePaymentProvider.js";
+
+const router = Router();
+
+const FAKE_ERROR_STATUS = {
+  fake_payment_not_found: 404,
+  fake_payment_not_pending: 409,
+};
+
+function requireFakeProvider(_req, res, next) {
+  if (paymentProviderName() !== "fake") return res.status(404).json({ error: "fake_provider_disabled" });
+  return next();
+}
+
+router.use(requireAuth, requireAdmin, requireFakeProvider);
+
+/**
+ * GET /api/admin/fake-payments?status=pending&limit=50
+ */
+router.get("/", async (req, res) => {
+  try {
+    const payments = await listFakePayments({
+      status: req.query.status ? String(req.query.status) : null,
+      limit: req.query.limit,
+    });
+    return res.json({ payments });
+  } catch (e) {
+    console.error("[admin/fake-payments] error:", e);
+    return res.status(500).json({ error: "list_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/fake-payments/:id/approve | /reject | /expire
+ * Aplica o desfecho ao PIX pendente e processa como webhook do provedor.
+ */
+router.post("/:id/:action(approve|reject|expire)", async (req, res) => {
+  try {
+    const r = await simulateFakeOutcome(req.params.id, req.params.action);
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(FAKE_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.json({ payment: r.payment, event_id: r.event_id });
+  } catch (e) {
+    console.error("[admin/fake-payments/:id] error:", e);
+    return res.status(500).json({ error: "simulate_failed" });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+// backend/src/routes/admin_jobs.js
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { listJobs, listJobRuns, runJob, setJobPaused } from "../services/jobs.js";
+
+const router = Router();
+
+const JOB_ERROR_STATUS = {
+  job_not_found: 404,
+  job_running: 409,
+};
+
+function sendError(res, r) {
+  const { ok, ...body } = r;
+  return res.status(JOB_ERROR_STATUS[r.error] || 400).json(body);
+}
+
+/**
+ * GET /api/admin/jobs
+ * Jobs registrados: intervalo, pausa, execução local e última execução.
+ */
+router.get("/", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    return res.json({ jobs: await listJobs() });
+  } catch (e) {
+    console.error("[admin/jobs] error:", e);
+    return res.status(500).json({ error: "list_failed" });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs?limit=50
+ * Histórico de execuções (job_runs).
+ */
+router.get("/:name/runs", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const r = await listJobRuns(req.params.name, { limit: req.query.limit });
+    if (!r.ok) return sendError(res, r);
+    return res.json({ name: req.params.name, runs: r.runs });
+  } catch (e) {
+    console.error("[admin/jobs/:name/runs] error:", e);
+    return res.status(500).json({ error: "runs_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/pause | /resume
+ * Pausa/retoma o agendamento em todas as instâncias (disparo manual continua).
+ */
+for (const [action, paused] of [["pause", true], ["resume", false]]) {
+  router.post(`/:name/${action}`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const r = await setJobPaused(req.params.name, paused, req.user.id);
+      if (!r.ok) return sendError(res, r);
+      return res.json(r);
+    } catch (e) {
+      console.error(`[admin/jobs/:name/${action}] error:`, e);
+      return res.status(500).json({ error: `${action}_failed` });
+    }
+  });
+}
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Roda agora (aguarda o fim). 409 job_running se outra execução tem o lock.
+ */
+router.post("/:name/run", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const r = await runJob(req.params.name, { trigger: "manual", actorUserId: req.user.id });
+    if (!r.ok) return sendError(res, r);
+    return res.json(r);
+  } catch (e) {
+    console.error("[admin/jobs/:name/run] error:", e);
+    return res.status(500).json({ error: "run_failed" });
+  }
+});
+
+export default router;
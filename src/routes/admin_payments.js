@@ -0,0 +1,114 @@
+// backend/src/routes/admin_payments.js
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { refundPaymentByAdmin, listPaymentRefunds } from "../services/paymentRefunds.js";
+import {
+  CONFLICT_STATUSES,
+  listPaymentConflicts,
+  retryPaymentConflict,
+} from "../services/paymentConflicts.js";
+
+const router = Router();
+
+const REFUND_ERROR_STATUS = {
+  payment_not_found: 404,
+  payment_not_refundable: 409,
+  no_provider_payment: 409,
+  invalid_amount: 400,
+  draw_not_open: 409,
+  provider_refund_failed: 502,
+  provider_refund_pending: 202,
+};
+
+const CONFLICT_ERROR_STATUS = {
+  conflict_not_found: 404,
+  conflict_resolved: 409,
+};
+
+/**
+ * GET /api/admin/payments/conflicts?status=&limit=50
+ * PIX aprovados depois que os números foram vendidos a outro (payment_conflicts).
+ */
+router.get("/conflicts", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !CONFLICT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "invalid_status", allowed: CONFLICT_STATUSES });
+    }
+    const conflicts = await listPaymentConflicts({ status, limit: req.query.limit });
+    return res.json({ conflicts });
+  } catch (e) {
+    console.error("[admin/payments/conflicts] error:", e);
+    return res.status(500).json({ error: "list_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/payments/conflicts/:id/retry
+ * Refaz o estorno de um conflito que falhou.
+ */
+router.post("/conflicts/:id(\\d+)/retry", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const r = await retryPaymentConflict(Number(req.params.id));
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(CONFLICT_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.json({ conflict: r.conflict });
+  } catch (e) {
+    console.error("[admin/payments/conflicts/:id/retry] error:", e);
+    return res.status(500).json({ error: "retry_failed" });
+  }
+});
+
+/**
+ * GET /api/admin/payments/:id/refunds
+ * Estornos do payment (admin, cancelamento de draw, conflito de PIX tardio).
+ */
+router.get("/:id/refunds", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const refunds = await listPaymentRefunds(req.params.id);
+    return res.json({ refunds });
+  } catch (e) {
+    console.error("[admin/payments/:id/refunds] error:", e);
+    return res.status(500).json({ error: "list_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/payments/:id/refund
+ * body: { amount_cents?: number, reason: string }
+ * Sem amount_cents estorna o saldo restante. Total: libera números e o
+ * download do e-book; parcial: só devolve o valor.
+ */
+router.post("/:id/refund", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) return res.status(400).json({ error: "reason_required" });
+
+    let amountCents = null;
+    if (req.body?.amount_cents != null) {
+      amountCents = Number(req.body.amount_cents);
+      if (!Number.isInteger(amountCents) || amountCents <= 0) {
+        return res.status(400).json({ error: "invalid_amount" });
+      }
+    }
+
+    const r = await refundPaymentByAdmin(req.params.id, {
+      amountCents,
+      reason: reason.slice(0, 500),
+      actorUserId: req.user.id,
+    });
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(REFUND_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    const { ok, ...body } = r;
+    return res.json(body);
+  } catch (e) {
+    console.error("[admin/payments/:id/refund] error:", e);
+    return res.status(500).json({ error: "refund_failed" });
+  }
+});
+
+export default router;
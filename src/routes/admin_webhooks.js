@@ -0,0 +1,74 @@
+// backend/src/routes/admin_webhooks.js
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  WEBHOOK_STATUSES,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} from "../services/webhookEvents.js";
+
+const router = Router();
+
+const WEBHOOK_ERROR_STATUS = {
+  event_not_found: 404,
+  event_processing: 409,
+};
+
+/**
+ * GET /api/admin/webhooks?status=&provider=&resource_id=&limit=50
+ * Notificações recebidas (webhook_events), mais recentes primeiro.
+ */
+router.get("/", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !WEBHOOK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "invalid_status", allowed: WEBHOOK_STATUSES });
+    }
+    const events = await listWebhookEvents({
+      status,
+      provider: req.query.provider ? String(req.query.provider) : null,
+      resourceId: req.query.resource_id ? String(req.query.resource_id) : null,
+      limit: req.query.limit,
+    });
+    return res.json({ events });
+  } catch (e) {
+    console.error("[admin/webhooks] error:", e);
+    return res.status(500).json({ error: "list_failed" });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id
+ * Evento completo (payload, resultado, último erro).
+ */
+router.get("/:id(\\d+)", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const event = await getWebhookEvent(Number(req.params.id));
+    if (!event) return res.status(404).json({ error: "event_not_found" });
+    return res.json({ event });
+  } catch (e) {
+    console.error("[admin/webhooks/:id] error:", e);
+    return res.status(500).json({ error: "get_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/replay
+ * Reprocessa o evento agora (inclusive 'dead' e já processados).
+ */
+router.post("/:id(\\d+)/replay", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const r = await replayWebhookEvent(Number(req.params.id), req.user.id);
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(WEBHOOK_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.json({ event: r.event });
+  } catch (e) {
+    console.error("[admin/webhooks/:id/replay] error:", e);
+    return res.status(500).json({ error: "replay_failed" });
+  }
+});
+
+export default router;
@@ -2,13 +2,38 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { advanceClaim, getClaim } from "../services/prizeClaims.js";
 
 const router = Router();
 const norm = (v, max = 2048) => String(v ?? "").trim().slice(0, max);
 
+const CLAIM_LABEL = {
+  none: "NÃO RESGATADO",
+  submitted: "DADOS ENVIADOS",
+  verified: "VERIFICADO",
+  shipped: "ENVIADO",
+  delivered: "RESGATADO",
+  rejected: "RECUSADO",
+};
+
+const CLAIM_ERROR_STATUS = {
+  invalid_status: 400,
+  tracking_code_required: 400,
+  claim_not_found: 404,
+  draw_not_found: 404,
+  invalid_transition: 409,
+};
+
+const positionOf = (v) => {
+  const n = Number(v ?? 1);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+};
+
 /**
  * GET /api/admin/winners
- * Lista sorteios realizados (realized_at IS NOT NULL)
+ * Lista sorteios realizados (realized_at IS NOT NULL), uma linha por faixa
+ * de prêmio (a 1ª sempre; as demais quando têm ganhador), com o status do
+ * resgate (prize_claims). days_pending conta desde o sorteio até a entrega (ou hoje).
  */
 router.get("/", requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -16,16 +41,30 @@ router.get("/", requireAuth, requireAdmin, async (req, res) => {
       `
       select
         d.id                                                as draw_id,
-        coalesce(nullif(d.winner_name,''), u.name, u.email, '-') as winner_name,
-        d.winner_number,
+        p.position,
+        p.tier,
+        p.kind,
+        p.prize_cents,
+        coalesce(nullif(p.winner_name,''), u.name, u.email, '-') as winner_name,
+        p.winner_number,
         d.realized_at,
         d.closed_at,
-        d.product_name,
-        d.product_link
-      from public.draws d
-      left join public.users u on u.id = d.winner_user_id
+        d.redeemed_at,
+        coalesce(p.product_name, d.product_name) as product_name,
+        coalesce(p.product_link, d.product_link) as product_link,
+        c.status        as claim_status,
+        c.payout_method,
+        c.tracking_code,
+        c.carrier,
+        c.submitted_at,
+        c.delivered_at
+      from public.draw_prizes p
+      join public.draws d on d.id = p.draw_id
+      left join public.users u on u.id = p.winner_user_id
+      left join public.prize_claims c on c.draw_id = p.draw_id and c.prize_position = p.position
       where d.realized_at is not null
-      order by d.realized_at desc, d.id desc
+        and (p.position = 1 or p.winner_user_id is not null)
+      order by d.realized_at desc, d.id desc, p.position
       `
     );
 
@@ -33,18 +72,32 @@ router.get("/", requireAuth, requireAdmin, async (req, res) => {
     const winners = (r.rows || []).map((row) => {
       const realized = row.realized_at ? new Date(row.realized_at) : null;
       const daysSince = realized ? Math.max(0, Math.floor((now - realized.getTime()) / 86400000)) : 0;
-      const redeemed = !!row.closed_at;
+      const claimStatus = row.claim_status || "none";
+      const redeemed = claimStatus === "delivered";
+      const until = redeemed && row.delivered_at ? new Date(row.delivered_at).getTime() : now;
+      const daysPending = realized ? Math.max(0, Math.floor((until - realized.getTime()) / 86400000)) : 0;
       return {
         draw_id: row.draw_id,
+        position: row.position,
+        tier: row.tier,
+        kind: row.kind,
+        prize_cents: row.prize_cents ?? null,
         winner_name: row.winner_name || "-",
         winner_number: row.winner_number ?? null,
         realized_at: row.realized_at,
         closed_at: row.closed_at,
+        redeemed_at: row.redeemed_at,
         product_name: row.product_name || "",
         product_link: row.product_link || "",
         redeemed,
-        status: redeemed ? "RESGATADO" : "NÃO RESGATADO",
+        status: CLAIM_LABEL[claimStatus] || claimStatus,
+        claim_status: claimStatus,
+        payout_method: row.payout_method || null,
+        tracking_code: row.tracking_code || null,
+        carrier: row.carrier || null,
+        claim_submitted_at: row.submitted_at,
         days_since: daysSince,
+        days_pending: daysPending,
       };
     });
 
@@ -55,6 +108,52 @@ router.get("/", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/winners/:drawId/claim?position=1
+ * Dados de entrega/PIX enviados pelo ganhador da faixa.
+ */
+router.get("/:drawId/claim", requireAuth, requireAdmin, async (req, res) => {
+  const position = positionOf(req.query.position);
+  if (!position) return res.status(400).json({ error: "bad_position" });
+  try {
+    const claim = await getClaim(Number(req.params.drawId), position);
+    if (!claim) return res.status(404).json({ error: "claim_not_found" });
+    return res.json({ claim });
+  } catch (e) {
+    console.error("[admin/winners claim] error:", e);
+    return res.status(500).json({ error: "load_failed" });
+  }
+});
+
+/**
+ * PATCH /api/admin/winners/:drawId/claim
+ * body: { status:'verified'|'shipped'|'delivered'|'rejected', position?, tracking_code?, carrier?, notes?, reason? }
+ * shipped exige tracking_code; a entrega da última faixa marca o sorteio como resgatado.
+ */
+router.patch("/:drawId/claim", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { status, tracking_code, carrier, notes, reason } = req.body || {};
+    const position = positionOf(req.body?.position);
+    if (!position) return res.status(400).json({ error: "bad_position" });
+    const r = await advanceClaim(Number(req.params.drawId), status, {
+      position,
+      tracking_code,
+      carrier,
+      notes,
+      reason,
+      actorUserId: req.user?.id ?? null,
+    });
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(CLAIM_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.json({ ok: true, claim: r.claim });
+  } catch (e) {
+    console.error("[admin/winners claim PATCH] error:", e);
+    return res.status(500).json({ error: "update_failed" });
+  }
+});
+
 /**
  * PATCH /api/admin/winners/:id
  * body: { product_name?, product_link? }
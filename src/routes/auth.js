@@ -2,10 +2,12 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
+import { sendMail } from '../services/mailer.js';
+import { onlyDigits, isValidCPF } from '../services/kyc.js';
+import { claimGuestPurchases } from '../services/guests.js';
 
 import { query } from '../db.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, readGuestToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -52,28 +54,6 @@ async function ensureUserColumns() {
 }
 
 // ====== KYC helpers/columns ======
-function onlyDigits(s) {
-  return String(s || '').replace(/\D+/g, '');
-}
-function isValidCPF(raw) {
-  const cpf = onlyDigits(raw);
-  if (!cpf || cpf.length !== 11) return false;
-  if (/^(\d)\1{10}$/.test(cpf)) return false;
-
-  // dígito 1
-  let sum = 0;
-  for (let i = 0; i < 9; i++) sum += parseInt(cpf[i], 10) * (10 - i);
-  let d1 = 11 - (sum % 11);
-  if (d1 >= 10) d1 = 0;
-  if (d1 !== parseInt(cpf[9], 10)) return false;
-
-  // dígito 2
-  sum = 0;
-  for (let i = 0; i < 10; i++) sum += parseInt(cpf[i], 10) * (11 - i);
-  let d2 = 11 - (sum % 11);
-  if (d2 >= 10) d2 = 0;
-  return d2 === parseInt(cpf[10], 10);
-}
 function parseBirthdate(raw) {
   if (!raw) return null;
   const s = String(raw).trim();
@@ -220,72 +200,36 @@ async function findUserByEmail(emailRaw) {
   return null;
 }
 
-// ======= envio de e-mail robusto (Brevo) =======
-async function sendResetMailBrevo(to, newPassword) {
-  const HOST = process.env.SMTP_HOST || 'smtp-relay.brevo.com';
-  const USER = process.env.SMTP_USER || '';          // sua credencial SMTP do Brevo
-  const PASS = process.env.SMTP_PASS || '';          // sua senha/SMTP key do Brevo
-
-  // REMETENTE: precisa ser um sender/domínio VALIDADO no Brevo
-  const FROM_EMAIL = process.env.SMTP_FROM || 'contato@pixaonamao.com.br';
-  const FROM_NAME  = process.env.SMTP_FROM_NAME || 'Pixão Na Mão';
-  const REPLY_TO   = process.env.SMTP_REPLY_TO || FROM_EMAIL;
-
-  // Evita usar USER como "from" (causa rejeição 9712be001@smtp-brevo.com)
-  if (/smtp-brevo\.com$/i.test(FROM_EMAIL)) {
-    throw new Error('invalid_from_sender_not_verified');
+// Compras feitas como convidado passam para a conta só com prova de posse:
+// o guestToken enviado no cadastro/login ou o CPF verificado da conta.
+// Só usuários da tabela users (admins de admin_users/admins não compram).
+async function claimGuestsFor(req, userId, email) {
+  try {
+    const { rows } = await query(
+      'SELECT id, cpf, cpf_verified FROM users WHERE id=$1 AND LOWER(email)=LOWER($2)',
+      [userId, email]
+    );
+    if (!rows.length) return;
+    const guest = readGuestToken(req);
+    await claimGuestPurchases(rows[0].id, {
+      guestIds: guest ? [guest.id] : [],
+      verifiedCpf: rows[0].cpf_verified ? rows[0].cpf : null,
+    });
+  } catch (e) {
+    console.warn('[auth] claim guest purchases warn:', e.code || e.message || e);
   }
+}
 
-  const attempts = [
-    { port: Number(process.env.SMTP_PORT || 587), secure: false, label: '587 STARTTLS' },
-    { port: 465, secure: true,  label: '465 TLS' },
-    { port: 2525, secure: false, label: '2525 STARTTLS' },
-  ];
-
-  const baseMail = {
-    from: { name: FROM_NAME, address: FROM_EMAIL },
+// ======= e-mail de reset (Brevo, via services/mailer.js) =======
+async function sendResetMailBrevo(to, newPassword) {
+  return sendMail({
     to,
-    replyTo: REPLY_TO,
     subject: 'Reset de senha - Pixão Na Mão',
     text:
       `Sua senha foi resetada.\n\n` +
       `Nova Senha: ${newPassword}\n\n` +
       `Se você não solicitou, ignore este e-mail.`,
-  };
-
-  let lastErr = null;
-
-  for (const opt of attempts) {
-    try {
-      const transporter = nodemailer.createTransport({
-        host: HOST,
-        port: opt.port,
-        secure: opt.secure,               // 465 = TLS direto; 587/2525 = STARTTLS
-        auth: USER ? { user: USER, pass: PASS } : undefined,
-        connectionTimeout: 10_000,
-        greetingTimeout: 10_000,
-        socketTimeout: 20_000,
-        tls: {
-          minVersion: 'TLSv1.2',
-          servername: HOST,
-          rejectUnauthorized: false,      // Render free às vezes tem cadeias CA antigas
-        },
-      });
-
-      console.log(`[reset-password] tentando SMTP ${HOST}:${opt.port} (${opt.label}) from=${FROM_NAME} <${FROM_EMAIL}>`);
-
-      await transporter.verify().catch(() => {});
-      await transporter.sendMail(baseMail);
-
-      console.log(`[reset-password] e-mail enviado via Brevo (${opt.label})`);
-      return true;
-    } catch (e) {
-      lastErr = e;
-      console.warn(`[reset-password] tentativa falhou (${opt.label}):`, e?.code || e?.message || e);
-    }
-  }
-
-  throw lastErr || new Error('smtp_unavailable');
+  });
 }
 
 // ===================== ROTAS =====================
@@ -347,6 +291,7 @@ router.post('/register', async (req, res) => {
     );
 
     const u = ins.rows[0];
+    await claimGuestsFor(req, u.id, u.email);
     const token = signToken({ sub: u.id, email: u.email, name: u.name, role: u.role });
 
     res.cookie(COOKIE_NAME, token, {
@@ -392,6 +337,8 @@ router.post('/login', async (req, res) => {
     const ok = await verifyPassword(password, user.hash);
     if (!ok) return res.status(401).json({ error: 'invalid_credentials' });
 
+    await claimGuestsFor(req, user.id, user.email);
+
     const token = signToken({ sub: user.id, email: user.email, role: user.role || 'user' });
 
     const full = await hydrateUserFromDB(user.id, user.email) || {
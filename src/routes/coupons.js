@@ -1,6 +1,6 @@
 // backend/src/routes/coupons.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { trayCreateCoupon, trayDeleteCoupon } from "../services/tray.js";
 
@@ -32,7 +32,8 @@ async function ensureUserColumns() {
         ADD COLUMN IF NOT EXISTS tray_coupon_id text,
         ADD COLUMN IF NOT EXISTS coupon_value_cents int4 DEFAULT 0,
         ADD COLUMN IF NOT EXISTS coupon_updated_at timestamptz,
-        ADD COLUMN IF NOT EXISTS last_payment_sync_at timestamptz
+        ADD COLUMN IF NOT EXISTS last_payment_sync_at timestamptz,
+        ADD COLUMN IF NOT EXISTS coupon_tray_stale boolean DEFAULT false
     `);
   } catch {}
 }
@@ -80,7 +81,8 @@ router.post("/sync", requireAuth, async (req, res) => {
               COALESCE(coupon_value_cents,0)::int AS coupon_value_cents,
               coupon_code,
               tray_coupon_id,
-              last_payment_sync_at
+              last_payment_sync_at,
+              COALESCE(coupon_tray_stale, false) AS coupon_tray_stale
          FROM users
         WHERE id=$1
         LIMIT 1`,
@@ -96,8 +98,6 @@ router.post("/sync", requireAuth, async (req, res) => {
     const tExpr = await buildTimeExpr();
 
     // === Transação com lock para evitar duplicidade de incremento ===
-    await query("BEGIN");
-
     // delta desde o último sync (sem updated_at)
     const sql = `
       WITH me AS (
@@ -132,8 +132,7 @@ router.post("/sync", requireAuth, async (req, res) => {
         (SELECT new_sync FROM upd) AS new_sync,
         (SELECT coupon_value_cents FROM users WHERE id=$1) AS final_cents;
     `;
-    const { rows } = await query(sql, [uid, code]);
-    await query("COMMIT");
+    const { rows } = await withTransaction((tx) => tx.query(sql, [uid, code]));
 
     const delta = rows?.[0]?.delta_cents || 0;
     let finalCents = rows?.[0]?.final_cents ?? cur.coupon_value_cents;
@@ -182,8 +181,9 @@ router.post("/sync", requireAuth, async (req, res) => {
       }
     }
 
-    // Recria cupom na Tray apenas se mudou o valor ou não existe ainda
-    const mustRecreateTray = !trayId || finalCents !== cur.coupon_value_cents;
+    // Recria cupom na Tray apenas se mudou o valor, não existe ainda
+    // ou o saldo foi alterado fora do sync (ex.: estorno em crédito)
+    const mustRecreateTray = !trayId || cur.coupon_tray_stale || finalCents !== cur.coupon_value_cents;
     if (mustRecreateTray) {
       if (trayId) {
         try {
@@ -208,6 +208,7 @@ router.post("/sync", requireAuth, async (req, res) => {
         await query(
           `UPDATE users
               SET tray_coupon_id = $2,
+                  coupon_tray_stale = false,
                   coupon_updated_at = NOW()
             WHERE id = $1`,
           [uid, trayId]
@@ -228,7 +229,6 @@ router.post("/sync", requireAuth, async (req, res) => {
       last_payment_sync_at: newSync || null,
     });
   } catch (e) {
-    try { await query("ROLLBACK"); } catch {}
     console.error(`[coupons.sync#${rid}] error:`, e?.message || e);
     // Valor já pode ter sido ajustado dentro da transação; mantém UI funcional.
     return res.status(200).json({ ok: false, error: "sync_failed" });
@@ -1,8 +1,20 @@
 // backend/src/routes/admin_draws.js
 import { Router } from "express";
-import { getPool, query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
-import { mpChargeCard } from "../services/mercadopago.js";
+import { getDrawProof } from "../services/drawProof.js";
+import { drawCountdown } from "../services/drawScheduler.js";
+import { loadNumberBoard } from "../services/numberBoard.js";
+import { subscribeDraw, subscriberCount } from "../services/drawEvents.js";
+import { normalizeStatus, transitionDraw, recordDrawCreated } from "../services/drawLifecycle.js";
+import { runAutopayForDraw } from "../services/autopayRunner.js";
+import { listUserWatches, watchNumbers, unwatchNumbers } from "../services/numberWatch.js";
+import {
+  getDrawTotalNumbers,
+  parseNumberList,
+  normalizeTotal,
+  populateDrawNumbers,
+} from "../services/drawNumbers.js";
 
 const router = Router();
 
@@ -30,11 +42,14 @@ async function requireAdmin(req, res, next) {
 
 // GET /api/draws
 // - Sem filtro: retorna todos
-// - ?status=closed -> somente fechados/sorteados
-// - ?status=open   -> somente abertos
+// - ?status=closed -> fechados/realizados/resgatados (aceita 'fechado', 'sorteado')
+// - ?status=open   -> somente abertos (aceita 'aberto')
+// - ?status=<draft|realized|redeemed|cancelled> -> somente esse estado
 router.get("/", async (req, res) => {
   try {
-    const qStatus = String(req.query.status || "").toLowerCase().trim();
+    const raw = String(req.query.status || "").toLowerCase().trim();
+    const qStatus = normalizeStatus(raw);
+    const params = [];
 
     let sql = `
       select
@@ -47,25 +62,27 @@ router.get("/", async (req, res) => {
       from public.draws
     `;
 
-    if (qStatus === "closed" || qStatus === "fechado" || qStatus === "sorteado") {
+    if (["closed", "fechado", "sorteado"].includes(raw)) {
       sql += `
-        where (
-          lower(coalesce(status,'')) in ('closed','fechado','sorteado')
-          or closed_at is not null
-          or realized_at is not null
-        )
+        where status in ('closed','realized','redeemed')
         order by id desc
       `;
-    } else if (qStatus === "open" || qStatus === "aberto") {
+    } else if (qStatus === "open") {
       sql += `
-        where lower(coalesce(status,'')) in ('open','aberto')
+        where status = 'open'
         order by id asc
       `;
+    } else if (qStatus) {
+      params.push(qStatus);
+      sql += `
+        where status = $1
+        order by id desc
+      `;
     } else {
       sql += ` order by id asc `;
     }
 
-    const r = await query(sql, []);
+    const r = await query(sql, params);
     const draws = r.rows || [];
     const status_by_id = {};
     for (const d of draws) status_by_id[d.id] = String(d.status || "").toLowerCase();
@@ -83,180 +100,157 @@ router.get("/:id(\\d+)", async (req, res) => {
     const r = await query(
       `select id, status,
               coalesce(opened_at, created_at) as opened_at,
-              closed_at, realized_at, winner_user_id
+              closed_at, realized_at, winner_user_id,
+              result_method,
+              federal_rule, federal_rule_published_at,
+              federal_contest, federal_contest_date, federal_prizes,
+              closes_at, min_sold, extensions
          from public.draws
         where id = $1
         limit 1`,
       [id]
     );
     if (!r.rows.length) return res.status(404).json({ error: "not_found" });
-    res.json(r.rows[0]);
+    res.json({ ...r.rows[0], countdown: drawCountdown(r.rows[0]) });
   } catch (e) {
     console.error("[draws] get error:", e?.message || e);
     res.status(500).json({ error: "get_failed" });
   }
 });
 
-/* ------------------------------------------------------------------ *
- * Utils compartilhadas (mesmas da rota de autopay)
- * ------------------------------------------------------------------ */
-async function getTicketPriceCents(client) {
-  try {
-    const r1 = await client.query(
-      `select value from public.kv_store where key in ('ticket_price_cents','price_cents') limit 1`
-    );
-    if (r1.rowCount) {
-      const v = Number(r1.rows[0].value);
-      if (Number.isFinite(v) && v > 0) return v | 0;
-    }
-  } catch {}
+// GET /api/draws/:id/proof -> prova pública e verificável do sorteio
+router.get("/:id(\\d+)/proof", async (req, res) => {
   try {
-    const r2 = await client.query(
-      `select price_cents from public.app_config order by id desc limit 1`
-    );
-    if (r2.rowCount) {
-      const v = Number(r2.rows[0].price_cents);
-      if (Number.isFinite(v) && v > 0) return v | 0;
-    }
-  } catch {}
-  return 300;
-}
-
-async function isNumberFree(client, draw_id, n) {
-  const q = `
-    with
-    p as (
-      select 1 from public.payments
-       where draw_id=$1
-         and lower(status) in ('approved','paid','pago')
-         and $2 = any(numbers) limit 1
-    ),
-    r as (
-      select 1 from public.reservations
-       where draw_id=$1
-         and lower(status) in ('active','pending','paid')
-         and (
-           $2 = any(numbers)
-           or n = $2
-         )
-       limit 1
-    )
-    select
-      coalesce((select 1 from p),0) as taken_pay,
-      coalesce((select 1 from r),0) as taken_resv
-  `;
-  const r = await client.query(q, [draw_id, n]);
-  return !(r.rows[0].taken_pay || r.rows[0].taken_resv);
-}
+    const proof = await getDrawProof(Number(req.params.id));
+    if (!proof) return res.status(404).json({ error: "not_found" });
+    res.json(proof);
+  } catch (e) {
+    console.error("[draws] proof error:", e?.message || e);
+    res.status(500).json({ error: "proof_failed" });
+  }
+});
 
-/**
- * Executa a cobrança automática para todos os perfis ativos
- * e grava em payments/reservations quando aprovado.
- * Retorna: { results, price_cents }
- */
-async function runAutopayForDraw(client, draw_id) {
-  const { rows: profiles } = await client.query(
-    `select ap.*, array(
-       select n from public.autopay_numbers an where an.autopay_id=ap.id order by n
-     ) numbers
-     from public.autopay_profiles ap
-     where ap.active = true
-       and ap.mp_customer_id is not null
-       and ap.mp_card_id is not null`
-  );
-
-  const price_cents = await getTicketPriceCents(client);
-  const results = [];
-
-  for (const p of profiles) {
-    const user_id = p.user_id;
-    const wants = (p.numbers || [])
-      .map(Number)
-      .filter((n) => n >= 0 && n <= 99);
-
-    if (!wants.length) {
-      results.push({ user_id, status: "skipped", reason: "no_numbers" });
-      continue;
-    }
+const SSE_HEARTBEAT_MS = 25_000;
+const SSE_MAX_CLIENTS = Number(process.env.SSE_MAX_CLIENTS || 2000);
+
+// GET /api/draws/:id/stream -> tabuleiro ao vivo (Server-Sent Events)
+// event: snapshot { draw_id, status, total_numbers, width, numbers: [{ n, status, owner_initials? }] }
+// event: numbers  { draw_id, status, numbers: [n...], owner_initials }
+// event: status   { draw_id, from, status }
+// event: resync   {} -> recarregar (eventos podem ter se perdido)
+router.get("/:id(\\d+)/stream", async (req, res) => {
+  const drawId = Number(req.params.id);
+  if (subscriberCount() >= SSE_MAX_CLIENTS) {
+    return res.status(503).json({ error: "too_many_streams" });
+  }
 
-    const free = [];
-    for (const n of wants) {
-      // eslint-disable-next-line no-await-in-loop
-      const ok = await isNumberFree(client, draw_id, n);
-      if (ok) free.push(n);
-    }
-    if (!free.length) {
-      results.push({ user_id, status: "skipped", reason: "none_available" });
-      continue;
+  // assina antes de ler o snapshot; eventos do intervalo ficam na fila
+  let queue = [];
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const unsubscribe = subscribeDraw(drawId, ({ type, ...data }) => {
+    if (queue) queue.push([type, data]);
+    else send(type, data);
+  });
+  let ping = null;
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+    clearInterval(ping);
+    unsubscribe();
+  });
+
+  let snapshot;
+  try {
+    const d = await query(`select id, status from public.draws where id = $1`, [drawId]);
+    if (!d.rowCount) {
+      unsubscribe();
+      return res.status(404).json({ error: "not_found" });
     }
+    snapshot = { draw_id: drawId, status: normalizeStatus(d.rows[0].status), ...(await loadNumberBoard(drawId)) };
+  } catch (e) {
+    unsubscribe();
+    console.error("[draws] stream error:", e?.message || e);
+    return res.status(500).json({ error: "stream_failed" });
+  }
 
-    const amount_cents = free.length * price_cents;
-
-    let charge;
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      charge = await mpChargeCard({
-        customerId: p.mp_customer_id,
-        cardId: p.mp_card_id,
-        amount_cents,
-        description: `Sorteio ${draw_id} – números: ${free
-          .map((n) => String(n).padStart(2, "0"))
-          .join(", ")}`,
-        metadata: { user_id, draw_id, numbers: free },
-      });
-    } catch (e) {
-      await client.query(
-        `insert into public.autopay_runs (autopay_id,user_id,draw_id,tried_numbers,status,error)
-         values ($1,$2,$3,$4,'error',$5)`,
-        [p.id, user_id, draw_id, free, String(e?.message || e)]
-      );
-      results.push({ user_id, status: "error", error: "charge_failed" });
-      continue;
-    }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // proxies (nginx) não seguram os eventos
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
 
-    if (!charge || String(charge.status).toLowerCase() !== "approved") {
-      await client.query(
-        `insert into public.autopay_runs (autopay_id,user_id,draw_id,tried_numbers,status,error)
-         values ($1,$2,$3,$4,'error','not_approved')`,
-        [p.id, user_id, draw_id, free]
-      );
-      results.push({ user_id, status: "error", error: "not_approved" });
-      continue;
-    }
+  send("snapshot", snapshot);
+  for (const [type, data] of queue) send(type, data);
+  queue = null;
 
-    const pay = await client.query(
-      `insert into public.payments (user_id, draw_id, numbers, amount_cents, status, created_at)
-       values ($1,$2,$3::int2[],$4,'approved', now())
-       returning id`,
-      [user_id, draw_id, free, amount_cents]
-    );
-    const resv = await client.query(
-      `insert into public.reservations (id, user_id, draw_id, numbers, status, created_at, expires_at)
-       values (gen_random_uuid(), $1, $2, $3::int2[], 'paid', now(), now())
-       returning id`,
-      [user_id, draw_id, free]
-    );
+  if (!closed) ping = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+});
 
-    await client.query(
-      `insert into public.autopay_runs (autopay_id,user_id,draw_id,tried_numbers,bought_numbers,amount_cents,status,payment_id,reservation_id)
-       values ($1,$2,$3,$4,$5,$6,'ok',$7,$8)`,
-      [
-        p.id,
-        user_id,
-        draw_id,
-        free,
-        free,
-        amount_cents,
-        pay.rows[0].id,
-        resv.rows[0].id,
-      ]
-    );
+/* ------------------------------------------------------------------ *
+ * Lista de espera por número (avisa quando uma reserva sobre ele cai)
+ * ------------------------------------------------------------------ */
+const WATCH_ERROR_STATUS = {
+  draw_not_found: 404,
+  draw_not_open: 409,
+  too_many_watches: 409,
+};
+
+// GET /api/draws/:id/watch -> inscrições do usuário neste draw (+ posição na fila)
+router.get("/:id(\\d+)/watch", requireAuth, async (req, res) => {
+  try {
+    const drawId = Number(req.params.id);
+    return res.json({ draw_id: drawId, watches: await listUserWatches(drawId, req.user.id) });
+  } catch (e) {
+    console.error("[draws] watch list error:", e?.message || e);
+    return res.status(500).json({ error: "watch_list_failed" });
+  }
+});
 
-    results.push({ user_id, status: "ok", numbers: free, amount_cents });
+// POST /api/draws/:id/watch { numbers: [...] }
+// Números livres agora voltam em `available` (não entram na fila).
+router.post("/:id(\\d+)/watch", requireAuth, async (req, res) => {
+  try {
+    const drawId = Number(req.params.id);
+    if (!Array.isArray(req.body?.numbers) || !req.body.numbers.length) {
+      return res.status(400).json({ error: "no_numbers" });
+    }
+    const total = await getDrawTotalNumbers(drawId);
+    const nums = parseNumberList(req.body.numbers, total);
+    if (!nums.length) return res.status(400).json({ error: "numbers_invalid" });
+
+    const r = await watchNumbers(drawId, req.user.id, nums);
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(WATCH_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.status(201).json({
+      draw_id: drawId,
+      watching: r.watching,
+      available: r.available,
+      watches: await listUserWatches(drawId, req.user.id),
+    });
+  } catch (e) {
+    console.error("[draws] watch error:", e?.message || e);
+    return res.status(500).json({ error: "watch_failed" });
   }
+});
 
-  return { results, price_cents };
-}
+// DELETE /api/draws/:id/watch { numbers?: [...] } -> sai da fila (todos se vazio)
+router.delete("/:id(\\d+)/watch", requireAuth, async (req, res) => {
+  try {
+    const drawId = Number(req.params.id);
+    const total = await getDrawTotalNumbers(drawId);
+    const nums = Array.isArray(req.body?.numbers) ? parseNumberList(req.body.numbers, total) : [];
+    const removed = await unwatchNumbers(drawId, req.user.id, nums);
+    return res.json({ ok: true, draw_id: drawId, removed });
+  } catch (e) {
+    console.error("[draws] unwatch error:", e?.message || e);
+    return res.status(500).json({ error: "unwatch_failed" });
+  }
+});
 
 /* ------------------------------------------------------------------ *
  * LISTAGENS ADMIN
@@ -359,66 +353,68 @@ router.get("/:id/players", requireAuth, requireAdmin, async (req, res) => {
 
 // POST /api/admin/draws/new
 router.post("/new", requireAuth, requireAdmin, async (req, res) => {
-  const pool = await getPool();
-  const client = await pool.connect();
   try {
-    await client.query("BEGIN");
-
-    const d = await client.query(
-      `insert into public.draws (status, opened_at, product_name, product_link)
-       values ('open', now(), $1, $2)
-       returning id`,
-      [req.body?.product_name || null, req.body?.product_link || null]
-    );
-    const draw_id = d.rows[0].id;
-
-    const { results, price_cents } = await runAutopayForDraw(client, draw_id);
+    const draw_id = await withTransaction(async (tx) => {
+      const d = await tx.query(
+        `insert into public.draws (status, opened_at, product_name, product_link, total_numbers)
+         values ('open', now(), $1, $2, $3)
+         returning id, total_numbers`,
+        [req.body?.product_name || null, req.body?.product_link || null, normalizeTotal(req.body?.total_numbers)]
+      );
+      const id = d.rows[0].id;
+      await populateDrawNumbers(tx, id, d.rows[0].total_numbers);
+      await recordDrawCreated(tx, id, "open", { actor: "admin", actorUserId: req.user.id });
+      return id;
+    });
 
-    await client.query("COMMIT");
     console.log("[admin/draws] novo draw id =", draw_id);
-    return res.json({ ok: true, draw_id, autopay: { results, price_cents } });
+    // autopay depois do commit: o serviço reserva, cobra fora da transação e grava
+    const autopay = await runAutopayForDraw(draw_id);
+    return res.json({ ok: true, draw_id, autopay: autopaySummary(autopay) });
   } catch (e) {
-    try { await client.query("ROLLBACK"); } catch {}
     console.error("[admin/draws/new] error", e?.message || e);
     return res.status(500).json({ error: "open_failed" });
-  } finally {
-    client.release();
   }
 });
 
 // POST /api/admin/draws/:id/open
 router.post("/:id/open", requireAuth, requireAdmin, async (req, res) => {
-  const pool = await getPool();
-  const client = await pool.connect();
   const draw_id = Number(req.params.id);
   if (!Number.isInteger(draw_id)) {
-    client.release();
     return res.status(400).json({ error: "bad_draw_id" });
   }
   try {
-    await client.query("BEGIN");
-
-    await client.query(
-      `update public.draws
-          set status='open',
-              opened_at = coalesce(opened_at, now()),
-              closed_at = null,
-              realized_at = null
-        where id=$1`,
-      [draw_id]
-    );
-
-    const { results, price_cents } = await runAutopayForDraw(client, draw_id);
-
-    await client.query("COMMIT");
-    return res.json({ ok: true, draw_id, autopay: { results, price_cents } });
+    const failure = await withTransaction(async (tx) => {
+      // só rascunho -> aberto; fechado/realizado não reabre
+      const cur = await tx.query(`select status from public.draws where id=$1 for update`, [draw_id]);
+      if (!cur.rowCount) {
+        return tx.rollback({ status: 404, body: { error: "draw_not_found" } });
+      }
+      if (normalizeStatus(cur.rows[0].status) !== "open") {
+        const tr = await transitionDraw(tx, draw_id, "open", {
+          actor: "admin",
+          actorUserId: req.user.id,
+        });
+        if (!tr.ok) {
+          return tx.rollback({ status: 409, body: { error: tr.error, from: tr.from ?? null } });
+        }
+      }
+      return null;
+    });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    const autopay = await runAutopayForDraw(draw_id);
+    return res.json({ ok: true, draw_id, autopay: autopaySummary(autopay) });
   } catch (e) {
-    try { await client.query("ROLLBACK"); } catch {}
     console.error("[admin/draws/:id/open] error", e?.message || e);
     return res.status(500).json({ error: "open_failed" });
-  } finally {
-    client.release();
   }
 });
 
+/** Resultado do autopayRunner no formato da resposta ({ results, price_cents }). */
+function autopaySummary(r) {
+  if (!r?.ok) return { results: [], price_cents: null, error: r?.error || "run_failed" };
+  return { results: r.results, price_cents: r.price_cents };
+}
+
 export default router;
@@ -43,9 +43,18 @@ router.get('/:sku/download', requireAuth, async (req, res) => {
     const ok = await query(
       `
       SELECT 1
-      FROM payments p
+      FROM payment_lines p
       JOIN draws d        ON d.id = p.draw_id
       JOIN infoproducts i ON i.id = d.infoproduct_id
+      WHERE i.sku = $1
+        AND p.user_id = $2
+        AND LOWER(p.status) IN ('approved','paid','pago')
+      UNION ALL
+      -- e-book comprado no carrinho
+      SELECT 1
+      FROM payment_items it
+      JOIN payments p     ON p.id = it.payment_id
+      JOIN infoproducts i ON i.id = it.infoproduct_id
       WHERE i.sku = $1
         AND p.user_id = $2
         AND LOWER(p.status) IN ('approved','paid','pago')
@@ -97,7 +106,7 @@ router.get('/by-draw/:id', requireAuth, async (req, res) => {
     const r = await query(
       `
       SELECT i.sku, COALESCE(i.title, 'E-book') AS title
-      FROM payments p
+      FROM payment_lines p
       JOIN draws d        ON d.id = p.draw_id
       JOIN infoproducts i ON i.id = d.infoproduct_id
       WHERE p.user_id = $1
@@ -1,5 +1,9 @@
 import express from "express";
-import { query, getPool } from "../db.js";
+import { query, getPool, withTransaction } from "../db.js";
+import { createDrawSnapshot } from "../services/drawProof.js";
+import { normalizeTotal, populateDrawNumbers } from "../services/drawNumbers.js";
+import { drawCountdown } from "../services/drawScheduler.js";
+import { transitionDraw, recordDrawCreated } from "../services/drawLifecycle.js";
 
 const router = express.Router();
 
@@ -31,7 +35,8 @@ async function findProductByIdOrSku(client, idOrSku) {
 // campos existentes na tabela draws (NÃO referenciar updated_at)
 const DRAW_FIELDS = `
   d.id, d.status, d.total_numbers, d.prize_cents,
-  d.ticket_price_cents_override, d.cover_url, d.category_id
+  d.ticket_price_cents_override, d.cover_url, d.category_id,
+  d.closes_at, d.min_sold
 `;
 
 async function findOpenDrawForProduct(client, productId) {
@@ -250,7 +255,7 @@ router.get("/:idOrSku/open-draw", async (req, res) => {
     if (!draw) return res.json({ product, draw: null, numbers: wantNumbers ? [] : undefined });
 
     const counts = await loadCountsForDraw(client, draw.id);
-    const payload = { product, draw: { ...draw, counts } };
+    const payload = { product, draw: { ...draw, counts, countdown: drawCountdown(draw) } };
 
     if (wantNumbers) {
       payload.numbers = await loadNumbersForDraw(client, draw.id);
@@ -299,7 +304,12 @@ router.get("/open-draws", async (req, res) => {
       }
 
       const counts = await loadCountsForDraw(client, draw.id);
-      const item = { key, product_id: product.id, product_sku: product.sku, draw: { ...draw, counts } };
+      const item = {
+        key,
+        product_id: product.id,
+        product_sku: product.sku,
+        draw: { ...draw, counts, countdown: drawCountdown(draw) },
+      };
 
       if (wantNumbers) item.numbers = await loadNumbersForDraw(client, draw.id);
 
@@ -365,94 +375,91 @@ router.get("/:idOrSku", async (req, res) => {
 /* ======================================================================== */
 
 router.post("/:idOrSku/ensure-open-draw", async (req, res) => {
-  const pool = await getPool();
-  const client = await pool.connect();
   try {
-    await client.query("BEGIN");
-
-    const idOrSku = (req.params.idOrSku ?? "").trim();
-    const isNumeric = /^\d+$/.test(idOrSku);
-
-    const { rows: pr } = await client.query(
-      `
-      SELECT
-        p.id, p.sku,
-        COALESCE(p.category_id, c.id)          AS category_id,
-        COALESCE(p.default_total_numbers,100)  AS total_numbers,
-        COALESCE(p.default_prize_cents,0)      AS prize_cents
-      FROM infoproducts p
-      LEFT JOIN categories c ON LOWER(c.slug) = LOWER(p.category_slug)
-      WHERE ${isNumeric ? "p.id = $1" : "LOWER(p.sku) = LOWER($1)"}
-      LIMIT 1
-      `,
-      [idOrSku]
-    );
-
-    const P = pr[0];
-    if (!P) { await client.query("ROLLBACK"); return res.status(404).json({ error: "infoproduct_not_found" }); }
-    if (!P.category_id) { await client.query("ROLLBACK"); return res.status(400).json({ error: "infoproduct_missing_category" }); }
-
-    const { rows: drows } = await client.query(
-      `
-      SELECT id, total_numbers
-      FROM draws
-      WHERE infoproduct_id = $1 AND status = 'open'
-      ORDER BY id DESC
-      LIMIT 1
-      FOR UPDATE
-      `,
-      [P.id]
-    );
-
-    let drawId = drows[0]?.id ?? null;
-    let totalNumbers = drows[0]?.total_numbers ?? P.total_numbers;
+    const result = await withTransaction(async (tx) => {
+      const idOrSku = (req.params.idOrSku ?? "").trim();
+      const isNumeric = /^\d+$/.test(idOrSku);
 
-    if (drawId) {
-      const { rows: usedRows } = await client.query(
+      const { rows: pr } = await tx.query(
         `
-        SELECT COUNT(*)::int AS used
-        FROM numbers
-        WHERE draw_id = $1 AND status IN ('reserved','taken','sold')
+        SELECT
+          p.id, p.sku,
+          COALESCE(p.category_id, c.id)          AS category_id,
+          COALESCE(p.default_total_numbers,100)  AS total_numbers,
+          COALESCE(p.default_prize_cents,0)      AS prize_cents
+        FROM infoproducts p
+        LEFT JOIN categories c ON LOWER(c.slug) = LOWER(p.category_slug)
+        WHERE ${isNumeric ? "p.id = $1" : "LOWER(p.sku) = LOWER($1)"}
+        LIMIT 1
         `,
-        [drawId]
+        [idOrSku]
       );
-      const used = usedRows[0]?.used ?? 0;
-      if (used >= totalNumbers) {
-        await client.query(`UPDATE draws SET status='closed', closed_at=NOW() WHERE id=$1`, [drawId]);
-        drawId = null;
-      }
-    }
 
-    if (!drawId) {
-      const ins = await client.query(
-        `
-        INSERT INTO draws (infoproduct_id, category_id, status, total_numbers, prize_cents)
-        VALUES ($1,$2,'open',$3,$4)
-        RETURNING id, total_numbers
-        `,
-        [P.id, P.category_id, P.total_numbers, P.prize_cents]
-      );
-      drawId = ins.rows[0].id;
-      totalNumbers = ins.rows[0].total_numbers;
+      const P = pr[0];
+      if (!P) return tx.rollback({ status: 404, body: { error: "infoproduct_not_found" } });
+      if (!P.category_id) return tx.rollback({ status: 400, body: { error: "infoproduct_missing_category" } });
 
-      await client.query(
+      const { rows: drows } = await tx.query(
         `
-        INSERT INTO numbers (draw_id, n, status)
-        SELECT $1, gs::int, 'available'
-        FROM generate_series(0, $2-1) gs
+        SELECT id, total_numbers
+        FROM draws
+        WHERE infoproduct_id = $1 AND status = 'open'
+        ORDER BY id DESC
+        LIMIT 1
+        FOR UPDATE
         `,
-        [drawId, totalNumbers]
+        [P.id]
       );
-    }
 
-    await client.query("COMMIT");
-    return res.json({ draw_id: drawId, total_numbers: totalNumbers });
+      let drawId = drows[0]?.id ?? null;
+      let totalNumbers = drows[0]?.total_numbers ?? P.total_numbers;
+      let previousDrawId = null;
+
+      if (drawId) {
+        const { rows: usedRows } = await tx.query(
+          `
+          SELECT COUNT(*)::int AS used
+          FROM numbers
+          WHERE draw_id = $1 AND status IN ('reserved','taken','sold')
+          `,
+          [drawId]
+        );
+        const used = usedRows[0]?.used ?? 0;
+        if (used >= totalNumbers) {
+          await transitionDraw(tx, drawId, "closed", { actor: "system", reason: "esgotado" });
+          await createDrawSnapshot(drawId, tx);
+          previousDrawId = drawId;
+          drawId = null;
+        }
+      }
+
+      if (!drawId) {
+        const ins = await tx.query(
+          `
+          INSERT INTO draws (infoproduct_id, category_id, status, total_numbers, prize_cents, previous_draw_id)
+          VALUES ($1,$2,'open',$3,$4,$5)
+          RETURNING id, total_numbers
+          `,
+          [P.id, P.category_id, normalizeTotal(P.total_numbers), P.prize_cents, previousDrawId]
+        );
+        // o draw fechado aqui já tem sucessor: o rollover automático não abre outro
+        if (previousDrawId) {
+          await tx.query(`UPDATE draws SET rolled_over_at = now() WHERE id = $1`, [previousDrawId]);
+        }
+        drawId = ins.rows[0].id;
+        totalNumbers = ins.rows[0].total_numbers;
+        await recordDrawCreated(tx, drawId, "open", { actor: "system", reason: "ensure-open-draw" });
+
+        await populateDrawNumbers(tx, drawId, totalNumbers);
+      }
+
+      return { status: 200, body: { draw_id: drawId, total_numbers: totalNumbers } };
+    });
+
+    return res.status(result.status).json(result.body);
   } catch (e) {
-    try { await client.query("ROLLBACK"); } catch {}
     console.error("[ensure-open-draw] fail:", e);
     return res.status(500).json({ error: "ensure_open_draw_failed" });
-  } finally {
-    client.release();
   }
 });
 
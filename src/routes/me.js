@@ -6,16 +6,18 @@ import { getTicketPriceCents } from '../services/config.js';
 
 const router = Router();
 
+const REFUND_PREFERENCES = ['provider', 'store_credit'];
+
 /**
  * GET /api/me
- * Retorna o usuário logado (id, name, email, is_admin).
+ * Retorna o usuário logado (id, name, email, is_admin, refund_preference).
  */
 router.get('/', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     // busca no banco pra garantir dados atualizados
     const r = await query(
-      'select id, name, email, is_admin from users where id = $1',
+      'select id, name, email, is_admin, refund_preference from users where id = $1',
       [userId]
     );
     const u = r.rows[0] || req.user;
@@ -26,6 +28,7 @@ router.get('/', requireAuth, async (req, res) => {
         name: u.name || null,
         email: u.email || null,
         is_admin: !!u.is_admin,
+        refund_preference: u.refund_preference || 'provider',
       },
     });
   } catch (e) {
@@ -34,6 +37,26 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/me/refund-preference
+ * body: { refund_preference: 'provider' | 'store_credit' }
+ * Usado quando um sorteio é cancelado: estorno no meio de pagamento
+ * ou crédito no cupom da loja (coupon_value_cents).
+ */
+router.patch('/refund-preference', requireAuth, async (req, res) => {
+  const pref = String(req.body?.refund_preference || '').toLowerCase();
+  if (!REFUND_PREFERENCES.includes(pref)) {
+    return res.status(400).json({ error: 'invalid_refund_preference' });
+  }
+  try {
+    await query('update users set refund_preference = $2 where id = $1', [req.user.id, pref]);
+    return res.json({ ok: true, refund_preference: pref });
+  } catch (e) {
+    console.error('[me/refund-preference] error:', e);
+    return res.status(500).json({ error: 'update_failed' });
+  }
+});
+
 /**
  * GET /api/me/reservations
  */
@@ -1,15 +1,18 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
+import { normalizeTotal, formatNumber, parseNumberList, getDrawTotalNumbers } from "../services/drawNumbers.js";
+import { listDrawPrizes } from "../services/drawPrizes.js";
+import { createTransfer } from "../services/numberTransfers.js";
 
 const router = Router();
 
 /**
  * GET /api/me/draws/:id/board
- * Retorna o tabuleiro 00..99 com:
- * - isMine: números do usuário logado (payments aprovados/pagos)
+ * Retorna o tabuleiro 0..total_numbers-1 (rótulos com zeros à esquerda) com:
+ * - isMine: números do usuário logado (pagos ou recebidos; view number_owners)
  * - state: available | reserved | taken
- * - isWinner: número sorteado
+ * - isWinner: número sorteado (em qualquer faixa); winnerTiers: posições ganhas
  * Também retorna product_name/product_link e o nome do vencedor (se houver).
  */
 router.get("/:id/board", requireAuth, async (req, res) => {
@@ -27,6 +30,7 @@ router.get("/:id/board", requireAuth, async (req, res) => {
               d.realized_at,
               d.winner_user_id,
               d.winner_number,
+              d.total_numbers,
               d.product_name,
               d.product_link,
               u.name AS winner_name
@@ -43,7 +47,7 @@ router.get("/:id/board", requireAuth, async (req, res) => {
     // números comprados por QUALQUER pessoa (indisponíveis)
     const takenR = await query(
       `SELECT unnest(p.numbers)::int AS n
-         FROM public.payments p
+         FROM public.payment_lines p
         WHERE p.draw_id = $1
           AND LOWER(p.status) IN ('approved','paid','pago')`,
       [drawId]
@@ -58,13 +62,12 @@ router.get("/:id/board", requireAuth, async (req, res) => {
       [drawId]
     );
 
-    // números do usuário logado
+    // números do usuário logado (comprados ou recebidos por transferência)
     const mineR = await query(
-      `SELECT unnest(p.numbers)::int AS n
-         FROM public.payments p
-        WHERE p.draw_id = $1
-          AND p.user_id = $2
-          AND LOWER(p.status) IN ('approved','paid','pago')`,
+      `SELECT o.n
+         FROM public.number_owners o
+        WHERE o.draw_id = $1
+          AND o.user_id = $2`,
       [drawId, userId]
     );
 
@@ -73,9 +76,21 @@ router.get("/:id/board", requireAuth, async (req, res) => {
     const setMine  = new Set((mineR.rows  || []).map(r => Number(r.n)));
     const winner   = (draw.winner_number ?? null);
 
-    // monta a grade 00..99
-    const board = Array.from({ length: 100 }, (_, n) => {
+    // faixas de prêmio: número -> posições premiadas
+    const prizes = draw.realized_at ? await listDrawPrizes(drawId) : [];
+    const tiersByNumber = new Map();
+    for (const p of prizes) {
+      if (p.winner_number == null) continue;
+      const list = tiersByNumber.get(p.winner_number) || [];
+      list.push(p.position);
+      tiersByNumber.set(p.winner_number, list);
+    }
+
+    // monta a grade 0..total-1
+    const total = normalizeTotal(draw.total_numbers);
+    const board = Array.from({ length: total }, (_, n) => {
       const isMine   = setMine.has(n);
+      const tiers    = tiersByNumber.get(n) || [];
       const isTaken  = setTaken.has(n);
       const isRes    = setResv.has(n);
       const state =
@@ -84,10 +99,11 @@ router.get("/:id/board", requireAuth, async (req, res) => {
         isRes ? "reserved" : "available";
       return {
         n,
-        label: String(n).padStart(2, "0"),
+        label: formatNumber(n, total),
         state,                  // available | reserved | taken
         isMine,
-        isWinner: winner === n  // usado no UI para estilizar e mostrar o nome
+        isWinner: winner === n || tiers.length > 0, // usado no UI para estilizar e mostrar o nome
+        winnerTiers: tiers      // posições das faixas ganhas por este número (1 = principal)
       };
     });
 
@@ -97,9 +113,20 @@ router.get("/:id/board", requireAuth, async (req, res) => {
         status: draw.status,
         realized_at: draw.realized_at,
         winner_number: winner,
+        total_numbers: total,
         product_name: draw.product_name || null,
         product_link: draw.product_link || null,
         winner_name: draw.winner_name || null,
+        prizes: prizes.map((p) => ({
+          position: p.position,
+          tier: p.tier,
+          kind: p.kind,
+          prize_cents: p.prize_cents ?? null,
+          winner_number: p.winner_number ?? null,
+          winner_label: p.winner_number != null ? formatNumber(p.winner_number, total) : null,
+          winner_name: p.winner_display || null,
+          isMine: p.winner_user_id != null && Number(p.winner_user_id) === userId,
+        })),
       },
       my_numbers: Array.from(setMine).sort((a,b)=>a-b),
       board
@@ -110,4 +137,48 @@ router.get("/:id/board", requireAuth, async (req, res) => {
   }
 });
 
+const TRANSFER_ERROR_STATUS = {
+  recipient_required: 400,
+  recipient_not_found: 404,
+  recipient_is_self: 400,
+  draw_not_found: 404,
+  draw_not_open: 409,
+  numbers_not_owned: 409,
+  transfer_pending: 409,
+};
+
+/**
+ * POST /api/me/draws/:id/numbers/transfer
+ * Body: { numbers: [...], email?: string, cpf?: string }
+ * Presenteia números pagos (draw aberto) a outro usuário cadastrado. Fica
+ * pendente até ele aceitar em POST /api/me/transfers/:id/accept.
+ */
+router.post("/:id/numbers/transfer", requireAuth, async (req, res) => {
+  try {
+    const drawId = Number(req.params.id);
+    if (!Number.isInteger(drawId) || drawId <= 0) {
+      return res.status(400).json({ error: "bad_draw_id" });
+    }
+    if (!Array.isArray(req.body?.numbers) || !req.body.numbers.length) {
+      return res.status(400).json({ error: "no_numbers" });
+    }
+    const total = await getDrawTotalNumbers(drawId);
+    const nums = parseNumberList(req.body.numbers, total);
+    if (!nums.length) return res.status(400).json({ error: "numbers_invalid" });
+
+    const r = await createTransfer(drawId, req.user.id, nums, {
+      email: req.body?.email,
+      cpf: req.body?.cpf,
+    });
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(TRANSFER_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.status(201).json({ transfer: r.transfer });
+  } catch (e) {
+    console.error("[me/draws/:id/numbers/transfer] error:", e);
+    return res.status(500).json({ error: "transfer_failed" });
+  }
+});
+
 export default router;
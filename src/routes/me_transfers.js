@@ -0,0 +1,46 @@
+// backend/src/routes/me_transfers.js
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { listUserTransfers, respondTransfer } from "../services/numberTransfers.js";
+
+const router = Router();
+
+const TRANSFER_ERROR_STATUS = {
+  transfer_not_found: 404,
+  transfer_not_pending: 409,
+  transfer_expired: 409,
+  numbers_not_owned: 409,
+};
+
+/**
+ * GET /api/me/transfers
+ * Transferências de números recebidas (direction=incoming) e enviadas (outgoing).
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    return res.json({ transfers: await listUserTransfers(req.user.id) });
+  } catch (e) {
+    console.error("[me/transfers] error:", e);
+    return res.status(500).json({ error: "transfers_failed" });
+  }
+});
+
+/**
+ * POST /api/me/transfers/:id/accept | /decline  (destinatário)
+ * POST /api/me/transfers/:id/cancel             (remetente)
+ */
+router.post("/:id(\\d+)/:action(accept|decline|cancel)", requireAuth, async (req, res) => {
+  try {
+    const r = await respondTransfer(Number(req.params.id), req.user.id, req.params.action);
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(TRANSFER_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.json({ transfer: r.transfer });
+  } catch (e) {
+    console.error("[me/transfers/:id] error:", e);
+    return res.status(500).json({ error: "transfer_failed" });
+  }
+});
+
+export default router;
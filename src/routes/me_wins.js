@@ -0,0 +1,105 @@
+// backend/src/routes/me_wins.js
+import { Router } from "express";
+import { query } from "../db.js";
+import { requireAuth } from "../middleware/auth.js";
+import { getClaim, submitClaim } from "../services/prizeClaims.js";
+
+const router = Router();
+
+const CLAIM_ERROR_STATUS = {
+  invalid_claim: 400,
+  draw_not_found: 404,
+  not_winner: 404,
+  draw_not_claimable: 409,
+  claim_locked: 409,
+};
+
+/** ?position= / body.position (faixa do prêmio; padrão 1) */
+const positionOf = (v) => {
+  const n = Number(v ?? 1);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+};
+
+/**
+ * GET /api/me/wins
+ * Prêmios ganhos pelo usuário logado (uma linha por faixa), com o status do resgate.
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await query(
+      `select d.id as draw_id, d.status, d.realized_at, d.redeemed_at,
+              p.position, p.tier, p.kind, p.winner_number, p.prize_cents,
+              coalesce(p.product_name, d.product_name) as product_name,
+              coalesce(p.product_link, d.product_link) as product_link,
+              c.status as claim_status, c.payout_method, c.tracking_code, c.carrier,
+              c.rejection_reason, c.submitted_at, c.shipped_at, c.delivered_at
+         from draw_prizes p
+         join draws d on d.id = p.draw_id
+         left join prize_claims c on c.draw_id = p.draw_id and c.prize_position = p.position
+        where p.winner_user_id = $1
+          and d.realized_at is not null
+        order by d.realized_at desc, d.id desc, p.position`,
+      [req.user.id]
+    );
+    return res.json({ wins: rows });
+  } catch (e) {
+    console.error("[me/wins] error:", e);
+    return res.status(500).json({ error: "list_failed" });
+  }
+});
+
+/**
+ * GET /api/me/wins/:drawId?position=1
+ * Detalhe do prêmio da faixa + pedido de resgate (se enviado).
+ */
+router.get("/:drawId", requireAuth, async (req, res) => {
+  const drawId = Number(req.params.drawId);
+  const position = positionOf(req.query.position);
+  if (!Number.isInteger(drawId) || drawId <= 0) return res.status(400).json({ error: "bad_draw_id" });
+  if (!position) return res.status(400).json({ error: "bad_position" });
+  try {
+    const { rows } = await query(
+      `select d.id as draw_id, d.status, d.realized_at, d.redeemed_at,
+              p.position, p.tier, p.kind, p.winner_number, p.prize_cents,
+              coalesce(p.product_name, d.product_name) as product_name,
+              coalesce(p.product_link, d.product_link) as product_link
+         from draw_prizes p
+         join draws d on d.id = p.draw_id
+        where p.draw_id = $1 and p.position = $2 and p.winner_user_id = $3`,
+      [drawId, position, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not_found" });
+    return res.json({ ...rows[0], claim: await getClaim(drawId, position) });
+  } catch (e) {
+    console.error("[me/wins/:drawId] error:", e);
+    return res.status(500).json({ error: "load_failed" });
+  }
+});
+
+/**
+ * POST /api/me/wins/:drawId/claim
+ * body.position: faixa do prêmio (padrão 1)
+ * body (entrega): { payout_method:'delivery', recipient_name, phone?,
+ *                   address:{ zip, street, number, complement?, district, city, state } }
+ * body (PIX):     { payout_method:'pix', pix_key_type:'cpf'|'cnpj'|'email'|'phone'|'random', pix_key }
+ * Pode ser reenviado enquanto o pedido não foi verificado ou após recusa.
+ */
+router.post("/:drawId/claim", requireAuth, async (req, res) => {
+  const drawId = Number(req.params.drawId);
+  const position = positionOf(req.body?.position);
+  if (!Number.isInteger(drawId) || drawId <= 0) return res.status(400).json({ error: "bad_draw_id" });
+  if (!position) return res.status(400).json({ error: "bad_position" });
+  try {
+    const r = await submitClaim(req.user.id, drawId, req.body || {}, position);
+    if (!r.ok) {
+      const { ok, ...body } = r;
+      return res.status(CLAIM_ERROR_STATUS[r.error] || 400).json(body);
+    }
+    return res.status(201).json({ ok: true, claim: r.claim });
+  } catch (e) {
+    console.error("[me/wins/claim] error:", e);
+    return res.status(500).json({ error: "claim_failed" });
+  }
+});
+
+export default router;
@@ -1,106 +1,198 @@
 // backend/src/routes/payments.js
 import { Router } from 'express';
-import { MercadoPagoConfig, Payment } from 'mercadopago';
-import { query } from '../db.js';
-import { requireAuth } from '../middleware/auth.js';
-import { v4 as uuidv4 } from 'uuid';
+import { query, withTransaction } from '../db.js';
+import { requireAuth, requireUserOrGuest } from '../middleware/auth.js';
 import { getTicketPriceCents } from '../services/config.js';
-import { createMercadoPagoPreferenceOrPix } from '../services/mercadopago.js';
+import {
+  createPix,
+  createCardPayment,
+  getPayment,
+  saveCard,
+  paymentProviderName,
+  providerOfPayment,
+} from '../services/paymentProvider.js';
+import { createDrawSnapshot } from '../services/drawProof.js';
+import { normalizeTotal, formatNumber } from '../services/drawNumbers.js';
+import { transitionDraw } from '../services/drawLifecycle.js';
+import { rolloverDrawInBackground } from '../services/drawRollover.js';
+import { publishNumbers } from '../services/drawEvents.js';
+import { getGuest } from '../services/guests.js';
+import {
+  verifyMpSignature,
+  recordWebhookEvent,
+  processWebhookEvents,
+  registerWebhookHandler,
+} from '../services/webhookEvents.js';
+import { buildCartLines, insertPaymentItems, getPaymentLines } from '../services/cart.js';
+import { settleLineConflicts, finishPaymentConflicts } from '../services/paymentConflicts.js';
+import {
+  openCheckoutIntent,
+  completeCheckoutIntent,
+  releaseCheckoutIntent,
+} from '../services/checkoutIntents.js';
 
 const router = Router();
 
-// Aceita MP_ACCESS_TOKEN (backend) ou REACT_APP_MP_ACCESS_TOKEN (Render)
-const mpClient = new MercadoPagoConfig({
-  accessToken: process.env.MP_ACCESS_TOKEN || process.env.REACT_APP_MP_ACCESS_TOKEN,
-});
-const mpPayment = new Payment(mpClient);
-
 const PIX_EXP_MIN = Math.max(
   30,
   Number(process.env.PIX_EXP_MIN || process.env.PIX_EXP_MINUTES || 30)
 );
 
+// cartão avulso: parcelas aceitas e binary_mode (só approved/rejected, sem 3DS)
+const CARD_MAX_INSTALLMENTS = Math.max(1, Number(process.env.CARD_MAX_INSTALLMENTS || 12));
+const CARD_BINARY_MODE = String(process.env.CARD_BINARY_MODE || 'false').toLowerCase() === 'true';
+
+// status encerrados aqui (estorno, crédito na loja, cancelamento): o provedor
+// pode continuar dizendo 'approved', então a sincronização não mexe neles
+const LOCAL_FINAL_STATUSES = ['refunded', 'cancelled', 'credited'];
+
 // -----------------------------------------------------------------------------
 // Helpers
 // -----------------------------------------------------------------------------
 
 async function finalizeDrawIfComplete(drawId) {
-  await query('BEGIN');
   try {
-    await query('SELECT pg_advisory_xact_lock(911001)');
-
-    const cur = await query(
-      `SELECT id, status, closed_at
-         FROM draws
-        WHERE id = $1
-        FOR UPDATE`,
-      [drawId]
-    );
-    if (!cur.rows.length) {
-      await query('ROLLBACK');
-      return;
-    }
-
-    const cnt = await query(
-      `SELECT COUNT(*)::int AS sold
-         FROM numbers
-        WHERE draw_id = $1 AND status = 'sold'`,
-      [drawId]
-    );
-    const sold = cnt.rows[0]?.sold || 0;
+    const closed = await withTransaction(async (tx) => {
+      await tx.query('SELECT pg_advisory_xact_lock(911001)');
+
+      const cur = await tx.query(
+        `SELECT id, status, closed_at, total_numbers
+           FROM draws
+          WHERE id = $1
+          FOR UPDATE`,
+        [drawId]
+      );
+      if (!cur.rows.length) return false;
 
-    if (sold === 100) {
-      await query(
-        `UPDATE draws
-            SET status = 'closed',
-                closed_at = COALESCE(closed_at, NOW())
-          WHERE id = $1`,
+      const cnt = await tx.query(
+        `SELECT COUNT(*)::int AS sold
+           FROM numbers
+          WHERE draw_id = $1 AND status = 'sold'`,
         [drawId]
       );
+      const sold = cnt.rows[0]?.sold || 0;
+      if (sold < normalizeTotal(cur.rows[0].total_numbers)) return false;
 
-      // Removido: criação automática de um "draw aberto global".
-      // O próximo draw deve ser criado pelo fluxo específico do infoproduto
-      // (ex.: /api/infoproducts/:id/ensure-open-draw).
-    }
+      const tr = await transitionDraw(tx, drawId, 'closed', { actor: 'system', reason: 'esgotado' });
+
+      // congela o snapshot da prova pública (não muda depois)
+      if (tr.ok) await createDrawSnapshot(drawId, tx);
+      return tr.ok;
+    });
 
-    await query('COMMIT');
+    // próximo draw do infoproduto (se rollover_auto_open)
+    if (closed) rolloverDrawInBackground(drawId);
   } catch (e) {
-    try { await query('ROLLBACK'); } catch {}
     console.error('[finalizeDrawIfComplete] error:', e);
   }
 }
 
-async function settleApprovedPayment(id, drawId, numbers) {
-  await query(
-    `UPDATE numbers
-        SET status = 'sold',
-            reservation_id = NULL
-      WHERE draw_id = $1
-        AND n = ANY($2)`,
-    [drawId, numbers]
-  );
+/**
+ * Liquida o pagamento aprovado: cada linha (pagamento antigo ou item do
+ * carrinho) vira 'sold' no seu próprio draw. Números que já são de outro
+ * (PIX aprovado depois da reserva vencer) viram payment_conflicts e seguem
+ * late_pix_policy. Retorna os draws tocados.
+ */
+async function settleApprovedPayment(id) {
+  return withTransaction(async (tx) => {
+    // trava o payment antes de ler as linhas: webhook e reconciliação do
+    // mesmo pagamento liquidam um depois do outro, não juntos
+    const p = await tx.query(`SELECT id, user_id, guest_id FROM payments WHERE id = $1 FOR UPDATE`, [String(id)]);
+    const lines = await getPaymentLines(tx, id);
+
+    const byDraw = new Map();
+    for (const l of lines) {
+      const { numbers } = await settleLineConflicts(tx, p.rows[0], l);
+      const list = byDraw.get(l.draw_id) || [];
+      list.push(...numbers);
+      byDraw.set(l.draw_id, list);
+    }
 
-  await query(
-    `UPDATE reservations
-        SET status = 'paid'
-      WHERE payment_id = $1`,
-    [id]
+    for (const [drawId, numbers] of byDraw) {
+      await tx.query(
+        `UPDATE numbers
+            SET status = 'sold',
+                reservation_id = NULL
+          WHERE draw_id = $1
+            AND n = ANY($2)`,
+        [drawId, numbers]
+      );
+      await publishNumbers(tx, drawId, numbers, 'sold', { ownerUserId: p.rows[0]?.user_id });
+    }
+
+    await tx.query(
+      `UPDATE reservations
+          SET status = 'paid'
+        WHERE payment_id = $1`,
+      [String(id)]
+    );
+    await tx.query(
+      `UPDATE payment_items
+          SET settled_at = COALESCE(settled_at, now())
+        WHERE payment_id = $1`,
+      [String(id)]
+    );
+
+    return [...byDraw.keys()];
+  });
+}
+
+/** Liquida, resolve conflitos (estorno/aviso) e fecha os draws que esgotaram. */
+async function settleAndFinalize(id) {
+  const drawIds = await settleApprovedPayment(id);
+  await finishPaymentConflicts(id);
+  for (const drawId of drawIds) await finalizeDrawIfComplete(drawId);
+  return drawIds;
+}
+
+/**
+ * Consulta o pagamento no provedor que o criou, grava o status e liquida se
+ * aprovado. Lança se o provedor falhar (o evento do webhook volta para a fila).
+ * Payment já encerrado aqui (LOCAL_FINAL_STATUSES) fica como está.
+ */
+async function syncPaymentFromProvider(paymentId) {
+  const provider = await providerOfPayment(paymentId);
+  const body = await getPayment(paymentId, { provider });
+
+  const id = String(body?.id || paymentId);
+  const status = String(body?.status || '').toLowerCase();
+
+  const up = await query(
+    `UPDATE payments
+        SET status = $2,
+            paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
+      WHERE id = $1
+        AND lower(COALESCE(status, '')) <> ALL($3::text[])`,
+    [id, status, LOCAL_FINAL_STATUSES]
   );
+  if (!up.rowCount) {
+    // já encerrado localmente (ou desconhecido): vale o status gravado
+    const cur = await query(`SELECT status FROM payments WHERE id = $1`, [id]);
+    if (cur.rowCount) return { id, status: String(cur.rows[0].status || '').toLowerCase(), known: true, draws: [] };
+    return { id, status, known: false, draws: [] };
+  }
+
+  let draws = [];
+  if (status === 'approved') draws = await settleAndFinalize(id);
+  return { id, status, known: true, draws };
+}
+
+// notificações <provedor>/payment da fila webhook_events
+for (const provider of ['mercadopago', 'fake']) {
+  registerWebhookHandler(provider, 'payment', (ev) => syncPaymentFromProvider(ev.resource_id));
 }
 
 /* ============================================================================
    >>> ADIÇÃO: Reconciliação automática de PIX pendentes <<<
    - Throttle por tempo (para não sobrecarregar)
-   - Varrendo apenas pagamentos com draw_id (reservas de números)
+   - Varrendo apenas pagamentos com números (draw_id ou itens de carrinho)
    - Atualiza payments.status / numbers / reservations e finaliza draw
-   - Disparo oportunista em todas as rotas deste router (router.use)
-   - Opcional: timer por intervalo (AUTO_RECONCILE_INTERVAL_MS)
+   - Disparado pelo job reconcile_payments (AUTO_RECONCILE_INTERVAL_MS)
    ========================================================================== */
 
 const RECONCILE_MIN_INTERVAL_MS   = Number(process.env.RECONCILE_MIN_INTERVAL_MS || 45000); // 45s
 const RECONCILE_LOOKBACK_MINUTES  = Number(process.env.RECONCILE_LOOKBACK_MINUTES || 1440); // 24h
 const RECONCILE_BATCH_MAX         = Number(process.env.RECONCILE_BATCH_MAX || 25);
-const AUTO_RECONCILE_INTERVAL_MS  = Number(process.env.AUTO_RECONCILE_INTERVAL_MS || 0);   // 0 = desliga
 
 let _reconLastAt = 0;
 let _reconInFlight = false;
@@ -119,40 +211,23 @@ export async function kickReconcilePendingPayments(force = false) {
     const { rows } = await query(
       `SELECT id
          FROM payments
-        WHERE draw_id IS NOT NULL
+        WHERE (draw_id IS NOT NULL
+               OR EXISTS (SELECT 1 FROM payment_items i WHERE i.payment_id = payments.id))
           AND lower(status) NOT IN ('approved','paid','pago')
+          AND lower(status) <> ALL($3::text[])
           AND COALESCE(created_at, now()) >= NOW() - ($1::int || ' minutes')::interval
         ORDER BY created_at DESC
         LIMIT $2`,
-      [RECONCILE_LOOKBACK_MINUTES, RECONCILE_BATCH_MAX]
+      [RECONCILE_LOOKBACK_MINUTES, RECONCILE_BATCH_MAX, LOCAL_FINAL_STATUSES]
     );
 
     let scanned = rows.length, updated = 0, approved = 0, failed = 0;
 
     for (const { id } of rows) {
       try {
-        const resp = await mpPayment.get({ id: String(id) });
-        const body = resp?.body || resp;
-        const st = String(body?.status || '').toLowerCase();
-
-        await query(
-          `UPDATE payments
-              SET status = $2,
-                  paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-            WHERE id = $1`,
-          [id, st]
-        );
+        const r = await syncPaymentFromProvider(id);
         updated++;
-
-        if (st === 'approved') {
-          const pr = await query(`SELECT draw_id, numbers FROM payments WHERE id = $1`, [id]);
-          if (pr.rows.length) {
-            const { draw_id, numbers } = pr.rows[0];
-            await settleApprovedPayment(id, draw_id, numbers);
-            await finalizeDrawIfComplete(draw_id);
-            approved++;
-          }
-        }
+        if (r.status === 'approved') approved++;
       } catch (e) {
         failed++;
         console.warn('[payments:auto-reconcile] error for', id, e?.message || e);
@@ -168,26 +243,6 @@ export async function kickReconcilePendingPayments(force = false) {
   }
 }
 
-// dispara reconciliação em segundo plano a cada hit neste router
-router.use((req, res, next) => {
-  if (process.env.AUTO_RECONCILE_ON_HIT !== 'false') {
-    kickReconcilePendingPayments().catch((e) =>
-      console.warn('[payments:auto-reconcile on hit]', e?.message || e)
-    );
-  }
-  next();
-});
-
-// timer opcional por intervalo (desligado por padrão)
-if (AUTO_RECONCILE_INTERVAL_MS > 0) {
-  const t = setInterval(() => {
-    kickReconcilePendingPayments().catch((e) =>
-      console.warn('[payments:auto-reconcile timer]', e?.message || e)
-    );
-  }, AUTO_RECONCILE_INTERVAL_MS);
-  // evitar manter o processo vivo só por causa do timer
-  if (typeof t.unref === 'function') t.unref();
-}
 /* ============================ FIM DA ADIÇÃO ============================ */
 
 // -----------------------------------------------------------------------------
@@ -197,37 +252,45 @@ if (AUTO_RECONCILE_INTERVAL_MS > 0) {
 /**
  * POST /api/payments/pix
  * Body: { reservationId }
- * Auth: Bearer
+ * Auth: Bearer ou X-Guest-Token (convidado: só a reserva dele)
  */
-router.post('/pix', requireAuth, async (req, res) => {
-  console.log('[payments/pix] user=', req.user?.id, 'body=', req.body);
+router.post('/pix', requireUserOrGuest, async (req, res) => {
+  console.log('[payments/pix] user=', req.user?.id, 'guest=', req.guest?.id, 'body=', req.body);
   try {
-    if (!req.user?.id) return res.status(401).json({ error: 'unauthorized' });
-
     const { reservationId } = req.body || {};
     if (!reservationId) {
       return res.status(400).json({ error: 'missing_reservation' });
     }
 
-    await query(
-      `UPDATE reservations
-          SET user_id = $2
-        WHERE id = $1
-          AND user_id IS NULL`,
-      [reservationId, req.user.id]
-    );
+    // reserva sem dono (legado) passa a ser do usuário; as de convidado não
+    if (req.user?.id) {
+      await query(
+        `UPDATE reservations
+            SET user_id = $2
+          WHERE id = $1
+            AND user_id IS NULL
+            AND guest_id IS NULL`,
+        [reservationId, req.user.id]
+      );
+    }
 
     const r = await query(
-      `SELECT r.id, r.user_id, r.draw_id, r.numbers, r.status, r.expires_at,
-              u.email AS user_email, u.name AS user_name
+      `SELECT r.id, r.user_id, r.guest_id, r.draw_id, r.numbers, r.status, r.expires_at,
+              u.email AS user_email, u.name AS user_name, d.total_numbers,
+              g.email AS guest_email, g.name AS guest_name, g.cpf AS guest_cpf
          FROM reservations r
     LEFT JOIN users u ON u.id = r.user_id
+    LEFT JOIN guests g ON g.id = r.guest_id
+    LEFT JOIN draws d ON d.id = r.draw_id
         WHERE r.id = $1`,
       [reservationId]
     );
     if (!r.rows.length) return res.status(404).json({ error: 'reservation_not_found' });
 
     const rs = r.rows[0];
+    if (!req.user && Number(rs.guest_id) !== req.guest.id) {
+      return res.status(404).json({ error: 'reservation_not_found' });
+    }
 
     if (rs.status !== 'active') return res.status(400).json({ error: 'reservation_not_active' });
     if (new Date(rs.expires_at).getTime() < Date.now()) {
@@ -235,54 +298,48 @@ router.post('/pix', requireAuth, async (req, res) => {
     }
 
     const priceCents = await getTicketPriceCents();
-    const amount = Number(((rs.numbers.length * priceCents) / 100).toFixed(2));
 
     const description = `Sorteio New Store - números ${rs.numbers
-      .map((n) => n.toString().padStart(2, '0'))
+      .map((n) => formatNumber(n, rs.total_numbers))
       .join(', ')}`;
 
     const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
     const notification_url = `${baseUrl}/api/payments/webhook`;
 
-    const payerEmail = rs.user_email || req.user?.email || 'comprador@example.com';
+    const payerEmail = rs.user_email || rs.guest_email || req.user?.email || 'comprador@example.com';
+    const payer = { email: payerEmail };
+    if (!rs.user_id && rs.guest_cpf) {
+      payer.name = rs.guest_name;
+      payer.identification = { type: 'CPF', number: rs.guest_cpf };
+    }
 
-    const mpResp = await mpPayment.create({
-      body: {
-        transaction_amount: amount,
-        description,
-        payment_method_id: 'pix',
-        payer: { email: payerEmail },
-        external_reference: String(reservationId),
-        notification_url,
-        date_of_expiration: new Date(Date.now() + PIX_EXP_MIN * 60 * 1000).toISOString()
-      },
-      requestOptions: { idempotencyKey: uuidv4() },
+    const { id, status, qr_code, qr_code_base64 } = await createPix({
+      amount_cents: rs.numbers.length * priceCents,
+      description,
+      payer,
+      external_reference: String(reservationId),
+      notification_url,
+      expires_minutes: PIX_EXP_MIN,
     });
 
-    const body = mpResp?.body || mpResp;
-    const { id, status, point_of_interaction } = body || {};
-    const td = point_of_interaction?.transaction_data || {};
-
-    let { qr_code, qr_code_base64 } = td;
-    if (typeof qr_code_base64 === 'string') qr_code_base64 = qr_code_base64.replace(/\s+/g, '');
-    if (typeof qr_code === 'string') qr_code = qr_code.trim();
-
     await query(
-      `INSERT INTO payments (id, user_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      `INSERT INTO payments (id, user_id, guest_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64, provider)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
        ON CONFLICT (id) DO UPDATE
          SET status = EXCLUDED.status,
              qr_code = COALESCE(EXCLUDED.qr_code, payments.qr_code),
              qr_code_base64 = COALESCE(EXCLUDED.qr_code_base64, payments.qr_code_base64)`,
       [
         String(id),
-        rs.user_id || req.user.id,
+        rs.user_id || req.user?.id || null,
+        rs.guest_id || null,
         rs.draw_id,
         rs.numbers,
         rs.numbers.length * priceCents,
         status,
         qr_code || null,
         qr_code_base64 || null,
+        paymentProviderName(),
       ]
     );
 
@@ -295,75 +352,395 @@ router.post('/pix', requireAuth, async (req, res) => {
   }
 });
 
+const CART_ERROR_STATUS = {
+  empty_cart: 400,
+  reservation_not_found: 404,
+  reservation_not_active: 400,
+  reservation_expired: 400,
+  infoproduct_not_found: 404,
+  cart_amount_invalid: 400,
+  reservation_has_payment: 409,
+  reservation_in_checkout: 409,
+};
+
 /**
- * GET /api/payments/:id/status
- * Auth: Bearer
+ * Monta o carrinho e abre a intenção de checkout (reservas travadas só
+ * durante esta transação). Retorna { cart, intent, replay } ou
+ * { status, body } para responder direto.
  */
-router.get('/:id/status', requireAuth, async (req, res) => {
+async function openCartCheckout(method, { reservationIds, infoproducts, owner, salt }) {
+  return withTransaction(async (tx) => {
+    const cart = await buildCartLines(tx, { reservationIds, infoproducts, owner });
+    if (!cart.error && cart.amount_cents <= 0) cart.error = 'cart_amount_invalid';
+    const opened = cart.error ? cart : await openCheckoutIntent(tx, { method, owner, cart, salt });
+    if (opened.error) {
+      const { error, ...extra } = opened;
+      return tx.rollback({ status: CART_ERROR_STATUS[error] || 400, body: { error, ...extra } });
+    }
+    return { cart, intent: opened.intent, replay: opened.replay };
+  });
+}
+
+/** Descrição do pedido para o provedor ("Sorteio(s) 3, 7 + 1 e-book(s)"). */
+function cartDescription(lines) {
+  const draws = [...new Set(lines.filter((l) => l.kind === 'numbers').map((l) => l.draw_id))];
+  const books = lines.filter((l) => l.kind === 'infoproduct').length;
+  return [
+    draws.length ? `Sorteio(s) ${draws.join(', ')}` : null,
+    books ? `${books} e-book(s)` : null,
+  ].filter(Boolean).join(' + ');
+}
+
+/**
+ * Grava o payment criado no provedor com os itens do carrinho e fecha a
+ * intenção. `holdReservations` = false (cartão recusado) deixa as reservas
+ * livres para outra tentativa. Reexecutar com o mesmo payment não duplica.
+ */
+async function recordCartPayment(intent, cart, row, { holdReservations = true } = {}) {
+  await withTransaction(async (tx) => {
+    // draw_id NULL: os números ficam nos itens (view payment_lines)
+    await tx.query(
+      `INSERT INTO payments (id, user_id, guest_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64,
+                             method, provider, paid_at)
+       VALUES ($1,$2,$3,NULL,'{}',$4,$5,$6,$7,$8,$9, CASE WHEN $5 = 'approved' THEN NOW() END)
+       ON CONFLICT (id) DO NOTHING`,
+      [
+        row.id,
+        intent.user_id || null,
+        intent.guest_id || null,
+        cart.amount_cents,
+        row.status,
+        row.qr_code || null,
+        row.qr_code_base64 || null,
+        row.method || null,
+        paymentProviderName(),
+      ]
+    );
+    const known = await tx.query(`SELECT 1 FROM payment_items WHERE payment_id = $1 LIMIT 1`, [row.id]);
+    if (!known.rowCount) await insertPaymentItems(tx, row.id, cart.lines);
+
+    const resIds = cart.lines.filter((l) => l.reservation_id).map((l) => String(l.reservation_id));
+    if (resIds.length && holdReservations) {
+      await tx.query(
+        `UPDATE reservations SET payment_id = $2 WHERE id::text = ANY($1::text[])`,
+        [resIds, row.id]
+      );
+    }
+    await completeCheckoutIntent(tx, intent.id, row.id);
+  });
+}
+
+/**
+ * POST /api/payments/cart
+ * Body: { reservationIds: [uuid], infoproducts?: [{ id } | { sku }] }
+ * Um único PIX para reservas de vários draws (+ e-books). Cada reserva vira
+ * um item em payment_items e é liquidada no seu draw quando o PIX aprova.
+ * Repetir o mesmo carrinho devolve o PIX já criado; reserva com outro PIX
+ * em aberto → 409 reservation_has_payment.
+ * Auth: Bearer ou X-Guest-Token (convidado: só as reservas dele)
+ */
+router.post('/cart', requireUserOrGuest, async (req, res) => {
   try {
-    const { id } = req.params;
-    const resp = await mpPayment.get({ id: String(id) });
-    const body = resp?.body || resp;
+    const reservationIds = Array.isArray(req.body?.reservationIds) ? req.body.reservationIds : [];
+    const infoproducts = Array.isArray(req.body?.infoproducts) ? req.body.infoproducts : [];
+    const owner = req.user ? { userId: req.user.id } : { guestId: req.guest.id };
 
-    await query(`UPDATE payments SET status = $2 WHERE id = $1`, [id, body.status]);
+    const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    const notification_url = `${baseUrl}/api/payments/webhook`;
 
-    if (String(body.status).toLowerCase() === 'approved') {
-      const pr = await query(`SELECT draw_id, numbers FROM payments WHERE id = $1`, [id]);
-      if (pr.rows.length) {
-        const { draw_id, numbers } = pr.rows[0];
+    const opened = await openCartCheckout('pix', { reservationIds, infoproducts, owner });
+    if (opened.status) return res.status(opened.status).json(opened.body);
+    const { cart, intent } = opened;
 
-        await settleApprovedPayment(id, draw_id, numbers);
-        await finalizeDrawIfComplete(draw_id);
-      }
+    if (opened.replay) {
+      const p = await query(
+        `SELECT id, status, qr_code, qr_code_base64 FROM payments WHERE id = $1`,
+        [intent.payment_id]
+      );
+      const row = p.rows[0] || {};
+      return res.json({
+        paymentId: String(intent.payment_id),
+        status: row.status,
+        amount_cents: cart.amount_cents,
+        qr_code: row.qr_code,
+        qr_code_base64: row.qr_code_base64,
+        items: cart.lines,
+      });
     }
 
-    return res.json({ id, status: body.status });
+    let payer = { email: req.user?.email || 'comprador@example.com' };
+    if (!req.user) {
+      const g = await getGuest(req.guest.id);
+      payer = {
+        email: g?.email || payer.email,
+        name: g?.name,
+        identification: g?.cpf ? { type: 'CPF', number: g.cpf } : undefined,
+      };
+    }
+
+    // fora da transação: nenhuma reserva fica travada esperando o provedor
+    let pix;
+    try {
+      pix = await createPix({
+        amount_cents: cart.amount_cents,
+        description: `New Store - ${cartDescription(cart.lines)}`,
+        payer,
+        external_reference: `cart:${intent.id}`,
+        notification_url,
+        expires_minutes: PIX_EXP_MIN,
+        idempotencyKey: intent.idempotency_key,
+      });
+    } catch (e) {
+      await releaseCheckoutIntent(intent.id, e);
+      throw e;
+    }
+
+    const { id, status, qr_code, qr_code_base64 } = pix;
+    await recordCartPayment(intent, cart, { id: String(id), status, qr_code, qr_code_base64 });
+
+    return res.json({
+      paymentId: String(id),
+      status,
+      amount_cents: cart.amount_cents,
+      qr_code,
+      qr_code_base64,
+      items: cart.lines,
+    });
   } catch (e) {
-    console.error('[status] error:', e);
-    return res.status(500).json({ error: 'status_failed' });
+    console.error('[payments/cart] error:', e);
+    return res.status(500).json({ error: 'cart_failed' });
   }
 });
 
 /**
- * POST /api/payments/webhook
- * Body: evento do Mercado Pago
+ * Salva o cartão do checkout no perfil de autopay do usuário (mesmo fluxo de
+ * POST /api/me/autopay). Não mexe em active nem nos números do perfil.
+ * `card_token` é o segundo token do front: o da cobrança é de uso único.
  */
-router.post('/webhook', async (req, res) => {
+async function saveCheckoutCard(user, { card_token, holder_name, doc_number }) {
+  const saved = await saveCard({ user, doc_number, name: holder_name, card_token });
+  await query(
+    `INSERT INTO autopay_profiles (user_id, holder_name, doc_number, mp_customer_id, mp_card_id, brand, last4, provider)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     ON CONFLICT (user_id) DO UPDATE
+       SET holder_name = EXCLUDED.holder_name,
+           doc_number = EXCLUDED.doc_number,
+           mp_customer_id = EXCLUDED.mp_customer_id,
+           mp_card_id = EXCLUDED.mp_card_id,
+           brand = EXCLUDED.brand,
+           last4 = EXCLUDED.last4,
+           provider = EXCLUDED.provider,
+           updated_at = now()`,
+    [user.id, holder_name, doc_number, saved.customerId, saved.cardId, saved.brand, saved.last4, paymentProviderName()]
+  );
+  return { brand: saved.brand || null, last4: saved.last4 || null };
+}
+
+/**
+ * POST /api/payments/card
+ * Body: { reservationId? | reservationIds?: [uuid], infoproducts?: [{ id } | { sku }],
+ *         card_token, payment_method_id?, issuer_id?, installments?: 1..CARD_MAX_INSTALLMENTS,
+ *         doc_number?, holder_name?, save_card?: bool, save_card_token? }
+ * Cartão avulso (token do front) para reservas e/ou e-books: mesmos itens e
+ * liquidação do carrinho PIX, com a mesma intenção de checkout (cobrança
+ * fora da transação; repetir o pedido com o mesmo card_token devolve a
+ * mesma cobrança).
+ *  - approved   → liquida na hora (200)
+ *  - pending/in_process → 202; com 3DS (pending_challenge) devolve three_ds
+ *    para o front abrir o desafio. O webhook/reconciliação liquida depois
+ *  - rejected   → 402 card_rejected (reservas continuam ativas)
+ * save_card (só usuário logado; exige holder_name, doc_number e um segundo
+ * token do mesmo cartão em save_card_token) guarda o cartão para o autopay
+ * antes de cobrar; se falhar → 502 card_save_failed e nada é cobrado.
+ * Auth: Bearer ou X-Guest-Token (convidado: só as reservas dele)
+ */
+router.post('/card', requireUserOrGuest, async (req, res) => {
   try {
-    const paymentId = req.body?.data?.id || req.query?.id || req.body?.id;
-    const type = req.body?.type || req.query?.type;
+    const body = req.body || {};
+    const reservationIds = Array.isArray(body.reservationIds)
+      ? body.reservationIds
+      : body.reservationId
+        ? [body.reservationId]
+        : [];
+    const infoproducts = Array.isArray(body.infoproducts) ? body.infoproducts : [];
+    const owner = req.user ? { userId: req.user.id } : { guestId: req.guest.id };
+
+    const cardToken = body.card_token ? String(body.card_token) : null;
+    if (!cardToken) return res.status(400).json({ error: 'missing_card_token' });
+
+    const installments = body.installments != null ? Number(body.installments) : 1;
+    if (!Number.isInteger(installments) || installments < 1 || installments > CARD_MAX_INSTALLMENTS) {
+      return res.status(400).json({ error: 'invalid_installments', max: CARD_MAX_INSTALLMENTS });
+    }
 
-    if (type && type !== 'payment') return res.sendStatus(200);
-    if (!paymentId) return res.sendStatus(200);
+    const docNumber = String(body.doc_number || '').replace(/\D+/g, '').slice(0, 18);
+    const holderName = String(body.holder_name || '').slice(0, 120);
+    const wantSave = !!body.save_card;
+    const saveToken = body.save_card_token ? String(body.save_card_token) : null;
+    if (wantSave && !req.user) return res.status(400).json({ error: 'save_card_requires_login' });
+    if (wantSave && (!holderName || !docNumber)) {
+      return res.status(400).json({ error: 'missing_holder_or_doc' });
+    }
+    if (wantSave && (!saveToken || saveToken === cardToken)) {
+      return res.status(400).json({ error: 'missing_save_card_token' });
+    }
 
-    const resp = await mpPayment.get({ id: String(paymentId) });
-    const body = resp?.body || resp;
+    const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    const notification_url = `${baseUrl}/api/payments/webhook`;
 
-    const id = String(body.id);
-    const status = body.status;
+    // cada card_token é uma tentativa: repetir o mesmo pedido não cobra de novo
+    const opened = await openCartCheckout('card', { reservationIds, infoproducts, owner, salt: cardToken });
+    if (opened.status) return res.status(opened.status).json(opened.body);
+    const { cart, intent } = opened;
+
+    let card;
+    let savedCard = null;
+    if (opened.replay) {
+      const p = await query(`SELECT id, status FROM payments WHERE id = $1`, [intent.payment_id]);
+      card = { id: String(intent.payment_id), status: p.rows[0]?.status, status_detail: null, three_ds: null };
+    } else {
+      const g = req.user ? null : await getGuest(req.guest.id);
+      const payer = {
+        email: req.user?.email || g?.email || 'comprador@example.com',
+        name: holderName || req.user?.name || g?.name || undefined,
+      };
+      const doc = docNumber || g?.cpf || null;
+      if (doc) payer.identification = { type: String(doc).length > 11 ? 'CNPJ' : 'CPF', number: String(doc) };
+
+      if (wantSave) {
+        try {
+          savedCard = await saveCheckoutCard(req.user, {
+            card_token: saveToken,
+            holder_name: holderName,
+            doc_number: docNumber,
+          });
+        } catch (e) {
+          console.warn('[payments/card] falha ao salvar cartão:', e?.message || e);
+          await releaseCheckoutIntent(intent.id, e);
+          return res.status(502).json({ error: 'card_save_failed', message: e?.message || String(e) });
+        }
+      }
 
-    await query(
-      `UPDATE payments
-          SET status = $2,
-              paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-        WHERE id = $1`,
-      [id, status]
-    );
+      // fora da transação: nenhuma reserva fica travada esperando o provedor
+      try {
+        card = await createCardPayment({
+          amount_cents: cart.amount_cents,
+          card_token: cardToken,
+          installments,
+          payment_method_id: body.payment_method_id ? String(body.payment_method_id) : undefined,
+          issuer_id: body.issuer_id != null ? String(body.issuer_id) : undefined,
+          payer,
+          description: `New Store - ${cartDescription(cart.lines)}`,
+          external_reference: `card:${intent.id}`,
+          notification_url,
+          metadata: { kind: 'card_checkout', user_id: req.user?.id || null, guest_id: req.guest?.id || null },
+          binary_mode: CARD_BINARY_MODE,
+          idempotencyKey: intent.idempotency_key,
+        });
+      } catch (e) {
+        await releaseCheckoutIntent(intent.id, e);
+        throw e;
+      }
 
-    if (String(status).toLowerCase() === 'approved') {
-      const pr = await query(`SELECT draw_id, numbers FROM payments WHERE id = $1`, [id]);
-      if (pr.rows.length) {
-        const { draw_id, numbers } = pr.rows[0];
+      // recusado: reservas seguem livres para outra tentativa (PIX ou outro cartão)
+      await recordCartPayment(intent, cart, { id: card.id, status: card.status, method: 'card' }, {
+        holdReservations: !['rejected', 'cancelled'].includes(card.status),
+      });
+    }
+    if (card.status === 'rejected' || card.status === 'cancelled') {
+      return res.status(402).json({
+        error: 'card_rejected',
+        paymentId: card.id,
+        status: card.status,
+        status_detail: card.status_detail,
+      });
+    }
 
-        await settleApprovedPayment(id, draw_id, numbers);
-        await finalizeDrawIfComplete(draw_id);
-      }
+    if (card.status === 'approved' && !opened.replay) await settleAndFinalize(card.id);
+
+    return res.status(card.status === 'approved' ? 200 : 202).json({
+      paymentId: card.id,
+      status: card.status,
+      status_detail: card.status_detail,
+      three_ds: card.three_ds,
+      amount_cents: cart.amount_cents,
+      installments,
+      items: cart.lines,
+      card_saved: savedCard,
+    });
+  } catch (e) {
+    console.error('[payments/card] error:', e);
+    return res.status(500).json({ error: 'card_failed' });
+  }
+});
+
+/**
+ * GET /api/payments/:id/status
+ * Auth: Bearer ou X-Guest-Token (convidado: só o pagamento dele)
+ */
+router.get('/:id/status', requireUserOrGuest, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!req.user) {
+      const own = await query(`SELECT 1 FROM payments WHERE id = $1 AND guest_id = $2`, [
+        String(id),
+        req.guest.id,
+      ]);
+      if (!own.rowCount) return res.status(404).json({ error: 'payment_not_found' });
     }
+    const { status } = await syncPaymentFromProvider(id);
+    return res.json({ id, status });
+  } catch (e) {
+    console.error('[status] error:', e);
+    return res.status(500).json({ error: 'status_failed' });
+  }
+});
 
+/**
+ * POST /api/payments/webhook
+ * Body: evento do Mercado Pago. Confere x-signature/x-request-id
+ * (MP_WEBHOOK_SECRET), grava em webhook_events e processa fora da requisição.
+ * Assinatura inválida → 401 (só no log, não entra em webhook_events).
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const dataId = req.query?.['data.id'] || req.body?.data?.id || req.query?.id || req.body?.id || null;
+    const topic = String(req.body?.type || req.query?.type || req.query?.topic || 'payment');
+    const action = req.body?.action || null;
+    const requestId = req.get('x-request-id') || null;
+
+    const sig = verifyMpSignature(req.headers, dataId);
+    if (!sig.ok) {
+      // só log: gravar cada requisição sem assinatura deixaria qualquer um
+      // encher webhook_events
+      console.warn('[webhook] rejeitado:', sig.error, 'id=', dataId, 'request_id=', requestId, 'ip=', req.ip);
+      return res.status(401).json({ error: sig.error });
+    }
+    if (!dataId) return res.sendStatus(200);
+
+    // o MP reentrega a mesma notificação com o mesmo x-request-id
+    const ev = await recordWebhookEvent({
+      provider: 'mercadopago',
+      dedupKey: requestId ? `req:${requestId}` : `${topic}:${dataId}:${action || ''}`,
+      topic,
+      action,
+      resourceId: dataId,
+      requestId,
+      signatureValid: sig.verified,
+      payload: req.body,
+    });
+
+    if (!ev.duplicate) {
+      setImmediate(() => {
+        processWebhookEvents({ id: ev.id, limit: 1 }).catch((e) =>
+          console.warn('[webhook] processamento adiado:', e?.message || e)
+        );
+      });
+    }
     return res.sendStatus(200);
   } catch (e) {
     console.error('[webhook] error:', e);
-    return res.sendStatus(200);
+    return res.sendStatus(500); // o MP reentrega
   }
 });
 
@@ -406,36 +783,18 @@ router.post('/reconcile', requireAuth, async (req, res) => {
       `SELECT id
          FROM payments
         WHERE lower(status) NOT IN ('approved','paid','pago')
+          AND lower(status) <> ALL($2::text[])
           AND COALESCE(created_at, now()) >= NOW() - ($1::int || ' minutes')::interval`,
-      [minutes]
+      [minutes, LOCAL_FINAL_STATUSES]
     );
 
     let scanned = rows.length, updated = 0, approved = 0, failed = 0;
 
     for (const { id } of rows) {
       try {
-        const resp = await mpPayment.get({ id: String(id) });
-        const body = resp?.body || resp;
-        const st = String(body?.status || '').toLowerCase();
-
-        await query(
-          `UPDATE payments
-              SET status = $2,
-                  paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-            WHERE id = $1`,
-          [id, st]
-        );
+        const r = await syncPaymentFromProvider(id);
         updated++;
-
-        if (st === 'approved') {
-          const pr = await query(`SELECT draw_id, numbers FROM payments WHERE id = $1`, [id]);
-          if (pr.rows.length) {
-            const { draw_id, numbers } = pr.rows[0];
-            await settleApprovedPayment(id, draw_id, numbers);
-            await finalizeDrawIfComplete(draw_id);
-            approved++;
-          }
-        }
+        if (r.status === 'approved') approved++;
       } catch (e) {
         failed++;
         console.warn('[reconcile] error for id', id, e?.message || e);
@@ -449,45 +808,6 @@ router.post('/reconcile', requireAuth, async (req, res) => {
   }
 });
 
-/**
- * POST /api/payments/webhook/replay
- * Body: { id: string }  // paymentId
- */
-router.post('/webhook/replay', requireAuth, async (req, res) => {
-  try {
-    const paymentId = req.body?.id || req.body?.paymentId;
-    if (!paymentId) return res.status(400).json({ error: 'missing_id' });
-
-    const resp = await mpPayment.get({ id: String(paymentId) });
-    const body = resp?.body || resp;
-
-    const id = String(body?.id || paymentId);
-    const status = String(body?.status || '').toLowerCase();
-
-    await query(
-      `UPDATE payments
-          SET status = $2,
-              paid_at = CASE WHEN $2 = 'approved' THEN NOW() ELSE paid_at END
-        WHERE id = $1`,
-      [id, status]
-    );
-
-    if (status === 'approved') {
-      const pr = await query(`SELECT draw_id, numbers FROM payments WHERE id = $1`, [id]);
-      if (pr.rows.length) {
-        const { draw_id, numbers } = pr.rows[0];
-        await settleApprovedPayment(id, draw_id, numbers);
-        await finalizeDrawIfComplete(draw_id);
-      }
-    }
-
-    return res.json({ id, status });
-  } catch (e) {
-    console.error('[webhook/replay] error:', e);
-    return res.status(500).json({ error: 'replay_failed' });
-  }
-});
-
 /**
  * POST /api/payments/infoproduct
  * Body: { infoproduct_id?: number, infoproduct_sku?: string }
@@ -520,9 +840,9 @@ router.post('/infoproduct', requireAuth, async (req, res) => {
     const payerName  = req.user?.name  || undefined;
     if (!payerEmail) return res.status(401).json({ error: 'unauthorized' });
 
-    // cria pagamento PIX no Mercado Pago
-    const mpPix = await createMercadoPagoPreferenceOrPix({
-      title: p.title || 'E-book',
+    // cria pagamento PIX no provedor
+    const mpPix = await createPix({
+      description: p.title || 'E-book',
       amount_cents: p.price_cents,
       metadata: {
         kind: 'infoproduct',
@@ -541,8 +861,8 @@ router.post('/infoproduct', requireAuth, async (req, res) => {
 
     await query(
       `
-      INSERT INTO payments (id, user_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64, created_at)
-      VALUES ($1,  $2,      NULL,   '{}'::smallint[], $3,           $4,     $5,      $6,              NOW())
+      INSERT INTO payments (id, user_id, draw_id, numbers, amount_cents, status, qr_code, qr_code_base64, provider, created_at)
+      VALUES ($1,  $2,      NULL,   '{}'::smallint[], $3,           $4,     $5,      $6,              $7,       NOW())
       ON CONFLICT (id) DO UPDATE
         SET status = EXCLUDED.status,
             qr_code = COALESCE(EXCLUDED.qr_code, payments.qr_code),
@@ -555,6 +875,7 @@ router.post('/infoproduct', requireAuth, async (req, res) => {
         status,
         mpPix.qr_code || null,
         mpPix.qr_code_base64 || null,
+        paymentProviderName(),
       ]
     );
 
@@ -1,7 +1,9 @@
 // backend/src/routes/purchases.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { withTransaction } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
+import { DEFAULT_TOTAL_NUMBERS, populateDrawNumbers } from "../services/drawNumbers.js";
+import { recordDrawCreated } from "../services/drawLifecycle.js";
 
 const router = Router();
 
@@ -19,52 +21,58 @@ router.post("/confirm", requireAuth, async (req, res) => {
   }
 
   try {
-    await query("begin");
-
-    // (1) upsert da compra
-    const { rows: up } = await query(
-      `
-      insert into infoproduct_purchases (user_id, infoproduct_id, payment_id, amount_cents, status, created_at, updated_at)
-      values ($1,$2,$3,0,'approved',now(),now())
-      on conflict (payment_id) do update set status='approved', updated_at=now()
-      returning id, user_id
-      `,
-      [req.user.id, infoproductId, paymentId]
-    );
-    const purchaseId = up[0].id;
+    const result = await withTransaction(async (tx) => {
+      // (1) upsert da compra
+      const { rows: up } = await tx.query(
+        `
+        insert into infoproduct_purchases (user_id, infoproduct_id, payment_id, amount_cents, status, created_at, updated_at)
+        values ($1,$2,$3,0,'approved',now(),now())
+        on conflict (payment_id) do update set status='approved', updated_at=now()
+        returning id, user_id
+        `,
+        [req.user.id, infoproductId, paymentId]
+      );
+      const purchaseId = up[0].id;
 
-    // (2) acha/abre draw 'open' para este e-book
-    const { rows: d } = await query(
-      `select id from draws where infoproduct_id=$1 and status='open' order by id desc limit 1`,
-      [infoproductId]
-    );
-    let drawId = d?.[0]?.id;
-    if (!drawId) {
-      const ins = await query(
-        `insert into draws (infoproduct_id, status, total_numbers, created_at, updated_at)
-         values ($1,'open',100,now(),now())
-         returning id`,
+      // (2) acha/abre draw 'open' para este e-book
+      // lock no infoproduto: duas confirmações simultâneas não abrem dois draws
+      await tx.query(`select id from infoproducts where id=$1 for update`, [infoproductId]);
+      const { rows: d } = await tx.query(
+        `select id from draws where infoproduct_id=$1 and status='open' order by id desc limit 1`,
         [infoproductId]
       );
-      drawId = ins.rows[0].id;
-    }
+      let drawId = d?.[0]?.id;
+      if (!drawId) {
+        const ins = await tx.query(
+          `insert into draws (infoproduct_id, status, total_numbers, created_at, updated_at)
+           values ($1,'open',
+                   coalesce((select default_total_numbers from infoproducts where id=$1), $2),
+                   now(),now())
+           returning id, total_numbers`,
+          [infoproductId, DEFAULT_TOTAL_NUMBERS]
+        );
+        drawId = ins.rows[0].id;
+        await populateDrawNumbers(tx, drawId, ins.rows[0].total_numbers);
+        await recordDrawCreated(tx, drawId, "open", { actor: "system", reason: "purchases/confirm" });
+      }
 
-    // (3) atrela o draw à compra
-    await query(`update infoproduct_purchases set draw_id=$1 where id=$2`, [drawId, purchaseId]);
+      // (3) atrela o draw à compra
+      await tx.query(`update infoproduct_purchases set draw_id=$1 where id=$2`, [drawId, purchaseId]);
+
+      // (4) emite 1 voucher – preenche campos NOT NULL do seu schema
+      await tx.query(
+        `
+        insert into vouchers (user_id, infoproduct_id, payment_id, remaining, created_at, used, draw_id, purchase_id)
+        values ($1, $2, $3, 1, now(), false, $4, $5)
+        `,
+        [req.user.id, infoproductId, paymentId, drawId, purchaseId]
+      );
 
-    // (4) emite 1 voucher – preenche campos NOT NULL do seu schema
-    await query(
-      `
-      insert into vouchers (user_id, infoproduct_id, payment_id, remaining, created_at, used, draw_id, purchase_id)
-      values ($1, $2, $3, 1, now(), false, $4, $5)
-      `,
-      [req.user.id, infoproductId, paymentId, drawId, purchaseId]
-    );
+      return { drawId, purchaseId };
+    });
 
-    await query("commit");
-    res.json({ ok: true, draw_id: drawId, purchase_id: purchaseId, vouchers: 1 });
+    res.json({ ok: true, draw_id: result.drawId, purchase_id: result.purchaseId, vouchers: 1 });
   } catch (e) {
-    await query("rollback");
     console.error("[purchases/confirm] fail:", e);
     res.status(500).json({ error: "confirm_failed" });
   }
@@ -1,42 +1,183 @@
 // backend/src/routes/reservations.js
 import { Router } from 'express';
 import { v4 as uuid } from 'uuid';
-import { query } from '../db.js';
-import { requireAuth } from '../middleware/auth.js';
+import { query, withTransaction } from '../db.js';
+import { requireAuth, optionalAuth, signGuestToken } from '../middleware/auth.js';
+import { parseNumberList } from '../services/drawNumbers.js';
+import { normalizeStatus } from '../services/drawLifecycle.js';
+import { getTicketPriceCents, getMaxNumbersPerSelection } from '../services/config.js';
+import { checkUserLimit, checkGuestLimit, limitOverride } from '../services/purchase_limit.js';
+import { normalizeGuest, createGuest } from '../services/guests.js';
+import { cancelPayment, providerOfPayment } from '../services/paymentProvider.js';
+import { publishNumbers } from '../services/drawEvents.js';
+import { notifyNumbersFreed } from '../services/numberWatch.js';
 
 const router = Router();
 
 /**
- * Expira reservas vencidas (best-effort, fora da transação principal).
- * Mantido para “limpeza geral”; a expiração crítica também acontece
- * dentro da transação ao reservar (garante consistência).
+ * Trava os números alvo (FOR UPDATE), libera os presos por reservas vencidas
+ * e detecta conflitos. Números da própria reserva (`ownReservationId`) não
+ * contam como conflito. Chamar dentro de withTransaction (db = tx).
+ * Retorna { notFound } | { conflicts } | {}.
  */
-async function cleanupExpiredGlobal() {
-  // expira qualquer reserva “bloqueadora” vencida
-  await query(
-    `UPDATE reservations
-        SET status = 'expired'
-      WHERE expires_at IS NOT NULL
-        AND expires_at < NOW()
-        AND lower(coalesce(status,'')) IN ('active','pending','reserved','')`
+async function lockNumbers(db, drawId, nums, ownReservationId = null) {
+  // 1) Lock nos números alvo
+  const check = await db.query(
+    `SELECT n, status, reservation_id
+       FROM numbers
+      WHERE draw_id = $1
+        AND n = ANY($2)
+      FOR UPDATE`,
+    [drawId, nums]
   );
 
-  // libera números que ficaram presos com reservation_id sem reserva ativa
-  await query(
-    `UPDATE numbers n
-        SET status = 'available',
-            reservation_id = NULL
-      WHERE n.status = 'reserved'
-        AND NOT EXISTS (
-              SELECT 1
-                FROM reservations r
-               WHERE r.id = n.reservation_id
-                 AND lower(coalesce(r.status,'')) IN ('active','pending','reserved','')
-            )`
+  // valida existência
+  const foundSet = new Set(check.rows.map((r) => r.n));
+  const notFound = nums.filter((n) => !foundSet.has(n));
+  if (notFound.length) return { notFound };
+
+  // 2) Para cada número “reserved”, se a reserva estiver vencida, libera AGORA
+  const byResId = new Map(); // agrupa números por reservation_id para liberar em lote
+  for (const row of check.rows) {
+    if (row.status === 'reserved' && row.reservation_id && row.reservation_id !== ownReservationId) {
+      const rid = row.reservation_id;
+
+      // lock na reserva para leitura consistente
+      const rsv = await db.query(
+        `SELECT id, status, expires_at
+           FROM reservations
+          WHERE id = $1
+          FOR UPDATE`,
+        [rid]
+      );
+
+      const r = rsv.rows[0];
+      if (r) {
+        const statusLower = String(r.status || '').toLowerCase();
+        const isBlocking = ['active','pending','reserved',''].includes(statusLower);
+        const isExpired = r.expires_at && new Date(r.expires_at).getTime() <= Date.now();
+
+        if (isBlocking && isExpired) {
+          // expira a reserva e marca para liberar seus números
+          await db.query(`UPDATE reservations SET status = 'expired' WHERE id = $1`, [rid]);
+          if (!byResId.has(rid)) byResId.set(rid, []);
+          byResId.get(rid).push(row.n);
+        }
+      }
+    }
+  }
+
+  // libera números presos por reservas expiradas (em lote por reservation_id)
+  for (const [rid, numsOfRid] of byResId) {
+    await db.query(
+      `UPDATE numbers
+          SET status = 'available',
+              reservation_id = NULL
+        WHERE draw_id = $1
+          AND n = ANY($2)
+          AND reservation_id = $3`,
+      [drawId, numsOfRid, rid]
+    );
+  }
+
+  // 3) Números tomados por pagamento aprovado
+  const pays = await db.query(
+    `SELECT numbers
+       FROM payment_lines
+      WHERE draw_id = $1
+        AND lower(status) IN ('approved','paid','pago')`,
+    [drawId]
+  );
+  const paidTaken = new Set();
+  for (const p of pays.rows || []) {
+    for (const n of p.numbers || []) paidTaken.add(Number(n));
+  }
+
+  // 4) Revalida os números (após possíveis liberações) e detecta conflitos
+  const after = await db.query(
+    `SELECT n, status, reservation_id
+       FROM numbers
+      WHERE draw_id = $1
+        AND n = ANY($2)
+      FOR UPDATE`,
+    [drawId, nums]
   );
+
+  const conflicts = [];
+  for (const row of after.rows) {
+    const st = String(row.status).toLowerCase();
+    const own = ownReservationId && row.reservation_id === ownReservationId && st === 'reserved';
+    const isBusy = (!own && st !== 'available') || paidTaken.has(Number(row.n));
+    if (isBusy) conflicts.push(row.n);
+  }
+  return conflicts.length ? { conflicts } : {};
 }
 
-router.post('/', requireAuth, async (req, res) => {
+/**
+ * Draw do body aberto para reservas.
+ * Retorna { draw } ou { status, error } (no_open_draw | draw_deadline_passed).
+ */
+async function loadOpenDraw(drawId) {
+  if (!Number.isFinite(drawId)) return { status: 400, error: 'no_open_draw' };
+  const dr = await query(
+    `SELECT id, status, total_numbers,
+            (closes_at IS NOT NULL AND closes_at <= NOW()) AS deadline_passed
+       FROM draws
+      WHERE id = $1`,
+    [drawId]
+  );
+  if (!dr.rows.length || normalizeStatus(dr.rows[0].status) !== 'open') {
+    return { status: 400, error: 'no_open_draw' };
+  }
+  // prazo vencido: o scheduler vai fechar/prorrogar/cancelar este draw
+  if (dr.rows[0].deadline_passed) return { status: 409, error: 'draw_deadline_passed' };
+  return { draw: dr.rows[0] };
+}
+
+/**
+ * Grava a reserva e marca os números (já travados por lockNumbers) como reserved.
+ * Convidado: userId null e guestId preenchido.
+ */
+async function insertReservation(tx, { id, userId, guestId = null, drawId, nums, expiresAt }) {
+  await tx.query(
+    `INSERT INTO reservations (id, user_id, guest_id, draw_id, numbers, status, expires_at)
+     VALUES ($1, $2, $3, $4, $5::int[], 'active', $6)`,
+    [id, userId, guestId, drawId, nums, expiresAt]
+  );
+
+  await tx.query(
+    `UPDATE numbers
+        SET status = 'reserved',
+            reservation_id = $3
+      WHERE draw_id = $1
+        AND n = ANY($2)`,
+    [drawId, nums, id]
+  );
+  await publishNumbers(tx, drawId, nums, 'reserved');
+}
+
+/** Corpo do 409 quando o limite por usuário estoura. */
+function limitExceeded(limit) {
+  return { error: 'max_numbers_reached', current: limit.current, max: limit.max, remaining: limit.remaining };
+}
+
+/** Saldo do limite depois de somar `added` números (max/remaining null = sem limite). */
+function allowanceAfter(limit, added) {
+  const current = limit.current + added;
+  return {
+    max: limit.max,
+    current,
+    remaining: limit.max == null ? null : Math.max(0, limit.max - current),
+  };
+}
+
+/**
+ * POST /api/reservations
+ * Body: { draw_id, numbers, guest?: { name, email, cpf, phone } }
+ * Sem login aceita checkout de convidado (body.guest ou X-Guest-Token); a
+ * resposta traz `guestToken` para pagar o PIX e consultar o pagamento.
+ */
+router.post('/', optionalAuth, async (req, res) => {
   const DBG = process.env.DEBUG_RESERVATIONS === 'true';
 
   try {
@@ -49,179 +190,458 @@ router.post('/', requireAuth, async (req, res) => {
       );
     }
 
-    // limpeza “background” (não bloqueia o request)
-    try { cleanupExpiredGlobal(); } catch {}
+    // sem login: convidado (token de uma compra anterior ou dados no body)
+    let guest = null;
+    if (!req.user) {
+      if (req.guest) {
+        guest = { id: req.guest.id };
+      } else {
+        if (!req.body?.guest) return res.status(401).json({ error: 'unauthorized' });
+        const g = normalizeGuest(req.body.guest);
+        if (g.error) return res.status(400).json({ error: g.error });
+        guest = g.guest;
+      }
+    }
 
     const { numbers } = req.body || {};
     if (!Array.isArray(numbers) || numbers.length === 0) {
       return res.status(400).json({ error: 'no_numbers' });
     }
 
-    // normaliza números
-    const nums = Array.from(
-      new Set(
-        numbers.map(Number).filter((n) => Number.isInteger(n) && n >= 0 && n <= 99)
-      )
-    );
-    if (!nums.length) return res.status(400).json({ error: 'numbers_invalid' });
-
     const ttlMin = Number(process.env.RESERVATION_TTL_MIN || 5);
 
     // === Garantir que o draw informado existe e está aberto (usa draw_id do body) ===
     const drawId = Number(req.body?.draw_id);
-    if (!Number.isFinite(drawId)) {
-      return res.status(400).json({ error: 'no_open_draw' });
-    }
-    const dr = await query(
-      `SELECT id, status
-         FROM draws
-        WHERE id = $1`,
-      [drawId]
-    );
-    if (!dr.rows.length || String(dr.rows[0].status).toLowerCase() !== 'open') {
-      return res.status(400).json({ error: 'no_open_draw' });
-    }
-
-    // === INÍCIO TX ===========================================================
-    await query('BEGIN');
-
-    // 1) Lock nos números alvo
-    const check = await query(
-      `SELECT n, status, reservation_id
-         FROM numbers
-        WHERE draw_id = $1
-          AND n = ANY($2)
-        FOR UPDATE`,
-      [drawId, nums]
-    );
-
-    // valida existência
-    const foundSet = new Set(check.rows.map((r) => r.n));
-    const notFound = nums.filter((n) => !foundSet.has(n));
-    if (notFound.length) {
-      await query('ROLLBACK');
-      return res.status(400).json({ error: 'numbers_not_found', numbers: notFound });
-    }
-
-    // 2) Para cada número “reserved”, se a reserva estiver vencida, libera AGORA
-    const byResId = new Map(); // agrupa números por reservation_id para liberar em lote
-    for (const row of check.rows) {
-      if (row.status === 'reserved' && row.reservation_id) {
-        const rid = row.reservation_id;
-
-        // lock na reserva para leitura consistente
-        const rsv = await query(
-          `SELECT id, status, expires_at
-             FROM reservations
-            WHERE id = $1
-            FOR UPDATE`,
-          [rid]
-        );
-
-        const r = rsv.rows[0];
-        if (r) {
-          const statusLower = String(r.status || '').toLowerCase();
-          const isBlocking = ['active','pending','reserved',''].includes(statusLower);
-          const isExpired = r.expires_at && new Date(r.expires_at).getTime() <= Date.now();
-
-          if (isBlocking && isExpired) {
-            // expira a reserva e marca para liberar seus números
-            await query(`UPDATE reservations SET status = 'expired' WHERE id = $1`, [rid]);
-            if (!byResId.has(rid)) byResId.set(rid, []);
-            byResId.get(rid).push(row.n);
-          }
-        }
-      }
-    }
-
-    // libera números presos por reservas expiradas (em lote por reservation_id)
-    for (const [rid, numsOfRid] of byResId) {
-      await query(
-        `UPDATE numbers
-            SET status = 'available',
-                reservation_id = NULL
-          WHERE draw_id = $1
-            AND n = ANY($2)
-            AND reservation_id = $3`,
-        [drawId, numsOfRid, rid]
-      );
-    }
-
-    // 3) Números tomados por pagamento aprovado
-    const pays = await query(
-      `SELECT numbers
-         FROM payments
-        WHERE draw_id = $1
-          AND lower(status) IN ('approved','paid','pago')`,
-      [drawId]
-    );
-    const paidTaken = new Set();
-    for (const p of pays.rows || []) {
-      for (const n of p.numbers || []) paidTaken.add(Number(n));
-    }
-
-    // 4) Revalida os números (após possíveis liberações) e detecta conflitos
-    const after = await query(
-      `SELECT n, status, reservation_id
-         FROM numbers
-        WHERE draw_id = $1
-          AND n = ANY($2)
-        FOR UPDATE`,
-      [drawId, nums]
-    );
-
-    const conflicts = [];
-    for (const row of after.rows) {
-      const st = String(row.status).toLowerCase();
-      const isBusy = st !== 'available' || paidTaken.has(Number(row.n));
-      if (isBusy) conflicts.push(row.n);
-    }
+    const dr = await loadOpenDraw(drawId);
+    if (dr.error) return res.status(dr.status).json({ error: dr.error });
 
-    if (conflicts.length) {
-      await query('ROLLBACK');
-      return res.status(409).json({ error: 'unavailable', conflicts });
-    }
+    // normaliza números (0..total_numbers-1 do draw)
+    const nums = parseNumberList(numbers, dr.draw.total_numbers);
+    if (!nums.length) return res.status(400).json({ error: 'numbers_invalid' });
 
     // 5) Cria reserva e marca números como reserved
     const reservationId = uuid();
     const expiresAt = new Date(Date.now() + ttlMin * 60 * 1000);
 
-    await query(
-      `INSERT INTO reservations (id, user_id, draw_id, numbers, status, expires_at)
-       VALUES ($1, $2, $3, $4::int[], 'active', $5)`,
-      [reservationId, req.user.id, drawId, nums, expiresAt]
-    );
+    // === TX (client fixo: os FOR UPDATE valem até o COMMIT) =================
+    const result = await withTransaction(async (tx) => {
+      const lock = await lockNumbers(tx, drawId, nums);
+      if (lock.notFound) {
+        return tx.rollback({ status: 400, body: { error: 'numbers_not_found', numbers: lock.notFound } });
+      }
+      if (lock.conflicts) {
+        return tx.rollback({ status: 409, body: { error: 'unavailable', conflicts: lock.conflicts } });
+      }
 
-    await query(
-      `UPDATE numbers
-          SET status = 'reserved',
-              reservation_id = $3
-        WHERE draw_id = $1
-          AND n = ANY($2)`,
-      [drawId, nums, reservationId]
-    );
+      const guestId = guest ? (guest.id ?? (await createGuest(guest, { db: tx }))) : null;
+      const limit = guestId
+        ? await checkGuestLimit(guestId, drawId, nums.length, { db: tx })
+        : await checkUserLimit(req.user.id, drawId, nums.length, { db: tx });
+      if (limit.blocked && !limitOverride(req)) {
+        return tx.rollback({ status: 409, body: limitExceeded(limit) });
+      }
 
-    await query('COMMIT');
+      await insertReservation(tx, {
+        id: reservationId,
+        userId: req.user?.id ?? null,
+        guestId,
+        drawId,
+        nums,
+        expiresAt,
+      });
+      return { limit, guestId };
+    });
+    if (result.status) return res.status(result.status).json(result.body);
     // === FIM TX ==============================================================
 
     if (DBG) {
       console.log('[reservations] created', {
         reservationId,
-        userId: req.user.id,
+        userId: req.user?.id ?? null,
+        guestId: result.guestId,
         drawId,
         numbers: nums,
         expiresAt: expiresAt.toISOString(),
       });
     }
 
-    return res
-      .status(201)
-      .json({ reservationId, id: reservationId, drawId, expiresAt, numbers: nums });
+    return res.status(201).json({
+      reservationId,
+      id: reservationId,
+      drawId,
+      expiresAt,
+      numbers: nums,
+      purchaseLimit: allowanceAfter(result.limit, nums.length),
+      ...(result.guestId ? { guestToken: signGuestToken(result.guestId) } : {}),
+    });
   } catch (e) {
-    try { await query('ROLLBACK'); } catch {}
     console.error('[reservations] error:', e.code || e.message, e);
     return res.status(500).json({ error: 'reserve_failed' });
   }
 });
 
+/**
+ * Sorteia até `count` números livres do draw (preferidos primeiro).
+ * SKIP LOCKED: não espera números travados por outra reserva em andamento.
+ */
+async function pickFreeNumbers(tx, drawId, count, { exclude = [], prefer = [] } = {}) {
+  const r = await tx.query(
+    `SELECT n.n
+       FROM numbers n
+  LEFT JOIN reservations r ON r.id = n.reservation_id
+      WHERE n.draw_id = $1
+        AND NOT (n.n = ANY($2::int[]))
+        AND (n.status = 'available'
+             OR (n.status = 'reserved' AND r.expires_at IS NOT NULL AND r.expires_at <= NOW()))
+        AND NOT EXISTS (
+              SELECT 1
+                FROM payment_lines p
+               WHERE p.draw_id = n.draw_id
+                 AND lower(p.status) IN ('approved','paid','pago')
+                 AND n.n = ANY(p.numbers)
+            )
+      ORDER BY (n.n = ANY($3::int[])) DESC, random()
+      LIMIT $4
+      FOR UPDATE OF n SKIP LOCKED`,
+    [drawId, exclude, prefer, count]
+  );
+  return r.rows.map((row) => Number(row.n));
+}
+
+const RANDOM_PICK_ATTEMPTS = 3;
+
+/**
+ * POST /api/reservations/random
+ * Body: { draw_id, count, avoid?: number[], prefer?: number[] }
+ * “Surpresinha”: reserva `count` números livres escolhidos ao acaso (os de
+ * `prefer` que estiverem livres entram primeiro; os de `avoid` nunca).
+ * Resposta igual à de POST /api/reservations.
+ */
+router.post('/random', requireAuth, async (req, res) => {
+  try {
+    const drawId = Number(req.body?.draw_id);
+    const count = Number(req.body?.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return res.status(400).json({ error: 'count_invalid' });
+    }
+    const maxSelection = await getMaxNumbersPerSelection();
+    if (count > maxSelection) {
+      return res.status(400).json({ error: 'max_numbers_per_selection', max: maxSelection });
+    }
+
+    const dr = await loadOpenDraw(drawId);
+    if (dr.error) return res.status(dr.status).json({ error: dr.error });
+
+    const total = dr.draw.total_numbers;
+    const avoid = Array.isArray(req.body?.avoid) ? parseNumberList(req.body.avoid, total) : [];
+    const prefer = Array.isArray(req.body?.prefer) ? parseNumberList(req.body.prefer, total) : [];
+
+    const ttlMin = Number(process.env.RESERVATION_TTL_MIN || 5);
+    const reservationId = uuid();
+    const expiresAt = new Date(Date.now() + ttlMin * 60 * 1000);
+
+    const result = await withTransaction(async (tx) => {
+      const limit = await checkUserLimit(req.user.id, drawId, count, { db: tx });
+      if (limit.blocked && !limitOverride(req)) {
+        return tx.rollback({ status: 409, body: limitExceeded(limit) });
+      }
+
+      // números que o lockNumbers recusar (corrida com outra reserva) saem do sorteio
+      const exclude = [...avoid];
+      for (let attempt = 0; attempt < RANDOM_PICK_ATTEMPTS; attempt++) {
+        const nums = await pickFreeNumbers(tx, drawId, count, { exclude, prefer });
+        if (nums.length < count) {
+          return tx.rollback({
+            status: 409,
+            body: { error: 'not_enough_numbers', requested: count, available: nums.length },
+          });
+        }
+
+        const lock = await lockNumbers(tx, drawId, nums);
+        if (lock.conflicts) {
+          exclude.push(...lock.conflicts);
+          continue;
+        }
+
+        nums.sort((a, b) => a - b);
+        await insertReservation(tx, { id: reservationId, userId: req.user.id, drawId, nums, expiresAt });
+        return {
+          status: 201,
+          body: {
+            reservationId,
+            id: reservationId,
+            drawId,
+            expiresAt,
+            numbers: nums,
+            purchaseLimit: allowanceAfter(limit, nums.length),
+          },
+        };
+      }
+      return tx.rollback({ status: 409, body: { error: 'unavailable' } });
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error('[reservations/random] error:', e.code || e.message, e);
+    return res.status(500).json({ error: 'reserve_failed' });
+  }
+});
+
+/* ------------------------------------------------------------------ *
+ * Reserva existente (somente do próprio usuário e ainda ativa)
+ * ------------------------------------------------------------------ */
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PENDING_PIX = ['pending', 'in_process', 'created'];
+
+/**
+ * Carrega a reserva do usuário (FOR UPDATE quando db é a transação).
+ * Retorna { reservation } ou { status, error } para responder direto.
+ */
+async function loadOwnActiveReservation(db, id, userId, { lock = false } = {}) {
+  if (!UUID_RE.test(String(id || ''))) return { status: 404, error: 'reservation_not_found' };
+  const r = await db.query(
+    `SELECT r.id, r.user_id, r.draw_id, r.numbers, r.status, r.expires_at, r.created_at,
+            r.payment_id, d.total_numbers
+       FROM reservations r
+  LEFT JOIN draws d ON d.id = r.draw_id
+      WHERE r.id = $1
+        AND r.user_id = $2
+      ${lock ? 'FOR UPDATE OF r' : ''}`,
+    [id, userId]
+  );
+  const rs = r.rows[0];
+  if (!rs) return { status: 404, error: 'reservation_not_found' };
+  if (String(rs.status || '').toLowerCase() !== 'active') {
+    return { status: 409, error: 'reservation_not_active' };
+  }
+  if (rs.expires_at && new Date(rs.expires_at).getTime() <= Date.now()) {
+    return { status: 409, error: 'reservation_expired' };
+  }
+  return { reservation: rs };
+}
+
+/** Marca como cancelado o PIX pendente da reserva. Retorna o id cancelado (ou null). */
+async function cancelPendingPix(db, paymentId) {
+  if (!paymentId) return null;
+  const up = await db.query(
+    `UPDATE payments
+        SET status = 'cancelled'
+      WHERE id = $1
+        AND lower(status) = ANY($2)
+      RETURNING id`,
+    [String(paymentId), PENDING_PIX]
+  );
+  if (!up.rowCount) return null;
+  // PIX de carrinho: as outras reservas do pedido precisam de um novo PIX
+  await db.query(`UPDATE reservations SET payment_id = NULL WHERE payment_id = $1`, [String(paymentId)]);
+  return String(paymentId);
+}
+
+/** Cancela no provedor do PIX (best-effort, fora da transação). */
+function cancelPixAtProvider(paymentId) {
+  if (!paymentId) return;
+  providerOfPayment(paymentId)
+    .then((provider) => cancelPayment({ paymentId, provider }))
+    .catch((e) => console.warn('[reservations] falha ao cancelar PIX no provedor', paymentId, e?.message));
+}
+
+async function reservationPayload(rs) {
+  const priceCents = await getTicketPriceCents();
+  return {
+    id: rs.id,
+    draw_id: rs.draw_id,
+    numbers: rs.numbers,
+    amount_cents: (rs.numbers || []).length * priceCents,
+    status: rs.status,
+    created_at: rs.created_at,
+    expires_at: rs.expires_at,
+    payment_id: rs.payment_id || null,
+  };
+}
+
+/**
+ * GET /api/reservations/:id
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const r = await loadOwnActiveReservation({ query }, req.params.id, req.user.id);
+    if (r.error) return res.status(r.status).json({ error: r.error });
+    return res.json(await reservationPayload(r.reservation));
+  } catch (e) {
+    console.error('[reservations/:id] error:', e.code || e.message, e);
+    return res.status(500).json({ error: 'reservation_failed' });
+  }
+});
+
+/**
+ * PATCH /api/reservations/:id
+ * body: { numbers: [...] } (substitui) ou { add?: [...], remove?: [...] }
+ * Mesmas regras de lock/conflito do POST; o prazo (expires_at) não muda.
+ * Um PIX pendente da reserva é cancelado (o valor mudou): gere outro.
+ */
+router.patch('/:id', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const hasReplace = Array.isArray(body.numbers);
+  if (!hasReplace && !Array.isArray(body.add) && !Array.isArray(body.remove)) {
+    return res.status(400).json({ error: 'no_numbers' });
+  }
+
+  const fail = (status, payload) => ({ status, body: payload });
+  try {
+    const result = await withTransaction(async (tx) => {
+      const r = await loadOwnActiveReservation(tx, req.params.id, req.user.id, { lock: true });
+      if (r.error) return tx.rollback(fail(r.status, { error: r.error }));
+      const rs = r.reservation;
+
+      const d = await tx.query(
+        `SELECT status, (closes_at IS NOT NULL AND closes_at <= NOW()) AS deadline_passed
+           FROM draws WHERE id = $1`,
+        [rs.draw_id]
+      );
+      if (!d.rows.length || normalizeStatus(d.rows[0].status) !== 'open') {
+        return tx.rollback(fail(400, { error: 'no_open_draw' }));
+      }
+      if (d.rows[0].deadline_passed) {
+        return tx.rollback(fail(409, { error: 'draw_deadline_passed' }));
+      }
+
+      const total = rs.total_numbers;
+      const current = (rs.numbers || []).map(Number);
+      let next;
+      if (hasReplace) {
+        next = parseNumberList(body.numbers, total);
+        if (body.numbers.length && !next.length) {
+          return tx.rollback(fail(400, { error: 'numbers_invalid' }));
+        }
+      } else {
+        const add = Array.isArray(body.add) ? parseNumberList(body.add, total) : [];
+        const remove = new Set(Array.isArray(body.remove) ? parseNumberList(body.remove, total) : []);
+        if ((body.add?.length && !add.length) || (body.remove?.length && !remove.size)) {
+          return tx.rollback(fail(400, { error: 'numbers_invalid' }));
+        }
+        next = [...new Set([...current, ...add])].filter((n) => !remove.has(n)).sort((a, b) => a - b);
+      }
+      // reserva vazia: use DELETE
+      if (!next.length) return tx.rollback(fail(400, { error: 'no_numbers' }));
+
+      const added = next.filter((n) => !current.includes(n));
+      const removed = current.filter((n) => !next.includes(n));
+
+      // a reserva já conta no limite: só o saldo líquido pode estourar
+      const limit = await checkUserLimit(req.user.id, rs.draw_id, next.length - current.length, { db: tx });
+      if (next.length > current.length && limit.blocked && !limitOverride(req)) {
+        return tx.rollback(fail(409, limitExceeded(limit)));
+      }
+
+      if (added.length) {
+        const lock = await lockNumbers(tx, rs.draw_id, added, rs.id);
+        if (lock.notFound) {
+          return tx.rollback(fail(400, { error: 'numbers_not_found', numbers: lock.notFound }));
+        }
+        if (lock.conflicts) {
+          return tx.rollback(fail(409, { error: 'unavailable', conflicts: lock.conflicts }));
+        }
+        await tx.query(
+          `UPDATE numbers
+              SET status = 'reserved',
+                  reservation_id = $3
+            WHERE draw_id = $1
+              AND n = ANY($2)`,
+          [rs.draw_id, added, rs.id]
+        );
+        await publishNumbers(tx, rs.draw_id, added, 'reserved');
+      }
+      if (removed.length) {
+        await tx.query(
+          `UPDATE numbers
+              SET status = 'available',
+                  reservation_id = NULL
+            WHERE draw_id = $1
+              AND n = ANY($2)
+              AND reservation_id = $3`,
+          [rs.draw_id, removed, rs.id]
+        );
+        await publishNumbers(tx, rs.draw_id, removed, 'available');
+      }
+
+      const cancelledPix =
+        added.length || removed.length ? await cancelPendingPix(tx, rs.payment_id) : null;
+      const up = await tx.query(
+        `UPDATE reservations
+            SET numbers = $2::int[],
+                payment_id = CASE WHEN $3::text IS NOT NULL THEN NULL ELSE payment_id END
+          WHERE id = $1
+          RETURNING id, user_id, draw_id, numbers, status, expires_at, created_at, payment_id`,
+        [rs.id, next, cancelledPix]
+      );
+      return {
+        status: 200,
+        reservation: up.rows[0],
+        added,
+        removed,
+        cancelledPix,
+        purchaseLimit: allowanceAfter(limit, next.length - current.length),
+      };
+    });
+
+    if (!result.reservation) return res.status(result.status).json(result.body);
+    cancelPixAtProvider(result.cancelledPix);
+    notifyNumbersFreed(result.reservation.draw_id, result.removed);
+
+    return res.json({
+      ...(await reservationPayload(result.reservation)),
+      added: result.added,
+      removed: result.removed,
+      cancelled_payment_id: result.cancelledPix,
+      purchaseLimit: result.purchaseLimit,
+    });
+  } catch (e) {
+    console.error('[reservations PATCH] error:', e.code || e.message, e);
+    return res.status(500).json({ error: 'reservation_update_failed' });
+  }
+});
+
+/**
+ * DELETE /api/reservations/:id
+ * Libera os números na hora e cancela o PIX pendente da reserva.
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await withTransaction(async (tx) => {
+      const r = await loadOwnActiveReservation(tx, req.params.id, req.user.id, { lock: true });
+      if (r.error) return tx.rollback({ status: r.status, body: { error: r.error } });
+      const rs = r.reservation;
+
+      const freed = await tx.query(
+        `UPDATE numbers
+            SET status = 'available',
+                reservation_id = NULL
+          WHERE draw_id = $1
+            AND reservation_id = $2
+          RETURNING n`,
+        [rs.draw_id, rs.id]
+      );
+      await tx.query(`UPDATE reservations SET status = 'cancelled' WHERE id = $1`, [rs.id]);
+      await publishNumbers(tx, rs.draw_id, freed.rows.map((x) => x.n), 'available');
+      const cancelledPix = await cancelPendingPix(tx, rs.payment_id);
+      return { status: 200, id: rs.id, drawId: rs.draw_id, freed: freed.rows.map((x) => x.n), cancelledPix };
+    });
+
+    if (!result.id) return res.status(result.status).json(result.body);
+    cancelPixAtProvider(result.cancelledPix);
+    notifyNumbersFreed(result.drawId, result.freed);
+
+    return res.json({
+      ok: true,
+      id: result.id,
+      status: 'cancelled',
+      cancelled_payment_id: result.cancelledPix,
+    });
+  } catch (e) {
+    console.error('[reservations DELETE] error:', e.code || e.message, e);
+    return res.status(500).json({ error: 'reservation_cancel_failed' });
+  }
+});
+
 export default router;
@@ -1,8 +1,11 @@
 // backend/src/routes/vouchers.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
 import { v4 as uuidv4 } from "uuid";
+import { getDrawTotalNumbers, isValidNumber } from "../services/drawNumbers.js";
+import { publishNumbers } from "../services/drawEvents.js";
+import { checkUserLimit, limitOverride } from "../services/purchase_limit.js";
 
 const router = Router();
 
@@ -33,6 +36,7 @@ router.get("/remaining", requireAuth, async (req, res) => {
  *
  * Fluxo:
  * - checa conflito com numbers ('sold','taken') e reservas ativas de OUTROS usuários
+ * - respeita o limite de números por usuário (números já reservados por ele não somam)
  * - debita vouchers (FIFO)
  * - confirma números como 'sold'
  * - se houver reservationId, marca como 'paid'
@@ -50,216 +54,246 @@ router.post("/consume", requireAuth, async (req, res) => {
   }
 
   try {
-    await query("begin");
-
-    // 1) Conflitos em numbers: já vendidos/tomados
-    const { rows: takenRows } = await query(
-      `
-      select n
-        from numbers
-       where draw_id = $1
-         and n = any($2::smallint[])
-         and status in ('sold','taken')
-      `,
-      [drawId, nums]
-    );
-    const conflictsFromNumbers = takenRows.map((r) => Number(r.n));
-
-    // 2) Conflitos: reservas de OUTROS usuários ainda ativas
-    const { rows: rconf } = await query(
-      `
-      with wanted(n) as ( select unnest($3::int2[]) )
-      select distinct w.n
-        from reservations r
-        join wanted w on w.n = any(coalesce(r.numbers,'{}')::int2[])
-       where r.draw_id = $1
-         and r.user_id <> $2
-         and (
-              lower(coalesce(r.status,'')) = 'active'
-           or lower(coalesce(r.status,'')) = 'reserved'
-           or lower(coalesce(r.status,'')) = 'pending'
-           or lower(coalesce(r.status,'')) like 'await%'
-           or lower(coalesce(r.status,'')) like 'aguard%'
-         )
-      `,
-      [drawId, req.user.id, nums]
-    );
-    const conflictsFromOthers = rconf.map((r) => Number(r.n));
-
-    const conflicts = [...new Set([...conflictsFromNumbers, ...conflictsFromOthers])];
-    if (conflicts.length) {
-      await query("rollback");
-      return res.status(409).json({ error: "unavailable", conflicts });
+    // faixa válida do sorteio (0..total_numbers-1)
+    const total = await getDrawTotalNumbers(drawId);
+    const outOfRange = nums.filter((n) => !isValidNumber(n, total));
+    if (outOfRange.length) {
+      return res.status(400).json({ error: "numbers_out_of_range", numbers: outOfRange });
     }
 
-    // 3) Saldo de vouchers (FIFO + lock)
-    const { rows: vrows } = await query(
-      `
-      select id, remaining
-        from vouchers
-       where user_id = $1 and draw_id = $2 and remaining > 0
-       order by created_at asc
-       for update skip locked
-      `,
-      [req.user.id, drawId]
-    );
-    const totalRemaining = vrows.reduce((acc, r) => acc + Number(r.remaining || 0), 0);
-    if (totalRemaining < nums.length) {
-      await query("rollback");
-      return res.status(409).json({ error: "not_enough_vouchers" });
-    }
-
-    // 4) Confirma números como 'sold'
-    for (const n of nums) {
-      const up = await query(
+    const result = await withTransaction(async (tx) => {
+      // 1) Conflitos em numbers: já vendidos/tomados
+      const { rows: takenRows } = await tx.query(
         `
-        insert into numbers (draw_id, n, status)
-        values ($1, $2::smallint, 'sold')
-        on conflict (n, draw_id) do update
-          set status = 'sold'
-          where numbers.status in ('available','reserved')
-        returning n
+        select n
+          from numbers
+         where draw_id = $1
+           and n = any($2::smallint[])
+           and status in ('sold','taken')
         `,
-        [drawId, n]
+        [drawId, nums]
       );
-      if (!up.rowCount) {
-        await query("rollback");
-        return res.status(409).json({ error: "numbers_conflict", conflicts: [n] });
-      }
-    }
+      const conflictsFromNumbers = takenRows.map((r) => Number(r.n));
 
-    // 5) Debita vouchers (FIFO)
-    let toConsume = nums.length;
-    for (const v of vrows) {
-      if (toConsume <= 0) break;
-      const take = Math.min(Number(v.remaining), toConsume);
-      await query(
+      // 2) Conflitos: reservas de OUTROS usuários ainda ativas
+      const { rows: rconf } = await tx.query(
         `
-        update vouchers
-           set remaining   = remaining - $1,
-               consumed_at = case when remaining - $1 = 0 then now() else consumed_at end,
-               used        = case when remaining - $1 = 0 then true else used end
-         where id = $2
+        with wanted(n) as ( select unnest($3::int2[]) )
+        select distinct w.n
+          from reservations r
+          join wanted w on w.n = any(coalesce(r.numbers,'{}')::int2[])
+         where r.draw_id = $1
+           and r.user_id <> $2
+           and (
+                lower(coalesce(r.status,'')) = 'active'
+             or lower(coalesce(r.status,'')) = 'reserved'
+             or lower(coalesce(r.status,'')) = 'pending'
+             or lower(coalesce(r.status,'')) like 'await%'
+             or lower(coalesce(r.status,'')) like 'aguard%'
+           )
         `,
-        [take, v.id]
+        [drawId, req.user.id, nums]
       );
-      toConsume -= take;
-    }
+      const conflictsFromOthers = rconf.map((r) => Number(r.n));
 
-    // 6) Se houver reservationId, marca como 'paid' e mescla números
-    let savedReservationId = null;
-    if (reservationId) {
-      const { rows: rrows } = await query(
-        `
-        update reservations
-           set status  = 'paid',
-               numbers = (
-                 select array_agg(distinct x)::int2[]
-                   from unnest(coalesce(reservations.numbers,'{}')::int2[] || $4::int2[]) as x
-               )
-         where id = $1 and user_id = $2 and draw_id = $3
-         returning id
-        `,
-        [reservationId, req.user.id, drawId, nums]
-      );
-      savedReservationId = rrows?.[0]?.id || null;
-    }
+      const conflicts = [...new Set([...conflictsFromNumbers, ...conflictsFromOthers])];
+      if (conflicts.length) {
+        return tx.rollback({ status: 409, body: { error: "unavailable", conflicts } });
+      }
 
-    // 7) Cria registro em payments com status "Approved" (id próprio)
-    let paymentId = null;
-    try {
-      // Lê colunas existentes para montar INSERT compatível
-      const { rows: cols } = await query(
-        `select column_name from information_schema.columns
-          where table_schema = 'public' and table_name = 'payments'`
+      // Limite por usuário: o que já está nas reservas ativas dele já conta
+      const { rows: mine } = await tx.query(
+        `select distinct unnest(r.numbers)::int as n
+           from reservations r
+          where r.draw_id = $1
+            and r.user_id = $2
+            and lower(coalesce(r.status,'')) in ('active','pending','reserved','')
+            and (r.expires_at is null or r.expires_at > now())`,
+        [drawId, req.user.id]
       );
-      const names = new Set(cols.map((c) => c.column_name));
-
-      // Sempre forneça um ID (sua tabela não tem default)
-      paymentId = `vch_${uuidv4().replace(/-/g, "")}`;
-
-      const fields = ["id"];
-      const values = ["$1"];
-      const params = [paymentId];
-      let p = 2;
-
-      if (names.has("user_id")) {
-        fields.push("user_id");
-        values.push(`$${p}`);
-        params.push(req.user.id);
-        p++;
-      }
-      if (names.has("draw_id")) {
-        fields.push("draw_id");
-        values.push(`$${p}`);
-        params.push(drawId);
-        p++;
+      const held = new Set(mine.map((r) => Number(r.n)));
+      const limit = await checkUserLimit(req.user.id, drawId, nums.filter((n) => !held.has(n)).length, { db: tx });
+      if (limit.blocked && !limitOverride(req)) {
+        return tx.rollback({
+          status: 409,
+          body: { error: "max_numbers_reached", current: limit.current, max: limit.max, remaining: limit.remaining },
+        });
       }
-      if (names.has("numbers")) {
-        fields.push("numbers");
-        values.push(`$${p}::int2[]`);
-        params.push(nums);
-        p++;
-      }
-      if (names.has("amount_cents")) {
-        fields.push("amount_cents");
-        values.push(`$${p}`);
-        params.push(0);
-        p++;
-      }
-      if (names.has("status")) {
-        fields.push("status");
-        values.push(`$${p}`);
-        params.push("Approved"); // <- como solicitado
-        p++;
-      }
-      if (names.has("method")) {
-        fields.push("method");
-        values.push(`$${p}`);
-        params.push("voucher");
-        p++;
-      }
-      if (names.has("paid_at")) {
-        fields.push("paid_at");
-        values.push("NOW()");
+
+      // 3) Saldo de vouchers (FIFO + lock)
+      const { rows: vrows } = await tx.query(
+        `
+        select id, remaining
+          from vouchers
+         where user_id = $1 and draw_id = $2 and remaining > 0
+         order by created_at asc
+         for update skip locked
+        `,
+        [req.user.id, drawId]
+      );
+      const totalRemaining = vrows.reduce((acc, r) => acc + Number(r.remaining || 0), 0);
+      if (totalRemaining < nums.length) {
+        return tx.rollback({ status: 409, body: { error: "not_enough_vouchers" } });
       }
-      if (names.has("created_at")) {
-        fields.push("created_at");
-        values.push("NOW()");
+
+      // 4) Confirma números como 'sold'
+      for (const n of nums) {
+        const up = await tx.query(
+          `
+          insert into numbers (draw_id, n, status)
+          values ($1, $2::smallint, 'sold')
+          on conflict (n, draw_id) do update
+            set status = 'sold'
+            where numbers.status in ('available','reserved')
+          returning n
+          `,
+          [drawId, n]
+        );
+        if (!up.rowCount) {
+          return tx.rollback({ status: 409, body: { error: "numbers_conflict", conflicts: [n] } });
+        }
       }
-      if (names.has("reservation_id") && savedReservationId) {
-        fields.push("reservation_id");
-        values.push(`$${p}::uuid`);
-        params.push(savedReservationId);
-        p++;
+
+      // 5) Debita vouchers (FIFO)
+      let toConsume = nums.length;
+      for (const v of vrows) {
+        if (toConsume <= 0) break;
+        const take = Math.min(Number(v.remaining), toConsume);
+        await tx.query(
+          `
+          update vouchers
+             set remaining   = remaining - $1,
+                 consumed_at = case when remaining - $1 = 0 then now() else consumed_at end,
+                 used        = case when remaining - $1 = 0 then true else used end
+           where id = $2
+          `,
+          [take, v.id]
+        );
+        toConsume -= take;
       }
 
-      // fallback mínimo caso o schema seja muito diferente
-      if (fields.length < 3) {
-        // id + status já temos; tenta pelo menos (id, status)
-        await query(
-          `insert into payments (id, status) values ($1, 'Approved')`,
-          [paymentId]
+      // 6) Se houver reservationId, marca como 'paid' e mescla números
+      let savedReservationId = null;
+      if (reservationId) {
+        const { rows: rrows } = await tx.query(
+          `
+          update reservations
+             set status  = 'paid',
+                 numbers = (
+                   select array_agg(distinct x)::int2[]
+                     from unnest(coalesce(reservations.numbers,'{}')::int2[] || $4::int2[]) as x
+                 )
+           where id = $1 and user_id = $2 and draw_id = $3
+           returning id
+          `,
+          [reservationId, req.user.id, drawId, nums]
         );
-      } else {
-        const sql = `insert into payments (${fields.join(",")}) values (${values.join(",")})`;
-        await query(sql, params);
+        savedReservationId = rrows?.[0]?.id || null;
       }
-    } catch (e) {
-      console.warn("[vouchers/consume] payment insert skipped:", e?.message || e);
-      paymentId = null; // não bloqueia a compra
-    }
 
-    await query("commit");
+      // 7) Cria registro em payments com status "Approved" (id próprio)
+      // savepoint: se o insert falhar, desfaz só ele e a compra segue
+      let paymentId = null;
+      try {
+        await tx.savepoint(async () => {
+          // Lê colunas existentes para montar INSERT compatível
+          const { rows: cols } = await tx.query(
+            `select column_name from information_schema.columns
+              where table_schema = 'public' and table_name = 'payments'`
+          );
+          const names = new Set(cols.map((c) => c.column_name));
+
+          // Sempre forneça um ID (sua tabela não tem default)
+          paymentId = `vch_${uuidv4().replace(/-/g, "")}`;
+
+          const fields = ["id"];
+          const values = ["$1"];
+          const params = [paymentId];
+          let p = 2;
 
-    return res.json({
-      ok: true,
-      consumed: nums.length,
-      reservation_id: savedReservationId || null,
-      payment_id: paymentId,
+          if (names.has("user_id")) {
+            fields.push("user_id");
+            values.push(`$${p}`);
+            params.push(req.user.id);
+            p++;
+          }
+          if (names.has("draw_id")) {
+            fields.push("draw_id");
+            values.push(`$${p}`);
+            params.push(drawId);
+            p++;
+          }
+          if (names.has("numbers")) {
+            fields.push("numbers");
+            values.push(`$${p}::int2[]`);
+            params.push(nums);
+            p++;
+          }
+          if (names.has("amount_cents")) {
+            fields.push("amount_cents");
+            values.push(`$${p}`);
+            params.push(0);
+            p++;
+          }
+          if (names.has("status")) {
+            fields.push("status");
+            values.push(`$${p}`);
+            params.push("Approved"); // <- como solicitado
+            p++;
+          }
+          if (names.has("method")) {
+            fields.push("method");
+            values.push(`$${p}`);
+            params.push("voucher");
+            p++;
+          }
+          if (names.has("paid_at")) {
+            fields.push("paid_at");
+            values.push("NOW()");
+          }
+          if (names.has("created_at")) {
+            fields.push("created_at");
+            values.push("NOW()");
+          }
+          if (names.has("reservation_id") && savedReservationId) {
+            fields.push("reservation_id");
+            values.push(`$${p}::uuid`);
+            params.push(savedReservationId);
+            p++;
+          }
+
+          // fallback mínimo caso o schema seja muito diferente
+          if (fields.length < 3) {
+            // id + status já temos; tenta pelo menos (id, status)
+            await tx.query(
+              `insert into payments (id, status) values ($1, 'Approved')`,
+              [paymentId]
+            );
+          } else {
+            const sql = `insert into payments (${fields.join(",")}) values (${values.join(",")})`;
+            await tx.query(sql, params);
+          }
+        });
+      } catch (e) {
+        console.warn("[vouchers/consume] payment insert skipped:", e?.message || e);
+        paymentId = null; // não bloqueia a compra
+      }
+
+      await publishNumbers(tx, drawId, nums, "sold", { ownerUserId: req.user.id });
+
+      return {
+        status: 200,
+        body: {
+          ok: true,
+          consumed: nums.length,
+          reservation_id: savedReservationId || null,
+          payment_id: paymentId,
+        },
+      };
     });
+
+    return res.status(result.status).json(result.body);
   } catch (e) {
-    await query("rollback").catch(() => {});
     console.error("[vouchers/consume] fail:", e);
     return res.status(500).json({ error: "consume_failed" });
   }
@@ -1,5 +1,6 @@
 import { query } from './db/pg.js';
 import { hashPassword } from './utils.js';
+import { getDrawTotalNumbers, populateDrawNumbers } from './services/drawNumbers.js';
 
 export async function ensureSchema() {
   // Tabelas
@@ -17,8 +18,10 @@ export async function ensureSchema() {
       id serial primary key,
       status text not null default 'open',
       opened_at timestamptz default now(),
-      closed_at timestamptz
+      closed_at timestamptz,
+      total_numbers int default 100
     );
+    alter table draws add column if not exists total_numbers int default 100;
 
     create table if not exists numbers (
       draw_id int references draws(id) on delete cascade,
@@ -63,17 +66,8 @@ export async function ensureSchema() {
     drawId = ins.rows[0].id;
   }
 
-  // Garante 100 números (00-99)
-  const count = await query(`select count(*)::int as c from numbers where draw_id=$1`, [drawId]);
-  if (count.rows[0].c < 100) {
-    await query('delete from numbers where draw_id=$1', [drawId]);
-    const tuples = [];
-    for (let i = 0; i < 100; i++) {
-      tuples.push(`($1, ${i}, 'available', null)`);
-    }
-    const sql = `insert into numbers(draw_id, n, status, reservation_id) values ${tuples.join(', ')}`;
-    await query(sql, [drawId]);
-  }
+  // Garante os números 0..total_numbers-1 do sorteio
+  await populateDrawNumbers(null, drawId, await getDrawTotalNumbers(drawId));
 
   // Usuário de teste
   const email = 'teste@newstore.com';
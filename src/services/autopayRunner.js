@@ -1,14 +1,15 @@
 // backend/src/services/autopayRunner.js
-import { getPool } from "../db.js";
-import { mpChargeCard } from "./mercadopago.js";
+import { getPool, withTransaction } from "../db.js";
+import { chargeCard } from "./paymentProvider.js";
+import { isValidNumber, formatNumber } from "./drawNumbers.js";
+import { normalizeStatus } from "./drawLifecycle.js";
+import { fitToUserLimit } from "./purchase_limit.js";
+import { createLogger } from "./logger.js";
 
 /* ------------------------------------------------------- *
  * Logging enxuto com contexto
  * ------------------------------------------------------- */
-const LP = "[autopayRunner]";
-const log  = (msg, extra = null) => console.log(`${LP} ${msg}`, extra ?? "");
-const warn = (msg, extra = null) => console.warn(`${LP} ${msg}`, extra ?? "");
-const err  = (msg, extra = null) => console.error(`${LP} ${msg}`, extra ?? "");
+const { log, warn, err } = createLogger("[autopayRunner]");
 
 /* ------------------------------------------------------- *
  * Preço do ticket — compatível com seus schemas
@@ -96,7 +97,7 @@ async function isNumberFree(client, draw_id, n) {
       with
       p as (
         select 1
-          from public.payments
+          from public.payment_lines
          where draw_id = $1
            and lower(status) in ('approved','paid','pago')
            and $2 = any(numbers)
@@ -130,19 +131,19 @@ async function isNumberFree(client, draw_id, n) {
 
 /* ------------------------------------------------------- *
  * Autopay para UM sorteio aberto
+ * Sem transação aberta durante as cobranças: o draw é reivindicado numa
+ * transação curta e cada comprador tem a sua (limite + reserva dos números),
+ * depois a cobrança fora dela e, por fim, a gravação.
  * ------------------------------------------------------- */
-export async function runAutopayForDraw(draw_id) {
-  const pool = await getPool();
-  const client = await pool.connect();
-  log("RUN start", { draw_id });
 
-  try {
-    await client.query("BEGIN");
-    log("TX BEGIN");
+// reserva presa durante a cobrança; se o processo cair, a expiração libera
+const CHARGE_HOLD_MIN = 10;
 
-    // 1) Validação + lock do sorteio
-    const d = await client.query(
-      `select id, status, autopay_ran_at
+/** Reivindica o draw (autopay_ran_at) e carrega perfis e preço. */
+async function claimDrawForAutopay(draw_id) {
+  return withTransaction(async (tx) => {
+    const d = await tx.query(
+      `select id, status, autopay_ran_at, total_numbers
          from public.draws
         where id=$1
         for update`,
@@ -151,24 +152,23 @@ export async function runAutopayForDraw(draw_id) {
     log("SQL lock_draw -> ok", { rows: d.rowCount });
 
     if (!d.rowCount) {
-      await client.query("ROLLBACK");
       warn("draw não encontrado", draw_id);
-      return { ok: false, error: "draw_not_found" };
+      return tx.rollback({ ok: false, error: "draw_not_found" });
     }
-    const st = String(d.rows[0].status || "").toLowerCase();
-    if (!["open", "aberto"].includes(st)) {
-      await client.query("ROLLBACK");
+    const st = normalizeStatus(d.rows[0].status);
+    if (st !== "open") {
       warn("draw não está open", { draw_id, status: st });
-      return { ok: false, error: "draw_not_open" };
+      return tx.rollback({ ok: false, error: "draw_not_open" });
     }
     if (d.rows[0].autopay_ran_at) {
-      await client.query("ROLLBACK");
       warn("autopay já processado para draw", draw_id);
-      return { ok: false, error: "autopay_already_ran" };
+      return tx.rollback({ ok: false, error: "autopay_already_ran" });
     }
 
-    // 2) Perfis elegíveis
-    const { rows: profiles } = await client.query(
+    // marca já na reivindicação: outra execução não cobra os mesmos perfis
+    await tx.query(`update public.draws set autopay_ran_at = now() where id=$1`, [draw_id]);
+
+    const { rows: profiles } = await tx.query(
       `select ap.*,
               array(select n
                       from public.autopay_numbers an
@@ -181,15 +181,93 @@ export async function runAutopayForDraw(draw_id) {
     );
     log("eligible profiles", { count: profiles.length });
 
-    // 3) Preço
-    const price_cents = await getTicketPriceCents(client);
+    return {
+      ok: true,
+      total: d.rows[0].total_numbers,
+      price_cents: await getTicketPriceCents(tx),
+      profiles,
+    };
+  });
+}
+
+/**
+ * Transação curta do comprador: números livres, limite e reserva ativa
+ * (os números ficam 'reserved' enquanto o cartão é cobrado).
+ * Retorna { free, resv_id } ou { skip: { reason, ... } }.
+ */
+async function reserveForAutopay(p, draw_id, wants) {
+  return withTransaction(async (tx) => {
+    const d = await tx.query(`select status from public.draws where id=$1 for share`, [draw_id]);
+    if (normalizeStatus(d.rows[0]?.status) !== "open") return tx.rollback({ skip: { reason: "draw_not_open" } });
+
+    // trava as linhas dos números: reservas concorrentes esperam esta
+    await tx.query(
+      `select n from public.numbers where draw_id = $1 and n = any($2::int[]) order by n for update`,
+      [draw_id, wants]
+    );
+    const available = [];
+    for (const n of wants) {
+      // eslint-disable-next-line no-await-in-loop
+      if (await isNumberFree(tx, draw_id, n)) available.push(n);
+    }
+    log("USER free numbers", { user_id: p.user_id, free: available });
+    if (!available.length) return tx.rollback({ skip: { reason: "none_available" } });
+
+    // limite por usuário: compra só o que couber no saldo dele no draw
+    const { allowed: free, limit } = await fitToUserLimit(p.user_id, draw_id, available, { db: tx });
+    if (!free.length) return tx.rollback({ skip: { reason: "limit_reached", max: limit.max } });
+
+    const reservation = await tx.query(
+      `insert into public.reservations
+         (id, user_id, draw_id, numbers, status, created_at, expires_at)
+       values (gen_random_uuid(), $1, $2, $3::int2[], 'active', now(), now() + make_interval(mins => $4))
+       returning id`,
+      [p.user_id, draw_id, free, CHARGE_HOLD_MIN]
+    );
+    const resv_id = reservation.rows[0].id;
+    await tx.query(
+      `update public.numbers
+          set status = 'reserved', reservation_id = $1
+        where draw_id = $2 and n = any($3::int2[])`,
+      [resv_id, draw_id, free]
+    );
+    return { free, resv_id };
+  });
+}
+
+/** Cobrança falhou/recusada: devolve os números e audita. */
+async function releaseAutopayReservation(p, draw_id, resv_id, free, error) {
+  await withTransaction(async (tx) => {
+    await tx.query(
+      `update public.numbers
+          set status = 'available', reservation_id = null
+        where draw_id = $1 and reservation_id = $2 and status = 'reserved'`,
+      [draw_id, resv_id]
+    );
+    await tx.query(`update public.reservations set status = 'cancelled' where id = $1`, [resv_id]);
+    await tx.query(
+      `insert into public.autopay_runs (autopay_id,user_id,draw_id,tried_numbers,status,error)
+       values ($1,$2,$3,$4,'error',$5)`,
+      [p.id, p.user_id, draw_id, free, error]
+    );
+  });
+}
+
+export async function runAutopayForDraw(draw_id) {
+  log("RUN start", { draw_id });
+
+  try {
+    // 1–3) Validação, reivindicação do draw, perfis e preço
+    const claim = await claimDrawForAutopay(draw_id);
+    if (!claim.ok) return claim;
+    const { total, price_cents, profiles } = claim;
 
     const results = [];
 
     // 4) Loop usuários
     for (const p of profiles) {
       const user_id = p.user_id;
-      const wants = (p.numbers || []).map(Number).filter(n => n >= 0 && n <= 99);
+      const wants = (p.numbers || []).map(Number).filter(n => isValidNumber(n, total));
       log("USER begin", { user_id, wants });
 
       if (!wants.length) {
@@ -197,45 +275,45 @@ export async function runAutopayForDraw(draw_id) {
         continue;
       }
 
-      // filtra números ainda livres
-      const free = [];
-      for (const n of wants) {
+      let held;
+      try {
         // eslint-disable-next-line no-await-in-loop
-        if (await isNumberFree(client, draw_id, n)) free.push(n);
+        held = await reserveForAutopay(p, draw_id, wants);
+      } catch (e) {
+        err("falha ao reservar", { user_id, msg: e?.message });
+        results.push({ user_id, status: "error", error: "reserve_failed" });
+        continue;
       }
-      log("USER free numbers", { user_id, free });
-
-      if (!free.length) {
-        results.push({ user_id, status: "skipped", reason: "none_available" });
+      if (held.skip) {
+        results.push({ user_id, status: "skipped", ...held.skip });
         continue;
       }
-
+      const { free, resv_id } = held;
       const amount_cents = free.length * price_cents;
 
-      // 5) Cobrança Mercado Pago (sem CVV; se exigir, marcamos SECURITY_CODE_REQUIRED)
+      // 5) Cobrança no cartão salvo, fora de transação
+      //    (sem CVV; se exigir, marcamos SECURITY_CODE_REQUIRED)
       let charge;
       try {
         // eslint-disable-next-line no-await-in-loop
-        charge = await mpChargeCard({
+        charge = await chargeCard({
+          provider: p.provider,
           customerId: p.mp_customer_id,
           cardId: p.mp_card_id,
           amount_cents,
-          description: `Sorteio ${draw_id} – números: ${free.map(n => String(n).padStart(2, "0")).join(", ")}`,
+          description: `Sorteio ${draw_id} – números: ${free.map(n => formatNumber(n, total)).join(", ")}`,
           metadata: { user_id, draw_id, numbers: free },
           // security_code: undefined  // não armazenamos CVV
         });
-        log("MP charge ->", { user_id, status: charge?.status, id: charge?.paymentId });
+        log("charge ->", { user_id, status: charge?.status, id: charge?.paymentId });
       } catch (e) {
         const emsg = String(e?.message || e);
         const requiresCVV =
           e?.code === "SECURITY_CODE_REQUIRED" ||
           emsg.toLowerCase().includes("security_code");
 
-        await client.query(
-          `insert into public.autopay_runs (autopay_id,user_id,draw_id,tried_numbers,status,error)
-           values ($1,$2,$3,$4,'error',$5)`,
-          [p.id, user_id, draw_id, free, requiresCVV ? "security_code_required" : emsg]
-        );
+        // eslint-disable-next-line no-await-in-loop
+        await releaseAutopayReservation(p, draw_id, resv_id, free, requiresCVV ? "security_code_required" : emsg);
 
         if (requiresCVV) {
           warn("MP exige CVV para este cartão — perfil será ignorado", { user_id, draw_id });
@@ -249,53 +327,69 @@ export async function runAutopayForDraw(draw_id) {
       }
 
       if (!charge || String(charge.status).toLowerCase() !== "approved") {
-        await client.query(
-          `insert into public.autopay_runs (autopay_id,user_id,draw_id,tried_numbers,status,error)
-           values ($1,$2,$3,$4,'error','not_approved')`,
-          [p.id, user_id, draw_id, free]
-        );
+        // eslint-disable-next-line no-await-in-loop
+        await releaseAutopayReservation(p, draw_id, resv_id, free, "not_approved");
         warn("pagamento não aprovado", { user_id, draw_id });
         results.push({ user_id, status: "error", error: "not_approved" });
         continue;
       }
 
-      // 6) Grava payment + reservation
-      const pay = await client.query(
-        `insert into public.payments (user_id, draw_id, numbers, amount_cents, status, created_at)
-         values ($1,$2,$3::int2[],$4,'approved', now())
-         returning id`,
-        [user_id, draw_id, free, amount_cents]
-      );
-      const reservation = await client.query(
-        `insert into public.reservations
-           (id, user_id, draw_id, numbers, status, created_at, expires_at)
-         values (gen_random_uuid(), $1, $2, $3::int2[], 'paid', now(), now())
-         returning id`,
-        [user_id, draw_id, free]
-      );
-      const resv_id = reservation.rows[0].id;
-
-      // 7) Atualiza números vendidos
-      await client.query(
-        `update public.numbers n
-            set status = 'sold',
-                reservation_id = $1
-          where n.draw_id = $2
-            and n.n = any($3::int2[])`,
-        [resv_id, draw_id, free]
-      );
-
-      // 8) Audita
-      await client.query(
-        `insert into public.autopay_runs
-           (autopay_id,user_id,draw_id,tried_numbers,bought_numbers,amount_cents,status,payment_id,reservation_id)
-         values ($1,$2,$3,$4,$5,$6,'ok',$7,$8)`,
-        [p.id, user_id, draw_id, free, free, amount_cents, pay.rows[0].id, resv_id]
-      );
+      // 6–8) Grava payment + reserva paga + números + auditoria
+      let pay;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        pay = await withTransaction(async (tx) => {
+          const ins = await tx.query(
+            `insert into public.payments (user_id, draw_id, numbers, amount_cents, status, created_at, method, provider_payment_id, provider)
+             values ($1,$2,$3::int2[],$4,'approved', now(), 'card', $5, $6)
+             returning id`,
+            [
+              user_id,
+              draw_id,
+              free,
+              amount_cents,
+              charge?.paymentId != null ? String(charge.paymentId) : null,
+              p.provider || "mercadopago",
+            ]
+          );
+          await tx.query(
+            `update public.reservations set status = 'paid', payment_id = $2 where id = $1`,
+            [resv_id, String(ins.rows[0].id)]
+          );
+
+          // 7) Atualiza números vendidos
+          await tx.query(
+            `update public.numbers n
+                set status = 'sold',
+                    reservation_id = $1
+              where n.draw_id = $2
+                and n.n = any($3::int2[])`,
+            [resv_id, draw_id, free]
+          );
+
+          // 8) Audita
+          await tx.query(
+            `insert into public.autopay_runs
+               (autopay_id,user_id,draw_id,tried_numbers,bought_numbers,amount_cents,status,payment_id,reservation_id)
+             values ($1,$2,$3,$4,$5,$6,'ok',$7,$8)`,
+            [p.id, user_id, draw_id, free, free, amount_cents, ins.rows[0].id, resv_id]
+          );
+          return ins.rows[0];
+        });
+      } catch (e) {
+        err("cobrado mas não gravado — conciliar manualmente", {
+          user_id,
+          mp_payment_id: charge?.paymentId,
+          reservation_id: resv_id,
+          msg: e?.message,
+        });
+        results.push({ user_id, status: "error", error: "record_failed", mp_payment_id: charge?.paymentId ?? null });
+        continue;
+      }
 
       log("gravado payment/reservation", {
         user_id,
-        payment_id: pay.rows[0].id,
+        payment_id: pay.id,
         reservation_id: resv_id,
         free,
         amount_cents,
@@ -304,23 +398,11 @@ export async function runAutopayForDraw(draw_id) {
       results.push({ user_id, status: "ok", numbers: free, amount_cents });
     }
 
-    // 9) Marca draw como processado
-    await client.query(
-      `update public.draws set autopay_ran_at = now() where id=$1`,
-      [draw_id]
-    );
-
-    await client.query("COMMIT");
-    log("TX COMMIT");
     log("RUN done", { draw_id });
-
     return { ok: true, draw_id, results, price_cents };
   } catch (e) {
-    try { await client.query("ROLLBACK"); } catch {}
     err("RUN error", { msg: e?.message, code: e?.code });
     return { ok: false, error: "run_failed" };
-  } finally {
-    client.release();
   }
 }
 
@@ -333,8 +415,8 @@ export async function runAutopayForOpenDraws({ force = false, limit = 50 } = {})
 
   try {
     const where = force
-      ? `status in ('open','aberto')`
-      : `status in ('open','aberto') and autopay_ran_at is null`;
+      ? `status = 'open'`
+      : `status = 'open' and autopay_ran_at is null`;
 
     const { rows } = await client.query(
       `select id from public.draws
@@ -374,7 +456,7 @@ export async function ensureAutopayForDraw(draw_id, { force = false } = {}) {
 
   try {
     const { rows } = await client.query(
-      `select id, status, autopay_ran_at
+      `select id, status, autopay_ran_at, total_numbers
          from public.draws
         where id = $1`,
       [draw_id]
@@ -383,10 +465,10 @@ export async function ensureAutopayForDraw(draw_id, { force = false } = {}) {
       warn("ensureAutopay: draw não encontrado", draw_id);
       return { ok: false, error: "draw_not_found" };
     }
-    const st = String(rows[0].status || "").toLowerCase();
+    const st = normalizeStatus(rows[0].status);
     const already = !!rows[0].autopay_ran_at;
 
-    if (!["open", "aberto"].includes(st)) {
+    if (st !== "open") {
       warn("ensureAutopay: draw não está open", { draw_id, status: st });
       return { ok: false, error: "draw_not_open" };
     }
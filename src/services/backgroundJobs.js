@@ -0,0 +1,81 @@
+// backend/src/services/backgroundJobs.js
+// Catálogo dos jobs do backend. Intervalos por ENV (ms; 0 deixa só o disparo manual).
+import { query } from "../db.js";
+import { defineJob, pruneJobRuns } from "./jobs.js";
+import { kickReconcilePendingPayments } from "../routes/payments.js";
+import { expireReservations } from "./reservationExpiry.js";
+import { runAutopayForOpenDraws } from "./autopayRunner.js";
+import { runDrawSchedulerTick } from "./drawScheduler.js";
+import { processWebhookEvents, pruneWebhookEvents } from "./webhookEvents.js";
+import { resumeAdminRefunds } from "./paymentRefunds.js";
+
+const every = (name, fallback) => Number(process.env[name] ?? fallback);
+
+export function registerBackgroundJobs() {
+  defineJob("reconcile_payments", {
+    description: "Consulta no Mercado Pago os PIX pendentes e aplica os aprovados",
+    intervalMs: every("AUTO_RECONCILE_INTERVAL_MS", 60_000),
+    run: async () => {
+      const r = await kickReconcilePendingPayments(true);
+      if (r?.error) throw new Error("reconcile_failed");
+      return r;
+    },
+  });
+
+  defineJob("process_webhook_events", {
+    description: "Processa webhooks recebidos pendentes/falhos (retry com backoff; dead-letter)",
+    intervalMs: every("WEBHOOK_PROCESS_INTERVAL_MS", 30_000),
+    run: () => processWebhookEvents({ limit: 50 }),
+  });
+
+  defineJob("expire_reservations", {
+    description: "Expira reservas vencidas e libera os números presos",
+    intervalMs: every("RESERVATION_CLEANUP_INTERVAL_MS", 60_000),
+    run: expireReservations,
+  });
+
+  defineJob("finish_payment_refunds", {
+    description: "Conclui estornos admin aceitos pelo provedor e reenvia os pendentes parados",
+    intervalMs: every("REFUND_RESUME_INTERVAL_MS", 60_000),
+    run: () => resumeAdminRefunds({ limit: 20 }),
+  });
+
+  defineJob("draw_deadlines", {
+    description: "Fecha/realiza/prorroga/cancela draws com prazo vencido e abre sucessores pendentes",
+    intervalMs: every("DRAW_SCHEDULER_INTERVAL_MS", 30_000),
+    run: runDrawSchedulerTick,
+  });
+
+  defineJob("autopay_open_draws", {
+    description: "Roda o autopay nos sorteios abertos que ainda não passaram por ele",
+    intervalMs: every("AUTOPAY_INTERVAL_MS", 300_000),
+    run: async () => {
+      const r = await runAutopayForOpenDraws();
+      if (!r?.ok) throw new Error(r?.error || "autopay_failed");
+      return { processed: r.processed };
+    },
+  });
+
+  // mantém a conexão viva em hosts free: roda em toda instância
+  defineJob("db_keepalive", {
+    description: "SELECT 1 no pool desta instância",
+    intervalMs: every("DB_KEEPALIVE_INTERVAL_MS", 60_000),
+    perInstance: true,
+    run: async () => {
+      await query("SELECT 1");
+      return null;
+    },
+  });
+
+  defineJob("webhook_events_prune", {
+    description: "Apaga webhooks encerrados mais antigos que WEBHOOK_EVENTS_KEEP_DAYS (padrão 30)",
+    intervalMs: every("WEBHOOK_EVENTS_PRUNE_INTERVAL_MS", 86_400_000),
+    run: () => pruneWebhookEvents(every("WEBHOOK_EVENTS_KEEP_DAYS", 30)),
+  });
+
+  defineJob("job_runs_prune", {
+    description: "Apaga o histórico de jobs mais antigo que JOB_RUNS_KEEP_DAYS (padrão 14)",
+    intervalMs: every("JOB_RUNS_PRUNE_INTERVAL_MS", 86_400_000),
+    run: () => pruneJobRuns(every("JOB_RUNS_KEEP_DAYS", 14)),
+  });
+}
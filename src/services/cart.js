@@ -0,0 +1,132 @@
+// backend/src/services/cart.js
+// Carrinho: um PIX (uma linha em payments) para reservas de vários draws e,
+// opcionalmente, e-books. Cada item fica em payment_items e é liquidado no
+// seu próprio draw. A view payment_lines junta pagamentos antigos (draw_id +
+// numbers na própria linha) e itens de carrinho: quem precisa saber "quem
+// pagou quais números do draw X" lê dela.
+import { query } from "../db.js";
+import { getTicketPriceCents } from "./config.js";
+
+export async function ensureCartSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS payment_items (
+      id             bigserial PRIMARY KEY,
+      payment_id     text NOT NULL,
+      kind           text NOT NULL,          -- 'numbers' | 'infoproduct'
+      draw_id        int,
+      reservation_id uuid,
+      numbers        int[] NOT NULL DEFAULT '{}',
+      infoproduct_id int,
+      amount_cents   int NOT NULL DEFAULT 0,
+      settled_at     timestamptz,
+      created_at     timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS payment_items_payment_idx ON payment_items (payment_id)`);
+  await query(`CREATE INDEX IF NOT EXISTS payment_items_draw_idx ON payment_items (draw_id) WHERE draw_id IS NOT NULL`);
+  await query(`
+    CREATE OR REPLACE VIEW payment_lines AS
+      SELECT p.id, p.user_id, p.guest_id, p.draw_id, p.numbers::int[] AS numbers,
+             p.amount_cents, p.status, p.created_at, p.paid_at, NULL::bigint AS item_id
+        FROM payments p
+       WHERE p.draw_id IS NOT NULL
+      UNION ALL
+      SELECT p.id, p.user_id, p.guest_id, i.draw_id, i.numbers,
+             i.amount_cents, p.status, p.created_at, p.paid_at, i.id AS item_id
+        FROM payment_items i
+        JOIN payments p ON p.id = i.payment_id
+       WHERE i.kind = 'numbers'
+  `);
+}
+
+/**
+ * Monta os itens do carrinho. owner: { userId } ou { guestId } — só reservas
+ * ativas dele. infoproducts: [{ id } | { sku }] (e-books ativos).
+ * Retorna { lines, amount_cents } ou { error, ... }.
+ */
+export async function buildCartLines(db, { reservationIds = [], infoproducts = [], owner }) {
+  const ids = [...new Set(reservationIds.map(String))];
+  if (!ids.length && !infoproducts.length) return { error: "empty_cart" };
+
+  const lines = [];
+  if (ids.length) {
+    const { rows } = await db.query(
+      `select r.id, r.user_id, r.guest_id, r.draw_id, r.numbers, r.status, r.expires_at
+         from reservations r
+        where r.id::text = any($1::text[])
+        for update`,
+      [ids]
+    );
+    const found = new Map(rows.map((r) => [String(r.id), r]));
+    const priceCents = await getTicketPriceCents();
+    for (const id of ids) {
+      const r = found.get(id);
+      const mine =
+        r && (owner.userId ? Number(r.user_id) === Number(owner.userId) : Number(r.guest_id) === Number(owner.guestId));
+      if (!mine) return { error: "reservation_not_found", reservation_id: id };
+      if (r.status !== "active") return { error: "reservation_not_active", reservation_id: id };
+      if (new Date(r.expires_at).getTime() < Date.now()) {
+        return { error: "reservation_expired", reservation_id: id };
+      }
+      const numbers = (r.numbers || []).map(Number);
+      lines.push({
+        kind: "numbers",
+        reservation_id: r.id,
+        draw_id: r.draw_id,
+        numbers,
+        amount_cents: numbers.length * priceCents,
+      });
+    }
+  }
+
+  for (const item of infoproducts) {
+    const byId = item?.id != null;
+    const { rows } = await db.query(
+      `select id, sku, title, price_cents
+         from infoproducts
+        where ${byId ? "id = $1" : "lower(sku) = lower($1)"}
+          and active = true
+        limit 1`,
+      [byId ? Number(item.id) : String(item?.sku || "")]
+    );
+    if (!rows.length) return { error: "infoproduct_not_found", infoproduct: item };
+    lines.push({
+      kind: "infoproduct",
+      infoproduct_id: rows[0].id,
+      title: rows[0].title,
+      amount_cents: Number(rows[0].price_cents || 0),
+    });
+  }
+
+  const amount_cents = lines.reduce((acc, l) => acc + l.amount_cents, 0);
+  return { lines, amount_cents };
+}
+
+/** Grava os itens do carrinho do pagamento. */
+export async function insertPaymentItems(db, paymentId, lines) {
+  for (const l of lines) {
+    // eslint-disable-next-line no-await-in-loop
+    await db.query(
+      `insert into payment_items (payment_id, kind, draw_id, reservation_id, numbers, infoproduct_id, amount_cents)
+       values ($1, $2, $3, $4, $5::int[], $6, $7)`,
+      [
+        String(paymentId),
+        l.kind,
+        l.draw_id ?? null,
+        l.reservation_id ?? null,
+        l.numbers ?? [],
+        l.infoproduct_id ?? null,
+        l.amount_cents,
+      ]
+    );
+  }
+}
+
+/** Linhas de números do pagamento (antigo ou carrinho): [{ draw_id, numbers, item_id, amount_cents }]. */
+export async function getPaymentLines(db, paymentId) {
+  const { rows } = await (db || { query }).query(
+    `select draw_id, numbers, item_id, amount_cents from payment_lines where id = $1`,
+    [String(paymentId)]
+  );
+  return rows;
+}
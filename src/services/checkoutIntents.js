@@ -0,0 +1,177 @@
+// backend/src/services/checkoutIntents.js
+// Intenção de checkout (PIX do carrinho, cartão avulso): gravada antes de
+// chamar o provedor, que fica fora da transação. A chave de idempotência sai
+// do servidor (hash do dono + reservas + e-books + valor), então repetir o
+// pedido ou retomá-lo depois de uma queda cai no mesmo pagamento do provedor
+// em vez de criar outra cobrança.
+//  - pending: provedor ainda não respondeu (ou a gravação local não chegou)
+//  - created: payment gravado (payment_id)
+// Enquanto 'pending' e recente, as reservas ficam presas à intenção
+// (reservations.checkout_intent_id) e outro checkout delas é recusado.
+import crypto from "node:crypto";
+import { query } from "../db.js";
+import { createLogger } from "./logger.js";
+
+const { warn } = createLogger("[checkoutIntents]");
+
+// pagamento ainda em aberto: a reserva não pode entrar em outro checkout
+export const LIVE_PAYMENT_STATUSES = ["pending", "in_process", "created", "authorized"];
+const PAID = ["approved", "paid", "pago"];
+
+const IN_FLIGHT_MS = Number(process.env.CHECKOUT_INTENT_LOCK_MS || 120000);
+
+export async function ensureCheckoutIntentSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS checkout_intents (
+      id              bigserial PRIMARY KEY,
+      base_key        text NOT NULL,
+      attempt         int NOT NULL DEFAULT 1,
+      idempotency_key text NOT NULL UNIQUE,
+      method          text NOT NULL,          -- 'pix' | 'card'
+      user_id         int,
+      guest_id        bigint,
+      amount_cents    int NOT NULL,
+      reservation_ids text[] NOT NULL DEFAULT '{}',
+      status          text NOT NULL DEFAULT 'pending', -- pending | created
+      payment_id      text,
+      error           text,
+      created_at      timestamptz NOT NULL DEFAULT now(),
+      updated_at      timestamptz NOT NULL DEFAULT now(),
+      UNIQUE (base_key, attempt)
+    )
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS checkout_intents_pending_idx
+      ON checkout_intents (created_at) WHERE status = 'pending'
+  `);
+  await query(`ALTER TABLE IF EXISTS reservations ADD COLUMN IF NOT EXISTS checkout_intent_id bigint`);
+}
+
+const lower = (s) => String(s || "").toLowerCase();
+
+/**
+ * Abre (ou retoma) a intenção do carrinho `cart` (de buildCartLines, com as
+ * reservas já travadas). `salt` separa tentativas que o provedor não pode
+ * deduplicar (ex.: o card_token de cada tentativa de cartão).
+ * Retorna { intent, replay } — replay: já existe payment para este pedido —
+ * ou { error } (reservation_has_payment | reservation_in_checkout).
+ */
+export async function openCheckoutIntent(tx, { method, owner, cart, salt = "" }) {
+  const resIds = cart.lines.filter((l) => l.reservation_id).map((l) => String(l.reservation_id)).sort();
+  const books = cart.lines
+    .filter((l) => l.kind === "infoproduct")
+    .map((l) => Number(l.infoproduct_id))
+    .sort((a, b) => a - b);
+  const ownerKey = owner.userId ? `u:${owner.userId}` : `g:${owner.guestId}`;
+  const base = crypto
+    .createHash("sha256")
+    .update([method, ownerKey, resIds.join(","), books.join(","), cart.amount_cents, salt].join("|"))
+    .digest("hex");
+
+  // pedidos iguais e simultâneos: um de cada vez
+  await tx.query(`select pg_advisory_xact_lock(hashtext($1))`, [`checkout_intent:${base}`]);
+
+  const { rows: prev } = await tx.query(
+    `select i.*, p.status as payment_status
+       from checkout_intents i
+  left join payments p on p.id = i.payment_id
+      where i.base_key = $1
+      order by i.attempt desc
+      limit 1`,
+    [base]
+  );
+  const last = prev[0] || null;
+  // pending: retoma com a mesma chave. created: devolve o mesmo payment, a
+  // não ser um PIX que já morreu (cancelado/vencido), que ganha nova tentativa
+  const reuse =
+    last &&
+    (last.status === "pending" ||
+      method === "card" ||
+      [...LIVE_PAYMENT_STATUSES, ...PAID].includes(lower(last.payment_status)))
+      ? last
+      : null;
+
+  if (resIds.length) {
+    const { rows } = await tx.query(
+      `select r.id, r.payment_id, r.checkout_intent_id,
+              p.status as payment_status, i.status as intent_status, i.updated_at as intent_at
+         from reservations r
+    left join payments p on p.id = r.payment_id
+    left join checkout_intents i on i.id = r.checkout_intent_id
+        where r.id::text = any($1::text[])`,
+      [resIds]
+    );
+    for (const r of rows) {
+      const ours = reuse && String(r.payment_id) === String(reuse.payment_id);
+      if (r.payment_id && !ours && LIVE_PAYMENT_STATUSES.includes(lower(r.payment_status))) {
+        return { error: "reservation_has_payment", reservation_id: r.id, payment_id: r.payment_id };
+      }
+      const inFlight =
+        r.checkout_intent_id &&
+        Number(r.checkout_intent_id) !== Number(reuse?.id) &&
+        r.intent_status === "pending" &&
+        Date.now() - new Date(r.intent_at).getTime() < IN_FLIGHT_MS;
+      if (inFlight) return { error: "reservation_in_checkout", reservation_id: r.id };
+    }
+  }
+
+  if (reuse?.status === "created") return { intent: reuse, replay: true };
+
+  let intent = reuse;
+  if (intent) {
+    await tx.query(`update checkout_intents set updated_at = now() where id = $1`, [intent.id]);
+  } else {
+    const attempt = Number(last?.attempt || 0) + 1;
+    const ins = await tx.query(
+      `insert into checkout_intents
+         (base_key, attempt, idempotency_key, method, user_id, guest_id, amount_cents, reservation_ids)
+       values ($1, $2, $3, $4, $5, $6, $7, $8::text[])
+       returning *`,
+      [
+        base,
+        attempt,
+        `${base.slice(0, 48)}-${attempt}`,
+        method,
+        owner.userId ?? null,
+        owner.guestId ?? null,
+        cart.amount_cents,
+        resIds,
+      ]
+    );
+    intent = ins.rows[0];
+  }
+  if (resIds.length) {
+    await tx.query(`update reservations set checkout_intent_id = $2 where id::text = any($1::text[])`, [
+      resIds,
+      intent.id,
+    ]);
+  }
+  return { intent, replay: false };
+}
+
+/** Payment gravado: fecha a intenção (mesma transação do INSERT em payments). */
+export async function completeCheckoutIntent(tx, intentId, paymentId) {
+  await tx.query(
+    `update checkout_intents
+        set status = 'created', payment_id = $2, error = null, updated_at = now()
+      where id = $1`,
+    [intentId, String(paymentId)]
+  );
+  await tx.query(`update reservations set checkout_intent_id = null where checkout_intent_id = $1`, [intentId]);
+}
+
+/**
+ * O provedor falhou: a intenção continua 'pending' (repetir o pedido reusa
+ * a chave), mas as reservas ficam livres para outro meio de pagamento.
+ */
+export async function releaseCheckoutIntent(intentId, error) {
+  try {
+    await query(
+      `update checkout_intents set error = $2, updated_at = now() where id = $1 and status = 'pending'`,
+      [intentId, String(error?.message || error || "").slice(0, 500)]
+    );
+    await query(`update reservations set checkout_intent_id = null where checkout_intent_id = $1`, [intentId]);
+  } catch (e) {
+    warn("falha ao liberar intenção", { intent_id: intentId, msg: e?.message });
+  }
+}
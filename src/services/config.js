@@ -15,6 +15,8 @@ export async function ensureAppConfig() {
     ["ticket_price_cents", String(process.env.PRICE_CENTS ?? "5500")],
     ["max_numbers_per_selection", "5"],
     ["banner_title", ""],
+    ["draw_unsold_rule", "redraw"],
+    ["late_pix_policy", "refund"],
   ];
 
   for (const [k, v] of defaults) {
@@ -71,3 +73,31 @@ export async function setMaxNumbersPerSelection(n) {
   await setConfigValue("max_numbers_per_selection", String(val));
   return val;
 }
+
+/** regra para número sorteado que não foi vendido: redraw | nearest | none */
+export const UNSOLD_RULES = ["redraw", "nearest", "none"];
+
+export async function getDrawUnsoldRule() {
+  const v = String((await getConfigValue("draw_unsold_rule")) || "").toLowerCase();
+  return UNSOLD_RULES.includes(v) ? v : "redraw";
+}
+export async function setDrawUnsoldRule(rule) {
+  const v = String(rule || "").toLowerCase();
+  if (!UNSOLD_RULES.includes(v)) throw new Error("invalid_unsold_rule");
+  await setConfigValue("draw_unsold_rule", v);
+  return v;
+}
+
+/** PIX aprovado depois que os números foram vendidos a outro: refund | replace | voucher */
+export const LATE_PIX_POLICIES = ["refund", "replace", "voucher"];
+
+export async function getLatePixPolicy() {
+  const v = String((await getConfigValue("late_pix_policy")) || "").toLowerCase();
+  return LATE_PIX_POLICIES.includes(v) ? v : "refund";
+}
+export async function setLatePixPolicy(policy) {
+  const v = String(policy || "").toLowerCase();
+  if (!LATE_PIX_POLICIES.includes(v)) throw new Error("invalid_late_pix_policy");
+  await setConfigValue("late_pix_policy", v);
+  return v;
+}
@@ -0,0 +1,377 @@
+// backend/src/services/drawCancel.js
+// Cancelamento de sorteio: marca o draw como cancelado, libera os números
+// e estorna cada payment aprovado (MP ou crédito na loja, conforme a
+// preferência do usuário). O resultado de cada estorno fica em
+// payment_refunds, então reexecutar retoma apenas o que falhou.
+import { query, withTransaction } from "../db.js";
+import { refundPayment, isProviderRejection } from "./paymentProvider.js";
+import { normalizeStatus, transitionDraw } from "./drawLifecycle.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[drawCancel]");
+
+export async function ensureDrawCancelSchema() {
+  await query(`
+    ALTER TABLE IF EXISTS draws
+      ADD COLUMN IF NOT EXISTS cancelled_at timestamptz,
+      ADD COLUMN IF NOT EXISTS cancel_reason text
+  `);
+  // método e id no provedor (cobranças de cartão do autopay não usam o id do MP como PK)
+  await query(`
+    ALTER TABLE IF EXISTS payments
+      ADD COLUMN IF NOT EXISTS method text,
+      ADD COLUMN IF NOT EXISTS provider_payment_id text,
+      ADD COLUMN IF NOT EXISTS refunded_at timestamptz
+  `);
+  // preferência de estorno do usuário: 'provider' (MP) | 'store_credit' (coupon_value_cents)
+  await query(`
+    ALTER TABLE IF EXISTS users
+      ADD COLUMN IF NOT EXISTS refund_preference text DEFAULT 'provider',
+      ADD COLUMN IF NOT EXISTS coupon_value_cents int4 DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS coupon_updated_at timestamptz,
+      ADD COLUMN IF NOT EXISTS coupon_tray_stale boolean DEFAULT false
+  `);
+  await query(`
+    create table if not exists payment_refunds (
+      id serial primary key,
+      payment_id text not null,
+      draw_id int,
+      user_id int,
+      amount_cents int not null default 0,
+      source text not null,
+      method text not null default 'provider',
+      reason text,
+      status text not null default 'pending',
+      provider_refund_id text,
+      error text,
+      attempts int not null default 0,
+      created_at timestamptz default now(),
+      updated_at timestamptz default now()
+    )
+  `);
+  await query(`ALTER TABLE payment_refunds ADD COLUMN IF NOT EXISTS method text NOT NULL DEFAULT 'provider'`);
+  // um estorno por payment e draw em cada cancelamento (idempotência/retomada);
+  // um PIX de carrinho cobre vários draws e é estornado linha a linha
+  await query(`drop index if exists payment_refunds_draw_cancel_uq`);
+  await query(`
+    create unique index if not exists payment_refunds_draw_cancel_line_uq
+      on payment_refunds (payment_id, draw_id) where source = 'draw_cancel'
+  `);
+}
+
+/** Id do pagamento no provedor (PIX usa o próprio id como PK); null se não houver. */
+export function providerPaymentId(p) {
+  if (p.provider_payment_id) return String(p.provider_payment_id);
+  // PIX: o id do payment é o do provedor (legado sem provider: id numérico do MP)
+  return p.provider || /^\d+$/.test(String(p.id || "")) ? String(p.id) : null;
+}
+
+/**
+ * Tira o valor estornado do crédito de cupom. Total: só se o /sync já tinha
+ * somado o pagamento (refunded não entra mais na soma). Parcial: sempre — o
+ * payment continua aprovado e entra (ou já entrou) inteiro no crédito.
+ */
+export async function reverseCouponCredit(tx, pay, amount, full) {
+  if (!pay.user_id) return 0;
+  const { rows } = await tx.query(
+    `select coalesce(coupon_value_cents, 0)::int as cents,
+            greatest(coalesce($2::timestamptz, to_timestamp(0)), coalesce($3::timestamptz, to_timestamp(0)))
+              <= coalesce(last_payment_sync_at, to_timestamp(-1)) as accrued
+       from users
+      where id = $1
+      for update`,
+    [pay.user_id, pay.paid_at, pay.created_at]
+  );
+  const u = rows[0];
+  if (!u || (full && !u.accrued)) return 0;
+  const cents = Math.min(amount, u.cents);
+  if (cents <= 0) return 0;
+  await tx.query(
+    `update users
+        set coupon_value_cents = coupon_value_cents - $2,
+            coupon_tray_stale  = true,
+            coupon_updated_at  = now()
+      where id = $1`,
+    [pay.user_id, cents]
+  );
+  return cents;
+}
+
+// estornos que já contam contra o valor do payment (qualquer origem)
+const REFUND_TAKEN = ["pending", "provider_done", "refunded", "credited"];
+
+/**
+ * Limita a linha ao que ainda resta estornar do payment (estornos parciais do
+ * admin contam). Precisa do payment travado (FOR UPDATE). Retorna
+ * { amount, closes } — closes: a linha zera o saldo e o payment vira
+ * 'refunded' — ou null se não sobra nada (a linha fica 'skipped').
+ */
+async function capRefundLine(tx, row, pay) {
+  const { rows } = await tx.query(
+    `select coalesce(sum(amount_cents), 0)::int as cents
+       from payment_refunds
+      where payment_id = $1 and id <> $2 and status = any($3::text[])`,
+    [row.payment_id, row.id, REFUND_TAKEN]
+  );
+  const left = Number(pay.amount_cents || 0) - rows[0].cents;
+  const amount = Math.min(Number(row.amount_cents), left);
+  if (amount <= 0) {
+    await tx.query(
+      `update payment_refunds
+          set status = 'skipped', amount_cents = 0, error = 'already_refunded', updated_at = now()
+        where id = $1`,
+      [row.id]
+    );
+    return null;
+  }
+  if (amount !== Number(row.amount_cents)) {
+    await tx.query(`update payment_refunds set amount_cents = $2, updated_at = now() where id = $1`, [
+      row.id,
+      amount,
+    ]);
+  }
+  return { amount, closes: amount >= left };
+}
+
+/** Credita o valor em coupon_value_cents (crédito na loja) de forma atômica. */
+async function creditStore(row) {
+  try {
+    return await withTransaction(async (tx) => {
+      // trava a linha do estorno: só credita se ainda estiver pendente
+      const cur = await tx.query(
+        `select status from payment_refunds where id = $1 for update`,
+        [row.id]
+      );
+      if (!["pending", "failed"].includes(cur.rows[0]?.status)) {
+        return tx.rollback(cur.rows[0]?.status || "skipped");
+      }
+      const pay = (await tx.query(`select * from payments where id = $1 for update`, [row.payment_id])).rows[0];
+      if (!pay) return tx.rollback("skipped");
+      const cap = await capRefundLine(tx, row, pay);
+      if (!cap) return "skipped";
+
+      await tx.query(
+        `update users
+            set coupon_value_cents = coalesce(coupon_value_cents, 0) + $2,
+                coupon_tray_stale  = true,
+                coupon_updated_at  = now()
+          where id = $1`,
+        [row.user_id, cap.amount]
+      );
+      await tx.query(
+        `update payment_refunds
+            set status = 'credited', error = null, attempts = attempts + 1, updated_at = now()
+          where id = $1`,
+        [row.id]
+      );
+      if (cap.closes) {
+        await tx.query(`update payments set status = 'refunded', refunded_at = now() where id = $1`, [
+          row.payment_id,
+        ]);
+      }
+      // o crédito que o /sync já somou por este pagamento sai junto
+      await reverseCouponCredit(tx, pay, cap.amount, cap.closes);
+      return "credited";
+    });
+  } catch (e) {
+    warn("crédito falhou", { refund_id: row.id, msg: e?.message });
+    await query(
+      `update payment_refunds
+          set status = 'failed', error = $2, attempts = attempts + 1, updated_at = now()
+        where id = $1`,
+      [row.id, String(e?.message || e).slice(0, 500)]
+    );
+    return "failed";
+  }
+}
+
+/**
+ * Executa um estorno pendente/falho. Pagamentos sem id no provedor
+ * (vouchers, atribuição manual) ficam como 'manual' para o admin resolver.
+ */
+async function processRefund(row) {
+  if (row.method === "store_credit") return creditStore(row);
+
+  const { rows } = await query(`select * from payments where id = $1`, [row.payment_id]);
+  const pay = rows[0];
+  const mpId = pay ? providerPaymentId(pay) : null;
+
+  if (!mpId) {
+    await query(
+      `update payment_refunds
+          set status = 'manual', error = 'no_provider_payment', updated_at = now()
+        where id = $1`,
+      [row.id]
+    );
+    return "manual";
+  }
+
+  // reserva o valor (payment travado, como no estorno do admin) antes do provedor
+  const cap = await withTransaction(async (tx) => {
+    const locked = await tx.query(`select * from payments where id = $1 for update`, [row.payment_id]);
+    return capRefundLine(tx, row, locked.rows[0]);
+  });
+  if (!cap) return "skipped";
+
+  try {
+    // linha de carrinho (ou saldo após estorno parcial): só o valor da linha
+    const whole = cap.amount >= Number(pay.amount_cents || 0);
+    const r = await refundPayment({
+      provider: pay.provider,
+      paymentId: mpId,
+      amount_cents: whole ? undefined : cap.amount,
+      // chave estável: reexecutar não duplica o estorno no MP
+      idempotencyKey: `refund-${row.id}`,
+    });
+    // linha, payment e crédito de cupom na mesma transação
+    await withTransaction(async (tx) => {
+      await tx.query(
+        `update payment_refunds
+            set status = 'refunded', provider_refund_id = $2, error = null,
+                attempts = attempts + 1, updated_at = now()
+          where id = $1`,
+        [row.id, r.refundId]
+      );
+      if (cap.closes) {
+        await tx.query(
+          `update payments set status = 'refunded', refunded_at = now() where id = $1`,
+          [row.payment_id]
+        );
+      }
+      await reverseCouponCredit(tx, pay, cap.amount, cap.closes);
+    });
+    return "refunded";
+  } catch (e) {
+    // resposta incerta: continua 'pending' (o saldo segue reservado) e a
+    // reexecução reenvia com a mesma chave; só a recusa vira 'failed'
+    const rejected = isProviderRejection(e);
+    warn(rejected ? "estorno falhou" : "estorno sem resposta do provedor", {
+      refund_id: row.id,
+      payment_id: row.payment_id,
+      msg: e?.message,
+    });
+    await query(
+      `update payment_refunds
+          set status = $3, error = $2, attempts = attempts + 1, updated_at = now()
+        where id = $1`,
+      [row.id, String(e?.message || e).slice(0, 500), rejected ? "failed" : "pending"]
+    );
+    return rejected ? "failed" : "pending";
+  }
+}
+
+/**
+ * Cancela o draw e estorna os participantes. Idempotente: se o draw já
+ * estiver cancelado, apenas reprocessa estornos pendentes/falhos.
+ * Retorna { ok, draw_id, refunds: { total, refunded, failed, manual, skipped } }
+ * ou { ok:false, error } (draw_not_found | draw_not_cancellable).
+ */
+export async function cancelDrawWithRefunds(
+  drawId,
+  { reason = null, actor = "system", actorUserId = null } = {}
+) {
+  const failed = await withTransaction(async (tx) => {
+    const d = await tx.query(`select id, status from draws where id = $1 for update`, [drawId]);
+    if (!d.rowCount) return tx.rollback({ ok: false, error: "draw_not_found" });
+
+    if (normalizeStatus(d.rows[0].status) !== "cancelled") {
+      const tr = await transitionDraw(tx, drawId, "cancelled", {
+        actor,
+        actorUserId,
+        reason,
+        set: { cancel_reason: reason },
+      });
+      if (!tr.ok) {
+        return tx.rollback({ ok: false, error: tr.error === "invalid_transition" ? "draw_not_cancellable" : tr.error });
+      }
+      await tx.query(
+        `update numbers set status = 'available', reservation_id = null where draw_id = $1`,
+        [drawId]
+      );
+      await tx.query(
+        `update reservations
+            set status = 'cancelled'
+          where draw_id = $1
+            and lower(coalesce(status,'')) in ('active','pending','reserved','')`,
+        [drawId]
+      );
+    }
+
+    // enfileira um estorno por payment aprovado (não duplica na retomada);
+    // no carrinho, só o valor da linha deste draw, limitado ao que ainda não
+    // foi estornado (ex.: estorno parcial do admin). Payment já zerado fica de fora.
+    // método conforme a preferência do usuário (crédito na loja ou MP)
+    await tx.query(
+      `insert into payment_refunds (payment_id, draw_id, user_id, amount_cents, source, method, reason)
+       select l.id, l.draw_id, l.user_id, least(l.cents, coalesce(pp.amount_cents, 0) - r.cents), 'draw_cancel',
+              case when l.pref = 'store_credit' then 'store_credit' else 'provider' end,
+              $2
+         from (select p.id, p.draw_id, p.user_id, sum(coalesce(p.amount_cents, 0)) as cents,
+                      max(u.refund_preference) as pref
+                 from payment_lines p
+                 left join users u on u.id = p.user_id
+                where p.draw_id = $1
+                  and lower(p.status) in ('approved','paid','pago')
+                group by p.id, p.draw_id, p.user_id) l
+         join payments pp on pp.id = l.id
+         cross join lateral (
+           select coalesce(sum(x.amount_cents), 0) as cents
+             from payment_refunds x
+            where x.payment_id = l.id and x.status = any($3::text[])
+         ) r
+        where least(l.cents, coalesce(pp.amount_cents, 0) - r.cents) > 0
+       on conflict (payment_id, draw_id) where source = 'draw_cancel' do nothing`,
+      [drawId, reason, REFUND_TAKEN]
+    );
+    return null;
+  });
+  if (failed) return failed;
+
+  // estornos fora da transação (chamadas externas)
+  const { rows: pending } = await query(
+    `select * from payment_refunds
+      where draw_id = $1 and source = 'draw_cancel' and status in ('pending','failed')
+      order by id`,
+    [drawId]
+  );
+  for (const row of pending) {
+    // eslint-disable-next-line no-await-in-loop
+    await processRefund(row);
+  }
+
+  const refunds = await summarizeDrawRefunds(drawId);
+  log("draw cancelado", { drawId, ...refunds });
+  return { ok: true, draw_id: drawId, refunds };
+}
+
+/** Totais dos estornos do cancelamento de um draw. */
+export async function summarizeDrawRefunds(drawId) {
+  const { rows } = await query(
+    `select count(*)::int as total,
+            count(*) filter (where status = 'pending')::int  as pending,
+            count(*) filter (where status = 'refunded')::int as refunded,
+            count(*) filter (where status = 'credited')::int as credited,
+            count(*) filter (where status = 'failed')::int   as failed,
+            count(*) filter (where status = 'manual')::int   as manual,
+            count(*) filter (where status = 'skipped')::int  as skipped
+       from payment_refunds
+      where draw_id = $1 and source = 'draw_cancel'`,
+    [drawId]
+  );
+  return rows[0];
+}
+
+/** Estornos do cancelamento de um draw, um por payment. */
+export async function listDrawRefunds(drawId) {
+  const { rows } = await query(
+    `select r.id, r.payment_id, r.user_id, u.email as user_email, r.amount_cents,
+            r.method, r.status, r.provider_refund_id, r.error, r.attempts,
+            r.created_at, r.updated_at
+       from payment_refunds r
+       left join users u on u.id = r.user_id
+      where r.draw_id = $1 and r.source = 'draw_cancel'
+      order by r.id`,
+    [drawId]
+  );
+  return rows;
+}
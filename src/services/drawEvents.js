@@ -0,0 +1,137 @@
+// backend/src/services/drawEvents.js
+// Eventos ao vivo do tabuleiro (números e status do draw) para o stream SSE.
+// Quem altera publica com pg_notify no canal draw_events (dentro da
+// transação, sai só no COMMIT); cada instância escuta com LISTEN e repassa
+// aos clientes SSE conectados nela.
+import { EventEmitter } from "node:events";
+import pg from "pg";
+import { getPool, query } from "../db.js";
+import { initialsFromNameOrEmail } from "./numberBoard.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[drawEvents]");
+
+const CHANNEL = "draw_events";
+// payload do NOTIFY tem limite de 8000 bytes
+const NUMBERS_PER_EVENT = 1000;
+const RELISTEN_MS = 5_000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let listener = null;
+let starting = false;
+
+/**
+ * Publica a mudança de estado de números (available | reserved | sold).
+ * db: tx (entrega no COMMIT) ou null. opts.ownerUserId: comprador, para
+ * owner_initials quando sold.
+ */
+export async function publishNumbers(db, drawId, numbers, status, { ownerUserId = null } = {}) {
+  const list = [...new Set((numbers || []).map(Number).filter(Number.isInteger))];
+  if (!drawId || !list.length) return;
+  const conn = db || { query };
+
+  let ownerInitials = null;
+  if (status === "sold" && ownerUserId) {
+    const u = await conn.query(`select name, email from users where id = $1`, [ownerUserId]);
+    if (u.rowCount) ownerInitials = initialsFromNameOrEmail(u.rows[0].name, u.rows[0].email);
+  }
+
+  for (let i = 0; i < list.length; i += NUMBERS_PER_EVENT) {
+    const payload = {
+      type: "numbers",
+      draw_id: Number(drawId),
+      status,
+      numbers: list.slice(i, i + NUMBERS_PER_EVENT),
+      owner_initials: ownerInitials,
+    };
+    // eslint-disable-next-line no-await-in-loop
+    await conn.query(`select pg_notify($1, $2)`, [CHANNEL, JSON.stringify(payload)]);
+  }
+}
+
+/** Publica a mudança de status do draw. */
+export async function publishDrawStatus(db, drawId, from, to) {
+  const payload = { type: "status", draw_id: Number(drawId), from, status: to };
+  await (db || { query }).query(`select pg_notify($1, $2)`, [CHANNEL, JSON.stringify(payload)]);
+}
+
+/** Assina os eventos de um draw. Retorna a função que cancela a assinatura. */
+export function subscribeDraw(drawId, fn) {
+  const key = `draw:${Number(drawId)}`;
+  bus.on(key, fn);
+  return () => bus.off(key, fn);
+}
+
+/** Clientes SSE conectados nesta instância. */
+export function subscriberCount() {
+  return bus.eventNames().reduce((acc, k) => acc + bus.listenerCount(k), 0);
+}
+
+function dispatch(raw) {
+  try {
+    const evt = JSON.parse(raw);
+    if (evt?.draw_id) bus.emit(`draw:${evt.draw_id}`, evt);
+  } catch {
+    warn("payload inválido", String(raw).slice(0, 200));
+  }
+}
+
+function broadcastResync() {
+  for (const key of bus.eventNames()) {
+    bus.emit(key, { type: "resync" });
+  }
+}
+
+/**
+ * Conexão dedicada ao LISTEN. PG_LISTEN_URL permite uma conexão direta
+ * (LISTEN não funciona atrás de pooler em modo transação); senão usa o pool.
+ */
+async function connectListener() {
+  const url = process.env.PG_LISTEN_URL;
+  if (url) {
+    const client = new pg.Client({ connectionString: url, ssl: { rejectUnauthorized: false } });
+    await client.connect();
+    return { client, release: () => client.end().catch(() => {}) };
+  }
+  const pool = await getPool();
+  const client = await pool.connect();
+  return { client, release: () => client.release(true) };
+}
+
+function scheduleRelisten() {
+  setTimeout(() => {
+    startDrawEvents().catch(() => {});
+  }, RELISTEN_MS);
+}
+
+/** Liga o LISTEN desta instância (reconecta sozinho). */
+export async function startDrawEvents() {
+  if (listener || starting) return;
+  starting = true;
+  try {
+    const conn = await connectListener();
+    conn.client.on("notification", (msg) => {
+      if (msg.channel === CHANNEL) dispatch(msg.payload);
+    });
+    conn.client.on("error", (e) => {
+      warn("conexão do LISTEN caiu", e?.code || e?.message);
+      if (listener === conn) {
+        listener = null;
+        conn.release();
+        scheduleRelisten();
+      }
+    });
+    await conn.client.query(`LISTEN ${CHANNEL}`);
+    listener = conn;
+    log("escutando", { channel: CHANNEL });
+    // eventos podem ter se perdido enquanto estava fora: clientes recarregam
+    broadcastResync();
+  } catch (e) {
+    warn("LISTEN falhou; nova tentativa em breve", e?.code || e?.message);
+    scheduleRelisten();
+  } finally {
+    starting = false;
+  }
+}
@@ -0,0 +1,146 @@
+// backend/src/services/drawLifecycle.js
+// Ciclo de vida do sorteio: estados canônicos, transições permitidas e
+// histórico (draw_status_history) de quem mudou o quê e quando.
+import { query } from "../db.js";
+import { publishDrawStatus } from "./drawEvents.js";
+import { createLogger } from "./logger.js";
+
+const { log } = createLogger("[drawLifecycle]");
+
+export const DRAW_STATES = ["draft", "open", "closed", "realized", "redeemed", "cancelled"];
+
+// valores legados gravados como texto livre
+const ALIASES = {
+  aberto: "open",
+  fechado: "closed",
+  sorteado: "realized",
+  resgatado: "redeemed",
+  cancelado: "cancelled",
+  canceled: "cancelled",
+  rascunho: "draft",
+};
+
+export const DRAW_TRANSITIONS = {
+  draft: ["open", "cancelled"],
+  open: ["closed", "cancelled"],
+  closed: ["realized", "cancelled"],
+  realized: ["redeemed"],
+  redeemed: [],
+  cancelled: [],
+};
+
+// coluna de data carimbada ao entrar em cada estado
+const STAMP = {
+  open: "opened_at",
+  closed: "closed_at",
+  realized: "realized_at",
+  redeemed: "redeemed_at",
+  cancelled: "cancelled_at",
+};
+
+/** 'Aberto' -> 'open'; desconhecido -> null. */
+export function normalizeStatus(status) {
+  const s = String(status || "").trim().toLowerCase();
+  if (DRAW_STATES.includes(s)) return s;
+  return ALIASES[s] || null;
+}
+
+export function canTransition(from, to) {
+  return (DRAW_TRANSITIONS[normalizeStatus(from)] || []).includes(to);
+}
+
+export async function ensureDrawLifecycleSchema() {
+  await query(`
+    ALTER TABLE IF EXISTS draws
+      ADD COLUMN IF NOT EXISTS redeemed_at timestamptz,
+      ADD COLUMN IF NOT EXISTS cancelled_at timestamptz
+  `);
+  await query(`
+    create table if not exists draw_status_history (
+      id bigserial primary key,
+      draw_id int not null references draws(id) on delete cascade,
+      from_status text,
+      to_status text not null,
+      actor text not null default 'system',
+      actor_user_id int,
+      reason text,
+      created_at timestamptz default now()
+    )
+  `);
+  await query(
+    `create index if not exists draw_status_history_draw_idx on draw_status_history (draw_id, id)`
+  );
+
+  // migra textos legados para os estados canônicos
+  for (const [legacy, canon] of Object.entries(ALIASES)) {
+    await query(`update draws set status = $2 where lower(status) = $1`, [legacy, canon]);
+  }
+  await query(`update draws set status = lower(status) where status <> lower(status)`);
+  // realizados antigos ficaram como 'closed' com realized_at preenchido
+  await query(`update draws set status = 'realized' where status = 'closed' and realized_at is not null`);
+}
+
+async function insertHistory(db, drawId, from, to, { actor = "system", actorUserId = null, reason = null } = {}) {
+  await db.query(
+    `insert into draw_status_history (draw_id, from_status, to_status, actor, actor_user_id, reason)
+     values ($1, $2, $3, $4, $5, $6)`,
+    [drawId, from, to, actor, actorUserId, reason]
+  );
+}
+
+/**
+ * Registra a criação de um draw (from_status = null) no histórico.
+ * Usar logo após o INSERT, no mesmo client/transação.
+ */
+export async function recordDrawCreated(client, drawId, status = "open", opts = {}) {
+  await insertHistory(client || { query }, drawId, null, normalizeStatus(status) || status, opts);
+}
+
+/**
+ * Muda o status do draw validando a transição e grava o histórico.
+ * Trava a linha (FOR UPDATE): chame dentro de uma transação quando
+ * `client` for informado. `set` = colunas extras de draws a gravar junto.
+ * opts: { actor: 'admin'|'system'|'scheduler'|..., actorUserId, reason, set }
+ * Retorna { ok:true, from, to, draw } ou { ok:false, error, from? }
+ * (draw_not_found | invalid_transition).
+ */
+export async function transitionDraw(client, drawId, to, opts = {}) {
+  const db = client || { query };
+  const target = normalizeStatus(to);
+  if (!target) return { ok: false, error: "invalid_transition" };
+
+  const cur = await db.query(`select id, status from draws where id = $1 for update`, [drawId]);
+  if (!cur.rowCount) return { ok: false, error: "draw_not_found" };
+  const from = normalizeStatus(cur.rows[0].status);
+
+  if (!canTransition(from, target)) {
+    return { ok: false, error: "invalid_transition", from, to: target };
+  }
+
+  const extra = Object.entries(opts.set || {});
+  const sets = [`status = $2`];
+  if (STAMP[target]) sets.push(`${STAMP[target]} = coalesce(${STAMP[target]}, now())`);
+  extra.forEach(([k], i) => sets.push(`${k} = $${i + 3}`));
+
+  const up = await db.query(
+    `update draws set ${sets.join(", ")} where id = $1 returning *`,
+    [drawId, target, ...extra.map(([, v]) => v)]
+  );
+  await insertHistory(db, drawId, from, target, opts);
+  await publishDrawStatus(db, drawId, from, target);
+
+  log("transição", { drawId, from, to: target, actor: opts.actor || "system" });
+  return { ok: true, from, to: target, draw: up.rows[0] };
+}
+
+/** Histórico de status de um draw (mais antigo primeiro). */
+export async function getDrawStatusHistory(drawId) {
+  const { rows } = await query(
+    `select id, from_status, to_status, actor, actor_user_id, reason, created_at
+       from draw_status_history
+      where draw_id = $1
+      order by id`,
+    [drawId]
+  );
+  return rows;
+}
@@ -0,0 +1,63 @@
+// backend/src/services/drawNumbers.js
+// Faixa de números de um sorteio (0..total_numbers-1): validação,
+// formatação com zeros à esquerda e população da tabela numbers.
+import { query } from "../db.js";
+
+export const DEFAULT_TOTAL_NUMBERS = 100;
+export const MAX_TOTAL_NUMBERS = 10000;
+
+/** Normaliza um total vindo do banco/body (1..MAX, default 100). */
+export function normalizeTotal(v) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_TOTAL_NUMBERS;
+  return Math.min(MAX_TOTAL_NUMBERS, n);
+}
+
+/** Dígitos usados no rótulo: 100 -> 2 ("00".."99"), 1000 -> 3, 10000 -> 4. */
+export function numberWidth(total) {
+  return Math.max(2, String(normalizeTotal(total) - 1).length);
+}
+
+export function formatNumber(n, total = DEFAULT_TOTAL_NUMBERS) {
+  return String(n).padStart(numberWidth(total), "0");
+}
+
+export function isValidNumber(n, total = DEFAULT_TOTAL_NUMBERS) {
+  return Number.isInteger(n) && n >= 0 && n < normalizeTotal(total);
+}
+
+/**
+ * Aceita array ou CSV ("1, 2;3") e devolve int[] único e ordenado,
+ * apenas com números dentro de 0..total-1.
+ */
+export function parseNumberList(input, total = DEFAULT_TOTAL_NUMBERS) {
+  const arr = Array.isArray(input)
+    ? input
+    : String(input ?? "")
+        .split(/[,\s;]+/)
+        .map((t) => t.trim())
+        .filter(Boolean);
+
+  const nums = [...new Set(arr.map(Number))].filter((n) => isValidNumber(n, total));
+  nums.sort((a, b) => a - b);
+  return nums;
+}
+
+/** total_numbers do draw (default 100). `client` opcional (transação). */
+export async function getDrawTotalNumbers(drawId, client = null) {
+  const db = client || { query };
+  const { rows } = await db.query(`select total_numbers from draws where id = $1`, [drawId]);
+  return normalizeTotal(rows?.[0]?.total_numbers);
+}
+
+/** Cria as linhas 0..total-1 em numbers (idempotente). */
+export async function populateDrawNumbers(client, drawId, total) {
+  const db = client || { query };
+  await db.query(
+    `insert into numbers (draw_id, n, status)
+     select $1, gs::int, 'available'
+       from generate_series(0, $2::int - 1) gs
+     on conflict do nothing`,
+    [drawId, normalizeTotal(total)]
+  );
+}
@@ -0,0 +1,155 @@
+// backend/src/services/drawPrizes.js
+// Faixas de prêmio por sorteio (1º, 2º, 3º, consolação "antes/depois").
+// Cada faixa tem sua regra (kind) e, após a realização, o seu resultado.
+// A faixa 1 espelha as colunas winner_* de draws (compatibilidade).
+import { query, withTransaction } from "../db.js";
+
+export const PRIZE_KINDS = ["draw", "before", "after"];
+export const MAX_PRIZES = 20;
+
+export async function ensureDrawPrizesSchema() {
+  await query(`
+    create table if not exists draw_prizes (
+      id serial primary key,
+      draw_id int not null references draws(id) on delete cascade,
+      position int not null,
+      tier text not null,
+      kind text not null default 'draw',
+      ref_position int,
+      prize_cents int,
+      product_name text,
+      product_link text,
+      drawn_number int,
+      winner_number int,
+      winner_user_id int,
+      winner_name text,
+      realized_at timestamptz,
+      created_at timestamptz default now(),
+      unique (draw_id, position)
+    )
+  `);
+  await query(`create index if not exists draw_prizes_winner_idx on draw_prizes (winner_user_id)`);
+
+  // sorteios realizados antes das faixas viram a faixa 1
+  await query(`
+    insert into draw_prizes (draw_id, position, tier, kind, prize_cents, product_name, product_link,
+                             drawn_number, winner_number, winner_user_id, winner_name, realized_at)
+    select d.id, 1, '1º prêmio', 'draw', d.prize_cents, d.product_name, d.product_link,
+           coalesce(d.drawn_number, d.winner_number), d.winner_number, d.winner_user_id, d.winner_name, d.realized_at
+      from draws d
+     where d.realized_at is not null
+       and not exists (select 1 from draw_prizes p where p.draw_id = d.id)
+  `);
+}
+
+const str = (v, max = 255) => String(v ?? "").trim().slice(0, max);
+
+/**
+ * Valida a lista de faixas vinda do admin.
+ * Posições seguem a ordem do array (1..n); a faixa 1 precisa ser 'draw'.
+ * before/after apontam para ref_position (padrão 1), que deve ser 'draw' anterior.
+ * Lança Error("invalid_prizes") quando inválida.
+ */
+export function normalizePrizes(input) {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_PRIZES) {
+    throw new Error("invalid_prizes");
+  }
+  const out = input.map((p, i) => {
+    const position = i + 1;
+    const kind = str(p?.kind || "draw", 10).toLowerCase();
+    if (!PRIZE_KINDS.includes(kind)) throw new Error("invalid_prizes");
+    const prize = p?.prize_cents == null || p.prize_cents === "" ? null : Number(p.prize_cents);
+    if (prize !== null && (!Number.isInteger(prize) || prize < 0)) throw new Error("invalid_prizes");
+    return {
+      position,
+      tier: str(p?.tier, 60) || `${position}º prêmio`,
+      kind,
+      ref_position: kind === "draw" ? null : Number(p?.ref_position ?? 1),
+      prize_cents: prize,
+      product_name: str(p?.product_name) || null,
+      product_link: str(p?.product_link, 2048) || null,
+    };
+  });
+
+  if (out[0].kind !== "draw") throw new Error("invalid_prizes");
+  for (const p of out) {
+    if (p.kind === "draw") continue;
+    const ref = out[p.ref_position - 1];
+    if (!ref || ref.kind !== "draw" || ref.position >= p.position) throw new Error("invalid_prizes");
+  }
+  return out;
+}
+
+/** Faixas do draw em ordem (db = client da transação ou pool). */
+export async function listDrawPrizes(drawId, db = null) {
+  const { rows } = await (db || { query }).query(
+    `select p.*, coalesce(nullif(p.winner_name,''), u.name, u.email) as winner_display
+       from draw_prizes p
+       left join users u on u.id = p.winner_user_id
+      where p.draw_id = $1
+      order by p.position`,
+    [drawId]
+  );
+  return rows;
+}
+
+/**
+ * Substitui as faixas de um draw ainda não realizado.
+ * Retorna { ok, prizes } ou { ok:false, error } (draw_not_found | already_realized | invalid_prizes).
+ */
+export async function setDrawPrizes(drawId, input) {
+  let prizes;
+  try {
+    prizes = normalizePrizes(input);
+  } catch {
+    return { ok: false, error: "invalid_prizes" };
+  }
+
+  return withTransaction(async (tx) => {
+    // trava o draw: a realização não pode ler faixas pela metade
+    const d = await tx.query(`select id, realized_at, status from draws where id = $1 for update`, [drawId]);
+    if (!d.rowCount) return tx.rollback({ ok: false, error: "draw_not_found" });
+    if (d.rows[0].realized_at) return tx.rollback({ ok: false, error: "already_realized" });
+
+    await tx.query(`delete from draw_prizes where draw_id = $1`, [drawId]);
+    for (const p of prizes) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `insert into draw_prizes (draw_id, position, tier, kind, ref_position, prize_cents, product_name, product_link)
+         values ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [drawId, p.position, p.tier, p.kind, p.ref_position, p.prize_cents, p.product_name, p.product_link]
+      );
+    }
+    return { ok: true, prizes: await listDrawPrizes(drawId, tx) };
+  });
+}
+
+/**
+ * Resolve o número de cada faixa, em ordem.
+ * - 'draw': pickNext(used) devolve { drawn, winner_number } sem repetir ganhadores
+ * - 'before'/'after': vizinho do número vencedor da faixa ref_position (com volta em 0..total-1);
+ *   vale apenas se o vizinho foi vendido
+ * A faixa 1 usa `first` (resultado já calculado pelo método do sorteio).
+ */
+export function resolvePrizeTiers({ prizes, first, pickNext, total, sold }) {
+  const soldSet = new Set(sold);
+  const used = new Set();
+  const results = [];
+
+  for (const p of prizes) {
+    let r;
+    if (p.position === 1) {
+      r = first;
+    } else if (p.kind === "draw") {
+      r = pickNext(used);
+    } else {
+      const ref = results[(p.ref_position || 1) - 1];
+      const base = ref?.winner_number ?? null;
+      const n = base == null ? null : (base + (p.kind === "before" ? -1 : 1) + total) % total;
+      r = { drawn: n, winner_number: n != null && soldSet.has(n) ? n : null };
+    }
+    if (p.kind === "draw" && r.winner_number != null) used.add(r.winner_number);
+    results.push({ position: p.position, drawn: r.drawn ?? null, winner_number: r.winner_number ?? null });
+  }
+  return results;
+}
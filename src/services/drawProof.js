@@ -0,0 +1,176 @@
+// backend/src/services/drawProof.js
+// Prova pública do sorteio: snapshot congelado (número -> hash do participante)
+// gravado no fechamento + compromisso da seed (commit/reveal).
+import crypto from "node:crypto";
+import { query } from "../db.js";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+export const PROOF_ALGORITHM =
+  "snapshot_sha256 = sha256(snapshot_json); seed_commitment = sha256(bytes(seed_hex)); " +
+  "tentativa i: HMAC-SHA256(bytes(seed_hex), '<draw_id>:<i>:<k>') -> 48 bits big-endian, " +
+  "rejeita (k+1) se >= 2^48 - (2^48 mod total_numbers), senão número = v mod total_numbers; " +
+  "regra 'redraw' repete i+1 até cair em número do snapshot, 'nearest' usa o vendido mais próximo " +
+  "(empate: o de cima), 'none' não tem ganhador. " +
+  "Faixas extras 'draw' continuam a sequência de tentativas (i) após a faixa 1, sem repetir ganhadores; " +
+  "'before'/'after' são o vencedor da faixa de referência -1/+1 (com volta), se vendido. " +
+  "participant = HMAC-SHA256(bytes(participant_salt_hex), '<draw_id>:u:<user_id>' ou '<draw_id>:g:<guest_id>'); " +
+  "o salt é revelado junto com a seed.";
+
+export async function ensureDrawProofSchema() {
+  await query(`
+    create table if not exists draw_snapshots (
+      draw_id int primary key references draws(id) on delete cascade,
+      snapshot_json text not null,
+      snapshot_sha256 text not null,
+      seed text not null,
+      seed_commitment text not null,
+      created_at timestamptz default now()
+    )
+  `);
+  // salt do hash dos participantes: secreto até a realização (ids são
+  // sequenciais, sem ele qualquer um enumera os hashes)
+  await query(`alter table draw_snapshots add column if not exists participant_salt text`);
+}
+
+/**
+ * Hash público do participante (usuário ou convidado). Com o salt revelado
+ * depois da realização, o próprio participante consegue conferir.
+ */
+export function participantHash(drawId, { userId = null, guestId = null }, saltHex) {
+  const who = userId != null ? `u:${userId}` : `g:${guestId}`;
+  return crypto.createHmac("sha256", Buffer.from(saltHex, "hex")).update(`${drawId}:${who}`).digest("hex");
+}
+
+/**
+ * Grava o snapshot do draw (idempotente: se já existe, NÃO altera).
+ * `client` opcional para rodar dentro da transação do chamador.
+ * Retorna a linha de draw_snapshots.
+ */
+export async function createDrawSnapshot(drawId, client = null) {
+  const db = client || { query };
+
+  const existing = await db.query(`select * from draw_snapshots where draw_id = $1`, [drawId]);
+  if (existing.rowCount) return existing.rows[0];
+
+  const d = await db.query(
+    `select id, closed_at, coalesce(total_numbers, 100) as total_numbers
+       from draws
+      where id = $1`,
+    [drawId]
+  );
+  if (!d.rowCount) return null;
+
+  // dono de cada número (mesma regra do dono no resultado: view number_owners)
+  const { rows } = await db.query(
+    `select o.n, o.user_id, o.guest_id
+       from number_owners o
+      where o.draw_id = $1
+      order by o.n`,
+    [drawId]
+  );
+
+  const salt = crypto.randomBytes(32).toString("hex");
+  const snapshot = {
+    draw_id: Number(d.rows[0].id),
+    total_numbers: Number(d.rows[0].total_numbers) || 100,
+    closed_at: d.rows[0].closed_at ? new Date(d.rows[0].closed_at).toISOString() : null,
+    numbers: rows.map((r) => ({
+      n: Number(r.n),
+      participant: participantHash(drawId, { userId: r.user_id, guestId: r.guest_id }, salt),
+    })),
+  };
+  const snapshotJson = JSON.stringify(snapshot);
+  const seed = crypto.randomBytes(32).toString("hex");
+
+  const ins = await db.query(
+    `insert into draw_snapshots (draw_id, snapshot_json, snapshot_sha256, seed, seed_commitment, participant_salt)
+     values ($1, $2, $3, $4, $5, $6)
+     on conflict (draw_id) do nothing
+     returning *`,
+    [drawId, snapshotJson, sha256(snapshotJson), seed, sha256(Buffer.from(seed, "hex")), salt]
+  );
+  if (ins.rowCount) return ins.rows[0];
+
+  // corrida: outro processo gravou primeiro — vale o que já está lá
+  const again = await db.query(`select * from draw_snapshots where draw_id = $1`, [drawId]);
+  return again.rows[0] || null;
+}
+
+/** Números vendidos segundo o snapshot congelado. */
+export function snapshotSoldNumbers(row) {
+  try {
+    return JSON.parse(row.snapshot_json).numbers.map((x) => Number(x.n));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Monta a prova pública. A seed só é revelada depois da realização.
+ */
+export async function getDrawProof(drawId) {
+  const d = await query(
+    `select id, status, closed_at, realized_at,
+            coalesce(total_numbers, 100) as total_numbers,
+            drawn_number, winner_number, result_method, result_rule, result_attempts,
+            federal_rule, federal_contest, federal_contest_date, federal_prizes, federal_prize_index
+       from draws
+      where id = $1`,
+    [drawId]
+  );
+  if (!d.rowCount) return null;
+  const draw = d.rows[0];
+
+  const s = await query(`select * from draw_snapshots where draw_id = $1`, [drawId]);
+  const snap = s.rows[0] || null;
+  const realized = !!draw.realized_at;
+  const prizes = realized
+    ? (
+        await query(
+          `select position, tier, kind, ref_position, drawn_number, winner_number
+             from draw_prizes
+            where draw_id = $1
+            order by position`,
+          [drawId]
+        )
+      ).rows
+    : [];
+
+  return {
+    draw_id: draw.id,
+    status: draw.status,
+    closed_at: draw.closed_at,
+    realized_at: draw.realized_at,
+    total_numbers: Number(draw.total_numbers) || 100,
+    snapshot: snap ? JSON.parse(snap.snapshot_json) : null,
+    snapshot_json: snap?.snapshot_json ?? null,
+    snapshot_sha256: snap?.snapshot_sha256 ?? null,
+    snapshot_created_at: snap?.created_at ?? null,
+    seed_commitment: snap?.seed_commitment ?? null,
+    seed: realized && draw.result_method !== "federal" ? snap?.seed ?? null : null,
+    // depois da realização: cada participante confere o próprio hash
+    participant_salt: realized ? snap?.participant_salt ?? null : null,
+    result: realized
+      ? {
+          method: draw.result_method || "rng",
+          rule: draw.result_rule,
+          attempts: draw.result_attempts,
+          drawn_number: draw.drawn_number,
+          winner_number: draw.winner_number,
+          prizes,
+          federal:
+            draw.result_method === "federal"
+              ? {
+                  rule: draw.federal_rule,
+                  contest: draw.federal_contest,
+                  contest_date: draw.federal_contest_date,
+                  prizes: draw.federal_prizes,
+                  prize_index: draw.federal_prize_index,
+                }
+              : null,
+        }
+      : null,
+    algorithm: PROOF_ALGORITHM,
+  };
+}
@@ -0,0 +1,474 @@
+// backend/src/services/drawResult.js
+// Realização do sorteio: escolhe o número vencedor com CSPRNG semeado
+// ou a partir dos prêmios da Loteria Federal, resolve o dono pelos
+// payments aprovados e grava o resultado no draw e em cada faixa (draw_prizes).
+import crypto from "node:crypto";
+import { query, withTransaction } from "../db.js";
+import { getDrawUnsoldRule, UNSOLD_RULES } from "./config.js";
+import { createDrawSnapshot, snapshotSoldNumbers } from "./drawProof.js";
+import { normalizeStatus, transitionDraw } from "./drawLifecycle.js";
+import { listDrawPrizes, resolvePrizeTiers } from "./drawPrizes.js";
+import { createLogger } from "./logger.js";
+
+const { log, err } = createLogger("[drawResult]");
+
+/** Garante as colunas de resultado em draws. */
+export async function ensureDrawResultSchema() {
+  await query(`
+    ALTER TABLE IF EXISTS draws
+      ADD COLUMN IF NOT EXISTS total_numbers int DEFAULT 100,
+      ADD COLUMN IF NOT EXISTS drawn_number int,
+      ADD COLUMN IF NOT EXISTS winner_number int,
+      ADD COLUMN IF NOT EXISTS winner_user_id int,
+      ADD COLUMN IF NOT EXISTS winner_name text,
+      ADD COLUMN IF NOT EXISTS realized_at timestamptz,
+      ADD COLUMN IF NOT EXISTS result_seed text,
+      ADD COLUMN IF NOT EXISTS result_rule text,
+      ADD COLUMN IF NOT EXISTS result_attempts int,
+      ADD COLUMN IF NOT EXISTS result_method text,
+      ADD COLUMN IF NOT EXISTS federal_rule jsonb,
+      ADD COLUMN IF NOT EXISTS federal_rule_published_at timestamptz,
+      ADD COLUMN IF NOT EXISTS federal_contest text,
+      ADD COLUMN IF NOT EXISTS federal_contest_date date,
+      ADD COLUMN IF NOT EXISTS federal_prizes text[],
+      ADD COLUMN IF NOT EXISTS federal_prize_index int
+  `);
+  // realizados antes de drawn_number: winner_number guardava o sorteado
+  // mesmo sem dono — o sorteado vai para drawn_number e o ganhador some
+  await query(`
+    UPDATE draws
+       SET drawn_number = winner_number,
+           winner_number = CASE WHEN winner_user_id IS NULL AND winner_name IS NULL THEN NULL ELSE winner_number END
+     WHERE realized_at IS NOT NULL
+       AND result_method IS NOT NULL
+       AND drawn_number IS NULL
+       AND winner_number IS NOT NULL
+  `);
+}
+
+/* ------------------------------------------------------- *
+ * RNG determinístico a partir da seed
+ * ------------------------------------------------------- */
+
+/**
+ * Número da tentativa `attempt` para uma seed (hex) em um range 0..total-1.
+ * HMAC-SHA256(seed, "<drawId>:<attempt>:<k>") -> 48 bits, com rejeição
+ * (incrementa k) para não enviesar quando total não divide 2^48.
+ * Qualquer pessoa com a seed consegue refazer a conta.
+ */
+export function pickNumber(seedHex, drawId, attempt, total) {
+  const space = 2 ** 48;
+  const limit = space - (space % total);
+  for (let k = 0; ; k++) {
+    const h = crypto
+      .createHmac("sha256", Buffer.from(seedHex, "hex"))
+      .update(`${drawId}:${attempt}:${k}`)
+      .digest();
+    const v = h.readUIntBE(0, 6);
+    if (v < limit) return v % total;
+  }
+}
+
+/* ------------------------------------------------------- *
+ * Ownership (payments aprovados)
+ * ------------------------------------------------------- */
+
+export async function loadSoldNumbers(client, drawId) {
+  const { rows } = await client.query(
+    `SELECT DISTINCT t.n::int AS n
+       FROM payment_lines p
+       CROSS JOIN LATERAL unnest(p.numbers) AS t(n)
+      WHERE p.draw_id = $1
+        AND lower(p.status) IN ('approved','paid','pago')
+      ORDER BY 1`,
+    [drawId]
+  );
+  return rows.map((r) => Number(r.n));
+}
+
+export async function findNumberOwner(client, drawId, n) {
+  const { rows } = await client.query(
+    `SELECT o.user_id,
+            COALESCE(NULLIF(u.name,''), u.email) AS name
+       FROM number_owners o
+  LEFT JOIN users u ON u.id = o.user_id
+      WHERE o.draw_id = $1
+        AND o.n = $2
+      LIMIT 1`,
+    [drawId, n]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Vendido mais próximo de `n`. Empate: vence o número acima.
+ */
+export function nearestSold(sold, n) {
+  let best = null;
+  for (const s of sold) {
+    const d = Math.abs(s - n);
+    const bd = best == null ? Infinity : Math.abs(best - n);
+    if (d < bd || (d === bd && s > best)) best = s;
+  }
+  return best;
+}
+
+/**
+ * Aplica a regra de número não vendido sobre uma sequência de sorteios.
+ * Retorna { drawn, winner_number, attempts } — winner_number null = sem ganhador.
+ */
+export function resolveWinningNumber({ seed, drawId, total, sold, rule }) {
+  const soldSet = new Set(sold);
+  const drawn = pickNumber(seed, drawId, 0, total);
+
+  if (soldSet.has(drawn)) return { drawn, winner_number: drawn, attempts: 1 };
+  if (!soldSet.size || rule === "none") return { drawn, winner_number: null, attempts: 1 };
+  if (rule === "nearest") return { drawn, winner_number: nearestSold(sold, drawn), attempts: 1 };
+
+  // redraw: sorteia de novo até cair em número vendido
+  const maxAttempts = Math.max(1000, total * 50);
+  for (let attempt = 1; attempt < maxAttempts; attempt++) {
+    const n = pickNumber(seed, drawId, attempt, total);
+    if (soldSet.has(n)) return { drawn, winner_number: n, attempts: attempt + 1 };
+  }
+  // estatisticamente impossível; cai para o mais próximo para não travar
+  return { drawn, winner_number: nearestSold(sold, drawn), attempts: maxAttempts };
+}
+
+/**
+ * Faixas 'draw' seguintes no RNG: continua a sequência de tentativas a partir
+ * de `startAttempt` (após as usadas pela faixa 1), sem repetir ganhadores.
+ */
+export function rngNextPicker({ seed, drawId, total, sold, rule, startAttempt }) {
+  const soldSet = new Set(sold);
+  let attempt = startAttempt;
+  return (used) => {
+    const drawn = pickNumber(seed, drawId, attempt++, total);
+    const free = sold.filter((n) => !used.has(n));
+    if (soldSet.has(drawn) && !used.has(drawn)) return { drawn, winner_number: drawn };
+    if (!free.length || rule === "none") return { drawn, winner_number: null };
+    if (rule === "nearest") return { drawn, winner_number: nearestSold(free, drawn) };
+
+    const maxAttempts = Math.max(1000, total * 50);
+    for (let i = 0; i < maxAttempts; i++) {
+      const n = pickNumber(seed, drawId, attempt++, total);
+      if (soldSet.has(n) && !used.has(n)) return { drawn, winner_number: n };
+    }
+    return { drawn, winner_number: nearestSold(free, drawn) };
+  };
+}
+
+/* ------------------------------------------------------- *
+ * Loteria Federal
+ * ------------------------------------------------------- */
+
+export const FEDERAL_FALLBACKS = ["next_prize", "nearest", "none"];
+export const FEDERAL_PRIZES = 5;
+
+/** Quantidade de dígitos finais usada por padrão (100 -> 2, 1000 -> 3). */
+export function defaultFederalDigits(total) {
+  return Math.max(1, String(Math.max(1, total - 1)).length);
+}
+
+/**
+ * Normaliza a regra publicada: { digits, fallback }.
+ * Lança Error("invalid_federal_rule") quando inválida para o total do draw.
+ */
+export function normalizeFederalRule(input, total) {
+  const digits = input?.digits != null ? Number(input.digits) : defaultFederalDigits(total);
+  const fallback = String(input?.fallback || "next_prize").toLowerCase();
+  if (!Number.isInteger(digits) || digits < 1 || digits > 6 || 10 ** digits < total) {
+    throw new Error("invalid_federal_rule");
+  }
+  if (!FEDERAL_FALLBACKS.includes(fallback)) throw new Error("invalid_federal_rule");
+  return { digits, fallback };
+}
+
+/** Valida os 5 prêmios oficiais (somente dígitos, 4 a 6 posições). */
+export function normalizeFederalPrizes(input) {
+  if (!Array.isArray(input) || input.length !== FEDERAL_PRIZES) return null;
+  const out = input.map((p) => String(p ?? "").trim());
+  return out.every((p) => /^\d{4,6}$/.test(p)) ? out : null;
+}
+
+/**
+ * Deriva o número vencedor a partir dos prêmios:
+ * últimos `digits` dígitos do 1º prêmio (mod total); se não vendido,
+ * aplica o fallback (próximo prêmio, vendido mais próximo ou sem ganhador).
+ * Retorna { drawn, winner_number, prize_index } (prize_index 1..5 ou null).
+ */
+export function deriveFederalNumber({ prizes, rule, total, sold }) {
+  const soldSet = new Set(sold);
+  const numberOf = (prize) => federalNumber(prize, rule, total);
+  const drawn = numberOf(prizes[0]);
+
+  if (soldSet.has(drawn)) return { drawn, winner_number: drawn, prize_index: 1 };
+  if (!soldSet.size || rule.fallback === "none") {
+    return { drawn, winner_number: null, prize_index: null };
+  }
+  if (rule.fallback === "nearest") {
+    return { drawn, winner_number: nearestSold(sold, drawn), prize_index: 1 };
+  }
+  for (let i = 1; i < prizes.length; i++) {
+    const n = numberOf(prizes[i]);
+    if (soldSet.has(n)) return { drawn, winner_number: n, prize_index: i + 1 };
+  }
+  return { drawn, winner_number: null, prize_index: null };
+}
+
+/** Número do sorteio para um prêmio federal: últimos `digits` dígitos (mod total). */
+export function federalNumber(prize, rule, total) {
+  return Number(prize.slice(-rule.digits)) % total;
+}
+
+/**
+ * Faixas 'draw' seguintes na Loteria Federal: cada uma usa o próximo prêmio
+ * do concurso após `startIndex` (0-based), com o mesmo fallback da regra.
+ * Prêmios esgotados = faixa sem ganhador.
+ */
+export function federalNextPicker({ prizes, rule, total, sold, startIndex }) {
+  const soldSet = new Set(sold);
+  let i = startIndex;
+  return (used) => {
+    if (i >= prizes.length) return { drawn: null, winner_number: null };
+    const drawn = federalNumber(prizes[i++], rule, total);
+    const free = sold.filter((n) => !used.has(n));
+    if (soldSet.has(drawn) && !used.has(drawn)) return { drawn, winner_number: drawn };
+    if (!free.length || rule.fallback === "none") return { drawn, winner_number: null };
+    if (rule.fallback === "nearest") return { drawn, winner_number: nearestSold(free, drawn) };
+    while (i < prizes.length) {
+      const n = federalNumber(prizes[i++], rule, total);
+      if (soldSet.has(n) && !used.has(n)) return { drawn, winner_number: n };
+    }
+    return { drawn, winner_number: null };
+  };
+}
+
+/* ------------------------------------------------------- *
+ * Realização
+ * ------------------------------------------------------- */
+
+/**
+ * Resolve e grava todas as faixas do draw (sem faixas configuradas,
+ * cria a faixa 1 com o prêmio do próprio draw). Retorna as faixas gravadas.
+ */
+async function saveDrawPrizes(client, draw, outcome, total, sold) {
+  let prizes = await listDrawPrizes(draw.id, client);
+  if (!prizes.length) {
+    prizes = [{ position: 1, tier: "1º prêmio", kind: "draw", ref_position: null }];
+    await client.query(
+      `INSERT INTO draw_prizes (draw_id, position, tier, kind, prize_cents, product_name, product_link)
+       VALUES ($1, 1, $2, 'draw', $3, $4, $5)
+       ON CONFLICT (draw_id, position) DO NOTHING`,
+      [draw.id, prizes[0].tier, draw.prize_cents ?? null, draw.product_name ?? null, draw.product_link ?? null]
+    );
+  }
+
+  const results = resolvePrizeTiers({
+    prizes,
+    first: { drawn: outcome.drawn, winner_number: outcome.winner_number },
+    pickNext: outcome.pickNext || (() => ({ drawn: null, winner_number: null })),
+    total,
+    sold,
+  });
+
+  const saved = [];
+  for (const r of results) {
+    const owner =
+      r.winner_number != null ? await findNumberOwner(client, draw.id, r.winner_number) : null;
+    const { rows } = await client.query(
+      `UPDATE draw_prizes
+          SET drawn_number = $3, winner_number = $4, winner_user_id = $5, winner_name = $6,
+              realized_at = NOW()
+        WHERE draw_id = $1 AND position = $2
+        RETURNING position, tier, kind, ref_position, prize_cents, drawn_number,
+                  winner_number, winner_user_id, winner_name`,
+      [draw.id, r.position, r.drawn, r.winner_number, owner?.user_id ?? null, owner?.name ?? null]
+    );
+    saved.push(rows[0]);
+  }
+  return saved;
+}
+
+/**
+ * Esqueleto comum: trava o draw, valida que está FECHADO e não realizado,
+ * chama compute({ tx, draw, total, sold, snapshot }) e grava o resultado.
+ * compute retorna { drawn, winner_number, fields, extra } onde `fields`
+ * são colunas adicionais de draws a gravar junto.
+ */
+async function realizeLocked(drawId, compute, audit = {}) {
+  try {
+    return await withTransaction(async (tx) => {
+      const d = await tx.query(
+        `SELECT *, COALESCE(total_numbers, 100) AS total_numbers
+           FROM draws
+          WHERE id = $1
+          FOR UPDATE`,
+        [drawId]
+      );
+      if (!d.rowCount) {
+        return tx.rollback({ ok: false, error: "draw_not_found" });
+      }
+      const draw = d.rows[0];
+      if (normalizeStatus(draw.status) !== "closed") {
+        return tx.rollback({ ok: false, error: "draw_not_closed" });
+      }
+      if (draw.realized_at) {
+        return tx.rollback({ ok: false, error: "already_realized" });
+      }
+
+      // o resultado sai do snapshot congelado no fechamento (criado agora
+      // para draws antigos, fechados antes de existir a prova)
+      const total = Number(draw.total_numbers) || 100;
+      const snapshot = await createDrawSnapshot(drawId, tx);
+      const sold = snapshot ? snapshotSoldNumbers(snapshot) : await loadSoldNumbers(tx, drawId);
+      const outcome = await compute({ tx, draw, total, sold, snapshot });
+      if (outcome?.error) {
+        return tx.rollback({ ok: false, error: outcome.error });
+      }
+
+      const prizes = await saveDrawPrizes(tx, draw, outcome, total, sold);
+      const owner =
+        outcome.winner_number != null
+          ? await findNumberOwner(tx, drawId, outcome.winner_number)
+          : null;
+
+      const tr = await transitionDraw(tx, drawId, "realized", {
+        ...audit,
+        set: {
+          // sem dono: sem ganhador (o sorteado fica em drawn_number)
+          drawn_number: outcome.drawn ?? null,
+          winner_number: outcome.winner_number ?? null,
+          winner_user_id: owner?.user_id ?? null,
+          winner_name: owner?.name ?? null,
+          ...(outcome.fields || {}),
+        },
+      });
+      if (!tr.ok) {
+        return tx.rollback({ ok: false, error: tr.error === "invalid_transition" ? "draw_not_closed" : tr.error });
+      }
+
+      log("draw realizado", { drawId, drawn: outcome.drawn, winner: outcome.winner_number, tiers: prizes.length });
+
+      const row = tr.draw;
+      return {
+        ok: true,
+        draw_id: row.id,
+        drawn_number: outcome.drawn,
+        winner_number: row.winner_number,
+        winner_user_id: row.winner_user_id,
+        winner_name: row.winner_name,
+        realized_at: row.realized_at,
+        has_winner: !!owner,
+        prizes,
+        ...(outcome.extra || {}),
+      };
+    });
+  } catch (e) {
+    err("realize error", { drawId, msg: e?.message, code: e?.code });
+    return { ok: false, error: "realize_failed" };
+  }
+}
+
+/**
+ * Realiza um sorteio FECHADO com o RNG do servidor, usando a seed
+ * comprometida no snapshot do fechamento.
+ * opts.rule: redraw | nearest | none (default: app_config.draw_unsold_rule)
+ * Retorna { ok, draw_id, winner_number, winner_user_id, winner_name, ... }
+ * ou { ok:false, error } (draw_not_found | draw_not_closed | already_realized).
+ */
+export async function realizeDraw(drawId, { rule, actor = "system", actorUserId = null } = {}) {
+  const unsoldRule = UNSOLD_RULES.includes(rule) ? rule : await getDrawUnsoldRule();
+
+  return realizeLocked(drawId, ({ total, sold, snapshot }) => {
+    // seed comprometida no fechamento (seed_commitment público)
+    const seed = snapshot?.seed || crypto.randomBytes(32).toString("hex");
+    const outcome = resolveWinningNumber({ seed, drawId, total, sold, rule: unsoldRule });
+    return {
+      ...outcome,
+      pickNext: rngNextPicker({
+        seed, drawId, total, sold, rule: unsoldRule, startAttempt: outcome.attempts,
+      }),
+      fields: {
+        result_method: "rng",
+        result_seed: seed,
+        result_rule: unsoldRule,
+        result_attempts: outcome.attempts,
+      },
+      extra: { method: "rng", unsold_rule: unsoldRule, attempts: outcome.attempts, seed },
+    };
+  }, { actor, actorUserId });
+}
+
+/**
+ * Realiza um sorteio FECHADO a partir do resultado da Loteria Federal.
+ * Exige regra publicada antes (draws.federal_rule).
+ * input: { contest, prizes: [5 strings], contest_date? }
+ */
+export async function realizeDrawFromFederal(
+  drawId,
+  { contest, prizes, contest_date, actor = "system", actorUserId = null } = {}
+) {
+  return realizeLocked(drawId, ({ draw, total, sold }) => {
+    if (!draw.federal_rule) return { error: "federal_rule_not_published" };
+    const rule = normalizeFederalRule(draw.federal_rule, total);
+    const outcome = deriveFederalNumber({ prizes, rule, total, sold });
+    return {
+      ...outcome,
+      // faixas seguintes usam os prêmios após o que definiu a faixa 1
+      pickNext: federalNextPicker({ prizes, rule, total, sold, startIndex: outcome.prize_index ?? 1 }),
+      fields: {
+        result_method: "federal",
+        result_rule: rule.fallback,
+        federal_contest: contest,
+        federal_contest_date: contest_date || null,
+        federal_prizes: prizes,
+        federal_prize_index: outcome.prize_index,
+      },
+      extra: { method: "federal", contest, prizes, rule, prize_index: outcome.prize_index },
+    };
+  }, { actor, actorUserId, reason: `loteria federal ${contest}` });
+}
+
+/**
+ * Publica (ou substitui) a regra federal de um draw. Só enquanto ele está
+ * aberto e sem snapshot: depois do fechamento os compradores já compraram
+ * sob a regra publicada, e ela não pode mais mudar.
+ */
+export async function publishFederalRule(drawId, input) {
+  return withTransaction(async (tx) => {
+    const { rows } = await tx.query(
+      `SELECT id, status, realized_at, federal_prizes, COALESCE(total_numbers, 100) AS total_numbers
+         FROM draws
+        WHERE id = $1
+        FOR UPDATE`,
+      [drawId]
+    );
+    if (!rows.length) return tx.rollback({ ok: false, error: "draw_not_found" });
+    if (rows[0].realized_at || rows[0].federal_prizes) {
+      return tx.rollback({ ok: false, error: "already_realized" });
+    }
+    if (normalizeStatus(rows[0].status) !== "open") {
+      return tx.rollback({ ok: false, error: "draw_not_open" });
+    }
+    const snap = await tx.query(`SELECT 1 FROM draw_snapshots WHERE draw_id = $1`, [drawId]);
+    if (snap.rowCount) return tx.rollback({ ok: false, error: "snapshot_exists" });
+
+    let rule;
+    try {
+      rule = normalizeFederalRule(input, Number(rows[0].total_numbers) || 100);
+    } catch {
+      return tx.rollback({ ok: false, error: "invalid_federal_rule" });
+    }
+
+    const up = await tx.query(
+      `UPDATE draws
+          SET federal_rule = $2::jsonb,
+              federal_rule_published_at = NOW()
+        WHERE id = $1
+        RETURNING federal_rule, federal_rule_published_at`,
+      [drawId, JSON.stringify(rule)]
+    );
+    return { ok: true, draw_id: drawId, ...up.rows[0] };
+  });
+}
@@ -0,0 +1,170 @@
+// backend/src/services/drawRollover.js
+// Rollover por infoproduto: quando um draw fecha, abre o próximo
+// (com os números populados) e dispara o autopay. Configuração em
+// infoproducts: rollover_auto_open, rollover_delay_minutes, rollover_max_open.
+// draws.rolled_over_at marca o draw fechado que já gerou o sucessor.
+import { query, withTransaction } from "../db.js";
+import { normalizeTotal, populateDrawNumbers } from "./drawNumbers.js";
+import { recordDrawCreated } from "./drawLifecycle.js";
+import { ensureAutopayForDraw } from "./autopayRunner.js";
+import { createLogger } from "./logger.js";
+
+const { log, err } = createLogger("[drawRollover]");
+
+export const MAX_ROLLOVER_OPEN = 20;
+
+export async function ensureDrawRolloverSchema() {
+  await query(`
+    ALTER TABLE IF EXISTS infoproducts
+      ADD COLUMN IF NOT EXISTS rollover_auto_open boolean DEFAULT false,
+      ADD COLUMN IF NOT EXISTS rollover_delay_minutes int DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS rollover_max_open int DEFAULT 1
+  `);
+
+  // primeira execução: draws já fechados não geram sucessor retroativo
+  const { rowCount: hasColumn } = await query(
+    `select 1 from information_schema.columns
+      where table_name = 'draws' and column_name = 'rolled_over_at'`
+  );
+  await query(`
+    ALTER TABLE IF EXISTS draws
+      ADD COLUMN IF NOT EXISTS rolled_over_at timestamptz,
+      ADD COLUMN IF NOT EXISTS previous_draw_id int
+  `);
+  if (!hasColumn) {
+    await query(
+      `update draws set rolled_over_at = now()
+        where rolled_over_at is null and status not in ('draft','open')`
+    );
+  }
+}
+
+/**
+ * Valida/normaliza a configuração vinda do admin (PATCH parcial).
+ * Lança Error("invalid_rollover") quando inválida.
+ */
+export function normalizeRollover(input = {}) {
+  const out = {};
+  if ("auto_open" in input) {
+    if (typeof input.auto_open !== "boolean") throw new Error("invalid_rollover");
+    out.rollover_auto_open = input.auto_open;
+  }
+  if ("delay_minutes" in input) {
+    const n = Number(input.delay_minutes);
+    if (!Number.isInteger(n) || n < 0) throw new Error("invalid_rollover");
+    out.rollover_delay_minutes = n;
+  }
+  if ("max_open" in input) {
+    const n = Number(input.max_open);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_ROLLOVER_OPEN) throw new Error("invalid_rollover");
+    out.rollover_max_open = n;
+  }
+  return out;
+}
+
+/**
+ * Abre o sucessor de um draw fechado, se o infoproduto pedir.
+ * Retorna 'created' | 'waiting' (atraso) | 'full' (limite de abertos) | 'skipped'.
+ */
+export async function rolloverDraw(drawId) {
+  let newDrawId = null;
+  const outcome = await withTransaction(async (tx) => {
+    const d = await tx.query(
+      `select d.id, d.infoproduct_id, d.closed_at, d.product_name, d.product_link
+         from draws d
+        where d.id = $1
+          and d.status in ('closed','realized','redeemed')
+          and d.rolled_over_at is null
+          and d.infoproduct_id is not null
+        for update skip locked`,
+      [drawId]
+    );
+    if (!d.rowCount) return tx.rollback("skipped");
+    const prev = d.rows[0];
+
+    // trava o infoproduto: serializa a contagem de abertos entre instâncias
+    const p = await tx.query(
+      `select p.id,
+              coalesce(p.category_id, c.id)         as category_id,
+              coalesce(p.default_total_numbers,100) as total_numbers,
+              coalesce(p.default_prize_cents,0)     as prize_cents,
+              coalesce(p.rollover_auto_open,false)  as auto_open,
+              coalesce(p.rollover_delay_minutes,0)  as delay_minutes,
+              coalesce(p.rollover_max_open,1)       as max_open
+         from infoproducts p
+         left join categories c on lower(c.slug) = lower(p.category_slug)
+        where p.id = $1
+        for update of p`,
+      [prev.infoproduct_id]
+    );
+    const P = p.rows[0];
+    if (!P?.auto_open) return tx.rollback("skipped");
+
+    const closedAt = prev.closed_at ? new Date(prev.closed_at).getTime() : Date.now();
+    if (closedAt + Number(P.delay_minutes) * 60_000 > Date.now()) return tx.rollback("waiting");
+
+    const o = await tx.query(
+      `select count(*)::int as open from draws where infoproduct_id = $1 and status = 'open'`,
+      [P.id]
+    );
+    if ((o.rows[0]?.open || 0) >= Number(P.max_open)) return tx.rollback("full");
+
+    const total = normalizeTotal(P.total_numbers);
+    const ins = await tx.query(
+      `insert into draws (infoproduct_id, category_id, status, opened_at, total_numbers, prize_cents,
+                          product_name, product_link, previous_draw_id, autopay_ran_at)
+       values ($1, $2, 'open', now(), $3, $4, $5, $6, $7, null)
+       returning id`,
+      [P.id, P.category_id, total, P.prize_cents, prev.product_name, prev.product_link, prev.id]
+    );
+    newDrawId = ins.rows[0].id;
+    await recordDrawCreated(tx, newDrawId, "open", {
+      actor: "system",
+      reason: `rollover do sorteio #${prev.id}`,
+    });
+    await populateDrawNumbers(tx, newDrawId, total);
+    await tx.query(`update draws set rolled_over_at = now() where id = $1`, [prev.id]);
+
+    log("próximo sorteio aberto", { from: prev.id, draw_id: newDrawId, infoproduct_id: P.id });
+    return "created";
+  });
+  if (outcome !== "created") return outcome;
+
+  // autopay fora da transação (cobranças externas)
+  const ap = await ensureAutopayForDraw(newDrawId);
+  if (!ap?.ok) err("autopay do novo sorteio falhou", { draw_id: newDrawId, error: ap?.error });
+  return "created";
+}
+
+/** Dispara o rollover sem bloquear quem fechou o draw. */
+export function rolloverDrawInBackground(drawId) {
+  rolloverDraw(drawId).catch((e) => err("rollover falhou", { drawId, msg: e?.message }));
+}
+
+/** Varre draws fechados aguardando sucessor (atraso ou limite de abertos). */
+export async function runPendingRollovers({ limit = 20 } = {}) {
+  const { rows } = await query(
+    `select d.id
+       from draws d
+       join infoproducts p on p.id = d.infoproduct_id
+      where d.status in ('closed','realized','redeemed')
+        and d.rolled_over_at is null
+        and p.rollover_auto_open = true
+        and coalesce(d.closed_at, now()) + make_interval(mins => coalesce(p.rollover_delay_minutes, 0)) <= now()
+      order by d.closed_at nulls first, d.id
+      limit $1`,
+    [limit]
+  );
+
+  const results = [];
+  for (const { id } of rows) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      results.push({ draw_id: id, outcome: await rolloverDraw(id) });
+    } catch (e) {
+      err("falha no rollover", { drawId: id, msg: e?.message });
+      results.push({ draw_id: id, outcome: "error", error: String(e?.message || e) });
+    }
+  }
+  return results;
+}
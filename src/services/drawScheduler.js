@@ -0,0 +1,197 @@
+// backend/src/services/drawScheduler.js
+// Prazo dos sorteios: draws com closes_at vencido são fechados e, conforme
+// min_sold, realizados, prorrogados ou cancelados com estorno.
+import { query, withTransaction } from "../db.js";
+import { createDrawSnapshot } from "./drawProof.js";
+import { realizeDraw } from "./drawResult.js";
+import { cancelDrawWithRefunds } from "./drawCancel.js";
+import { transitionDraw } from "./drawLifecycle.js";
+import { rolloverDraw, runPendingRollovers } from "./drawRollover.js";
+import { createLogger } from "./logger.js";
+
+const { log, err } = createLogger("[drawScheduler]");
+
+export const BELOW_MIN_ACTIONS = ["extend", "cancel"];
+
+export async function ensureDrawScheduleSchema() {
+  await query(`
+    ALTER TABLE IF EXISTS draws
+      ADD COLUMN IF NOT EXISTS closes_at timestamptz,
+      ADD COLUMN IF NOT EXISTS min_sold int,
+      ADD COLUMN IF NOT EXISTS below_min_action text DEFAULT 'cancel',
+      ADD COLUMN IF NOT EXISTS extend_minutes int DEFAULT 1440,
+      ADD COLUMN IF NOT EXISTS max_extensions int DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS extensions int DEFAULT 0
+  `);
+  await query(`
+    create index if not exists draws_closes_at_open_idx
+      on draws (closes_at) where closes_at is not null
+  `);
+}
+
+/**
+ * Valida/normaliza o agendamento vindo do admin.
+ * Lança Error("invalid_schedule") quando inválido.
+ * Campos ausentes não entram no retorno (PATCH parcial).
+ */
+export function normalizeSchedule(input = {}) {
+  const out = {};
+  if ("closes_at" in input) {
+    if (input.closes_at === null || input.closes_at === "") {
+      out.closes_at = null;
+    } else {
+      const t = new Date(input.closes_at);
+      if (Number.isNaN(t.getTime())) throw new Error("invalid_schedule");
+      out.closes_at = t.toISOString();
+    }
+  }
+  if ("min_sold" in input) {
+    const n = input.min_sold === null ? null : Number(input.min_sold);
+    if (n !== null && (!Number.isInteger(n) || n < 0)) throw new Error("invalid_schedule");
+    out.min_sold = n;
+  }
+  if ("below_min_action" in input) {
+    const a = String(input.below_min_action || "").toLowerCase();
+    if (!BELOW_MIN_ACTIONS.includes(a)) throw new Error("invalid_schedule");
+    out.below_min_action = a;
+  }
+  for (const k of ["extend_minutes", "max_extensions"]) {
+    if (k in input) {
+      const n = Number(input[k]);
+      if (!Number.isInteger(n) || n < 0) throw new Error("invalid_schedule");
+      out[k] = n;
+    }
+  }
+  return out;
+}
+
+/** Contagem regressiva pública (segundos calculados no servidor). */
+export function drawCountdown(draw, now = new Date()) {
+  const closesAt = draw?.closes_at ? new Date(draw.closes_at) : null;
+  return {
+    closes_at: closesAt ? closesAt.toISOString() : null,
+    min_sold: draw?.min_sold ?? null,
+    server_time: now.toISOString(),
+    seconds_left: closesAt ? Math.max(0, Math.floor((closesAt - now) / 1000)) : null,
+  };
+}
+
+/**
+ * Processa o prazo de um draw. Retorna o desfecho:
+ * 'skipped' | 'closed' | 'realized' | 'extended' | 'cancelled'.
+ */
+export async function processDrawDeadline(drawId) {
+  let federal = false;
+  const outcome = await withTransaction(async (tx) => {
+    // SKIP LOCKED: outra instância já está cuidando deste draw
+    const d = await tx.query(
+      `select *
+         from draws
+        where id = $1
+          and status = 'open'
+          and closes_at is not null
+          and closes_at <= now()
+        for update skip locked`,
+      [drawId]
+    );
+    if (!d.rowCount) return tx.rollback("skipped");
+    const draw = d.rows[0];
+    federal = !!draw.federal_rule;
+
+    const s = await tx.query(
+      `select count(distinct t.n)::int as sold
+         from payment_lines p
+         cross join lateral unnest(p.numbers) as t(n)
+        where p.draw_id = $1
+          and lower(p.status) in ('approved','paid','pago')`,
+      [drawId]
+    );
+    const sold = s.rows[0]?.sold || 0;
+    const minSold = Number(draw.min_sold || 0);
+    let next;
+
+    if (sold >= minSold && sold > 0) {
+      const tr = await transitionDraw(tx, drawId, "closed", {
+        actor: "scheduler",
+        reason: `prazo vencido (${sold} vendidos)`,
+      });
+      if (!tr.ok) throw new Error(tr.error);
+      await createDrawSnapshot(drawId, tx);
+      next = "closed";
+    } else if (
+      draw.below_min_action === "extend" &&
+      Number(draw.extensions || 0) < Number(draw.max_extensions || 0)
+    ) {
+      await tx.query(
+        `update draws
+            set closes_at = now() + make_interval(mins => $2),
+                extensions = coalesce(extensions, 0) + 1
+          where id = $1`,
+        [drawId, Number(draw.extend_minutes || 1440)]
+      );
+      next = "extended";
+    } else {
+      next = "cancel";
+    }
+
+    log("prazo vencido", { drawId, sold, min_sold: minSold, outcome: next });
+    return next;
+  });
+
+  if (outcome === "cancel") {
+    const r = await cancelDrawWithRefunds(drawId, {
+      reason: "min_sold_not_reached",
+      actor: "scheduler",
+    });
+    return r?.ok ? "cancelled" : "skipped";
+  }
+
+  if (outcome === "closed") {
+    try {
+      await rolloverDraw(drawId);
+    } catch (e) {
+      err("falha no rollover após o prazo", { drawId, msg: e?.message });
+    }
+  }
+
+  // com regra da Loteria Federal publicada, o resultado aguarda o concurso
+  if (outcome === "closed" && !federal) {
+    const r = await realizeDraw(drawId, { actor: "scheduler" });
+    if (r?.ok) return "realized";
+    err("falha ao realizar após o prazo", { drawId, error: r?.error });
+  }
+  return outcome;
+}
+
+/** Varre os draws abertos com prazo vencido. */
+export async function runDrawDeadlines({ limit = 20 } = {}) {
+  const { rows } = await query(
+    `select id
+       from draws
+      where status = 'open'
+        and closes_at is not null
+        and closes_at <= now()
+      order by closes_at
+      limit $1`,
+    [limit]
+  );
+
+  const results = [];
+  for (const { id } of rows) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      results.push({ draw_id: id, outcome: await processDrawDeadline(id) });
+    } catch (e) {
+      err("falha ao processar prazo", { drawId: id, msg: e?.message });
+      results.push({ draw_id: id, outcome: "error", error: String(e?.message || e) });
+    }
+  }
+  return results;
+}
+
+/** Uma passada do job draw_deadlines: prazos vencidos + sucessores pendentes. */
+export async function runDrawSchedulerTick() {
+  const deadlines = await runDrawDeadlines();
+  const rollovers = await runPendingRollovers(); // sucessores com atraso ou limite de abertos
+  return { deadlines, rollovers };
+}
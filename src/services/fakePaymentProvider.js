@@ -0,0 +1,345 @@
+// backend/src/services/fakePaymentProvider.js
+// Provedor 'fake' (PAYMENT_PROVIDER=fake): desenvolvimento e testes sem rede.
+// Guarda os pagamentos em fake_payments. PIX nasce 'pending' e só muda pelo
+// admin (POST /api/admin/fake-payments/:id/approve | reject | expire), que
+// dispara a mesma fila de webhooks do provedor real. PIX vencido vira
+// 'cancelled' (status_detail 'expired') na consulta.
+// Cartão: card_token com "reject" recusa as cobranças; com "cvv" exige CVV.
+// Cartão avulso: "challenge" pede 3DS (pending_challenge) e "review" fica em
+// análise (in_process) — os dois são recusados com binary_mode e aprovam pelo
+// mesmo admin do PIX. Como no MP, repetir a criação (ou o estorno) com a
+// mesma idempotencyKey devolve o pagamento (ou estorno) já criado.
+import { randomUUID } from "node:crypto";
+import { query } from "../db.js";
+import { recordWebhookEvent, processWebhookEvents } from "./webhookEvents.js";
+import { createLogger } from "./logger.js";
+
+const { log } = createLogger("[fakeProvider]");
+
+export async function ensureFakeProviderSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS fake_payments (
+      id                 text PRIMARY KEY,
+      kind               text NOT NULL,          -- 'pix' | 'card'
+      status             text NOT NULL,
+      status_detail      text,
+      amount_cents       int NOT NULL DEFAULT 0,
+      refunded_cents     int NOT NULL DEFAULT 0,
+      description        text,
+      payer              jsonb,
+      metadata           jsonb,
+      external_reference text,
+      expires_at         timestamptz,
+      created_at         timestamptz NOT NULL DEFAULT now(),
+      updated_at         timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await query(`ALTER TABLE fake_payments ADD COLUMN IF NOT EXISTS idempotency_key text`);
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS fake_payments_idem_uq
+      ON fake_payments (idempotency_key) WHERE idempotency_key IS NOT NULL
+  `);
+  // estornos por chave de idempotência: reenviar devolve o mesmo estorno
+  await query(`
+    CREATE TABLE IF NOT EXISTS fake_refunds (
+      idempotency_key text PRIMARY KEY,
+      id              text NOT NULL,
+      payment_id      text NOT NULL,
+      amount_cents    int NOT NULL,
+      created_at      timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS fake_cards (
+      id          text PRIMARY KEY,
+      customer_id text NOT NULL,
+      token       text,
+      brand       text,
+      last4       text,
+      created_at  timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+const fakeId = (prefix) => `${prefix}-${randomUUID()}`;
+
+async function loadPayment(paymentId) {
+  const { rows } = await query(`select * from fake_payments where id = $1`, [String(paymentId)]);
+  if (!rows.length) {
+    const err = new Error("fake_payment_not_found");
+    err.status = 404;
+    throw err;
+  }
+  return rows[0];
+}
+
+/** Pagamento já criado com a mesma chave de idempotência (ou null). */
+async function findByIdempotencyKey(key) {
+  if (!key) return null;
+  const { rows } = await query(`select * from fake_payments where idempotency_key = $1`, [String(key)]);
+  return rows[0] || null;
+}
+
+async function createPix({
+  amount_cents,
+  description,
+  payer = {},
+  external_reference,
+  expires_minutes = 30,
+  metadata,
+  idempotencyKey,
+}) {
+  if (!payer.email) throw new Error("payer_email_is_required");
+  const prev = await findByIdempotencyKey(idempotencyKey);
+  const id = prev?.id || fakeId("fakepix");
+  if (!prev) {
+    await query(
+      `insert into fake_payments
+         (id, kind, status, amount_cents, description, payer, metadata, external_reference, expires_at, idempotency_key)
+       values ($1, 'pix', 'pending', $2, $3, $4, $5, $6, now() + $7::numeric * interval '1 minute', $8)`,
+      [
+        id,
+        Math.round(Number(amount_cents || 0)),
+        description || null,
+        JSON.stringify(payer),
+        JSON.stringify(metadata || {}),
+        external_reference || null,
+        Number(expires_minutes) || 30,
+        idempotencyKey || null,
+      ]
+    );
+  }
+  const qr = `FAKEPIX|${id}|${Math.round(Number(prev?.amount_cents ?? amount_cents ?? 0))}`;
+  return {
+    id,
+    status: prev?.status || "pending",
+    qr_code: qr,
+    qr_code_base64: Buffer.from(qr).toString("base64"), // não é imagem: só um marcador
+    ticket_url: null,
+  };
+}
+
+async function getPayment(paymentId) {
+  // PIX vencido: o MP devolve cancelled/expired
+  await query(
+    `update fake_payments
+        set status = 'cancelled', status_detail = 'expired', updated_at = now()
+      where id = $1 and status = 'pending' and expires_at <= now()`,
+    [String(paymentId)]
+  );
+  const p = await loadPayment(paymentId);
+  return { id: p.id, status: p.status, status_detail: p.status_detail };
+}
+
+async function saveCard({ user, card_token }) {
+  const token = String(card_token || "");
+  const digits = token.replace(/\D/g, "");
+  const customerId = `fakecus-${user?.id ?? randomUUID()}`;
+  const cardId = fakeId("fakecard");
+  const last4 = digits.length >= 4 ? digits.slice(-4) : "4242";
+  await query(
+    `insert into fake_cards (id, customer_id, token, brand, last4) values ($1, $2, $3, 'fakecard', $4)`,
+    [cardId, customerId, token, last4]
+  );
+  return { customerId, cardId, brand: "fakecard", last4 };
+}
+
+async function chargeCard({ customerId, cardId, amount_cents, description, metadata, security_code }) {
+  const { rows } = await query(`select * from fake_cards where id = $1 and customer_id = $2`, [
+    String(cardId),
+    String(customerId),
+  ]);
+  if (!rows.length) throw new Error("fake_card_not_found");
+  const token = String(rows[0].token || "").toLowerCase();
+
+  if (token.includes("cvv") && !security_code) {
+    const err = new Error("mp_requires_security_code");
+    err.code = "SECURITY_CODE_REQUIRED";
+    throw err;
+  }
+  const approved = !token.includes("reject");
+  const id = fakeId("fakecardpay");
+  await query(
+    `insert into fake_payments (id, kind, status, status_detail, amount_cents, description, metadata)
+     values ($1, 'card', $2, $3, $4, $5, $6)`,
+    [
+      id,
+      approved ? "approved" : "rejected",
+      approved ? "accredited" : "cc_rejected_other_reason",
+      Math.round(Number(amount_cents || 0)),
+      description || null,
+      JSON.stringify(metadata || {}),
+    ]
+  );
+  return { status: approved ? "approved" : "rejected", paymentId: id };
+}
+
+async function createCardPayment({
+  amount_cents,
+  card_token,
+  description,
+  payer = {},
+  external_reference,
+  metadata,
+  binary_mode,
+  idempotencyKey,
+}) {
+  if (!payer.email) throw new Error("payer_email_is_required");
+  const prev = await findByIdempotencyKey(idempotencyKey);
+  if (prev) return cardResult(prev.id, { status: prev.status, detail: prev.status_detail });
+
+  const token = String(card_token || "").toLowerCase();
+  const id = fakeId("fakecardpay");
+
+  let out = { status: "approved", detail: "accredited" };
+  if (token.includes("reject")) out = { status: "rejected", detail: "cc_rejected_other_reason" };
+  else if (token.includes("challenge")) out = { status: "pending", detail: "pending_challenge" };
+  else if (token.includes("review")) out = { status: "in_process", detail: "pending_review_manual" };
+  // binary_mode: o MP não deixa pendente
+  if (binary_mode && out.status !== "approved" && out.status !== "rejected") {
+    out = { status: "rejected", detail: "cc_rejected_high_risk" };
+  }
+
+  await query(
+    `insert into fake_payments
+       (id, kind, status, status_detail, amount_cents, description, payer, metadata, external_reference, idempotency_key)
+     values ($1, 'card', $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      id,
+      out.status,
+      out.detail,
+      Math.round(Number(amount_cents || 0)),
+      description || null,
+      JSON.stringify(payer),
+      JSON.stringify(metadata || {}),
+      external_reference || null,
+      idempotencyKey || null,
+    ]
+  );
+  return cardResult(id, out);
+}
+
+function cardResult(id, out) {
+  return {
+    id,
+    status: out.status,
+    status_detail: out.detail,
+    three_ds:
+      out.detail === "pending_challenge"
+        ? { external_resource_url: `https://fake-3ds.invalid/challenge/${id}`, creq: Buffer.from(id).toString("base64") }
+        : null,
+  };
+}
+
+async function refundPayment({ paymentId, amount_cents, idempotencyKey }) {
+  if (idempotencyKey) {
+    const { rows } = await query(`select * from fake_refunds where idempotency_key = $1`, [String(idempotencyKey)]);
+    if (rows.length) return { refundId: rows[0].id, status: "approved", amount_cents: rows[0].amount_cents };
+  }
+  const p = await loadPayment(paymentId);
+  const left = p.amount_cents - p.refunded_cents;
+  const amount = amount_cents != null ? Math.round(Number(amount_cents)) : left;
+  if (p.status !== "approved" || amount <= 0 || amount > left) {
+    // como o MP: recusa definitiva (4xx)
+    const err = new Error(p.status !== "approved" ? `fake_payment_not_refundable (${p.status})` : "fake_refund_amount_invalid");
+    err.status = 400;
+    throw err;
+  }
+
+  const refundId = fakeId("fakerefund");
+  if (idempotencyKey) {
+    const ins = await query(
+      `insert into fake_refunds (idempotency_key, id, payment_id, amount_cents)
+       values ($1, $2, $3, $4)
+       on conflict (idempotency_key) do nothing`,
+      [String(idempotencyKey), refundId, p.id, amount]
+    );
+    if (!ins.rowCount) return refundPayment({ paymentId, amount_cents, idempotencyKey });
+  }
+  await query(
+    `update fake_payments
+        set refunded_cents = refunded_cents + $2,
+            status = case when refunded_cents + $2 >= amount_cents then 'refunded' else status end,
+            updated_at = now()
+      where id = $1`,
+    [p.id, amount]
+  );
+  return { refundId, status: "approved", amount_cents: amount };
+}
+
+async function cancelPayment({ paymentId }) {
+  const p = await loadPayment(paymentId);
+  if (p.status === "pending") {
+    await query(
+      `update fake_payments set status = 'cancelled', status_detail = 'by_collector', updated_at = now() where id = $1`,
+      [p.id]
+    );
+    return { id: p.id, status: "cancelled" };
+  }
+  return { id: p.id, status: p.status };
+}
+
+export const fakeProvider = {
+  createPix,
+  getPayment,
+  saveCard,
+  chargeCard,
+  createCardPayment,
+  refundPayment,
+  cancelPayment,
+};
+
+/* ------------------------------------------------------------------------
+   Simulação (admin)
+------------------------------------------------------------------------- */
+
+const OUTCOMES = {
+  approve: { status: "approved", detail: "accredited" },
+  reject: { status: "rejected", detail: "cc_rejected_other_reason" },
+  expire: { status: "cancelled", detail: "expired" },
+};
+
+/** Pagamentos fake (mais recentes primeiro). */
+export async function listFakePayments({ status = null, limit = 50 } = {}) {
+  const { rows } = await query(
+    `select * from fake_payments
+      where ($1::text is null or status = $1)
+      order by created_at desc
+      limit $2`,
+    [status, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+/**
+ * Aplica o desfecho (approve | reject | expire) a um PIX pendente (ou cartão
+ * em 3DS/análise) e avisa a aplicação como um webhook do provedor. Retorna { ok, payment, event_id }
+ * ou { ok:false, error } (fake_payment_not_found | fake_payment_not_pending).
+ */
+export async function simulateFakeOutcome(paymentId, action) {
+  const out = OUTCOMES[action];
+  const up = await query(
+    `update fake_payments
+        set status = $2, status_detail = $3, updated_at = now()
+      where id = $1 and status in ('pending','in_process')
+      returning *`,
+    [String(paymentId), out.status, out.detail]
+  );
+  if (!up.rowCount) {
+    const { rowCount } = await query(`select 1 from fake_payments where id = $1`, [String(paymentId)]);
+    return { ok: false, error: rowCount ? "fake_payment_not_pending" : "fake_payment_not_found" };
+  }
+
+  const ev = await recordWebhookEvent({
+    provider: "fake",
+    dedupKey: `${paymentId}:${action}`,
+    topic: "payment",
+    action: `payment.${action}`,
+    resourceId: paymentId,
+    signatureValid: true,
+    payload: { id: paymentId, status: out.status },
+  });
+  await processWebhookEvents({ id: ev.id, limit: 1 });
+  log("desfecho simulado", { id: paymentId, action });
+  return { ok: true, payment: up.rows[0], event_id: ev.id };
+}
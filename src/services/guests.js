@@ -0,0 +1,118 @@
+// backend/src/services/guests.js
+// Checkout de convidado: reserva/PIX só com nome, e-mail, CPF e telefone.
+// A compra fica ligada a uma identidade pendente (guests) e é transferida
+// para a conta só com prova de posse: o guestToken da compra no cadastro/login
+// ou o mesmo CPF de uma conta com cpf_verified. E-mail não vincula (ninguém
+// confirma o e-mail digitado pelo convidado).
+import { query, withTransaction } from "../db.js";
+import { onlyDigits, isValidCPF } from "./kyc.js";
+import { createLogger } from "./logger.js";
+
+const { log } = createLogger("[guests]");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export async function ensureGuestSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS guests (
+      id              bigserial PRIMARY KEY,
+      name            text NOT NULL,
+      email           text NOT NULL,
+      cpf             text NOT NULL,
+      phone           text NOT NULL,
+      created_at      timestamptz NOT NULL DEFAULT now(),
+      updated_at      timestamptz NOT NULL DEFAULT now(),
+      claimed_user_id int,
+      claimed_at      timestamptz
+    )
+  `);
+  // uma identidade por checkout sem token: o CPF digitado não prova posse,
+  // então nunca reaproveita (nem sobrescreve) a identidade de outra compra
+  await query(`DROP INDEX IF EXISTS guests_pending_cpf_uq`);
+  await query(`CREATE INDEX IF NOT EXISTS guests_cpf_idx ON guests (cpf) WHERE claimed_user_id IS NULL`);
+  // compra de convidado não tem user_id até ser reivindicada
+  for (const table of ["reservations", "payments"]) {
+    await query(`ALTER TABLE IF EXISTS ${table} ADD COLUMN IF NOT EXISTS guest_id bigint`);
+    await query(`ALTER TABLE IF EXISTS ${table} ALTER COLUMN user_id DROP NOT NULL`);
+  }
+}
+
+/**
+ * Valida os dados do convidado. Retorna { guest } normalizado ou { error }
+ * (guest_invalid | invalid_email | invalid_cpf | invalid_phone).
+ */
+export function normalizeGuest(input) {
+  if (!input || typeof input !== "object") return { error: "guest_invalid" };
+  const name = String(input.name || "").trim();
+  const email = String(input.email || "").trim().toLowerCase();
+  const cpf = onlyDigits(input.cpf);
+  const phone = onlyDigits(input.phone);
+  if (!name || !email || !cpf || !phone) return { error: "guest_invalid" };
+  if (!EMAIL_RE.test(email)) return { error: "invalid_email" };
+  if (!isValidCPF(cpf)) return { error: "invalid_cpf" };
+  if (phone.length < 10 || phone.length > 13) return { error: "invalid_phone" };
+  return { guest: { name, email, cpf, phone } };
+}
+
+/**
+ * Nova identidade pendente para o checkout. Quem já comprou volta com o
+ * guestToken (mesma identidade); sem ele sempre nasce uma nova, mesmo com o
+ * CPF repetido. Retorna o id.
+ */
+export async function createGuest(guest, { db = null } = {}) {
+  const conn = db || { query };
+  const { rows } = await conn.query(
+    `insert into guests (name, email, cpf, phone)
+     values ($1, $2, $3, $4)
+     returning id`,
+    [guest.name, guest.email, guest.cpf, guest.phone]
+  );
+  return Number(rows[0].id);
+}
+
+/** Dados de contato do convidado (para o pagador do PIX etc.). */
+export async function getGuest(guestId, { db = null } = {}) {
+  const conn = db || { query };
+  const { rows } = await conn.query(
+    `select id, name, email, cpf, phone, claimed_user_id from guests where id = $1`,
+    [guestId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Transfere para a conta as reservas e pagamentos de convidados ainda não
+ * reivindicados: os de `guestIds` (vindos de um guestToken válido) e, se
+ * informado, os do CPF verificado da conta (`verifiedCpf`; quem chama
+ * garante users.cpf_verified). Retorna { guests, reservations, payments }.
+ */
+export async function claimGuestPurchases(userId, { guestIds = [], verifiedCpf = null } = {}) {
+  const ids0 = guestIds.map(Number).filter((n) => Number.isInteger(n) && n > 0);
+  const doc = verifiedCpf ? onlyDigits(verifiedCpf) : null;
+  if (!userId || (!ids0.length && !doc)) return { guests: 0, reservations: 0, payments: 0 };
+
+  return withTransaction(async (tx) => {
+    const g = await tx.query(
+      `update guests
+          set claimed_user_id = $1, claimed_at = now(), updated_at = now()
+        where claimed_user_id is null
+          and (id = any($2::bigint[]) or cpf = $3)
+        returning id`,
+      [userId, ids0, doc]
+    );
+    const ids = g.rows.map((r) => Number(r.id));
+    if (!ids.length) return { guests: 0, reservations: 0, payments: 0 };
+
+    const r = await tx.query(
+      `update reservations set user_id = $1 where guest_id = any($2::bigint[]) and user_id is null`,
+      [userId, ids]
+    );
+    const p = await tx.query(
+      `update payments set user_id = $1 where guest_id = any($2::bigint[]) and user_id is null`,
+      [userId, ids]
+    );
+    const out = { guests: ids.length, reservations: r.rowCount, payments: p.rowCount };
+    log("compras de convidado vinculadas", { user_id: userId, ...out });
+    return out;
+  });
+}
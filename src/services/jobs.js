@@ -0,0 +1,307 @@
+// backend/src/services/jobs.js
+// Jobs periódicos em segundo plano (nome, intervalo, função).
+// Cada execução pega uma concessão (lease) na linha do job em jobs
+// (locked_by/locked_until, renovada enquanto roda): só uma instância roda o
+// job por vez, sem segurar transação nem conexão durante a execução. Pausa
+// (jobs.paused) vale para todas as instâncias e cada execução fica em job_runs.
+import os from "node:os";
+import { query } from "../db.js";
+import { createLogger } from "./logger.js";
+
+const { log, err } = createLogger("[jobs]");
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const registry = new Map(); // name -> { name, description, intervalMs, perInstance, run }
+const local = new Map();    // name -> { running, nextAt }
+let ticker = null;
+
+// concessão do job: renovada a cada terço; instância que caiu libera ao vencer
+const LEASE_MS = Math.max(30_000, Number(process.env.JOB_LEASE_MS || 300_000));
+
+export async function ensureJobsSchema() {
+  await query(`
+    create table if not exists jobs (
+      name text primary key,
+      paused boolean not null default false,
+      paused_at timestamptz,
+      paused_by int,
+      updated_at timestamptz default now()
+    )
+  `);
+  await query(`
+    create table if not exists job_runs (
+      id bigserial primary key,
+      job_name text not null,
+      instance_id text,
+      trigger text not null default 'schedule',
+      triggered_by int,
+      status text not null default 'running',
+      started_at timestamptz not null default now(),
+      finished_at timestamptz,
+      duration_ms int,
+      result jsonb,
+      error text
+    )
+  `);
+  await query(`create index if not exists job_runs_job_started_idx on job_runs (job_name, started_at desc)`);
+  await query(`
+    alter table jobs
+      add column if not exists locked_by text,
+      add column if not exists locked_until timestamptz
+  `);
+}
+
+/** Pega a concessão do job se estiver livre (ou vencida). */
+async function acquireLease(name) {
+  await query(`insert into jobs (name) values ($1) on conflict (name) do nothing`, [name]);
+  const { rowCount } = await query(
+    `update jobs
+        set locked_by = $2, locked_until = now() + make_interval(secs => $3)
+      where name = $1
+        and (locked_until is null or locked_until < now() or locked_by = $2)`,
+    [name, INSTANCE_ID, LEASE_MS / 1000]
+  );
+  return rowCount > 0;
+}
+
+async function releaseLease(name) {
+  await query(
+    `update jobs set locked_by = null, locked_until = null where name = $1 and locked_by = $2`,
+    [name, INSTANCE_ID]
+  ).catch((e) => err("falha ao liberar lease", { job: name, msg: e?.message }));
+}
+
+/** Renova a concessão enquanto `fn` roda. */
+async function withLeaseRenewal(name, fn) {
+  const timer = setInterval(() => {
+    query(
+      `update jobs set locked_until = now() + make_interval(secs => $3) where name = $1 and locked_by = $2`,
+      [name, INSTANCE_ID, LEASE_MS / 1000]
+    ).catch((e) => err("falha ao renovar lease", { job: name, msg: e?.message }));
+  }, LEASE_MS / 3);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+/**
+ * Registra um job.
+ * opts: { description, intervalMs (0 = só manual), perInstance, run }
+ * perInstance: roda em toda instância, sem lock (ex.: keepalive do pool).
+ */
+export function defineJob(name, { description = "", intervalMs = 0, perInstance = false, run }) {
+  if (typeof run !== "function") throw new Error(`job ${name} sem run()`);
+  registry.set(name, {
+    name,
+    description,
+    intervalMs: Math.max(0, Number(intervalMs) || 0),
+    perInstance: !!perInstance,
+    run,
+  });
+}
+
+function localState(name) {
+  if (!local.has(name)) local.set(name, { running: false, nextAt: null });
+  return local.get(name);
+}
+
+/** Executa e grava em job_runs. Falha do job vira status 'failed' (não lança). */
+async function execute(job, trigger, actorUserId) {
+  const started = Date.now();
+  const { rows } = await query(
+    `insert into job_runs (job_name, instance_id, trigger, triggered_by)
+     values ($1, $2, $3, $4)
+     returning id`,
+    [job.name, INSTANCE_ID, trigger, actorUserId]
+  );
+  const id = rows[0].id;
+
+  let status = "ok";
+  let result = null;
+  let error = null;
+  try {
+    result = (await job.run()) ?? null;
+  } catch (e) {
+    status = "failed";
+    error = String(e?.message || e).slice(0, 1000);
+    err("job falhou", { job: job.name, msg: error });
+  }
+
+  const duration = Date.now() - started;
+  await query(
+    `update job_runs
+        set status = $2, finished_at = now(), duration_ms = $3, result = $4, error = $5
+      where id = $1`,
+    [id, status, duration, result == null ? null : JSON.stringify(result), error]
+  );
+  return { id, job: job.name, status, trigger, duration_ms: duration, result, error };
+}
+
+/**
+ * Roda o job agora nesta instância.
+ * trigger 'schedule' respeita a pausa e o intervalo desde a última execução
+ * agendada (de qualquer instância); 'manual' ignora os dois.
+ * Retorna { ok, run } ou { ok:false, error }
+ * (job_not_found | job_running | job_paused | not_due).
+ */
+export async function runJob(name, { trigger = "manual", actorUserId = null } = {}) {
+  const job = registry.get(name);
+  if (!job) return { ok: false, error: "job_not_found" };
+
+  const state = localState(name);
+  if (state.running) return { ok: false, error: "job_running" };
+  state.running = true;
+  try {
+    if (trigger === "schedule") {
+      const p = await query(`select paused from jobs where name = $1`, [name]);
+      if (p.rows[0]?.paused) return { ok: false, error: "job_paused" };
+    }
+    if (job.perInstance) return { ok: true, run: await execute(job, trigger, actorUserId) };
+
+    // lease em linha (não advisory lock): funciona atrás do pooler em modo
+    // transação e não deixa uma transação aberta durante a execução
+    if (!(await acquireLease(name))) return { ok: false, error: "job_running" };
+    try {
+      if (trigger === "schedule") {
+        const s = await query(
+          `select extract(epoch from now() - max(started_at)) * 1000 as since_ms
+             from job_runs
+            where job_name = $1 and trigger = 'schedule'`,
+          [name]
+        );
+        const since = s.rows[0]?.since_ms;
+        // outra instância já rodou neste intervalo
+        if (since != null && Number(since) < job.intervalMs * 0.9) {
+          return { ok: false, error: "not_due" };
+        }
+      }
+      return { ok: true, run: await withLeaseRenewal(name, () => execute(job, trigger, actorUserId)) };
+    } finally {
+      await releaseLease(name);
+    }
+  } finally {
+    state.running = false;
+  }
+}
+
+function tick() {
+  const now = Date.now();
+  for (const job of registry.values()) {
+    if (!job.intervalMs) continue;
+    const state = localState(job.name);
+    if (state.running || (state.nextAt && now < state.nextAt)) continue;
+    state.nextAt = now + job.intervalMs;
+    runJob(job.name, { trigger: "schedule" }).catch((e) =>
+      err("tick falhou", { job: job.name, msg: e?.message })
+    );
+  }
+}
+
+/** Liga o agendador (JOBS_ENABLED=false desliga; JOBS_TICK_MS, padrão 5s). */
+export function startJobs() {
+  if (ticker || process.env.JOBS_ENABLED === "false") return;
+  const tickMs = Math.max(1000, Number(process.env.JOBS_TICK_MS || 5000));
+  ticker = setInterval(tick, tickMs);
+  log("ligado", {
+    instance: INSTANCE_ID,
+    tick_ms: tickMs,
+    jobs: [...registry.values()].map((j) => `${j.name}:${j.intervalMs}`),
+  });
+}
+
+export function stopJobs() {
+  if (ticker) clearInterval(ticker);
+  ticker = null;
+}
+
+/** Jobs registrados com pausa e última execução. */
+export async function listJobs() {
+  const names = [...registry.keys()];
+  const { rows } = await query(
+    `select n.name, coalesce(j.paused, false) as paused, j.paused_at, j.paused_by,
+            r.id as last_run_id, r.status as last_status, r.trigger as last_trigger,
+            r.instance_id as last_instance, r.started_at as last_started_at,
+            r.finished_at as last_finished_at, r.duration_ms as last_duration_ms,
+            r.error as last_error
+       from unnest($1::text[]) as n(name)
+       left join jobs j on j.name = n.name
+       left join lateral (
+         select * from job_runs where job_name = n.name order by started_at desc limit 1
+       ) r on true`,
+    [names]
+  );
+  const byName = new Map(rows.map((r) => [r.name, r]));
+
+  return names.map((name) => {
+    const job = registry.get(name);
+    const row = byName.get(name) || {};
+    const state = localState(name);
+    return {
+      name,
+      description: job.description,
+      interval_ms: job.intervalMs,
+      per_instance: job.perInstance,
+      paused: !!row.paused,
+      paused_at: row.paused_at ?? null,
+      paused_by: row.paused_by ?? null,
+      running_here: state.running,
+      next_run_at: ticker && state.nextAt ? new Date(state.nextAt).toISOString() : null,
+      last_run: row.last_run_id
+        ? {
+            id: row.last_run_id,
+            status: row.last_status,
+            trigger: row.last_trigger,
+            instance_id: row.last_instance,
+            started_at: row.last_started_at,
+            finished_at: row.last_finished_at,
+            duration_ms: row.last_duration_ms,
+            error: row.last_error,
+          }
+        : null,
+    };
+  });
+}
+
+/** Pausa/retoma o agendamento (em todas as instâncias). */
+export async function setJobPaused(name, paused, actorUserId = null) {
+  if (!registry.has(name)) return { ok: false, error: "job_not_found" };
+  await query(
+    `insert into jobs (name, paused, paused_at, paused_by, updated_at)
+     values ($1, $2, case when $2 then now() end, case when $2 then $3::int end, now())
+     on conflict (name) do update
+       set paused = excluded.paused,
+           paused_at = excluded.paused_at,
+           paused_by = excluded.paused_by,
+           updated_at = now()`,
+    [name, !!paused, actorUserId]
+  );
+  log(paused ? "job pausado" : "job retomado", { job: name, by: actorUserId });
+  return { ok: true, name, paused: !!paused };
+}
+
+/** Histórico de execuções do job (mais recentes primeiro). */
+export async function listJobRuns(name, { limit = 50 } = {}) {
+  if (!registry.has(name)) return { ok: false, error: "job_not_found" };
+  const { rows } = await query(
+    `select id, job_name, instance_id, trigger, triggered_by, status,
+            started_at, finished_at, duration_ms, result, error
+       from job_runs
+      where job_name = $1
+      order by started_at desc
+      limit $2`,
+    [name, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return { ok: true, runs: rows };
+}
+
+/** Apaga o histórico mais antigo que `days` dias. */
+export async function pruneJobRuns(days) {
+  const r = await query(
+    `delete from job_runs where started_at < now() - make_interval(days => $1)`,
+    [Math.max(1, Number(days) || 14)]
+  );
+  return { deleted: r.rowCount };
+}
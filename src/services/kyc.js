@@ -0,0 +1,25 @@
+// backend/src/services/kyc.js
+// Validações de documento compartilhadas (cadastro e checkout de convidado).
+
+export function onlyDigits(s) {
+  return String(s || '').replace(/\D+/g, '');
+}
+export function isValidCPF(raw) {
+  const cpf = onlyDigits(raw);
+  if (!cpf || cpf.length !== 11) return false;
+  if (/^(\d)\1{10}$/.test(cpf)) return false;
+
+  // dígito 1
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += parseInt(cpf[i], 10) * (10 - i);
+  let d1 = 11 - (sum % 11);
+  if (d1 >= 10) d1 = 0;
+  if (d1 !== parseInt(cpf[9], 10)) return false;
+
+  // dígito 2
+  sum = 0;
+  for (let i = 0; i < 10; i++) sum += parseInt(cpf[i], 10) * (11 - i);
+  let d2 = 11 - (sum % 11);
+  if (d2 >= 10) d2 = 0;
+  return d2 === parseInt(cpf[10], 10);
+}
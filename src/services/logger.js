@@ -0,0 +1,13 @@
+// backend/src/services/logger.js
+// Logging enxuto com contexto: cada módulo cria o seu com o prefixo
+// ("[drawScheduler]") e loga mensagem + objeto opcional.
+
+/** { log, warn, err } com `prefix` na frente de cada mensagem. */
+export function createLogger(prefix) {
+  const line = (fn) => (msg, extra = null) => fn(`${prefix} ${msg}`, extra ?? "");
+  return {
+    log: line(console.log),
+    warn: line(console.warn),
+    err: line(console.error),
+  };
+}
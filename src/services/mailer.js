@@ -0,0 +1,73 @@
+// backend/src/services/mailer.js
+// Envio de e-mail via SMTP (Brevo). Tenta 587 STARTTLS, 465 TLS e 2525.
+import nodemailer from "nodemailer";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[mailer]");
+
+/**
+ * Envia { to, subject, text }. Lança o último erro se todas as portas falharem.
+ */
+export async function sendMail({ to, subject, text }) {
+  const HOST = process.env.SMTP_HOST || "smtp-relay.brevo.com";
+  const USER = process.env.SMTP_USER || "";          // sua credencial SMTP do Brevo
+  const PASS = process.env.SMTP_PASS || "";          // sua senha/SMTP key do Brevo
+
+  // REMETENTE: precisa ser um sender/domínio VALIDADO no Brevo
+  const FROM_EMAIL = process.env.SMTP_FROM || "contato@pixaonamao.com.br";
+  const FROM_NAME  = process.env.SMTP_FROM_NAME || "Pixão Na Mão";
+  const REPLY_TO   = process.env.SMTP_REPLY_TO || FROM_EMAIL;
+
+  // Evita usar USER como "from" (causa rejeição 9712be001@smtp-brevo.com)
+  if (/smtp-brevo\.com$/i.test(FROM_EMAIL)) {
+    throw new Error("invalid_from_sender_not_verified");
+  }
+
+  const attempts = [
+    { port: Number(process.env.SMTP_PORT || 587), secure: false, label: "587 STARTTLS" },
+    { port: 465, secure: true,  label: "465 TLS" },
+    { port: 2525, secure: false, label: "2525 STARTTLS" },
+  ];
+
+  const baseMail = {
+    from: { name: FROM_NAME, address: FROM_EMAIL },
+    to,
+    replyTo: REPLY_TO,
+    subject,
+    text,
+  };
+
+  let lastErr = null;
+
+  for (const opt of attempts) {
+    try {
+      const transporter = nodemailer.createTransport({
+        host: HOST,
+        port: opt.port,
+        secure: opt.secure,               // 465 = TLS direto; 587/2525 = STARTTLS
+        auth: USER ? { user: USER, pass: PASS } : undefined,
+        connectionTimeout: 10_000,
+        greetingTimeout: 10_000,
+        socketTimeout: 20_000,
+        tls: {
+          minVersion: "TLSv1.2",
+          servername: HOST,
+          rejectUnauthorized: false,      // Render free às vezes tem cadeias CA antigas
+        },
+      });
+
+      log(`tentando SMTP ${HOST}:${opt.port} (${opt.label}) from=${FROM_NAME} <${FROM_EMAIL}>`);
+
+      await transporter.verify().catch(() => {});
+      await transporter.sendMail(baseMail);
+
+      log(`e-mail enviado via Brevo (${opt.label})`);
+      return true;
+    } catch (e) {
+      lastErr = e;
+      warn(`tentativa falhou (${opt.label})`, e?.code || e?.message || e);
+    }
+  }
+
+  throw lastErr || new Error("smtp_unavailable");
+}
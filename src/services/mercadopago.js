@@ -218,6 +218,119 @@ export async function mpChargeCard({
   return { status: pay.status, paymentId: pay.id };
 }
 
+/* ========================================================================
+   Cartão avulso: pagamento com card_token gerado no front (checkout)
+   ===================================================================== */
+/**
+ * Cobra um card_token (uso único) com parcelamento.
+ *  - binary_mode: só approved/rejected, sem análise nem 3DS
+ *  - sem binary_mode o 3DS fica 'optional': o MP pode devolver
+ *    pending/pending_challenge com three_ds_info para o front abrir o desafio
+ * Retorna: { id, status, status_detail, three_ds }
+ */
+export async function mpCreateCardPayment({
+  amount_cents,
+  card_token,
+  installments = 1,
+  payment_method_id,
+  issuer_id,
+  payer = {},
+  description,
+  external_reference,
+  notification_url,
+  metadata,
+  binary_mode = false,
+  idempotencyKey,
+}) {
+  if (!card_token) throw new Error("card_token obrigatório");
+  if (!payer.email) throw new Error("payer_email_is_required");
+
+  const pay = await mpFetch(
+    "POST",
+    "/v1/payments",
+    {
+      transaction_amount: toBRL(amount_cents),
+      token: String(card_token),
+      description: description || "Compra",
+      installments: Number(installments) || 1,
+      payment_method_id: payment_method_id || undefined,
+      issuer_id: issuer_id || undefined,
+      payer: {
+        email: String(payer.email),
+        first_name: payer.name || undefined,
+        identification: payer.identification || undefined, // { type, number }
+      },
+      external_reference: external_reference || undefined,
+      notification_url: notification_url || undefined,
+      metadata: metadata || {},
+      statement_descriptor: process.env.MP_STATEMENT || undefined,
+      binary_mode: !!binary_mode,
+      three_d_secure_mode: binary_mode ? "not_supported" : "optional",
+    },
+    { "X-Idempotency-Key": idempotencyKey || crypto.randomUUID() }
+  );
+
+  const ds = pay?.three_ds_info || null;
+  return {
+    id: String(pay.id),
+    status: String(pay.status || "").toLowerCase(),
+    status_detail: pay.status_detail || null,
+    three_ds: ds?.external_resource_url
+      ? { external_resource_url: ds.external_resource_url, creq: ds.creq || null }
+      : null,
+  };
+}
+
+/* ========================================================================
+   Estorno (total ou parcial) via /v1/payments/:id/refunds
+   ===================================================================== */
+/**
+ * Estorna um pagamento. Sem amount_cents => estorno total.
+ * `idempotencyKey` deve ser estável por tentativa lógica (reexecução segura).
+ * Retorna: { refundId, status, amount_cents }
+ */
+export async function mpRefundPayment({ paymentId, amount_cents, idempotencyKey }) {
+  if (!paymentId) throw new Error("paymentId obrigatório");
+  const body = amount_cents != null ? { amount: toBRL(amount_cents) } : {};
+  const r = await mpFetch(
+    "POST",
+    `/v1/payments/${encodeURIComponent(paymentId)}/refunds`,
+    body,
+    { "X-Idempotency-Key": idempotencyKey || crypto.randomUUID() }
+  );
+  return {
+    refundId: r?.id != null ? String(r.id) : null,
+    status: r?.status || null,
+    amount_cents: r?.amount != null ? Math.round(Number(r.amount) * 100) : amount_cents ?? null,
+  };
+}
+
+/**
+ * Cancela um pagamento ainda pendente (ex.: PIX não pago).
+ * Retorna: { id, status }
+ */
+export async function mpCancelPayment({ paymentId }) {
+  if (!paymentId) throw new Error("paymentId obrigatório");
+  const r = await mpFetch("PUT", `/v1/payments/${encodeURIComponent(paymentId)}`, {
+    status: "cancelled",
+  });
+  return { id: r?.id != null ? String(r.id) : String(paymentId), status: r?.status || null };
+}
+
+/**
+ * Consulta um pagamento.
+ * Retorna: { id, status, status_detail }
+ */
+export async function mpGetPayment(paymentId) {
+  if (!paymentId) throw new Error("paymentId obrigatório");
+  const r = await mpFetch("GET", `/v1/payments/${encodeURIComponent(paymentId)}`);
+  return {
+    id: r?.id != null ? String(r.id) : String(paymentId),
+    status: String(r?.status || "").toLowerCase(),
+    status_detail: r?.status_detail || null,
+  };
+}
+
 /* ========================================================================
    PIX: criação de pagamento via /v1/payments (exige payer_email)
    ===================================================================== */
@@ -245,6 +358,7 @@ export async function createPixPayment({
   notification_url,
   expires_minutes = 30,
   metadata = {},
+  idempotencyKey, // estável por pedido: repetir não cria outro PIX
 }) {
   if (!payer_email) {
     throw new Error("payer_email_is_required");
@@ -259,8 +373,6 @@ export async function createPixPayment({
     totalReais = Number((up * quantity).toFixed(2));
   }
 
-  const idempotencyKey = crypto.randomUUID();
-
   const pay = await mpFetch(
     "POST",
     "/v1/payments",
@@ -281,7 +393,7 @@ export async function createPixPayment({
         identification: payer_doc || undefined, // { type, number }
       },
     },
-    { "X-Idempotency-Key": idempotencyKey }
+    { "X-Idempotency-Key": idempotencyKey || crypto.randomUUID() }
   );
 
   const tx = pay?.point_of_interaction?.transaction_data || {};
@@ -327,10 +439,52 @@ export async function createMercadoPagoPreferenceOrPix(args = {}) {
   });
 }
 
+/* ------------------------------------------------------------------------
+   Provedor 'mercadopago' (contrato em services/paymentProvider.js)
+------------------------------------------------------------------------- */
+export const mercadoPagoProvider = {
+  createPix: ({
+    amount_cents,
+    description,
+    payer = {},
+    external_reference,
+    notification_url,
+    expires_minutes,
+    metadata,
+    idempotencyKey,
+  }) =>
+    createPixPayment({
+      amount_cents,
+      description,
+      payer_email: payer.email,
+      payer_name: payer.name,
+      payer_doc: payer.identification,
+      external_reference,
+      notification_url,
+      expires_minutes,
+      metadata,
+      idempotencyKey,
+    }),
+  getPayment: mpGetPayment,
+  saveCard: async ({ user, doc_number, name, card_token }) => {
+    const { customerId } = await mpEnsureCustomer({ user, doc_number, name });
+    const saved = await mpSaveCard({ customerId, card_token });
+    return { customerId, ...saved };
+  },
+  chargeCard: mpChargeCard,
+  createCardPayment: mpCreateCardPayment,
+  refundPayment: mpRefundPayment,
+  cancelPayment: mpCancelPayment,
+};
+
 export default {
   mpEnsureCustomer,
   mpSaveCard,
   mpChargeCard,
+  mpCreateCardPayment,
   createPixPayment,
+  mpRefundPayment,
+  mpCancelPayment,
+  mpGetPayment,
   createMercadoPagoPreferenceOrPix, // compat
 };
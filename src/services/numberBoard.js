@@ -0,0 +1,108 @@
+// backend/src/services/numberBoard.js
+// Estado do tabuleiro de um draw (available | reserved | sold + iniciais do
+// comprador). Usado por GET /api/numbers e pelo snapshot do stream SSE.
+import { query } from "../db.js";
+import { getDrawTotalNumbers, numberWidth } from "./drawNumbers.js";
+
+/**
+ * Gera duas iniciais a partir do nome; se não tiver nome, usa o usuário do e-mail.
+ */
+export function initialsFromNameOrEmail(name, email) {
+  const nm = String(name || "").trim();
+  if (nm) {
+    const parts = nm.split(/\s+/).filter(Boolean);
+    const first = parts[0]?.[0] || "";
+    const last =
+      parts.length > 1 ? parts[parts.length - 1][0] : parts[0]?.[1] || "";
+    return (first + last).toUpperCase();
+  }
+  const mail = String(email || "").trim();
+  const user = mail.includes("@") ? mail.split("@")[0] : mail;
+  return user.slice(0, 2).toUpperCase();
+}
+
+/**
+ * Tabuleiro do draw: { total_numbers, width, numbers: [{ n, status, owner_initials? }] }
+ * (width = dígitos do rótulo com zeros à esquerda, ex.: 2 para 00..99)
+ */
+export async function loadNumberBoard(drawId) {
+  // 1) lista base de números do draw
+  let base = await query(
+    `SELECT n FROM numbers WHERE draw_id = $1 ORDER BY n ASC`,
+    [drawId]
+  );
+
+  // fallback: se a tabela 'numbers' ainda não estiver populada,
+  // gera o range com base no total_numbers do draw (não bloqueia se não existir)
+  const total = await getDrawTotalNumbers(drawId);
+  if (!base.rows.length) {
+    base = {
+      rows: Array.from({ length: total }, (_, i) => ({ n: i })),
+    };
+  }
+
+  // 2) pagos => SOLD + iniciais do dono (comprador ou quem recebeu por transferência)
+  const pays = await query(
+    `
+    SELECT
+      o.n,
+      coalesce(u.name, g.name)   AS owner_name,
+      coalesce(u.email, g.email) AS owner_email
+    FROM number_owners o
+    LEFT JOIN users u ON u.id = o.user_id
+    LEFT JOIN guests g ON g.id = o.guest_id
+    WHERE o.draw_id = $1
+    `,
+    [drawId]
+  );
+  const sold = new Set();
+  const initialsByN = new Map();
+  for (const row of pays.rows || []) {
+    const num = Number(row.n);
+    sold.add(num);
+    const ini = initialsFromNameOrEmail(row.owner_name, row.owner_email);
+    initialsByN.set(num, ini);
+  }
+
+  // 3) reservas ativas (ignora expiradas; o job expire_reservations as marca)
+  const resvs = await query(
+    `
+    SELECT id, numbers, status, expires_at
+    FROM reservations
+    WHERE draw_id = $1
+      AND lower(coalesce(status,'')) IN ('active','pending','reserved','')
+    `,
+    [drawId]
+  );
+
+  const now = Date.now();
+  const reserved = new Set();
+
+  for (const r of resvs.rows || []) {
+    const exp = r.expires_at ? new Date(r.expires_at).getTime() : null;
+    const isExpired = exp && !Number.isNaN(exp) && exp < now;
+
+    if (isExpired) continue;
+
+    for (const n of r.numbers || []) {
+      const num = Number(n);
+      if (!sold.has(num)) reserved.add(num);
+    }
+  }
+
+  // 4) status final por número (+ owner_initials quando sold)
+  const numbers = base.rows.map(({ n }) => {
+    const num = Number(n);
+    if (sold.has(num)) {
+      return {
+        n: num,
+        status: "sold",
+        owner_initials: initialsByN.get(num) || null,
+      };
+    }
+    if (reserved.has(num)) return { n: num, status: "reserved" };
+    return { n: num, status: "available" };
+  });
+
+  return { total_numbers: total, width: numberWidth(total), numbers };
+}
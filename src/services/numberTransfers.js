@@ -0,0 +1,244 @@
+// backend/src/services/numberTransfers.js
+// Presente de números: o dono de números pagos num draw aberto pode
+// transferi-los para outro usuário cadastrado (e-mail ou CPF). A transferência
+// fica pendente até o destinatário aceitar. O dono efetivo de cada número
+// vem da view number_owners (primeiro pagamento aprovado, sobrescrito pela
+// última transferência aceita) — é ela que tabuleiro, "meus números",
+// painel admin e apuração do vencedor consultam.
+import { query, withTransaction } from "../db.js";
+import { normalizeStatus } from "./drawLifecycle.js";
+import { formatNumber } from "./drawNumbers.js";
+import { publishNumbers } from "./drawEvents.js";
+import { onlyDigits } from "./kyc.js";
+import { sendMail } from "./mailer.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[numberTransfers]");
+
+function ttlHours() {
+  const n = Number(process.env.TRANSFER_TTL_HOURS ?? 48);
+  return Number.isFinite(n) && n > 0 ? n : 48;
+}
+
+export async function ensureNumberTransferSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS number_transfers (
+      id           bigserial PRIMARY KEY,
+      draw_id      int NOT NULL,
+      numbers      int[] NOT NULL,
+      from_user_id int NOT NULL,
+      to_user_id   int NOT NULL,
+      status       text NOT NULL DEFAULT 'pending', -- pending | accepted | declined | cancelled | expired
+      created_at   timestamptz NOT NULL DEFAULT now(),
+      expires_at   timestamptz NOT NULL,
+      responded_at timestamptz
+    )
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS number_transfers_draw_idx
+      ON number_transfers (draw_id) WHERE status IN ('pending','accepted')
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS number_transfers_to_idx ON number_transfers (to_user_id, status)`);
+  await query(`
+    CREATE OR REPLACE VIEW number_owners AS
+      WITH paid AS (
+        SELECT DISTINCT ON (p.draw_id, t.n)
+               p.draw_id, t.n::int AS n, p.id AS payment_id, p.user_id, p.guest_id,
+               coalesce(p.paid_at, p.created_at) AS paid_at
+          FROM payment_lines p
+          CROSS JOIN LATERAL unnest(p.numbers) AS t(n)
+         WHERE lower(p.status) IN ('approved','paid','pago')
+         ORDER BY p.draw_id, t.n, coalesce(p.paid_at, p.created_at) ASC
+      )
+      SELECT paid.draw_id, paid.n, paid.payment_id, paid.paid_at,
+             coalesce(tr.to_user_id, paid.user_id) AS user_id,
+             CASE WHEN tr.id IS NULL THEN paid.guest_id END AS guest_id,
+             paid.user_id AS buyer_user_id,
+             tr.id AS transfer_id
+        FROM paid
+        LEFT JOIN LATERAL (
+          SELECT x.id, x.to_user_id
+            FROM number_transfers x
+           WHERE x.draw_id = paid.draw_id
+             AND paid.n = ANY(x.numbers)
+             AND x.status = 'accepted'
+           ORDER BY x.responded_at DESC, x.id DESC
+           LIMIT 1
+        ) tr ON true
+  `);
+}
+
+/** Pendentes vencidas ou de draws que já não estão abertos viram 'expired'. */
+async function expireStale(db) {
+  await db.query(
+    `update number_transfers t
+        set status = 'expired', responded_at = now()
+      where t.status = 'pending'
+        and (t.expires_at <= now()
+             or exists (select 1 from draws d
+                         where d.id = t.draw_id
+                           and lower(trim(coalesce(d.status,''))) not in ('open','aberto')))`
+  );
+}
+
+async function findRecipient(db, { email, cpf }) {
+  const mail = email ? String(email).trim().toLowerCase() : "";
+  const doc = cpf ? onlyDigits(cpf) : "";
+  if (!mail && !doc) return null;
+  const { rows } = await db.query(
+    `select id, name, email from users
+      where ($1 <> '' and lower(email) = $1) or ($2 <> '' and cpf = $2)
+      order by id
+      limit 1`,
+    [mail, doc]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Abre a transferência dos números (já normalizados) do usuário para o
+ * destinatário ({ email } ou { cpf }). Retorna { ok, transfer } ou
+ * { ok:false, error } (draw_not_found | draw_not_open | recipient_required |
+ * recipient_not_found | recipient_is_self | numbers_not_owned | transfer_pending).
+ */
+export async function createTransfer(drawId, fromUserId, nums, recipient = {}) {
+  if (!recipient?.email && !recipient?.cpf) return { ok: false, error: "recipient_required" };
+
+  const result = await withTransaction(async (tx) => {
+    // serializa transferências do draw (dono e pendências consistentes)
+    await tx.query(`select pg_advisory_xact_lock(hashtext($1))`, [`number_transfer:${drawId}`]);
+    await expireStale(tx);
+
+    const d = await tx.query(`select status, total_numbers from draws where id = $1`, [drawId]);
+    if (!d.rowCount) return tx.rollback({ ok: false, error: "draw_not_found" });
+    if (normalizeStatus(d.rows[0].status) !== "open") {
+      return tx.rollback({ ok: false, error: "draw_not_open" });
+    }
+
+    const to = await findRecipient(tx, recipient);
+    if (!to) return tx.rollback({ ok: false, error: "recipient_not_found" });
+    if (Number(to.id) === Number(fromUserId)) return tx.rollback({ ok: false, error: "recipient_is_self" });
+
+    const own = await tx.query(
+      `select n from number_owners where draw_id = $1 and user_id = $2 and n = any($3::int[])`,
+      [drawId, fromUserId, nums]
+    );
+    const owned = new Set(own.rows.map((r) => Number(r.n)));
+    const notOwned = nums.filter((n) => !owned.has(n));
+    if (notOwned.length) return tx.rollback({ ok: false, error: "numbers_not_owned", numbers: notOwned });
+
+    const pend = await tx.query(
+      `select distinct x from number_transfers, unnest(numbers) as x
+        where draw_id = $1 and status = 'pending' and x = any($2::int[])`,
+      [drawId, nums]
+    );
+    if (pend.rowCount) {
+      return tx.rollback({ ok: false, error: "transfer_pending", numbers: pend.rows.map((r) => Number(r.x)) });
+    }
+
+    const { rows } = await tx.query(
+      `insert into number_transfers (draw_id, numbers, from_user_id, to_user_id, expires_at)
+       values ($1, $2::int[], $3, $4, now() + $5::numeric * interval '1 hour')
+       returning *`,
+      [drawId, nums, fromUserId, to.id, ttlHours()]
+    );
+    return { ok: true, transfer: rows[0], recipient: to, total: d.rows[0].total_numbers };
+  });
+
+  if (result.ok) {
+    log("transferência criada", { id: result.transfer.id, draw_id: drawId, from: fromUserId, to: result.recipient.id });
+    notifyRecipient(result.transfer, result.recipient, result.total);
+    return { ok: true, transfer: result.transfer };
+  }
+  return result;
+}
+
+function notifyRecipient(transfer, to, total) {
+  if (!to?.email) return;
+  const list = transfer.numbers.map((n) => formatNumber(n, total)).join(", ");
+  sendMail({
+    to: to.email,
+    subject: `Você recebeu números no sorteio ${transfer.draw_id} - Pixão Na Mão`,
+    text: [
+      `Olá${to.name ? `, ${to.name}` : ""}!`,
+      "",
+      `Você recebeu de presente o(s) número(s) ${list} do sorteio ${transfer.draw_id}.`,
+      "Entre no site e aceite a transferência em Minha conta antes que ela expire.",
+    ].join("\n"),
+  }).catch((e) => warn("falha ao avisar destinatário", { id: transfer.id, msg: e?.code || e?.message }));
+}
+
+/** Transferências do usuário (recebidas e enviadas). */
+export async function listUserTransfers(userId) {
+  await expireStale({ query });
+  const { rows } = await query(
+    `select t.id, t.draw_id, t.numbers, t.status, t.created_at, t.expires_at, t.responded_at,
+            t.from_user_id, t.to_user_id,
+            case when t.to_user_id = $1 then 'incoming' else 'outgoing' end as direction,
+            coalesce(nullif(uf.name,''), uf.email) as from_name,
+            coalesce(nullif(ut.name,''), ut.email) as to_name
+       from number_transfers t
+       left join users uf on uf.id = t.from_user_id
+       left join users ut on ut.id = t.to_user_id
+      where t.to_user_id = $1 or t.from_user_id = $1
+      order by t.id desc
+      limit 200`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Resposta a uma transferência pendente:
+ *  - accept/decline: só o destinatário
+ *  - cancel: só o remetente
+ * Vence sozinha após TRANSFER_TTL_HOURS (padrão 48) ou quando o draw fecha.
+ * No aceite o remetente ainda precisa ser dono dos números.
+ * Retorna { ok, transfer } ou { ok:false, error } (transfer_not_found |
+ * transfer_not_pending | transfer_expired | numbers_not_owned).
+ */
+export async function respondTransfer(transferId, userId, action) {
+  const result = await withTransaction(async (tx) => {
+    const t0 = await tx.query(`select draw_id from number_transfers where id = $1`, [transferId]);
+    if (!t0.rowCount) return tx.rollback({ ok: false, error: "transfer_not_found" });
+    const drawId = t0.rows[0].draw_id;
+
+    await tx.query(`select pg_advisory_xact_lock(hashtext($1))`, [`number_transfer:${drawId}`]);
+    await expireStale(tx);
+
+    const { rows } = await tx.query(`select * from number_transfers where id = $1 for update`, [transferId]);
+    const t = rows[0];
+    const party = action === "cancel" ? t.from_user_id : t.to_user_id;
+    if (Number(party) !== Number(userId)) return tx.rollback({ ok: false, error: "transfer_not_found" });
+    if (t.status !== "pending") {
+      return tx.rollback({ ok: false, error: t.status === "expired" ? "transfer_expired" : "transfer_not_pending" });
+    }
+
+    if (action === "accept") {
+      const own = await tx.query(
+        `select count(*)::int as c from number_owners
+          where draw_id = $1 and user_id = $2 and n = any($3::int[])`,
+        [drawId, t.from_user_id, t.numbers]
+      );
+      if (own.rows[0].c !== t.numbers.length) {
+        await tx.query(
+          `update number_transfers set status = 'cancelled', responded_at = now() where id = $1`,
+          [t.id]
+        );
+        return { ok: false, error: "numbers_not_owned" };
+      }
+    }
+
+    const next = { accept: "accepted", decline: "declined", cancel: "cancelled" }[action];
+    const up = await tx.query(
+      `update number_transfers set status = $2, responded_at = now() where id = $1 returning *`,
+      [t.id, next]
+    );
+    // tabuleiro ao vivo: iniciais do novo dono
+    if (next === "accepted") await publishNumbers(tx, drawId, t.numbers, "sold", { ownerUserId: t.to_user_id });
+    return { ok: true, transfer: up.rows[0] };
+  });
+
+  if (result.ok) log(`transferência ${result.transfer.status}`, { id: transferId, user_id: userId });
+  return result;
+}
@@ -0,0 +1,270 @@
+// backend/src/services/numberWatch.js
+// Lista de espera por número: o usuário acompanha números ocupados de um draw
+// (POST /api/draws/:id/watch). Quando uma reserva sobre eles expira ou é
+// cancelada, a fila (ordem de inscrição) é avisada por e-mail. Com
+// WATCH_HOLD_MIN > 0 o primeiro da fila ganha uma reserva exclusiva curta
+// no número (paga pelo fluxo normal); se ela vencer, passa para o próximo.
+import { v4 as uuid } from "uuid";
+import { query, withTransaction } from "../db.js";
+import { normalizeStatus } from "./drawLifecycle.js";
+import { formatNumber } from "./drawNumbers.js";
+import { publishNumbers } from "./drawEvents.js";
+import { checkUserLimit } from "./purchase_limit.js";
+import { sendMail } from "./mailer.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[numberWatch]");
+
+export const MAX_WATCHES_PER_DRAW = 50;
+
+function holdMinutes() {
+  const n = Number(process.env.WATCH_HOLD_MIN ?? 3);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+export async function ensureNumberWatchSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS number_watches (
+      id                  bigserial PRIMARY KEY,
+      draw_id             int NOT NULL,
+      user_id             int NOT NULL,
+      n                   int NOT NULL,
+      status              text NOT NULL DEFAULT 'waiting',
+      created_at          timestamptz NOT NULL DEFAULT now(),
+      notified_at         timestamptz,
+      hold_reservation_id uuid
+    )
+  `);
+  // uma inscrição em espera por usuário/número
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS number_watches_waiting_uq
+      ON number_watches (draw_id, n, user_id) WHERE status = 'waiting'
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS number_watches_queue_idx
+      ON number_watches (draw_id, n, id) WHERE status = 'waiting'
+  `);
+}
+
+/** Inscrições do usuário no draw, com a posição na fila (só 'waiting'). */
+export async function listUserWatches(drawId, userId) {
+  const { rows } = await query(
+    `select w.n, w.status, w.created_at, w.notified_at, w.hold_reservation_id,
+            case when w.status = 'waiting' then (
+              select count(*)::int
+                from number_watches q
+               where q.draw_id = w.draw_id
+                 and q.n = w.n
+                 and q.status = 'waiting'
+                 and q.id <= w.id
+            ) end as position
+       from number_watches w
+      where w.draw_id = $1
+        and w.user_id = $2
+        and w.status <> 'cancelled'
+      order by w.n, w.id desc`,
+    [drawId, userId]
+  );
+  return rows;
+}
+
+/**
+ * Inscreve o usuário nos números (já normalizados). Números livres agora não
+ * entram na fila (basta reservar) e voltam em `available`.
+ * Retorna { ok, watching, available } ou { ok:false, error }.
+ */
+export async function watchNumbers(drawId, userId, nums) {
+  return withTransaction(async (tx) => {
+    const d = await tx.query(`select status from draws where id = $1`, [drawId]);
+    if (!d.rowCount) return tx.rollback({ ok: false, error: "draw_not_found" });
+    if (normalizeStatus(d.rows[0].status) !== "open") {
+      return tx.rollback({ ok: false, error: "draw_not_open" });
+    }
+
+    const { rows: st } = await tx.query(
+      `select n, status from numbers where draw_id = $1 and n = any($2)`,
+      [drawId, nums]
+    );
+    const available = st.filter((r) => r.status === "available").map((r) => Number(r.n));
+    const busy = nums.filter((n) => !available.includes(n));
+
+    const { rows: cnt } = await tx.query(
+      `select count(*)::int as c from number_watches
+        where draw_id = $1 and user_id = $2 and status = 'waiting' and not (n = any($3))`,
+      [drawId, userId, busy]
+    );
+    if (cnt[0].c + busy.length > MAX_WATCHES_PER_DRAW) {
+      return tx.rollback({ ok: false, error: "too_many_watches", max: MAX_WATCHES_PER_DRAW });
+    }
+
+    if (busy.length) {
+      await tx.query(
+        `insert into number_watches (draw_id, user_id, n)
+         select $1, $2, x from unnest($3::int[]) as x
+         on conflict (draw_id, n, user_id) where status = 'waiting' do nothing`,
+        [drawId, userId, busy]
+      );
+    }
+    return { ok: true, watching: busy, available };
+  });
+}
+
+/** Cancela as inscrições em espera (todas do draw se `nums` vier vazio). */
+export async function unwatchNumbers(drawId, userId, nums = []) {
+  const r = await query(
+    `update number_watches
+        set status = 'cancelled'
+      where draw_id = $1
+        and user_id = $2
+        and status = 'waiting'
+        and (cardinality($3::int[]) = 0 or n = any($3))
+      returning n`,
+    [drawId, userId, nums]
+  );
+  return r.rows.map((x) => Number(x.n));
+}
+
+/**
+ * Reserva exclusiva para o primeiro da fila que ainda cabe no limite.
+ * Retorna o watch contemplado ou null (segue para o aviso geral).
+ */
+async function holdForFirstWatcher(tx, drawId, n, waiting, minutes) {
+  for (const w of waiting) {
+    // eslint-disable-next-line no-await-in-loop
+    const limit = await checkUserLimit(w.user_id, drawId, 1, { db: tx });
+    if (limit.blocked) continue;
+
+    const reservationId = uuid();
+    await tx.query(
+      `insert into reservations (id, user_id, draw_id, numbers, status, expires_at)
+       values ($1, $2, $3, $4::int[], 'active', now() + $5::numeric * interval '1 minute')`,
+      [reservationId, w.user_id, drawId, [n], minutes]
+    );
+    await tx.query(
+      `update numbers set status = 'reserved', reservation_id = $3 where draw_id = $1 and n = $2`,
+      [drawId, n, reservationId]
+    );
+    await tx.query(
+      `update number_watches
+          set status = 'held', notified_at = now(), hold_reservation_id = $2
+        where id = $1`,
+      [w.id, reservationId]
+    );
+    await publishNumbers(tx, drawId, [n], "reserved");
+    return { ...w, hold_reservation_id: reservationId };
+  }
+  return null;
+}
+
+/**
+ * Processa a fila de um número que acabou de ficar livre (após o COMMIT de
+ * quem liberou). Retorna os avisos a enviar, na ordem da fila.
+ */
+async function releaseToQueue(drawId, n, minutes) {
+  return withTransaction(async (tx) => {
+    const num = await tx.query(
+      `select nb.status, d.status as draw_status
+         from numbers nb
+         join draws d on d.id = nb.draw_id
+        where nb.draw_id = $1 and nb.n = $2
+        for update of nb`,
+      [drawId, n]
+    );
+    // já foi pego por outra reserva (ou o draw fechou): a fila continua esperando
+    if (!num.rowCount || num.rows[0].status !== "available") return [];
+    if (normalizeStatus(num.rows[0].draw_status) !== "open") return [];
+
+    const { rows: waiting } = await tx.query(
+      `select id, user_id
+         from number_watches
+        where draw_id = $1 and n = $2 and status = 'waiting'
+        order by id
+        for update skip locked`,
+      [drawId, n]
+    );
+    if (!waiting.length) return [];
+
+    if (minutes > 0) {
+      const held = await holdForFirstWatcher(tx, drawId, n, waiting, minutes);
+      if (held) return [{ user_id: held.user_id, n, hold: true }];
+    }
+
+    await tx.query(
+      `update number_watches set status = 'notified', notified_at = now()
+        where id = any($1::bigint[])`,
+      [waiting.map((w) => w.id)]
+    );
+    return waiting.map((w) => ({ user_id: w.user_id, n, hold: false }));
+  });
+}
+
+async function sendWatchMails(drawId, notices, minutes) {
+  const byUser = new Map(); // preserva a ordem da fila
+  for (const x of notices) {
+    if (!byUser.has(x.user_id)) byUser.set(x.user_id, { free: [], held: [] });
+    byUser.get(x.user_id)[x.hold ? "held" : "free"].push(x.n);
+  }
+
+  const { rows: users } = await query(
+    `select id, name, email from users where id = any($1)`,
+    [[...byUser.keys()]]
+  );
+  const { rows: dr } = await query(`select total_numbers from draws where id = $1`, [drawId]);
+  const total = dr[0]?.total_numbers;
+  const fmt = (list) => list.map((n) => formatNumber(n, total)).join(", ");
+  const emailOf = new Map(users.map((u) => [u.id, u]));
+
+  for (const [userId, { free, held }] of byUser) {
+    const u = emailOf.get(userId);
+    if (!u?.email) continue;
+    const lines = [`Olá${u.name ? `, ${u.name}` : ""}!`, ""];
+    if (held.length) {
+      lines.push(
+        `O(s) número(s) ${fmt(held)} do sorteio ${drawId} ficou(aram) livre(s) e está(ão) reservado(s) para você por ${minutes} minuto(s).`,
+        "Entre no site e finalize o pagamento antes que a reserva expire."
+      );
+    }
+    if (free.length) {
+      lines.push(`O(s) número(s) ${fmt(free)} do sorteio ${drawId} acabou(aram) de ficar livre(s). Corra para reservar!`);
+    }
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await sendMail({
+        to: u.email,
+        subject: `Número livre no sorteio ${drawId} - Pixão Na Mão`,
+        text: lines.join("\n"),
+      });
+    } catch (e) {
+      warn("falha ao avisar inscrito", { user_id: userId, draw_id: drawId, msg: e?.code || e?.message });
+    }
+  }
+}
+
+/**
+ * Números liberados (reserva expirada/cancelada/alterada): avisa a fila de
+ * cada um. Chamar depois do COMMIT que liberou. Nunca lança.
+ */
+export async function notifyNumbersFreed(drawId, numbers) {
+  const list = [...new Set((numbers || []).map(Number).filter(Number.isInteger))];
+  if (!drawId || !list.length) return;
+  const minutes = holdMinutes();
+  try {
+    const { rows } = await query(
+      `select distinct n from number_watches
+        where draw_id = $1 and n = any($2) and status = 'waiting'`,
+      [drawId, list]
+    );
+    if (!rows.length) return;
+
+    const notices = [];
+    for (const { n } of rows) {
+      // eslint-disable-next-line no-await-in-loop
+      notices.push(...(await releaseToQueue(drawId, Number(n), minutes)));
+    }
+    if (!notices.length) return;
+    log("fila avisada", { draw_id: drawId, notices: notices.length });
+    await sendWatchMails(drawId, notices, minutes);
+  } catch (e) {
+    warn("falha ao processar fila", { draw_id: drawId, msg: e?.message });
+  }
+}
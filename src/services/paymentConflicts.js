@@ -0,0 +1,382 @@
+// backend/src/services/paymentConflicts.js
+// PIX aprovado tarde: a reserva venceu, os números foram reservados/pagos por
+// outra pessoa e só depois o PIX antigo aprovou. Na liquidação cada linha é
+// conferida; os números já de outro dono saem da linha do pagamento atrasado
+// e viram um registro em payment_conflicts, resolvido pela política
+// app_config.late_pix_policy:
+//  - refund:  estorna no provedor o valor desses números (fora da transação)
+//  - replace: troca por números livres do mesmo draw
+//  - voucher: credita vouchers do draw (só usuário cadastrado)
+// Sem como trocar/creditar (draw fechado, faltam números, convidado) cai para
+// refund. O comprador recebe e-mail quando o conflito é resolvido.
+import { query, withTransaction } from "../db.js";
+import { getLatePixPolicy } from "./config.js";
+import { normalizeStatus } from "./drawLifecycle.js";
+import { formatNumber } from "./drawNumbers.js";
+import { providerPaymentId, reverseCouponCredit } from "./drawCancel.js";
+import { sendProviderRefund } from "./paymentRefunds.js";
+import { sendMail } from "./mailer.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[paymentConflicts]");
+
+export const CONFLICT_STATUSES = ["pending", "refunding", "resolved", "failed"];
+
+export async function ensurePaymentConflictSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS payment_conflicts (
+      id                  bigserial PRIMARY KEY,
+      payment_id          text NOT NULL,
+      draw_id             int NOT NULL,
+      item_id             bigint,
+      user_id             int,
+      guest_id            bigint,
+      numbers             int[] NOT NULL,          -- pagos tarde, já de outro dono
+      requested_policy    text NOT NULL,           -- late_pix_policy no momento
+      policy              text NOT NULL,           -- aplicada (após fallback)
+      fallback_reason     text,
+      status              text NOT NULL DEFAULT 'pending', -- pending | refunding | resolved | failed
+      amount_cents        int NOT NULL DEFAULT 0,
+      replacement_numbers int[] NOT NULL DEFAULT '{}',
+      voucher_count       int NOT NULL DEFAULT 0,
+      refund_id           int,
+      error               text,
+      notified_at         timestamptz,
+      created_at          timestamptz NOT NULL DEFAULT now(),
+      resolved_at         timestamptz
+    )
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS payment_conflicts_payment_idx ON payment_conflicts (payment_id)`);
+  // um conflito por linha do pagamento, mesmo com duas liquidações ao mesmo tempo
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS payment_conflicts_line_uq
+      ON payment_conflicts (payment_id, draw_id, coalesce(item_id, 0))
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS payment_conflicts_open_idx
+      ON payment_conflicts (status) WHERE status <> 'resolved'
+  `);
+}
+
+/**
+ * Números da linha que já são de outro: pagos por outro payment aprovado ou
+ * presos numa reserva ativa que não é deste pagamento. Trava as linhas de
+ * numbers antes (liquidações concorrentes do mesmo número ficam em fila).
+ */
+async function findTakenNumbers(tx, paymentId, drawId, nums) {
+  await tx.query(`select n from numbers where draw_id = $1 and n = any($2::int[]) for update`, [drawId, nums]);
+  const { rows } = await tx.query(
+    `select t.n::int as n
+       from unnest($2::int[]) as t(n)
+      where exists (select 1 from payment_lines o
+                     where o.draw_id = $1
+                       and o.id <> $3
+                       and lower(o.status) in ('approved','paid','pago')
+                       and t.n = any(o.numbers))
+         or exists (select 1 from numbers x
+                      join reservations r on r.id = x.reservation_id
+                     where x.draw_id = $1
+                       and x.n = t.n
+                       and x.status = 'reserved'
+                       and r.status = 'active'
+                       and r.expires_at > now()
+                       and coalesce(r.payment_id::text, '') <> $3)`,
+    [drawId, nums, String(paymentId)]
+  );
+  return rows.map((r) => Number(r.n));
+}
+
+/** Números livres do draw para a troca (fora os da própria linha). */
+async function pickReplacement(tx, drawId, count, exclude) {
+  const { rows } = await tx.query(
+    `select n.n
+       from numbers n
+  left join reservations r on r.id = n.reservation_id
+      where n.draw_id = $1
+        and not (n.n = any($2::int[]))
+        and (n.status = 'available'
+             or (n.status = 'reserved' and r.expires_at is not null and r.expires_at <= now()))
+        and not exists (select 1 from payment_lines p
+                         where p.draw_id = n.draw_id
+                           and lower(p.status) in ('approved','paid','pago')
+                           and n.n = any(p.numbers))
+      order by random()
+      limit $3
+      for update of n skip locked`,
+    [drawId, exclude, count]
+  );
+  return rows.map((r) => Number(r.n));
+}
+
+/** Tira `remove` e acrescenta `add` nos números da linha (item do carrinho ou payment antigo). */
+async function rewriteLineNumbers(tx, paymentId, line, remove, add) {
+  if (line.item_id) {
+    await tx.query(
+      `update payment_items
+          set numbers = array(select x from unnest(numbers) as x where x <> all($2::int[])) || $3::int[]
+        where id = $1`,
+      [line.item_id, remove, add]
+    );
+  } else {
+    await tx.query(
+      `update payments
+          set numbers = array(select x::int from unnest(numbers) as x where x::int <> all($2::int[])) || $3::int[]
+        where id = $1`,
+      [String(paymentId), remove, add]
+    );
+  }
+}
+
+/**
+ * Confere uma linha do pagamento aprovado (dentro da transação da
+ * liquidação). Sem conflito devolve os números da linha; com conflito grava
+ * o payment_conflicts, aplica replace/voucher na hora e devolve os números
+ * que ficam com o comprador (os dele + os trocados).
+ * pay: { id, user_id, guest_id }. Retorna { numbers, conflict }.
+ */
+export async function settleLineConflicts(tx, pay, line) {
+  const nums = (line.numbers || []).map(Number);
+  if (!nums.length) return { numbers: nums, conflict: null };
+  const taken = await findTakenNumbers(tx, pay.id, line.draw_id, nums);
+  if (!taken.length) return { numbers: nums, conflict: null };
+
+  const requested = await getLatePixPolicy();
+  const d = await tx.query(`select status from draws where id = $1`, [line.draw_id]);
+  const open = normalizeStatus(d.rows[0]?.status) === "open";
+  const kept = nums.filter((n) => !taken.includes(n));
+  const amount = Math.round((Number(line.amount_cents || 0) * taken.length) / nums.length);
+
+  let policy = requested;
+  let fallback = null;
+  let replacement = [];
+  let vouchers = 0;
+
+  if (policy === "replace") {
+    if (open) replacement = await pickReplacement(tx, line.draw_id, taken.length, nums);
+    if (replacement.length < taken.length) {
+      fallback = open ? "not_enough_numbers" : "draw_not_open";
+      replacement = [];
+      policy = "refund";
+    }
+  }
+
+  if (policy === "voucher") {
+    if (!pay.user_id) fallback = "guest_payment";
+    else if (!open) fallback = "draw_not_open";
+    else {
+      try {
+        // savepoint: voucher recusado pelo schema não derruba a liquidação
+        await tx.savepoint(() =>
+          tx.query(
+            `insert into vouchers (user_id, infoproduct_id, payment_id, remaining, created_at, used, draw_id)
+             select $1, d.infoproduct_id, $2, $3, now(), false, d.id from draws d where d.id = $4`,
+            [pay.user_id, String(pay.id), taken.length, line.draw_id]
+          )
+        );
+        vouchers = taken.length;
+      } catch (e) {
+        warn("voucher recusado, caindo para estorno", { payment_id: pay.id, msg: e?.message });
+        fallback = "voucher_failed";
+      }
+    }
+    if (fallback) policy = "refund";
+  }
+
+  await rewriteLineNumbers(tx, pay.id, line, taken, replacement);
+
+  const settledNow = policy !== "refund" || amount <= 0;
+  const { rows } = await tx.query(
+    `insert into payment_conflicts
+       (payment_id, draw_id, item_id, user_id, guest_id, numbers, requested_policy, policy,
+        fallback_reason, status, amount_cents, replacement_numbers, voucher_count, resolved_at)
+     values ($1, $2, $3, $4, $5, $6::int[], $7, $8, $9, $10, $11, $12::int[], $13,
+             case when $10 = 'resolved' then now() end)
+     returning *`,
+    [
+      String(pay.id),
+      line.draw_id,
+      line.item_id || null,
+      pay.user_id || null,
+      pay.guest_id || null,
+      taken,
+      requested,
+      policy,
+      fallback,
+      settledNow ? "resolved" : "pending",
+      amount,
+      replacement,
+      vouchers,
+    ]
+  );
+  log("conflito na liquidação", {
+    id: rows[0].id,
+    payment_id: pay.id,
+    draw_id: line.draw_id,
+    numbers: taken,
+    policy,
+    fallback,
+  });
+  return { numbers: [...kept, ...replacement], conflict: rows[0] };
+}
+
+/** Nada do pagamento ficou com o comprador (sem números e sem e-book). */
+async function nothingLeft(db, paymentId) {
+  const { rows } = await db.query(
+    `select not exists (select 1 from payment_lines where id = $1 and cardinality(numbers) > 0)
+        and not exists (select 1 from payment_items where payment_id = $1 and kind = 'infoproduct') as empty`,
+    [String(paymentId)]
+  );
+  return !!rows[0]?.empty;
+}
+
+/** Estorna no provedor o valor dos números do conflito. */
+async function refundConflict(c) {
+  const { rows } = await query(`select * from payments where id = $1`, [c.payment_id]);
+  const pay = rows[0];
+  const fail = async (error) => {
+    await query(`update payment_conflicts set status = 'failed', error = $2 where id = $1`, [
+      c.id,
+      String(error).slice(0, 500),
+    ]);
+    return "failed";
+  };
+  if (!pay || !providerPaymentId(pay)) return fail("no_provider_payment");
+
+  let refund = null;
+  if (c.refund_id) {
+    const r = await query(`select * from payment_refunds where id = $1`, [c.refund_id]);
+    refund = r.rows[0] || null;
+  }
+  if (!refund) {
+    const ins = await query(
+      `insert into payment_refunds (payment_id, draw_id, user_id, amount_cents, source, method, reason)
+       values ($1, $2, $3, $4, 'late_pix_conflict', 'provider', 'late_pix_conflict')
+       returning *`,
+      [c.payment_id, c.draw_id, pay.user_id, c.amount_cents]
+    );
+    refund = ins.rows[0];
+    await query(`update payment_conflicts set refund_id = $2 where id = $1`, [c.id, refund.id]);
+  }
+  if (refund.status !== "refunded") {
+    const sent = await sendProviderRefund(pay, refund);
+    if (!sent.ok) return fail(sent.message || sent.error);
+  }
+
+  await withTransaction(async (tx) => {
+    const empty = await nothingLeft(tx, pay.id);
+    if (empty) {
+      await tx.query(`update payments set status = 'refunded', refunded_at = now() where id = $1`, [pay.id]);
+    }
+    await reverseCouponCredit(tx, pay, c.amount_cents, empty);
+    await tx.query(
+      `update payment_conflicts set status = 'resolved', error = null, resolved_at = now() where id = $1`,
+      [c.id]
+    );
+  });
+  return "resolved";
+}
+
+const brl = (cents) => `R$ ${(Number(cents || 0) / 100).toFixed(2).replace(".", ",")}`;
+
+/** Avisa o comprador (usuário ou convidado) de um conflito resolvido. Nunca lança. */
+async function notifyConflict(c) {
+  try {
+    const { rows } = await query(
+      `select coalesce(u.email, g.email) as email, coalesce(nullif(u.name,''), g.name) as name, d.total_numbers
+         from payment_conflicts c
+         left join users u on u.id = c.user_id
+         left join guests g on g.id = c.guest_id
+         left join draws d on d.id = c.draw_id
+        where c.id = $1`,
+      [c.id]
+    );
+    const to = rows[0];
+    if (to?.email) {
+      const fmt = (list) => list.map((n) => formatNumber(n, to.total_numbers)).join(", ");
+      const outcome = {
+        refund: `Estornamos ${brl(c.amount_cents)} referentes a esses números no seu meio de pagamento.`,
+        replace: `No lugar deles você ficou com o(s) número(s) ${fmt(c.replacement_numbers)}.`,
+        voucher: `Você recebeu ${c.voucher_count} voucher(s) para escolher outros números no mesmo sorteio.`,
+      }[c.policy];
+      await sendMail({
+        to: to.email,
+        subject: `Seu pagamento do sorteio ${c.draw_id} - Pixão Na Mão`,
+        text: [
+          `Olá${to.name ? `, ${to.name}` : ""}!`,
+          "",
+          `Seu PIX foi aprovado depois que a reserva venceu, e o(s) número(s) ${fmt(c.numbers)} do sorteio ${c.draw_id} já tinham sido comprados por outra pessoa.`,
+          outcome,
+        ].join("\n"),
+      });
+    }
+  } catch (e) {
+    warn("falha ao avisar comprador", { id: c.id, msg: e?.code || e?.message });
+  }
+  await query(`update payment_conflicts set notified_at = now() where id = $1`, [c.id]).catch(() => {});
+}
+
+/**
+ * Depois do COMMIT da liquidação: estorna os conflitos 'refund' pendentes e
+ * avisa o comprador dos resolvidos. Nunca lança.
+ */
+export async function finishPaymentConflicts(paymentId) {
+  try {
+    // claim: webhook e reconciliação ao mesmo tempo não estornam duas vezes
+    const { rows: due } = await query(
+      `update payment_conflicts set status = 'refunding'
+        where payment_id = $1 and status = 'pending'
+        returning *`,
+      [String(paymentId)]
+    );
+    for (const c of due) {
+      // eslint-disable-next-line no-await-in-loop
+      await refundConflict(c);
+    }
+
+    const { rows: resolved } = await query(
+      `select * from payment_conflicts
+        where payment_id = $1 and status = 'resolved' and notified_at is null
+        order by id`,
+      [String(paymentId)]
+    );
+    for (const c of resolved) {
+      // eslint-disable-next-line no-await-in-loop
+      await notifyConflict(c);
+    }
+  } catch (e) {
+    warn("falha ao concluir conflitos", { payment_id: paymentId, msg: e?.message });
+  }
+}
+
+/** Conflitos para o admin (mais recentes primeiro). */
+export async function listPaymentConflicts({ status = null, limit = 50 } = {}) {
+  const { rows } = await query(
+    `select * from payment_conflicts
+      where ($1::text is null or status = $1)
+      order by id desc
+      limit $2`,
+    [status, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+/**
+ * Refaz o estorno de um conflito que falhou (ou ficou parado). A chave de
+ * idempotência do estorno é a mesma, então o provedor não devolve duas vezes.
+ * Retorna { ok, conflict } ou { ok:false, error } (conflict_not_found | conflict_resolved).
+ */
+export async function retryPaymentConflict(id) {
+  const { rows } = await query(
+    `update payment_conflicts set status = 'refunding', error = null
+      where id = $1 and status in ('pending','refunding','failed')
+      returning *`,
+    [id]
+  );
+  if (!rows.length) {
+    const { rowCount } = await query(`select 1 from payment_conflicts where id = $1`, [id]);
+    return { ok: false, error: rowCount ? "conflict_resolved" : "conflict_not_found" };
+  }
+  if ((await refundConflict(rows[0])) === "resolved") await notifyConflict(rows[0]);
+  const cur = await query(`select * from payment_conflicts where id = $1`, [id]);
+  return { ok: true, conflict: cur.rows[0] };
+}
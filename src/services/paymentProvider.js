@@ -0,0 +1,97 @@
+// backend/src/services/paymentProvider.js
+// Camada de provedor de pagamento. Rotas e jobs falam só com estas funções;
+// o provedor concreto vem de PAYMENT_PROVIDER ('mercadopago' | 'fake').
+// Cada payment grava o provedor que o criou (payments.provider): consulta,
+// cancelamento e estorno vão sempre para ele, mesmo se o padrão mudar.
+//
+// Contrato de um provedor:
+//   createPix({ amount_cents, description, payer: { email, name?, identification? },
+//               external_reference?, notification_url?, expires_minutes?, metadata? })
+//     -> { id, status, qr_code, qr_code_base64, ticket_url }
+//   getPayment(paymentId)                   -> { id, status, status_detail }
+//   saveCard({ user, doc_number, name, card_token })
+//     -> { customerId, cardId, brand, last4 }
+//   chargeCard({ customerId, cardId, amount_cents, description, metadata, security_code? })
+//     -> { status, paymentId }   (CVV exigido: erro com code 'SECURITY_CODE_REQUIRED')
+//   createCardPayment({ amount_cents, card_token, installments, payment_method_id?, issuer_id?,
+//                       payer, description, external_reference?, notification_url?, metadata?,
+//                       binary_mode, idempotencyKey })
+//     -> { id, status, status_detail, three_ds: { external_resource_url, creq } | null }
+//   refundPayment({ paymentId, amount_cents?, idempotencyKey }) -> { refundId, status, amount_cents }
+//   cancelPayment({ paymentId })            -> { id, status }
+import { query } from "../db.js";
+import { mercadoPagoProvider } from "./mercadopago.js";
+import { fakeProvider, ensureFakeProviderSchema } from "./fakePaymentProvider.js";
+
+const PROVIDERS = {
+  mercadopago: mercadoPagoProvider,
+  fake: fakeProvider,
+};
+
+/** Nome do provedor padrão (novos pagamentos). */
+export function paymentProviderName() {
+  const name = String(process.env.PAYMENT_PROVIDER || "mercadopago").trim().toLowerCase();
+  if (!PROVIDERS[name]) throw new Error(`PAYMENT_PROVIDER inválido: ${name}`);
+  return name;
+}
+
+/** Provedor pelo nome gravado no payment (null/legado = Mercado Pago). */
+function providerFor(name = null) {
+  if (!name) return PROVIDERS[paymentProviderName()];
+  const p = PROVIDERS[String(name).toLowerCase()];
+  if (!p) throw new Error(`provedor desconhecido: ${name}`);
+  return p;
+}
+
+export async function ensurePaymentProviderSchema() {
+  paymentProviderName(); // PAYMENT_PROVIDER inválido derruba o boot, não a primeira compra
+  await query(`ALTER TABLE IF EXISTS payments ADD COLUMN IF NOT EXISTS provider text`);
+  await query(`ALTER TABLE IF EXISTS autopay_profiles ADD COLUMN IF NOT EXISTS provider text`);
+  await ensureFakeProviderSchema();
+}
+
+/** Provedor do payment pelo id (null se não estiver na tabela). */
+export async function providerOfPayment(paymentId) {
+  const { rows } = await query(`select provider from payments where id = $1`, [String(paymentId)]);
+  if (!rows.length) return null;
+  return rows[0].provider || "mercadopago";
+}
+
+export function createPix(opts) {
+  return providerFor().createPix(opts);
+}
+
+export function getPayment(paymentId, { provider = null } = {}) {
+  return providerFor(provider || "mercadopago").getPayment(paymentId);
+}
+
+export function saveCard(opts) {
+  return providerFor().saveCard(opts);
+}
+
+/** Cartão avulso (checkout) no provedor padrão, como o PIX. */
+export function createCardPayment(opts) {
+  return providerFor().createCardPayment(opts);
+}
+
+/** `provider`: o do perfil que salvou o cartão (autopay_profiles.provider). */
+export function chargeCard({ provider = null, ...opts }) {
+  return providerFor(provider || "mercadopago").chargeCard(opts);
+}
+
+export function refundPayment({ provider = null, ...opts }) {
+  return providerFor(provider || "mercadopago").refundPayment(opts);
+}
+
+/**
+ * Recusa definitiva do provedor (4xx, fora timeout/conflito/limite): a
+ * operação não aconteceu. Rede, 5xx e afins deixam o resultado em aberto.
+ */
+export function isProviderRejection(e) {
+  const status = Number(e?.status);
+  return status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+}
+
+export function cancelPayment({ provider = null, ...opts }) {
+  return providerFor(provider || "mercadopago").cancelPayment(opts);
+}
@@ -0,0 +1,328 @@
+// backend/src/services/paymentRefunds.js
+// Estorno avulso de um pagamento pelo admin (total ou parcial). Usa a mesma
+// tabela payment_refunds do cancelamento de draw (source 'admin'), então o
+// total já estornado de um payment soma as duas origens.
+//  - total: payment vira 'refunded' (e-book perde o download, que exige
+//    pagamento aprovado), números voltam a 'available' e reservas a 'refunded'
+//  - parcial: só devolve o valor; números e e-book continuam do comprador
+// Nos dois casos o valor sai do crédito coupon_value_cents acumulado pelo
+// /api/coupons/sync (nunca abaixo de zero).
+// Estados da linha: pending → provider_done (provedor devolveu; falta o lado
+// local) → refunded, ou failed. O job finish_payment_refunds conclui as
+// provider_done e reenvia as pending paradas (mesma chave de idempotência),
+// então uma queda no meio não trava o saldo estornável.
+import { query, withTransaction } from "../db.js";
+import { refundPayment, isProviderRejection } from "./paymentProvider.js";
+import { providerPaymentId, reverseCouponCredit } from "./drawCancel.js";
+import { normalizeStatus } from "./drawLifecycle.js";
+import { getPaymentLines } from "./cart.js";
+import { publishNumbers } from "./drawEvents.js";
+import { notifyNumbersFreed } from "./numberWatch.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[paymentRefunds]");
+
+const APPROVED = ["approved", "paid", "pago"];
+
+// pending sem resposta há mais que isso: a requisição caiu no meio
+const PENDING_STALE_MIN = Math.max(1, Number(process.env.REFUND_PENDING_STALE_MIN || 10));
+
+export async function ensurePaymentRefundSchema() {
+  // full_refund: estorno do saldo todo (libera números/reservas ao concluir)
+  await query(`ALTER TABLE IF EXISTS payment_refunds ADD COLUMN IF NOT EXISTS full_refund boolean NOT NULL DEFAULT false`);
+  await query(`
+    CREATE INDEX IF NOT EXISTS payment_refunds_open_idx
+      ON payment_refunds (status, updated_at) WHERE status IN ('pending','provider_done')
+  `);
+}
+
+/**
+ * Abre o estorno (linha 'pending' em payment_refunds) com o payment travado:
+ * dois admins ao mesmo tempo não estornam além do valor pago.
+ */
+async function openRefund(paymentId, { amountCents, reason, actorUserId }) {
+  return withTransaction(async (tx) => {
+    const { rows } = await tx.query(`select * from payments where id = $1 for update`, [paymentId]);
+    const pay = rows[0];
+    if (!pay) return tx.rollback({ ok: false, error: "payment_not_found" });
+    if (!APPROVED.includes(String(pay.status || "").toLowerCase())) {
+      return tx.rollback({ ok: false, error: "payment_not_refundable", status: pay.status });
+    }
+    if (!providerPaymentId(pay)) return tx.rollback({ ok: false, error: "no_provider_payment" });
+
+    // já estornado (ou em andamento) por qualquer origem
+    const done = await tx.query(
+      `select coalesce(sum(amount_cents), 0)::int as cents
+         from payment_refunds
+        where payment_id = $1 and status in ('pending','provider_done','refunded','credited')`,
+      [paymentId]
+    );
+    const total = Number(pay.amount_cents || 0);
+    const left = total - done.rows[0].cents;
+    const amount = amountCents != null ? amountCents : left;
+    if (amount <= 0 || amount > left) {
+      return tx.rollback({ ok: false, error: "invalid_amount", refundable_cents: Math.max(left, 0) });
+    }
+    const full = amount === left;
+
+    // total libera os números: só em draw aberto (depois de fechado muda o resultado)
+    if (full) {
+      const closed = await closedDrawOf(tx, paymentId);
+      if (closed) return tx.rollback({ ok: false, error: "draw_not_open", draw_id: closed });
+    }
+
+    const ins = await tx.query(
+      `insert into payment_refunds (payment_id, user_id, amount_cents, source, method, reason, full_refund)
+       values ($1, $2, $3, 'admin', 'provider', $4, $5)
+       returning *`,
+      [paymentId, pay.user_id, amount, reason, full]
+    );
+    log("estorno aberto", { refund_id: ins.rows[0].id, payment_id: paymentId, amount, full, by: actorUserId });
+    return { ok: true, pay, refund: ins.rows[0] };
+  });
+}
+
+/** Primeiro draw não aberto entre as linhas de números do payment (ou null). */
+async function closedDrawOf(tx, paymentId) {
+  const lines = await getPaymentLines(tx, paymentId);
+  if (!lines.length) return null;
+  // FOR SHARE: a transição de status do draw (FOR UPDATE) espera este estorno
+  const d = await tx.query(`select id, status from draws where id = any($1::int[]) for share`, [
+    [...new Set(lines.map((l) => Number(l.draw_id)))],
+  ]);
+  const locked = d.rows.find((r) => normalizeStatus(r.status) !== "open");
+  return locked ? locked.id : null;
+}
+
+/** Payment estornado por inteiro: libera números/reservas e desfaz transferências pendentes. */
+async function releasePayment(tx, paymentId, lines) {
+  const freed = new Map(); // draw_id -> números
+  for (const l of lines) {
+    const up = await tx.query(
+      `update numbers
+          set status = 'available', reservation_id = null
+        where draw_id = $1 and n = any($2::int[]) and status = 'sold'
+        returning n`,
+      [l.draw_id, l.numbers]
+    );
+    const list = freed.get(l.draw_id) || [];
+    list.push(...up.rows.map((r) => Number(r.n)));
+    freed.set(l.draw_id, list);
+
+    await tx.query(
+      `update number_transfers
+          set status = 'cancelled', responded_at = now()
+        where draw_id = $1 and status = 'pending' and numbers && $2::int[]`,
+      [l.draw_id, l.numbers]
+    );
+  }
+  await tx.query(`update reservations set status = 'refunded' where payment_id = $1`, [paymentId]);
+
+  for (const [drawId, nums] of freed) await publishNumbers(tx, drawId, nums, "available");
+  return freed;
+}
+
+/**
+ * Envia ao provedor do payment o estorno já aberto em payment_refunds
+ * (`whole`: estorno integral, sem valor). A chave de idempotência é o id da
+ * linha, então reenviar a mesma linha não duplica. `doneStatus`: status
+ * gravado quando o provedor aceita ('provider_done' se ainda falta o lado
+ * local). Só uma recusa definitiva vira 'failed' (sai do saldo em
+ * andamento); erro de rede ou resposta incerta mantém a linha 'pending',
+ * que o job reenvia com a mesma chave.
+ * Retorna { ok, refund } ou { ok:false, error, message } — error
+ * 'provider_refund_failed' (recusado) | 'provider_refund_pending' (incerto).
+ */
+export async function sendProviderRefund(pay, refund, { whole = false, doneStatus = "refunded" } = {}) {
+  try {
+    const r = await refundPayment({
+      provider: pay.provider,
+      paymentId: providerPaymentId(pay),
+      amount_cents: whole ? undefined : refund.amount_cents,
+      idempotencyKey: `refund-${refund.id}`,
+    });
+    const { rows } = await query(
+      `update payment_refunds
+          set status = $3, provider_refund_id = $2, error = null,
+              attempts = attempts + 1, updated_at = now()
+        where id = $1
+        returning *`,
+      [refund.id, r.refundId, doneStatus]
+    );
+    return { ok: true, refund: rows[0] };
+  } catch (e) {
+    const rejected = isProviderRejection(e);
+    warn(rejected ? "estorno recusado pelo provedor" : "estorno sem resposta do provedor", {
+      refund_id: refund.id,
+      payment_id: pay.id,
+      status: e?.status ?? null,
+      msg: e?.message,
+    });
+    const { rows } = await query(
+      `update payment_refunds
+          set status = $3, error = $2, attempts = attempts + 1, updated_at = now()
+        where id = $1
+        returning *`,
+      [refund.id, String(e?.message || e).slice(0, 500), rejected ? "failed" : "pending"]
+    );
+    return {
+      ok: false,
+      error: rejected ? "provider_refund_failed" : "provider_refund_pending",
+      message: e?.message || String(e),
+      refund: rows[0],
+    };
+  }
+}
+
+/**
+ * Lado local de um estorno admin já aceito pelo provedor (provider_done):
+ * total marca o payment 'refunded' e libera números/reservas — se algum draw
+ * deixou de estar aberto desde a abertura, os números ficam (o resultado não
+ * muda) e a linha guarda error 'draw_not_open'. Tira o valor do crédito de
+ * cupom. Idempotente: retorna null se a linha não está mais provider_done.
+ */
+async function finishAdminRefund(refundId) {
+  const result = await withTransaction(async (tx) => {
+    const r = await tx.query(`select * from payment_refunds where id = $1 for update`, [refundId]);
+    const refund = r.rows[0];
+    if (!refund || refund.status !== "provider_done") return tx.rollback(null);
+    const p = await tx.query(`select * from payments where id = $1 for update`, [refund.payment_id]);
+    const pay = p.rows[0];
+
+    let freed = new Map();
+    let keptDrawId = null;
+    if (refund.full_refund) {
+      await tx.query(`update payments set status = 'refunded', refunded_at = now() where id = $1`, [pay.id]);
+      keptDrawId = await closedDrawOf(tx, pay.id);
+      if (!keptDrawId) freed = await releasePayment(tx, pay.id, await getPaymentLines(tx, pay.id));
+    }
+    const reversed = await reverseCouponCredit(tx, pay, refund.amount_cents, refund.full_refund);
+    const up = await tx.query(
+      `update payment_refunds
+          set status = 'refunded', error = $2, updated_at = now()
+        where id = $1
+        returning *`,
+      [refund.id, keptDrawId ? `draw_not_open: números mantidos (draw ${keptDrawId})` : null]
+    );
+    return { refund: up.rows[0], pay, freed, reversed, keptDrawId };
+  });
+  if (!result) return null;
+
+  // fila de espera só depois do COMMIT
+  for (const [drawId, nums] of result.freed) notifyNumbersFreed(drawId, nums);
+  if (result.keptDrawId) {
+    warn("estorno total com draw já fechado: números mantidos", {
+      refund_id: refundId,
+      payment_id: result.pay.id,
+      draw_id: result.keptDrawId,
+    });
+  }
+  log("pagamento estornado", {
+    refund_id: refundId,
+    payment_id: result.pay.id,
+    amount: result.refund.amount_cents,
+    full: result.refund.full_refund,
+    coupon_reversed: result.reversed,
+  });
+  return result;
+}
+
+/**
+ * Estorna `amountCents` (ou o saldo restante) do payment no provedor que o
+ * criou. Retorna { ok, refund, payment_status, full, freed, coupon_reversed_cents }
+ * ou { ok:false, error } (payment_not_found | payment_not_refundable |
+ * no_provider_payment | invalid_amount | draw_not_open | provider_refund_failed |
+ * provider_refund_pending — a linha segue 'pending' e o job reenvia).
+ */
+export async function refundPaymentByAdmin(paymentId, { amountCents = null, reason = null, actorUserId = null } = {}) {
+  const opened = await openRefund(String(paymentId), { amountCents, reason, actorUserId });
+  if (!opened.ok) return opened;
+  const { pay, refund } = opened;
+  const full = refund.full_refund;
+
+  const sent = await sendProviderRefund(pay, refund, {
+    whole: full && refund.amount_cents === Number(pay.amount_cents),
+    doneStatus: "provider_done",
+  });
+  if (!sent.ok) return sent;
+
+  // null: o job já concluiu esta linha
+  const done = await finishAdminRefund(refund.id);
+  const cur = done?.refund || (await query(`select * from payment_refunds where id = $1`, [refund.id])).rows[0];
+  return {
+    ok: true,
+    refund: cur,
+    full,
+    payment_status: full ? "refunded" : pay.status,
+    freed: [...(done?.freed || [])].map(([draw_id, numbers]) => ({ draw_id, numbers })),
+    numbers_kept_draw_id: done?.keptDrawId || null,
+    coupon_reversed_cents: done?.reversed || 0,
+  };
+}
+
+/**
+ * Job: conclui estornos admin que o provedor já aceitou (provider_done) e
+ * reenvia os 'pending' parados há mais de REFUND_PENDING_STALE_MIN — a chave
+ * de idempotência é a mesma, então o provedor não devolve duas vezes.
+ * Retorna { finished, resent, failed }.
+ */
+export async function resumeAdminRefunds({ limit = 20 } = {}) {
+  const out = { finished: 0, resent: 0, failed: 0 };
+
+  // claim: outra instância não reenvia a mesma linha
+  const { rows: stale } = await query(
+    `update payment_refunds
+        set updated_at = now()
+      where id in (select id from payment_refunds
+                    where source = 'admin' and status = 'pending'
+                      and updated_at < now() - make_interval(mins => $1)
+                    order by id
+                    limit $2)
+        and status = 'pending'
+      returning *`,
+    [PENDING_STALE_MIN, limit]
+  );
+  for (const refund of stale) {
+    // eslint-disable-next-line no-await-in-loop
+    const { rows } = await query(`select * from payments where id = $1`, [refund.payment_id]);
+    const pay = rows[0];
+    // eslint-disable-next-line no-await-in-loop
+    const sent = await sendProviderRefund(pay, refund, {
+      whole: refund.full_refund && refund.amount_cents === Number(pay.amount_cents),
+      doneStatus: "provider_done",
+    });
+    if (sent.ok) out.resent += 1;
+    else out.failed += 1;
+  }
+
+  const { rows: done } = await query(
+    `select id from payment_refunds
+      where source = 'admin' and status = 'provider_done'
+      order by id
+      limit $1`,
+    [limit]
+  );
+  for (const r of done) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      if (await finishAdminRefund(r.id)) out.finished += 1;
+    } catch (e) {
+      out.failed += 1;
+      warn("falha ao concluir estorno", { refund_id: r.id, msg: e?.message });
+    }
+  }
+  return out;
+}
+
+/** Estornos de um payment (todas as origens). */
+export async function listPaymentRefunds(paymentId) {
+  const { rows } = await query(
+    `select id, payment_id, draw_id, user_id, amount_cents, source, method, reason,
+            status, provider_refund_id, error, attempts, created_at, updated_at
+       from payment_refunds
+      where payment_id = $1
+      order by id`,
+    [String(paymentId)]
+  );
+  return rows;
+}
@@ -0,0 +1,278 @@
+// backend/src/services/prizeClaims.js
+// Resgate de prêmios: o ganhador de cada faixa (draw_prizes) envia os dados
+// de entrega ou a chave PIX e o admin avança o pedido
+// (submitted -> verified -> shipped -> delivered). Quando todas as faixas
+// com ganhador forem entregues, o draw vira 'redeemed' no ciclo de vida.
+import { query, withTransaction } from "../db.js";
+import { normalizeStatus, transitionDraw } from "./drawLifecycle.js";
+import { createLogger } from "./logger.js";
+
+const { log } = createLogger("[prizeClaims]");
+
+export const CLAIM_STATUSES = ["submitted", "verified", "shipped", "delivered", "rejected"];
+export const PAYOUT_METHODS = ["delivery", "pix"];
+export const PIX_KEY_TYPES = ["cpf", "cnpj", "email", "phone", "random"];
+
+export const CLAIM_TRANSITIONS = {
+  submitted: ["verified", "rejected"],
+  verified: ["shipped", "delivered", "rejected"],
+  shipped: ["delivered"],
+  delivered: [],
+  rejected: [],
+};
+
+// coluna de data carimbada em cada status
+const STAMP = {
+  verified: "verified_at",
+  shipped: "shipped_at",
+  delivered: "delivered_at",
+  rejected: "rejected_at",
+};
+
+export async function ensurePrizeClaimsSchema() {
+  await query(`
+    create table if not exists prize_claims (
+      id serial primary key,
+      draw_id int not null references draws(id) on delete cascade,
+      prize_position int not null default 1,
+      user_id int not null,
+      payout_method text not null,
+      recipient_name text,
+      phone text,
+      address jsonb,
+      pix_key_type text,
+      pix_key text,
+      status text not null default 'submitted',
+      tracking_code text,
+      carrier text,
+      admin_notes text,
+      rejection_reason text,
+      submitted_at timestamptz default now(),
+      verified_at timestamptz,
+      shipped_at timestamptz,
+      delivered_at timestamptz,
+      rejected_at timestamptz,
+      updated_by int,
+      updated_at timestamptz default now()
+    )
+  `);
+  // um pedido por faixa de prêmio (antes era um por draw)
+  await query(`ALTER TABLE prize_claims ADD COLUMN IF NOT EXISTS prize_position int NOT NULL DEFAULT 1`);
+  await query(`ALTER TABLE prize_claims DROP CONSTRAINT IF EXISTS prize_claims_draw_id_key`);
+  await query(`
+    create unique index if not exists prize_claims_draw_position_uq
+      on prize_claims (draw_id, prize_position)
+  `);
+}
+
+const str = (v, max = 255) => String(v ?? "").trim().slice(0, max);
+const digits = (v) => String(v ?? "").replace(/\D+/g, "");
+
+/**
+ * Valida o corpo enviado pelo ganhador.
+ * Retorna { ok:true, claim } ou { ok:false, error:'invalid_claim', field }.
+ */
+export function normalizeClaimInput(body = {}) {
+  const method = str(body.payout_method, 20).toLowerCase();
+  if (!PAYOUT_METHODS.includes(method)) return { ok: false, error: "invalid_claim", field: "payout_method" };
+
+  const claim = {
+    payout_method: method,
+    recipient_name: str(body.recipient_name) || null,
+    phone: digits(body.phone).slice(0, 13) || null,
+    address: null,
+    pix_key_type: null,
+    pix_key: null,
+  };
+
+  if (method === "delivery") {
+    const a = body.address || {};
+    const address = {
+      zip: digits(a.zip),
+      street: str(a.street),
+      number: str(a.number, 20),
+      complement: str(a.complement) || null,
+      district: str(a.district),
+      city: str(a.city),
+      state: str(a.state, 2).toUpperCase(),
+    };
+    if (!claim.recipient_name) return { ok: false, error: "invalid_claim", field: "recipient_name" };
+    if (address.zip.length !== 8) return { ok: false, error: "invalid_claim", field: "address.zip" };
+    for (const k of ["street", "number", "district", "city"]) {
+      if (!address[k]) return { ok: false, error: "invalid_claim", field: `address.${k}` };
+    }
+    if (!/^[A-Z]{2}$/.test(address.state)) return { ok: false, error: "invalid_claim", field: "address.state" };
+    claim.address = address;
+  } else {
+    const type = str(body.pix_key_type, 10).toLowerCase();
+    if (!PIX_KEY_TYPES.includes(type)) return { ok: false, error: "invalid_claim", field: "pix_key_type" };
+    let key = str(body.pix_key, 140);
+    if (type === "cpf" || type === "cnpj" || type === "phone") key = digits(key);
+    const valid =
+      (type === "cpf" && key.length === 11) ||
+      (type === "cnpj" && key.length === 14) ||
+      (type === "phone" && key.length >= 10 && key.length <= 13) ||
+      (type === "email" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) ||
+      (type === "random" && /^[0-9a-f-]{32,36}$/i.test(key));
+    if (!valid) return { ok: false, error: "invalid_claim", field: "pix_key" };
+    claim.pix_key_type = type;
+    claim.pix_key = key;
+  }
+
+  return { ok: true, claim };
+}
+
+/**
+ * Cria ou reenvia o pedido de resgate do ganhador da faixa `position`.
+ * Só pode editar enquanto 'submitted' (antes da verificação) ou após 'rejected'.
+ */
+export async function submitClaim(userId, drawId, input, position = 1) {
+  const parsed = normalizeClaimInput(input);
+  if (!parsed.ok) return parsed;
+  const c = parsed.claim;
+
+  return withTransaction(async (tx) => {
+    const d = await tx.query(`select id, status from draws where id = $1 for update`, [drawId]);
+    if (!d.rowCount) {
+      return tx.rollback({ ok: false, error: "draw_not_found" });
+    }
+    const draw = d.rows[0];
+    const w = await tx.query(
+      `select winner_user_id from draw_prizes where draw_id = $1 and position = $2`,
+      [drawId, position]
+    );
+    if (!w.rowCount || Number(w.rows[0].winner_user_id) !== Number(userId)) {
+      return tx.rollback({ ok: false, error: "not_winner" });
+    }
+    if (normalizeStatus(draw.status) !== "realized") {
+      return tx.rollback({ ok: false, error: "draw_not_claimable" });
+    }
+
+    const cur = await tx.query(
+      `select id, status from prize_claims where draw_id = $1 and prize_position = $2 for update`,
+      [drawId, position]
+    );
+    if (cur.rowCount && !["submitted", "rejected"].includes(cur.rows[0].status)) {
+      return tx.rollback({ ok: false, error: "claim_locked", status: cur.rows[0].status });
+    }
+
+    const { rows } = await tx.query(
+      `insert into prize_claims
+         (draw_id, prize_position, user_id, payout_method, recipient_name, phone, address, pix_key_type, pix_key)
+       values ($1, $9, $2, $3, $4, $5, $6, $7, $8)
+       on conflict (draw_id, prize_position) do update
+         set payout_method = excluded.payout_method,
+             recipient_name = excluded.recipient_name,
+             phone = excluded.phone,
+             address = excluded.address,
+             pix_key_type = excluded.pix_key_type,
+             pix_key = excluded.pix_key,
+             status = 'submitted',
+             rejection_reason = null,
+             rejected_at = null,
+             submitted_at = now(),
+             updated_at = now()
+       returning *`,
+      [drawId, userId, c.payout_method, c.recipient_name, c.phone,
+       c.address ? JSON.stringify(c.address) : null, c.pix_key_type, c.pix_key, position]
+    );
+
+    log("claim enviado", { drawId, position, userId, method: c.payout_method });
+    return { ok: true, claim: rows[0] };
+  });
+}
+
+/**
+ * Avança o pedido (admin). opts: { position, tracking_code, carrier, notes, reason, actorUserId }
+ * - shipped exige tracking_code (somente payout 'delivery')
+ * - verified -> delivered direto só para PIX (pagamento feito)
+ * - a última faixa entregue marca o draw como 'redeemed'
+ */
+export async function advanceClaim(drawId, to, opts = {}) {
+  const position = Number(opts.position ?? 1);
+  const target = String(to || "").toLowerCase();
+  if (!CLAIM_STATUSES.includes(target)) return { ok: false, error: "invalid_status" };
+
+  return withTransaction(async (tx) => {
+    const cur = await tx.query(
+      `select * from prize_claims where draw_id = $1 and prize_position = $2 for update`,
+      [drawId, position]
+    );
+    if (!cur.rowCount) {
+      return tx.rollback({ ok: false, error: "claim_not_found" });
+    }
+    const claim = cur.rows[0];
+
+    if (!(CLAIM_TRANSITIONS[claim.status] || []).includes(target)) {
+      return tx.rollback({ ok: false, error: "invalid_transition", from: claim.status, to: target });
+    }
+    if (target === "shipped" && claim.payout_method !== "delivery") {
+      return tx.rollback({ ok: false, error: "invalid_transition", from: claim.status, to: target });
+    }
+    if (target === "delivered" && claim.status === "verified" && claim.payout_method !== "pix") {
+      return tx.rollback({ ok: false, error: "invalid_transition", from: claim.status, to: target });
+    }
+    const tracking = str(opts.tracking_code, 100);
+    if (target === "shipped" && !tracking) {
+      return tx.rollback({ ok: false, error: "tracking_code_required" });
+    }
+
+    const { rows } = await tx.query(
+      `update prize_claims
+          set status = $2,
+              ${STAMP[target]} = now(),
+              tracking_code = coalesce($3, tracking_code),
+              carrier = coalesce($4, carrier),
+              admin_notes = coalesce($5, admin_notes),
+              rejection_reason = case when $2 = 'rejected' then $6 else rejection_reason end,
+              updated_by = $7,
+              updated_at = now()
+        where id = $1
+        returning *`,
+      [
+        claim.id,
+        target,
+        tracking || null,
+        str(opts.carrier, 60) || null,
+        str(opts.notes, 2000) || null,
+        str(opts.reason, 500) || null,
+        opts.actorUserId ?? null,
+      ]
+    );
+
+    // faixas com ganhador ainda sem entrega
+    const pending = target === "delivered"
+      ? await tx.query(
+          `select count(*)::int as n
+             from draw_prizes p
+             left join prize_claims c on c.draw_id = p.draw_id and c.prize_position = p.position
+            where p.draw_id = $1
+              and p.winner_user_id is not null
+              and coalesce(c.status, '') <> 'delivered'`,
+          [drawId]
+        )
+      : null;
+
+    if (target === "delivered" && !pending.rows[0].n) {
+      const tr = await transitionDraw(tx, drawId, "redeemed", {
+        actor: "admin",
+        actorUserId: opts.actorUserId ?? null,
+        reason: `prêmio entregue (${claim.payout_method})`,
+      });
+      if (!tr.ok) {
+        return tx.rollback({ ok: false, error: tr.error, from: tr.from });
+      }
+    }
+
+    log("claim avançado", { drawId, position, from: claim.status, to: target });
+    return { ok: true, claim: rows[0] };
+  });
+}
+
+export async function getClaim(drawId, position = 1) {
+  const { rows } = await query(
+    `select * from prize_claims where draw_id = $1 and prize_position = $2`,
+    [drawId, position]
+  );
+  return rows[0] || null;
+}
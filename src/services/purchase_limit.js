@@ -1,142 +1,145 @@
 // backend/src/services/purchase_limit.js
+// Limite de números por usuário em um sorteio. Ordem: draws.max_numbers_per_user,
+// infoproducts.max_numbers_per_user (do produto do draw) e, por fim, a env
+// MAX_NUMBERS_PER_USER. null herda do nível acima; 0 = sem limite.
 import { query } from "../db.js";
 
-const MAX = Number(process.env.MAX_NUMBERS_PER_USER || 20);
+const DEFAULT_MAX = Number(process.env.MAX_NUMBERS_PER_USER || 20);
 
-// Status que devem CONTAR para o limite (reservado OU pago OU pendente etc.)
-const STATUSES = [
-  // pt
-  "reservado", "pago", "pendente", "aprovado", "vendido", "indisponivel",
-  "confirmado", "processando", "aguardando",
-  // en
-  "reserved", "paid", "pending", "approved", "sold", "taken",
-  "confirmed", "processing", "awaiting",
-];
-
-// ————————————————————————————————
-// util: descobrir coluna de usuário na tabela
-async function resolveUserColumn(table) {
-  const { rows } = await query(
-    `
-    select column_name
-      from information_schema.columns
-     where table_schema = 'public'
-       and table_name   = $1
-    `,
-    [table]
-  );
-  const cols = rows.map(r => r.column_name);
-
-  // nomes comuns
-  const candidates = [
-    "user_id", "client_id", "customer_id", "account_id",
-    "buyer_id", "participant_id", "owner_id"
-  ];
-  return candidates.find(c => cols.includes(c)) || null;
+export async function ensurePurchaseLimitSchema() {
+  await query(`ALTER TABLE IF EXISTS draws ADD COLUMN IF NOT EXISTS max_numbers_per_user int`);
+  await query(`ALTER TABLE IF EXISTS infoproducts ADD COLUMN IF NOT EXISTS max_numbers_per_user int`);
 }
 
-// conta via tabela numbers (se ela guardar o usuário)
-async function countViaNumbers(userId, drawId, userCol) {
-  const sql = `
-    select count(*)::int as cnt
-      from numbers
-     where draw_id = $1
-       and ${userCol} = $2
-       and lower(coalesce(status, '')) = ANY($3)
-  `;
-  const { rows } = await query(sql, [
-    drawId,
-    userId,
-    STATUSES.map(s => s.toLowerCase()),
-  ]);
-  return rows?.[0]?.cnt ?? 0;
+/**
+ * Valida o valor vindo do admin: inteiro >= 0 ou null (herda).
+ * Lança Error("invalid_purchase_limit") quando inválido.
+ */
+export function normalizePurchaseLimit(value) {
+  if (value === null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error("invalid_purchase_limit");
+  return n;
 }
 
-// fallback: conta via reservations (se numbers não guardar o usuário)
-async function countViaReservations(userId, drawId) {
-  const userCol = await resolveUserColumn("reservations");
-  if (!userCol) return 0;
+/**
+ * Override do admin: `override_limit: true` no body, só vale para admin.
+ */
+export function limitOverride(req) {
+  const u = req?.user;
+  const isAdmin = !!u && (u.role === "admin" || u.is_admin === true);
+  return isAdmin && req?.body?.override_limit === true;
+}
 
-  // tenta achar coluna FK para numbers
-  const { rows: fkRows } = await query(
-    `
-    select column_name
-      from information_schema.columns
-     where table_schema = 'public'
-       and table_name   = 'reservations'
-       and column_name in ('number_id','numbers_id','num_id','n_id')
-    `
+/** Limite efetivo do draw (null = sem limite). */
+export async function getDrawLimit(drawId, { db = null } = {}) {
+  const conn = db || { query };
+  const { rows } = await conn.query(
+    `select d.max_numbers_per_user as draw_max,
+            p.max_numbers_per_user as product_max
+       from draws d
+  left join infoproducts p on p.id = d.infoproduct_id
+      where d.id = $1`,
+    [drawId]
   );
-  const numCol = fkRows?.[0]?.column_name || null;
+  const r = rows[0] || {};
+  const max = r.draw_max ?? r.product_max ?? DEFAULT_MAX;
+  return Number(max) > 0 ? Number(max) : null;
+}
 
-  // tenta draw_id direto em reservations
-  const { rows: drawRows } = await query(
-    `
-    select column_name
-      from information_schema.columns
-     where table_schema = 'public'
-       and table_name   = 'reservations'
-       and column_name in ('draw_id','sorteio_id')
-    `
+/**
+ * Números dos donos (user_id ou guest_ids) no draw: pagos + reservas ainda
+ * bloqueando (não vencidas). Cada número conta uma vez, mesmo se estiver na
+ * reserva e no pagamento.
+ */
+async function countInDraw(ownerCol, ownerIds, drawId, db) {
+  const conn = db || { query };
+  const { rows } = await conn.query(
+    `select count(distinct x.n)::int as cnt
+       from (
+         select unnest(p.numbers)::int as n
+           from payment_lines p
+          where p.${ownerCol} = any($1::bigint[])
+            and p.draw_id = $2
+            and lower(coalesce(p.status,'')) in ('approved','paid','pago')
+         union all
+         select unnest(r.numbers)::int as n
+           from reservations r
+          where r.${ownerCol} = any($1::bigint[])
+            and r.draw_id = $2
+            and lower(coalesce(r.status,'')) in ('active','pending','reserved','')
+            and (r.expires_at is null or r.expires_at > now())
+       ) x`,
+    [ownerIds, drawId]
   );
-  const drawCol = drawRows?.[0]?.column_name || null;
+  return rows?.[0]?.cnt ?? 0;
+}
 
-  if (numCol) {
-    const sql = `
-      select count(*)::int as cnt
-        from reservations r
-        join numbers n on n.id = r.${numCol}
-       where n.draw_id = $1
-         and r.${userCol} = $2
-         and lower(coalesce(n.status, r.status, '')) = ANY($3)
-    `;
-    const { rows } = await query(sql, [
-      drawId,
-      userId,
-      STATUSES.map(s => s.toLowerCase()),
-    ]);
-    return rows?.[0]?.cnt ?? 0;
-  }
+export async function getUserCountInDraw(userId, drawId, { db = null } = {}) {
+  return countInDraw("user_id", [userId], drawId, db);
+}
 
-  if (drawCol) {
-    const sql = `
-      select count(*)::int as cnt
-        from reservations r
-       where r.${drawCol} = $1
-         and r.${userCol} = $2
-         and lower(coalesce(r.status, '')) = ANY($3)
-    `;
-    const { rows } = await query(sql, [
-      drawId,
-      userId,
-      STATUSES.map(s => s.toLowerCase()),
+async function checkLimit(lockKey, ownerCol, ownerIds, drawId, addingCount, db) {
+  if (db) {
+    await db.query(`select pg_advisory_xact_lock(hashtext($1))`, [
+      `purchase_limit:${lockKey}:${drawId}`,
     ]);
-    return rows?.[0]?.cnt ?? 0;
   }
-
-  return 0;
+  const max = await getDrawLimit(drawId, { db });
+  const current = await countInDraw(ownerCol, ownerIds, drawId, db);
+  if (max == null) return { blocked: false, current, max: null, remaining: null };
+  const blocked = current + addingCount > max;
+  return { blocked, current, max, remaining: Math.max(0, max - current) };
 }
 
-export async function getUserCountInDraw(userId, drawId) {
-  const userCol = await resolveUserColumn("numbers");
-  if (userCol) return countViaNumbers(userId, drawId, userCol);
-  return countViaReservations(userId, drawId);
+/**
+ * { blocked, current, max, remaining } para somar `addingCount` números.
+ * Com db = tx, serializa as compras do usuário no draw (advisory lock da
+ * transação) para duas requisições simultâneas não passarem juntas.
+ * max/remaining null = sem limite.
+ */
+export async function checkUserLimit(userId, drawId, addingCount = 1, { db = null } = {}) {
+  return checkLimit(`user_id:${userId}`, "user_id", [userId], drawId, addingCount, db);
 }
 
-export async function checkUserLimit(userId, drawId, addingCount = 1) {
-  const current = await getUserCountInDraw(userId, drawId);
-  const blocked = current >= MAX || current + addingCount > MAX;
-  return { blocked, current, max: MAX };
+/**
+ * Mesmo limite para compras de convidado. Cada checkout sem token cria uma
+ * identidade nova, então conta todas as identidades pendentes do mesmo CPF.
+ */
+export async function checkGuestLimit(guestId, drawId, addingCount = 1, { db = null } = {}) {
+  const conn = db || { query };
+  const { rows } = await conn.query(
+    `select g.cpf, array_agg(o.id) as ids
+       from guests g
+       join guests o on o.cpf = g.cpf and (o.claimed_user_id is null or o.id = g.id)
+      where g.id = $1
+      group by g.cpf`,
+    [guestId]
+  );
+  const cpf = rows[0]?.cpf ?? `guest:${guestId}`;
+  const ids = rows[0]?.ids?.map(Number) ?? [Number(guestId)];
+  return checkLimit(`guest_cpf:${cpf}`, "guest_id", ids, drawId, addingCount, db);
 }
 
-export async function assertUserUnderLimit(userId, drawId, addingCount = 1) {
-  const { blocked, current, max } = await checkUserLimit(userId, drawId, addingCount);
+export async function assertUserUnderLimit(userId, drawId, addingCount = 1, opts = {}) {
+  const { blocked, current, max, remaining } = await checkUserLimit(userId, drawId, addingCount, opts);
   if (blocked) {
     const err = new Error("max_numbers_reached");
     err.status = 409;
     err.code = "max_numbers_reached";
-    err.payload = { current, max };
+    err.payload = { current, max, remaining };
     throw err;
   }
-  return { current, max };
+  return { current, max, remaining };
+}
+
+/**
+ * Corta `nums` (na ordem dada) ao saldo do usuário no draw. Usado por
+ * fluxos automáticos (autopay), que compram o que couber em vez de falhar.
+ * Retorna { allowed, limit }.
+ */
+export async function fitToUserLimit(userId, drawId, nums, opts = {}) {
+  const limit = await checkUserLimit(userId, drawId, nums.length, opts);
+  const allowed = limit.remaining == null ? nums : nums.slice(0, limit.remaining);
+  return { allowed, limit };
 }
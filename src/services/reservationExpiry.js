@@ -0,0 +1,62 @@
+// backend/src/services/reservationExpiry.js
+// Limpeza geral de reservas vencidas (job expire_reservations). A expiração
+// crítica continua dentro da transação ao reservar (lockNumbers).
+import { query } from "../db.js";
+import { publishNumbers } from "./drawEvents.js";
+import { notifyNumbersFreed } from "./numberWatch.js";
+
+/**
+ * Expira reservas “bloqueadoras” vencidas e libera números presos a
+ * reservas que não estão mais ativas. Retorna { expired, released }.
+ */
+export async function expireReservations() {
+  const exp = await query(
+    `UPDATE reservations
+        SET status = 'expired'
+      WHERE expires_at IS NOT NULL
+        AND expires_at < NOW()
+        AND lower(coalesce(status,'')) IN ('active','pending','reserved','')
+      RETURNING draw_id, numbers`
+  );
+
+  const rel = await query(
+    `UPDATE numbers n
+        SET status = 'available',
+            reservation_id = NULL
+      WHERE n.status = 'reserved'
+        AND NOT EXISTS (
+              SELECT 1
+                FROM reservations r
+               WHERE r.id = n.reservation_id
+                 AND lower(coalesce(r.status,'')) IN ('active','pending','reserved','')
+            )
+      RETURNING draw_id, n`
+  );
+
+  // tabuleiro ao vivo: números das reservas expiradas + os liberados
+  const freed = new Map();
+  const add = (drawId, n) => {
+    if (!drawId) return;
+    if (!freed.has(drawId)) freed.set(drawId, new Set());
+    freed.get(drawId).add(Number(n));
+  };
+  for (const r of exp.rows) for (const n of r.numbers || []) add(r.draw_id, n);
+  for (const r of rel.rows) add(r.draw_id, r.n);
+
+  // só o que continua livre (pode ter sido vendido/reservado nesse meio-tempo)
+  for (const [drawId, set] of freed) {
+    const free = await query(
+      `SELECT n FROM numbers WHERE draw_id = $1 AND n = ANY($2) AND status = 'available'`,
+      [drawId, [...set]]
+    );
+    const nums = free.rows.map((r) => r.n);
+    await publishNumbers(null, drawId, nums, "available");
+    // lista de espera: avisa (e talvez reserva para) o primeiro da fila, sem
+    // segurar o job esperando o envio dos e-mails
+    notifyNumbersFreed(drawId, nums).catch((e) =>
+      console.warn("[reservationExpiry] aviso da lista de espera falhou:", e?.message || e)
+    );
+  }
+
+  return { expired: exp.rowCount, released: rel.rowCount };
+}
@@ -0,0 +1,281 @@
+// backend/src/services/webhookEvents.js
+// Webhooks de entrada: cada notificação com assinatura válida é gravada em
+// webhook_events (com chave de deduplicação) e processada depois, fora da
+// requisição (assinatura inválida só vai para o log). Falha volta para a
+// fila com backoff; após WEBHOOK_MAX_ATTEMPTS vira 'dead'. Os handlers são
+// registrados por provedor/tópico (ex.: payments.js registra
+// mercadopago/payment).
+import crypto from "node:crypto";
+import { query } from "../db.js";
+import { createLogger } from "./logger.js";
+
+const { log, warn } = createLogger("[webhookEvents]");
+
+export const WEBHOOK_STATUSES = ["pending", "processing", "processed", "failed", "dead", "ignored"];
+
+const handlers = new Map(); // "provider:topic" -> async (event) => result
+
+function maxAttempts() {
+  const n = Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 8);
+  return Number.isInteger(n) && n > 0 ? n : 8;
+}
+
+export async function ensureWebhookEventsSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id              bigserial PRIMARY KEY,
+      provider        text NOT NULL,
+      dedup_key       text NOT NULL,
+      topic           text,
+      action          text,
+      resource_id     text,
+      request_id      text,
+      signature_valid boolean NOT NULL DEFAULT false,
+      payload         jsonb,
+      status          text NOT NULL DEFAULT 'pending',
+      attempts        int NOT NULL DEFAULT 0,
+      last_error      text,
+      result          jsonb,
+      next_attempt_at timestamptz NOT NULL DEFAULT now(),
+      received_at     timestamptz NOT NULL DEFAULT now(),
+      processed_at    timestamptz
+    )
+  `);
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS webhook_events_dedup_uq
+      ON webhook_events (provider, dedup_key)
+  `);
+  await query(`
+    CREATE INDEX IF NOT EXISTS webhook_events_due_idx
+      ON webhook_events (next_attempt_at) WHERE status IN ('pending','failed')
+  `);
+  // assinatura inválida não é mais gravada (só vai para o log)
+  await query(`DELETE FROM webhook_events WHERE status = 'rejected'`);
+}
+
+/** Registra o processador de um tópico. */
+export function registerWebhookHandler(provider, topic, fn) {
+  handlers.set(`${provider}:${topic}`, fn);
+}
+
+/**
+ * Confere a assinatura do Mercado Pago:
+ *   x-signature: ts=<ts>,v1=<hmac>   x-request-id: <uuid>
+ *   manifest = "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+ *   v1 = HMAC-SHA256(MP_WEBHOOK_SECRET, manifest) em hex
+ * Retorna { ok, verified } ou { ok:false, error }. Sem segredo configurado
+ * só aceita com MP_WEBHOOK_ALLOW_UNSIGNED=true (desenvolvimento).
+ */
+export function verifyMpSignature(headers, dataId) {
+  const secret = process.env.MP_WEBHOOK_SECRET || "";
+  if (!secret) {
+    if (String(process.env.MP_WEBHOOK_ALLOW_UNSIGNED || "").toLowerCase() === "true") {
+      return { ok: true, verified: false };
+    }
+    return { ok: false, error: "webhook_secret_missing" };
+  }
+
+  const sig = String(headers["x-signature"] || "");
+  const requestId = String(headers["x-request-id"] || "");
+  const parts = Object.fromEntries(
+    sig.split(",").map((kv) => kv.split("=").map((s) => s.trim())).filter((kv) => kv.length === 2)
+  );
+  if (!parts.ts || !parts.v1) return { ok: false, error: "signature_missing" };
+
+  // ids alfanuméricos são assinados em minúsculas
+  const id = String(dataId ?? "").toLowerCase();
+  let manifest = "";
+  if (id) manifest += `id:${id};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${parts.ts};`;
+
+  const expected = crypto.createHmac("sha256", secret).update(manifest).digest("hex");
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(String(parts.v1), "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { ok: false, error: "signature_invalid" };
+  }
+
+  const tolerance = Number(process.env.MP_WEBHOOK_TOLERANCE_SEC ?? 600);
+  if (tolerance > 0) {
+    const tsNum = Number(parts.ts);
+    const tsMs = tsNum > 1e12 ? tsNum : tsNum * 1000; // MP manda em ms ou s
+    if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > tolerance * 1000) {
+      return { ok: false, error: "signature_expired" };
+    }
+  }
+  return { ok: true, verified: true };
+}
+
+/**
+ * Grava a notificação. Reentregas com a mesma chave não duplicam.
+ * Retorna { id, duplicate, status }.
+ */
+export async function recordWebhookEvent({
+  provider,
+  dedupKey,
+  topic = null,
+  action = null,
+  resourceId = null,
+  requestId = null,
+  signatureValid = false,
+  payload = null,
+  status = "pending",
+  error = null,
+}) {
+  const ins = await query(
+    `insert into webhook_events
+       (provider, dedup_key, topic, action, resource_id, request_id, signature_valid, payload, status, last_error)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     on conflict (provider, dedup_key) do nothing
+     returning id, status`,
+    [
+      provider,
+      dedupKey,
+      topic,
+      action,
+      resourceId != null ? String(resourceId) : null,
+      requestId,
+      !!signatureValid,
+      payload ? JSON.stringify(payload) : null,
+      status,
+      error,
+    ]
+  );
+  if (ins.rowCount) return { id: Number(ins.rows[0].id), duplicate: false, status: ins.rows[0].status };
+
+  const { rows } = await query(
+    `select id, status from webhook_events where provider = $1 and dedup_key = $2`,
+    [provider, dedupKey]
+  );
+  return { id: Number(rows[0]?.id), duplicate: true, status: rows[0]?.status };
+}
+
+/**
+ * Pega eventos vencidos (pending/failed) sem disputar com outra instância.
+ * 'processing' parado há mais de 10 min (instância caiu) volta a ser elegível.
+ */
+async function claimDue(limit, onlyId = null) {
+  const { rows } = await query(
+    `update webhook_events e
+        set status = 'processing', attempts = e.attempts + 1, next_attempt_at = now()
+      where e.id in (
+        select id from webhook_events
+         where ((status in ('pending','failed') and next_attempt_at <= now())
+                or (status = 'processing' and next_attempt_at <= now() - interval '10 minutes'))
+           and ($2::bigint is null or id = $2)
+         order by next_attempt_at, id
+         limit $1
+         for update skip locked
+      )
+      returning e.*`,
+    [limit, onlyId]
+  );
+  return rows;
+}
+
+async function processOne(ev) {
+  const fn = handlers.get(`${ev.provider}:${ev.topic}`);
+  if (!fn) {
+    await query(
+      `update webhook_events set status = 'ignored', processed_at = now(), last_error = null where id = $1`,
+      [ev.id]
+    );
+    return "ignored";
+  }
+  try {
+    const result = await fn(ev);
+    await query(
+      `update webhook_events
+          set status = 'processed', processed_at = now(), last_error = null, result = $2
+        where id = $1`,
+      [ev.id, result != null ? JSON.stringify(result) : null]
+    );
+    return "processed";
+  } catch (e) {
+    const dead = ev.attempts >= maxAttempts();
+    // backoff: 1, 2, 4 ... até 60 minutos
+    await query(
+      `update webhook_events
+          set status = $2,
+              last_error = $3,
+              next_attempt_at = now() + least(power(2, $4::int - 1), 60) * interval '1 minute'
+        where id = $1`,
+      [ev.id, dead ? "dead" : "failed", String(e?.message || e).slice(0, 500), ev.attempts]
+    );
+    warn(dead ? "evento sem sucesso, dead-letter" : "evento falhou, nova tentativa agendada", {
+      id: ev.id,
+      attempts: ev.attempts,
+      msg: e?.message,
+    });
+    return dead ? "dead" : "failed";
+  }
+}
+
+/**
+ * Processa eventos vencidos (ou só `id`). Usado logo após receber o webhook
+ * e pelo job process_webhook_events. Retorna contagem por resultado.
+ */
+export async function processWebhookEvents({ limit = 20, id = null } = {}) {
+  const events = await claimDue(Math.min(Math.max(Number(limit) || 20, 1), 200), id);
+  const out = { claimed: events.length, processed: 0, failed: 0, dead: 0, ignored: 0 };
+  for (const ev of events) {
+    // eslint-disable-next-line no-await-in-loop
+    out[await processOne(ev)]++;
+  }
+  if (events.length) log("eventos processados", out);
+  return out;
+}
+
+/** Lista para o admin (mais recentes primeiro). Filtros: status, provider, resource_id. */
+export async function listWebhookEvents({ status = null, provider = null, resourceId = null, limit = 50 } = {}) {
+  const { rows } = await query(
+    `select id, provider, dedup_key, topic, action, resource_id, request_id, signature_valid,
+            status, attempts, last_error, next_attempt_at, received_at, processed_at
+       from webhook_events
+      where ($1::text is null or status = $1)
+        and ($2::text is null or provider = $2)
+        and ($3::text is null or resource_id = $3)
+      order by id desc
+      limit $4`,
+    [status, provider, resourceId, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+export async function getWebhookEvent(id) {
+  const { rows } = await query(`select * from webhook_events where id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Reenfileira e processa agora (qualquer status menos 'processing').
+ * Retorna { ok, event } ou { ok:false, error }
+ * (event_not_found | event_processing).
+ */
+export async function replayWebhookEvent(id, actorUserId = null) {
+  const cur = await getWebhookEvent(id);
+  if (!cur) return { ok: false, error: "event_not_found" };
+  if (cur.status === "processing") return { ok: false, error: "event_processing" };
+
+  await query(
+    `update webhook_events
+        set status = 'pending', next_attempt_at = now(), attempts = 0, last_error = null
+      where id = $1 and status <> 'processing'`,
+    [id]
+  );
+  log("replay", { id, by: actorUserId });
+  await processWebhookEvents({ id, limit: 1 });
+  return { ok: true, event: await getWebhookEvent(id) };
+}
+
+/** Apaga eventos encerrados mais antigos que `days` dias (dead fica para análise). */
+export async function pruneWebhookEvents(days) {
+  const r = await query(
+    `delete from webhook_events
+      where status in ('processed','ignored')
+        and received_at < now() - make_interval(days => $1)`,
+    [Math.max(1, Number(days) || 30)]
+  );
+  return { deleted: r.rowCount };
+}